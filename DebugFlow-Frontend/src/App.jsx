@@ -25,7 +25,9 @@ function App() {
 
   useEffect(() => {
     // Initialize Socket.IO connection
-    const newSocket = io(import.meta.env.VITE_API_URL || 'http://localhost:3001');
+    const newSocket = io(import.meta.env.VITE_API_URL || 'http://localhost:3001', {
+      auth: { token: localStorage.getItem('debugflow_token') }
+    });
     
     newSocket.on('connect', () => {
       console.log('🔌 Connected to DebugFlow backend');
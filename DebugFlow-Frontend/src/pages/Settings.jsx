@@ -1,6 +1,17 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Key, Github, Brain, Cloud, Shield, User, Check, X } from 'lucide-react';
 import toast from 'react-hot-toast';
+import api from '../services/api';
+
+// Backend integration id -> the credentials field holding its token
+const CREDENTIAL_FIELDS = {
+  openai: 'openaiKey',
+  claude: 'claudeKey',
+  gemini: 'geminiKey',
+  github: 'githubToken',
+  vercel: 'vercelToken',
+  netlify: 'netlifyToken'
+};
 
 const Settings = ({ user }) => {
   const [activeSection, setActiveSection] = useState('ai-platforms');
@@ -15,22 +26,47 @@ const Settings = ({ user }) => {
 
   const [integrations, setIntegrations] = useState({
     aiPlatforms: [
-      { name: 'OpenAI GPT-4', status: 'connected', features: ['Bug Analysis', 'Code Generation', 'Fix Recommendations'] },
-      { name: 'Claude', status: 'not-connected', features: ['Code Review', 'Refactoring', 'Documentation'] },
-      { name: 'Google Gemini', status: 'not-connected', features: ['Multi-language Support', 'Code Translation'] }
+      { name: 'OpenAI GPT-4', integration: 'openai', status: 'not-connected', features: ['Bug Analysis', 'Code Generation', 'Fix Recommendations'] },
+      { name: 'Claude', integration: 'claude', status: 'not-connected', features: ['Code Review', 'Refactoring', 'Documentation'] },
+      { name: 'Google Gemini', integration: 'gemini', status: 'not-connected', features: ['Multi-language Support', 'Code Translation'] }
     ],
     repositories: [
-      { name: 'GitHub', status: 'connected', permissions: 'read-write', username: 'john_dev' },
+      { name: 'GitHub', integration: 'github', status: 'not-connected', permissions: 'read-write' },
       { name: 'GitLab', status: 'not-connected', permissions: 'none' },
       { name: 'Bitbucket', status: 'not-connected', permissions: 'none' }
     ],
     deployment: [
-      { name: 'Vercel', status: 'connected', projects: 5 },
-      { name: 'Netlify', status: 'not-connected', projects: 0 },
-      { name: 'AWS', status: 'not-connected', projects: 0 }
+      { name: 'Vercel', integration: 'vercel', status: 'not-connected' },
+      { name: 'Netlify', integration: 'netlify', status: 'not-connected' },
+      { name: 'AWS', status: 'not-connected' }
     ]
   });
 
+  const applyCredentialStatus = (stored) => {
+    const byIntegration = Object.fromEntries(stored.map(entry => [entry.integration, entry]));
+    setIntegrations(prev => Object.fromEntries(
+      Object.entries(prev).map(([type, items]) => [type, items.map(item => {
+        const entry = byIntegration[item.integration];
+        return entry
+          ? { ...item, status: entry.configured ? 'connected' : 'not-connected', hint: entry.hint, lastTest: entry.lastTest }
+          : item;
+      })])
+    ));
+  };
+
+  const loadCredentials = async () => {
+    try {
+      const { data } = await api.get('/api/credentials');
+      applyCredentialStatus(data.credentials);
+    } catch (error) {
+      toast.error('Failed to load saved credentials');
+    }
+  };
+
+  useEffect(() => {
+    loadCredentials();
+  }, []);
+
   const sections = [
     { id: 'ai-platforms', label: 'AI Platforms', icon: Brain },
     { id: 'repositories', label: 'Code Repositories', icon: Github },
@@ -39,42 +75,111 @@ const Settings = ({ user }) => {
     { id: 'profile', label: 'Profile', icon: User }
   ];
 
-  const connectIntegration = async (type, name) => {
+  // Saves the entered token, then checks it against the provider
+  const connectIntegration = async ({ name, integration }) => {
+    const field = CREDENTIAL_FIELDS[integration];
+    const token = credentials[field]?.trim();
+    if (!token) {
+      toast.error(`Enter your ${name} token first`);
+      return;
+    }
+
     try {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      setIntegrations(prev => ({
-        ...prev,
-        [type]: prev[type].map(item => 
-          item.name === name 
-            ? { ...item, status: 'connected' }
-            : item
-        )
-      }));
-      
+      await api.put(`/api/credentials/${integration}`, { token });
+      setCredentials(prev => ({ ...prev, [field]: '' }));
       toast.success(`${name} connected successfully!`);
+      await testIntegration({ name, integration });
     } catch (error) {
-      toast.error(`Failed to connect ${name}`);
+      toast.error(error.response?.data?.error || `Failed to connect ${name}`);
     }
   };
 
-  const disconnectIntegration = async (type, name) => {
+  const testIntegration = async ({ name, integration }) => {
     try {
-      setIntegrations(prev => ({
-        ...prev,
-        [type]: prev[type].map(item => 
-          item.name === name 
-            ? { ...item, status: 'not-connected' }
-            : item
-        )
-      }));
-      
+      const { data } = await api.post(`/api/credentials/${integration}/test`);
+      if (data.result.ok) {
+        toast.success(`${name}: ${data.result.message}`);
+      } else {
+        toast.error(`${name}: ${data.result.message}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || `Failed to test ${name}`);
+    } finally {
+      await loadCredentials();
+    }
+  };
+
+  const disconnectIntegration = async ({ name, integration }) => {
+    try {
+      await api.delete(`/api/credentials/${integration}`);
+      await loadCredentials();
       toast.success(`${name} disconnected`);
     } catch (error) {
-      toast.error(`Failed to disconnect ${name}`);
+      toast.error(error.response?.data?.error || `Failed to disconnect ${name}`);
     }
   };
 
+  const renderConnectionActions = (item) => {
+    if (!item.integration) {
+      return (
+        <button disabled className="px-4 py-2 text-gray-400 border border-gray-200 rounded-md cursor-not-allowed">
+          Coming Soon
+        </button>
+      );
+    }
+
+    return item.status === 'connected' ? (
+      <div className="flex space-x-2">
+        <button
+          onClick={() => testIntegration(item)}
+          className="px-4 py-2 text-blue-600 border border-blue-300 rounded-md hover:bg-blue-50"
+        >
+          Test
+        </button>
+        <button
+          onClick={() => disconnectIntegration(item)}
+          className="px-4 py-2 text-red-600 border border-red-300 rounded-md hover:bg-red-50"
+        >
+          Disconnect
+        </button>
+      </div>
+    ) : (
+      <button
+        onClick={() => connectIntegration(item)}
+        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+      >
+        Connect
+      </button>
+    );
+  };
+
+  const renderConnectionStatus = (item) => (
+    item.status === 'connected' ? (
+      <span className="inline-flex items-center text-green-600 text-sm">
+        <Check className="h-4 w-4 mr-1" />
+        Connected{item.hint && ` (${item.hint})`}
+      </span>
+    ) : (
+      <span className="inline-flex items-center text-gray-500 text-sm">
+        <X className="h-4 w-4 mr-1" />
+        Not Connected
+      </span>
+    )
+  );
+
+  const renderTokenInput = (integration, label, placeholder) => (
+    <div>
+      <label className="block text-sm font-medium text-blue-900 mb-1">{label}</label>
+      <input
+        type="password"
+        value={credentials[CREDENTIAL_FIELDS[integration]]}
+        onChange={(e) => setCredentials(prev => ({ ...prev, [CREDENTIAL_FIELDS[integration]]: e.target.value }))}
+        placeholder={placeholder}
+        className="w-full p-2 border border-blue-300 rounded-md focus:ring-2 focus:ring-blue-500"
+      />
+    </div>
+  );
+
   const renderAIPlatforms = () => (
     <div className="space-y-6">
       <div>
@@ -91,36 +196,12 @@ const Settings = ({ user }) => {
                 <div>
                   <h4 className="font-medium text-gray-900">{platform.name}</h4>
                   <div className="flex items-center space-x-2">
-                    {platform.status === 'connected' ? (
-                      <span className="inline-flex items-center text-green-600 text-sm">
-                        <Check className="h-4 w-4 mr-1" />
-                        Connected
-                      </span>
-                    ) : (
-                      <span className="inline-flex items-center text-gray-500 text-sm">
-                        <X className="h-4 w-4 mr-1" />
-                        Not Connected
-                      </span>
-                    )}
+                    {renderConnectionStatus(platform)}
                   </div>
                 </div>
               </div>
               
-              {platform.status === 'connected' ? (
-                <button
-                  onClick={() => disconnectIntegration('aiPlatforms', platform.name)}
-                  className="px-4 py-2 text-red-600 border border-red-300 rounded-md hover:bg-red-50"
-                >
-                  Disconnect
-                </button>
-              ) : (
-                <button
-                  onClick={() => connectIntegration('aiPlatforms', platform.name)}
-                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
-                >
-                  Connect
-                </button>
-              )}
+              {renderConnectionActions(platform)}
             </div>
             
             <div className="text-sm text-gray-600">
@@ -137,27 +218,9 @@ const Settings = ({ user }) => {
         </p>
         
         <div className="space-y-3">
-          <div>
-            <label className="block text-sm font-medium text-blue-900 mb-1">OpenAI API Key</label>
-            <input
-              type="password"
-              value={credentials.openaiKey}
-              onChange={(e) => setCredentials(prev => ({ ...prev, openaiKey: e.target.value }))}
-              placeholder="sk-..."
-              className="w-full p-2 border border-blue-300 rounded-md focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-          
-          <div>
-            <label className="block text-sm font-medium text-blue-900 mb-1">Claude API Key</label>
-            <input
-              type="password"
-              value={credentials.claudeKey}
-              onChange={(e) => setCredentials(prev => ({ ...prev, claudeKey: e.target.value }))}
-              placeholder="sk-ant-..."
-              className="w-full p-2 border border-blue-300 rounded-md focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
+          {renderTokenInput('openai', 'OpenAI API Key', 'sk-...')}
+          {renderTokenInput('claude', 'Claude API Key', 'sk-ant-...')}
+          {renderTokenInput('gemini', 'Gemini API Key', 'AIza...')}
         </div>
       </div>
     </div>
@@ -179,51 +242,58 @@ const Settings = ({ user }) => {
                 <div>
                   <h4 className="font-medium text-gray-900">{repo.name}</h4>
                   <div className="flex items-center space-x-4 text-sm text-gray-600">
-                    <span className={`inline-flex items-center ${
-                      repo.status === 'connected' ? 'text-green-600' : 'text-gray-500'
-                    }`}>
-                      {repo.status === 'connected' ? (
-                        <Check className="h-4 w-4 mr-1" />
-                      ) : (
-                        <X className="h-4 w-4 mr-1" />
-                      )}
-                      {repo.status === 'connected' ? 'Connected' : 'Not Connected'}
-                    </span>
+                    {renderConnectionStatus(repo)}
                     {repo.status === 'connected' && (
                       <>
                         <span>•</span>
                         <span>{repo.permissions}</span>
-                        {repo.username && (
-                          <>
-                            <span>•</span>
-                            <span>@{repo.username}</span>
-                          </>
-                        )}
                       </>
                     )}
                   </div>
                 </div>
               </div>
               
-              {repo.status === 'connected' ? (
-                <button
-                  onClick={() => disconnectIntegration('repositories', repo.name)}
-                  className="px-4 py-2 text-red-600 border border-red-300 rounded-md hover:bg-red-50"
-                >
-                  Disconnect
-                </button>
-              ) : (
-                <button
-                  onClick={() => connectIntegration('repositories', repo.name)}
-                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
-                >
-                  Connect
-                </button>
-              )}
+              {renderConnectionActions(repo)}
             </div>
           </div>
         ))}
       </div>
+
+      <div className="bg-blue-50 rounded-lg p-4 space-y-3">
+        {renderTokenInput('github', 'GitHub Personal Access Token', 'ghp_...')}
+      </div>
+    </div>
+  );
+
+  const renderDeployment = () => (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Deployment Settings</h3>
+        <p className="text-gray-600">Configure your deployment platform integrations</p>
+      </div>
+
+      <div className="space-y-4">
+        {integrations.deployment.map((platform) => (
+          <div key={platform.name} className="bg-gray-50 rounded-lg p-4">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-3">
+                <Cloud className="h-8 w-8 text-gray-700" />
+                <div>
+                  <h4 className="font-medium text-gray-900">{platform.name}</h4>
+                  {renderConnectionStatus(platform)}
+                </div>
+              </div>
+
+              {renderConnectionActions(platform)}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-blue-50 rounded-lg p-4 space-y-3">
+        {renderTokenInput('vercel', 'Vercel Token', 'Vercel access token')}
+        {renderTokenInput('netlify', 'Netlify Token', 'Netlify personal access token')}
+      </div>
     </div>
   );
 
@@ -234,13 +304,7 @@ const Settings = ({ user }) => {
       case 'repositories':
         return renderRepositories();
       case 'deployment':
-        return (
-          <div className="text-center py-12">
-            <Cloud className="h-16 w-16 mx-auto text-gray-400 mb-4" />
-            <h3 className="text-lg font-medium text-gray-900 mb-2">Deployment Settings</h3>
-            <p className="text-gray-600">Configure your deployment platform integrations</p>
-          </div>
-        );
+        return renderDeployment();
       case 'security':
         return (
           <div className="text-center py-12">
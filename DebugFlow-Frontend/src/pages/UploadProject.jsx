@@ -28,7 +28,7 @@ const UploadProject = ({ onProjectAdded }) => {
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'text/*': ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.php', '.rb', '.go', '.rs', '.swift'],
+      'text/*': ['.js', '.mjs', '.cjs', '.ts', '.jsx', '.tsx', '.py', '.java', '.php', '.rb', '.go', '.rs', '.swift'],
       'application/json': ['.json'],
       'text/plain': ['.txt', '.md', '.yml', '.yaml']
     }
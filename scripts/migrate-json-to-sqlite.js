@@ -0,0 +1,86 @@
+// Imports every data/*.json project record and its revision history, the
+// record collections (users, API keys, workspaces, credentials, ...) and the
+// audit log into the SQLite store.
+//
+// Usage: npm run migrate:sqlite -- [--from <dataDir>] [--to <sqliteFile>]
+//
+// Existing rows with the same id are overwritten, so the command can be
+// re-run safely after more JSON records have been written. Audit entries
+// already in SQLite are kept as they are: the audit log is append-only.
+import path from 'path';
+import dotenv from 'dotenv';
+import {
+  JsonFileStore, SqliteStore, JsonCollection, SqliteCollection, JsonAuditLog, SqliteAuditLog
+} from '../src/storage/index.js';
+
+dotenv.config();
+
+// Every collection the services create with createCollection
+const COLLECTIONS = [
+  'users', 'api-keys', 'workspaces', 'invitations', 'credentials', 'ai-usage', 'ai-budgets', 'advisories'
+];
+
+function readOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const dataDir = readOption('from') || process.env.DATA_DIR || path.join(process.cwd(), 'data');
+const filename = readOption('to') || process.env.SQLITE_PATH || path.join(dataDir, 'debugflow.db');
+
+const source = new JsonFileStore({ dataDir });
+const target = new SqliteStore({ filename });
+
+await source.init();
+await target.init();
+
+const projects = (await source.list()).filter(project => project?.id);
+await target.putMany(projects);
+
+let revisionCount = 0;
+for (const project of projects) {
+  for (const revision of await source.listRevisions(project.id)) {
+    try {
+      await target.appendRevision(revision);
+      revisionCount++;
+    } catch (error) {
+      // Already imported by an earlier run
+      if (error.code !== 'SQLITE_CONSTRAINT_PRIMARYKEY') throw error;
+    }
+  }
+}
+
+await target.close();
+
+const recordCounts = [];
+for (const name of COLLECTIONS) {
+  const from = new JsonCollection(name, { dataDir });
+  const to = new SqliteCollection(name, { filename });
+  await from.init();
+  await to.init();
+
+  const records = (await from.list()).filter(record => record?.id);
+  for (const record of records) {
+    await to.put(record);
+  }
+  recordCounts.push(`${records.length} ${name}`);
+}
+
+const fromLog = new JsonAuditLog({ dataDir });
+const toLog = new SqliteAuditLog({ filename });
+await fromLog.init();
+await toLog.init();
+
+// Oldest first, so the SQLite log holds them in the order they were recorded
+let auditCount = 0;
+for await (const entry of fromLog.iterate({})) {
+  try {
+    await toLog.append(entry);
+    auditCount++;
+  } catch (error) {
+    if (error.code !== 'SQLITE_CONSTRAINT_PRIMARYKEY') throw error;
+  }
+}
+
+console.log(`✅ Migrated ${projects.length} project(s) and ${revisionCount} revision(s) from ${dataDir} to ${filename}`);
+console.log(`✅ Migrated records (${recordCounts.join(', ')}) and ${auditCount} audit entr${auditCount === 1 ? 'y' : 'ies'}`);
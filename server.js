@@ -13,9 +13,26 @@ import path from 'path';
 import OpenAI from 'openai';
 
 // Import services
-import { ProjectProcessor } from './src/services/ProjectProcessor.js';
+import { ProjectProcessor, isUploadableFile, redactRepositoryUrl } from './src/services/ProjectProcessor.js';
+import { normalizeIgnorePatterns } from './src/services/FileFilter.js';
+import { ARCHIVE_PATTERN } from './src/services/ArchiveExtractor.js';
+import { buildFileTree } from './src/utils/fileTree.js';
 import { AIAnalyzer } from './src/services/AIAnalyzer.js';
 import { ProjectManager } from './src/services/ProjectManager.js';
+import { ProjectBundle } from './src/services/ProjectBundle.js';
+import { StorageJanitor } from './src/services/StorageJanitor.js';
+import { UserManager } from './src/services/UserManager.js';
+import { WorkspaceManager, PROJECT_PERMISSIONS, hasRole } from './src/services/WorkspaceManager.js';
+import { HttpError, ForbiddenError, NotFoundError } from './src/errors.js';
+import { ApiKeyManager } from './src/services/ApiKeyManager.js';
+import { CredentialVault } from './src/services/CredentialVault.js';
+import { AuditLogger } from './src/services/AuditLogger.js';
+import { UsageMeter } from './src/services/UsageMeter.js';
+import { VulnerabilityScanner } from './src/services/VulnerabilityScanner.js';
+import { SymbolIndex } from './src/services/SymbolIndex.js';
+import { toDot } from './src/analysis/moduleGraph.js';
+import { createAuditMiddleware } from './src/middleware/audit.js';
+import { createAuthMiddleware, requireAdmin, requireScope, requireSession } from './src/middleware/auth.js';
 
 dotenv.config();
 
@@ -30,15 +47,32 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 3001;
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Initialize OpenAI; without a server key only users with their own key get AI analysis
+const openai = process.env.OPENAI_API_KEY
+  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+  : null;
 
 // Initialize services
-const projectProcessor = new ProjectProcessor();
-const aiAnalyzer = new AIAnalyzer(openai);
+const credentialVault = new CredentialVault();
+const usageMeter = new UsageMeter();
+const vulnerabilityScanner = new VulnerabilityScanner();
+const projectProcessor = new ProjectProcessor({ vulnerabilityScanner });
+const symbolIndex = new SymbolIndex();
+const aiAnalyzer = new AIAnalyzer(openai, {
+  credentialVault,
+  usageMeter,
+  symbolIndex,
+  createClient: apiKey => new OpenAI({ apiKey })
+});
 const projectManager = new ProjectManager();
+const projectBundle = new ProjectBundle(projectManager);
+const storageJanitor = new StorageJanitor(projectManager);
+const userManager = new UserManager();
+const workspaceManager = new WorkspaceManager();
+const apiKeyManager = new ApiKeyManager();
+const authenticate = createAuthMiddleware(userManager, apiKeyManager);
+const auditLogger = new AuditLogger();
+const audit = createAuditMiddleware(auditLogger);
 
 // Middleware
 app.use(helmet());
@@ -54,7 +88,10 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 app.use(compression());
-app.use(morgan('combined'));
+// Combined log format plus the acting user and, for API key requests, the key
+morgan.token('user', (req) => req.user?.id || '-');
+morgan.token('api-key', (req) => req.apiKey?.id || '-');
+app.use(morgan(':remote-addr - :user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" key=:api-key'));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -75,8 +112,7 @@ const upload = multer({
   storage,
   limits: { fileSize: 50 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /\.(js|ts|jsx|tsx|py|java|php|rb|go|rs|swift|json|yml|yaml|md|txt)$/i;
-    if (allowedTypes.test(file.originalname)) {
+    if (isUploadableFile(file.originalname) || ARCHIVE_PATTERN.test(file.originalname)) {
       cb(null, true);
     } else {
       cb(new Error('File type not supported'), false);
@@ -84,6 +120,32 @@ const upload = multer({
   }
 });
 
+// Project bundle imports are staged in temp/ and removed once processed
+const bundleUpload = multer({
+  dest: path.join(process.cwd(), 'temp'),
+  limits: { fileSize: 100 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(tar\.gz|tgz)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Project bundles must be .tar.gz files'), false);
+    }
+  }
+});
+
+// OSV advisory imports (single JSON files or osv.dev all.zip exports)
+const advisoryUpload = multer({
+  dest: path.join(process.cwd(), 'temp'),
+  limits: { fileSize: 500 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(json|zip)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Advisory imports must be .json or .zip files'), false);
+    }
+  }
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -94,48 +156,529 @@ app.get('/health', (req, res) => {
       ai: !!process.env.OPENAI_API_KEY,
       github: !!process.env.GITHUB_TOKEN,
       testing: true,
-      implementation: true
+      implementation: true,
+      credentials: credentialVault.enabled,
+      storage: projectManager.store.driver
     }
   });
 });
 
+// Deployment targets whose tokens come from the credential vault
+const DEPLOYMENT_INTEGRATIONS = ['vercel', 'netlify'];
+
+const UPLOAD_PROJECT_TYPES = { files: 'Script', app: 'Web Application', repository: 'Repository' };
+
+// Clones of GitHub repositories use the caller's stored GitHub token, or the
+// server's GITHUB_TOKEN
+async function repositoryCredential(userId, repositoryUrl) {
+  let host;
+  try {
+    host = new URL(repositoryUrl).hostname;
+  } catch {
+    return null;
+  }
+  if (host !== 'github.com') return null;
+
+  return (await credentialVault.resolveCredential(userId, 'github')).token;
+}
+
+// Upload audit entries list file names and sizes rather than the raw form
+const uploadParams = (req) => ({
+  projectType: req.body?.projectType,
+  ...(req.body?.repositoryUrl && { repositoryUrl: redactRepositoryUrl(req.body.repositoryUrl), ref: req.body.ref }),
+  files: [...(req.files || []), ...(req.file ? [req.file] : [])].map(file => ({ name: file.originalname, size: file.size }))
+});
+
+// Optimistic concurrency: clients echo a project's ETag back in If-Match
+const PATCHABLE_FIELDS = ['name', 'description', 'status', 'type', 'codebaseUrl', 'deploymentUrl', 'accessType'];
+
+const projectETag = (project) => `"${project.version || 0}"`;
+
+function expectedVersionFrom(req) {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && ifMatch !== '*') {
+    return Number(ifMatch.replace(/^W\//, '').replace(/"/g, ''));
+  }
+  return req.body?.version;
+}
+
+// Resolves a project the user may perform `action` on (see PROJECT_PERMISSIONS).
+// Projects they can't see at all get the same 404 as missing ones so IDs
+// can't be probed.
+async function getAuthorizedProject(projectId, user, action) {
+  const project = await projectManager.getProject(projectId);
+  const role = project ? await workspaceManager.getProjectRole(project, user.id) : null;
+  if (!role) {
+    throw new NotFoundError('Project not found');
+  }
+  if (!hasRole(role, PROJECT_PERMISSIONS[action])) {
+    throw new ForbiddenError(`The ${role} role cannot ${action} this project`);
+  }
+  return { project, role };
+}
+
+// Loads the :id project into req.project and the caller's role into req.projectRole
+function authorizeProject(action) {
+  return async (req, res, next) => {
+    try {
+      const { project, role } = await getAuthorizedProject(req.params.id, req.user, action);
+      req.project = project;
+      req.projectRole = role;
+      next();
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// Auth routes
+
+// Register
+app.post('/api/auth/register', audit('auth.register'), async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    const user = await userManager.register({ email, password, name });
+    res.locals.audit = { actor: user };
+
+    res.status(201).json({
+      success: true,
+      user: userManager.toPublic(user),
+      ...userManager.issueTokens(user)
+    });
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Login
+app.post('/api/auth/login', audit('auth.login'), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const user = await userManager.login({ email, password });
+    res.locals.audit = { actor: user };
+
+    res.json({
+      success: true,
+      user: userManager.toPublic(user),
+      ...userManager.issueTokens(user)
+    });
+  } catch (error) {
+    console.error('Login error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { user, tokens } = await userManager.refresh(req.body.refreshToken);
+    res.json({ success: true, user: userManager.toPublic(user), ...tokens });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Everything below requires an authenticated user
+app.use('/api', authenticate);
+
+// API keys only reach routes that declare a scope with requireScope
+app.use(['/api/auth', '/api/keys', '/api/workspaces', '/api/invitations', '/api/admin', '/api/credentials', '/api/audit', '/api/usage'], requireSession);
+
+// Current user
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const user = await userManager.getUser(req.user.id);
+    res.json({ success: true, user: userManager.toPublic(user) });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Logout everywhere by revoking all issued tokens
+app.post('/api/auth/logout', audit('auth.logout'), async (req, res) => {
+  try {
+    await userManager.logout(req.user.id);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // API Routes
 
-// Get user projects
-app.get('/api/projects', async (req, res) => {
+// Get user projects, or a workspace's shared projects with ?workspaceId=
+// Query: search, status, type, sort (lastModified|createdAt|name|status), order, limit, cursor
+app.get('/api/projects', requireScope('projects:read'), async (req, res) => {
   try {
-    const projects = await projectManager.getUserProjects('user_001');
-    res.json({ success: true, projects });
+    const { workspaceId, search, status, type, sort, order, limit, cursor } = req.query;
+    if (workspaceId) {
+      await workspaceManager.requireRole(workspaceId, req.user.id, 'viewer');
+    }
+
+    const { projects, total, nextCursor } = await projectManager.queryProjects(req.user.id, {
+      workspaceId, search, status, type, sort, order, limit, cursor
+    });
+    res.json({ success: true, projects, total, nextCursor });
   } catch (error) {
     console.error('Get projects error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a single project
+app.get('/api/projects/:id', requireScope('projects:read'), authorizeProject('read'), async (req, res) => {
+  try {
+    res.set('ETag', projectETag(req.project));
+    res.json({ success: true, project: req.project, role: req.projectRole });
+  } catch (error) {
+    console.error('Get project error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Update project metadata
+app.patch('/api/projects/:id', requireSession, audit('project.update'), authorizeProject('update'), async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of PATCHABLE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    // Applied from the next snapshot on
+    if (req.body.ignorePatterns !== undefined) {
+      updates.ignorePatterns = normalizeIgnorePatterns(req.body.ignorePatterns);
+    }
+
+    const project = await projectManager.updateProject(req.params.id, updates, {
+      author: req.user.id,
+      expectedVersion: expectedVersionFrom(req)
+    });
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    res.set('ETag', projectETag(project));
+    res.json({ success: true, project });
+  } catch (error) {
+    console.error('Update project error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.status === 409 && { currentVersion: error.currentVersion })
+    });
+  }
+});
+
+// Share a project with a workspace, or make it private again
+app.put('/api/projects/:id/sharing', requireSession, audit('project.share'), authorizeProject('share'), async (req, res) => {
+  try {
+    const { workspaceId = null, visibility = workspaceId ? 'workspace' : 'private' } = req.body;
+
+    if (!['private', 'workspace'].includes(visibility)) {
+      return res.status(400).json({ success: false, error: 'Visibility must be private or workspace' });
+    }
+    if (visibility === 'workspace' && !workspaceId) {
+      return res.status(400).json({ success: false, error: 'workspaceId is required to share with a workspace' });
+    }
+    if (workspaceId) {
+      await workspaceManager.requireRole(workspaceId, req.user.id, 'maintainer');
+    }
+
+    const project = await projectManager.updateProject(req.params.id, { workspaceId, visibility }, {
+      author: req.user.id,
+      expectedVersion: expectedVersionFrom(req)
+    });
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    res.set('ETag', projectETag(project));
+    res.json({ success: true, sharing: { workspaceId: project.workspaceId, visibility: project.visibility } });
+  } catch (error) {
+    console.error('Update sharing error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete project
+app.delete('/api/projects/:id', requireSession, audit('project.delete'), authorizeProject('delete'), async (req, res) => {
+  try {
+    console.log('🗑️ Deleting project:', req.params.id);
+
+    const deleted = await projectManager.deleteProject(req.params.id, {
+      expectedVersion: expectedVersionFrom(req)
+    });
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    res.json({ success: true, message: 'Project deleted' });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.status === 409 && { currentVersion: error.currentVersion })
+    });
+  }
+});
+
+// Project files as a nested directory tree
+app.get('/api/projects/:id/tree', requireScope('projects:read'), authorizeProject('read'), async (req, res) => {
+  try {
+    res.json({ success: true, tree: buildFileTree(req.project.files || []) });
+  } catch (error) {
+    console.error('File tree error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Known-vulnerable dependencies found when the project was last processed or scanned
+app.get('/api/projects/:id/vulnerabilities', requireScope('projects:read'), authorizeProject('read'), async (req, res) => {
+  try {
+    res.json({ success: true, vulnerabilities: req.project.vulnerabilities || null });
+  } catch (error) {
+    console.error('Get vulnerabilities error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-checks the project's dependencies, e.g. after the advisory database was refreshed
+app.post('/api/projects/:id/vulnerabilities/scan', requireScope('projects:upload'), audit('project.scan'), authorizeProject('update'), async (req, res) => {
+  try {
+    const vulnerabilities = await vulnerabilityScanner.scan(req.project.dependencies || []);
+    const project = await projectManager.updateProject(req.params.id, { vulnerabilities }, {
+      author: req.user.id,
+      expectedVersion: expectedVersionFrom(req)
+    });
+
+    res.set('ETag', projectETag(project));
+    res.json({ success: true, vulnerabilities });
+  } catch (error) {
+    console.error('Vulnerability scan error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.status === 409 && { currentVersion: error.currentVersion })
+    });
+  }
+});
+
+// Module graph of the project's JavaScript and TypeScript files, as JSON or,
+// with ?format=dot, as Graphviz source
+app.get('/api/projects/:id/graph', requireScope('projects:read'), authorizeProject('read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'dot'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be json or dot' });
+    }
+
+    const graph = projectProcessor.buildModuleGraph(req.project.files || []);
+    if (format === 'dot') {
+      return res.type('text/vnd.graphviz').send(toDot(graph));
+    }
+    res.json({ success: true, graph });
+  } catch (error) {
+    console.error('Module graph error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Search the project's functions, classes and variables by name
+// Query: query, limit
+app.get('/api/projects/:id/symbols', requireScope('projects:read'), authorizeProject('read'), async (req, res) => {
+  try {
+    const symbols = symbolIndex.search(req.project, req.query.query, { limit: req.query.limit });
+    res.json({ success: true, symbols });
+  } catch (error) {
+    console.error('Symbol search error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Go-to-definition, references, callers and callees of a symbol, by name
+// ("checkout") or qualified name ("Cart.checkout"); ?file= narrows it to one file
+const SYMBOL_LOOKUPS = {
+  definition: (project, name, options) => ({ definitions: symbolIndex.definition(project, name, options) }),
+  references: (project, name, options) => symbolIndex.references(project, name, options),
+  callers: (project, name, options) => symbolIndex.callers(project, name, options),
+  callees: (project, name, options) => symbolIndex.callees(project, name, options)
+};
+
+app.get('/api/projects/:id/symbols/:name/:lookup', requireScope('projects:read'), authorizeProject('read'), async (req, res) => {
+  try {
+    const { name, lookup } = req.params;
+    if (!Object.hasOwn(SYMBOL_LOOKUPS, lookup)) {
+      return res.status(404).json({ success: false, error: 'Unknown symbol lookup' });
+    }
+
+    const result = SYMBOL_LOOKUPS[lookup](req.project, name, { file: req.query.file });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Symbol lookup error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Export project as a downloadable bundle
+app.get('/api/projects/:id/export', requireScope('projects:read'), audit('project.export'), authorizeProject('read'), async (req, res) => {
+  try {
+    const { project } = req;
+    const fileName = `${String(project.name || 'project').replace(/[^A-Za-z0-9_-]+/g, '-')}-${project.id}.debugflow.tar.gz`;
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    await projectBundle.exportProject(project, res);
+  } catch (error) {
+    console.error('Export project error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+});
+
+// Import project from a bundle
+app.post('/api/projects/import', requireScope('projects:upload'), audit('project.import', { params: uploadParams }), bundleUpload.single('bundle'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No bundle uploaded' });
+    }
+
+    console.log('📥 Importing project bundle:', req.file.originalname);
+
+    const project = await projectBundle.importBundle(req.file.path, { userId: req.user.id });
+    res.locals.audit = { projectId: project.id };
+
+    res.status(201).json({
+      success: true,
+      project: {
+        id: project.id,
+        name: project.name,
+        status: project.status,
+        type: project.type
+      }
+    });
+  } catch (error) {
+    console.error('Import project error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  } finally {
+    if (req.file) await fs.remove(req.file.path);
+  }
+});
+
+// List project revisions
+app.get('/api/projects/:id/revisions', requireScope('projects:read'), authorizeProject('read'), async (req, res) => {
+  try {
+    const revisions = await projectManager.getRevisions(req.params.id);
+    res.json({ success: true, revisions });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Diff two project revisions
+app.get('/api/projects/:id/revisions/diff', requireScope('projects:read'), authorizeProject('read'), async (req, res) => {
+  try {
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+
+    const diff = await projectManager.diffRevisions(req.params.id, from, to);
+    if (!diff) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
+
+    res.json({ success: true, diff });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a project as it was at a given revision
+app.get('/api/projects/:id/revisions/:revision', requireScope('projects:read'), authorizeProject('read'), async (req, res) => {
+  try {
+    const revision = Number(req.params.revision);
+    const project = await projectManager.getProjectAtRevision(req.params.id, revision);
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
+
+    res.json({ success: true, revision, project });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restore a project to a previous revision
+app.post('/api/projects/:id/revisions/:revision/restore', requireSession, audit('project.restore'), authorizeProject('update'), async (req, res) => {
+  try {
+    const revision = Number(req.params.revision);
+
+    console.log('⏪ Restoring project', req.params.id, 'to revision', revision);
+
+    const project = await projectManager.restoreRevision(req.params.id, revision, {
+      author: req.user.id,
+      expectedVersion: expectedVersionFrom(req)
+    });
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
+
+    res.set('ETag', projectETag(project));
+    res.json({ success: true, project });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.status === 409 && { currentVersion: error.currentVersion })
+    });
+  }
+});
+
 // Upload project
-app.post('/api/projects/upload', upload.array('files', 20), async (req, res) => {
+app.post('/api/projects/upload', requireScope('projects:upload'), audit('project.upload', { params: uploadParams }), upload.array('files', 20), async (req, res) => {
   try {
     const { projectType, projectData } = req.body;
     const uploadedFiles = req.files || [];
+    const ignorePatterns = normalizeIgnorePatterns(req.body.ignorePatterns);
 
     console.log('📤 Project upload:', { projectType, filesCount: uploadedFiles.length });
 
     let processedProject;
 
     if (projectType === 'files') {
-      processedProject = await projectProcessor.processUploadedFiles(uploadedFiles);
+      processedProject = await projectProcessor.processUploadedFiles(uploadedFiles, { ignorePatterns });
     } else if (projectType === 'app') {
       const parsedData = JSON.parse(projectData);
-      processedProject = await projectProcessor.processAppProject(uploadedFiles, parsedData);
+      processedProject = await projectProcessor.processAppProject(uploadedFiles, parsedData, { ignorePatterns });
+    } else if (projectType === 'repository') {
+      const { repositoryUrl, ref } = req.body;
+      processedProject = await projectProcessor.processRepository({
+        url: repositoryUrl,
+        ref,
+        credential: req.body.credential || await repositoryCredential(req.user.id, repositoryUrl),
+        ignorePatterns
+      });
     }
 
     // Store project
     const project = await projectManager.createProject({
       ...processedProject,
-      userId: 'user_001',
-      type: projectType === 'app' ? 'Web Application' : 'Script',
+      ignorePatterns,
+      userId: req.user.id,
+      type: UPLOAD_PROJECT_TYPES[projectType] || 'Script',
       status: 'analyzing'
-    });
+    }, { author: req.user.id });
+    res.locals.audit = { projectId: project.id };
 
     res.json({
       success: true,
@@ -149,29 +692,85 @@ app.post('/api/projects/upload', upload.array('files', 20), async (req, res) =>
 
   } catch (error) {
     console.error('Project upload error:', error);
-    res.status(500).json({
+    await Promise.all((req.files || []).map(file => fs.remove(file.path)));
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
+// Upload a new snapshot of an existing project; only added and changed files
+// are analyzed again
+app.post('/api/projects/:id/snapshot', requireScope('projects:upload'), audit('project.snapshot', { params: uploadParams }), authorizeProject('update'), upload.array('files', 20), async (req, res) => {
+  let snapshot;
+  try {
+    const uploadedFiles = req.files || [];
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({ success: false, error: 'No files uploaded' });
+    }
+
+    console.log('🔁 Project snapshot:', { projectId: req.params.id, filesCount: uploadedFiles.length });
+
+    const { changes, ...processed } = await projectProcessor.processSnapshot(uploadedFiles, req.project.files, {
+      ignorePatterns: req.project.ignorePatterns
+    });
+    snapshot = processed;
+    const project = await projectManager.updateProject(req.params.id, {
+      ...snapshot,
+      lastSnapshot: {
+        uploadedAt: new Date().toISOString(),
+        added: changes.added,
+        changed: changes.changed,
+        removed: changes.removed,
+        unchanged: changes.unchanged
+      },
+      status: 'analyzing'
+    }, {
+      author: req.user.id,
+      expectedVersion: expectedVersionFrom(req) ?? req.project.version
+    });
+
+    res.set('ETag', projectETag(project));
+    res.json({
+      success: true,
+      project: {
+        id: project.id,
+        name: project.name,
+        status: project.status,
+        version: project.version
+      },
+      changes
+    });
+  } catch (error) {
+    console.error('Project snapshot error:', error);
+    // Drop the new uploads (and anything extracted from them), never files
+    // the project already references
+    const kept = new Set((req.project?.files || []).map(file => file.path));
+    const created = [...(req.files || []), ...(snapshot?.files || [])].map(file => file.path);
+    await Promise.all(created.filter(filePath => !kept.has(filePath)).map(filePath => fs.remove(filePath)));
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.status === 409 && { currentVersion: error.currentVersion })
+    });
+  }
+});
+
 // AI bug analysis
-app.post('/api/ai/analyze', async (req, res) => {
+app.post('/api/ai/analyze', requireScope('ai:analyze'), audit('ai.analyze'), async (req, res) => {
   try {
     const { projectId, bugDescription } = req.body;
 
     console.log('🔍 Starting AI analysis for project:', projectId);
 
-    const project = await projectManager.getProject(projectId);
-    if (!project) {
-      return res.status(404).json({ success: false, error: 'Project not found' });
-    }
+    const { project } = await getAuthorizedProject(projectId, req.user, 'analyze');
 
     const analysis = await aiAnalyzer.analyzeBug({
       projectData: project,
       bugDescription,
-      aiProvider: 'openai'
+      aiProvider: 'openai',
+      userId: req.user.id
     });
 
     // Update project with analysis
@@ -179,7 +778,7 @@ app.post('/api/ai/analyze', async (req, res) => {
       status: 'analyzed',
       analysis,
       lastModified: new Date().toISOString()
-    });
+    }, { author: req.user.id });
 
     res.json({
       success: true,
@@ -188,30 +787,44 @@ app.post('/api/ai/analyze', async (req, res) => {
 
   } catch (error) {
     console.error('AI analysis error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...(error.budget && { budget: error.budget })
     });
   }
 });
 
+// The prompt /api/ai/analyze would send for the same request, with secrets
+// masked, without calling the AI provider
+app.post('/api/ai/analyze/preview', requireScope('ai:analyze'), async (req, res) => {
+  try {
+    const { projectId, bugDescription } = req.body;
+    const { project } = await getAuthorizedProject(projectId, req.user, 'analyze');
+    const { prompt, redactions } = aiAnalyzer.prepareAnalysisPrompt(project, bugDescription);
+
+    res.json({ success: true, prompt, redactions });
+  } catch (error) {
+    console.error('AI prompt preview error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // Generate implementation
-app.post('/api/ai/implement', async (req, res) => {
+app.post('/api/ai/implement', requireScope('ai:implement'), audit('ai.implement'), async (req, res) => {
   try {
     const { projectId, selectedFix, customInstructions } = req.body;
 
     console.log('⚡ Generating implementation for project:', projectId);
 
-    const project = await projectManager.getProject(projectId);
-    if (!project) {
-      return res.status(404).json({ success: false, error: 'Project not found' });
-    }
+    const { project } = await getAuthorizedProject(projectId, req.user, 'implement');
 
     const implementation = await aiAnalyzer.generateImplementation({
       projectData: project,
       fix: selectedFix,
       customInstructions,
-      aiProvider: 'openai'
+      aiProvider: 'openai',
+      userId: req.user.id
     });
 
     // Update project status
@@ -219,7 +832,7 @@ app.post('/api/ai/implement', async (req, res) => {
       status: 'implementing',
       implementation,
       lastModified: new Date().toISOString()
-    });
+    }, { author: req.user.id });
 
     res.json({
       success: true,
@@ -228,23 +841,29 @@ app.post('/api/ai/implement', async (req, res) => {
 
   } catch (error) {
     console.error('Implementation error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...(error.budget && { budget: error.budget })
     });
   }
 });
 
 // Apply implementation
-app.post('/api/implementation/apply', async (req, res) => {
+app.post('/api/implementation/apply', requireScope('implementation:apply'), audit('implementation.apply'), async (req, res) => {
   try {
     const { projectId, deploymentType } = req.body;
 
     console.log('🚀 Applying implementation for project:', projectId);
 
-    const project = await projectManager.getProject(projectId);
-    if (!project) {
-      return res.status(404).json({ success: false, error: 'Project not found' });
+    await getAuthorizedProject(projectId, req.user, 'apply');
+
+    // Deploy with the user's own token for the target platform when they have one
+    const deployment = DEPLOYMENT_INTEGRATIONS.includes(deploymentType)
+      ? await credentialVault.resolveCredential(req.user.id, deploymentType)
+      : { token: null, source: 'none' };
+    if (DEPLOYMENT_INTEGRATIONS.includes(deploymentType) && !deployment.token) {
+      throw new HttpError(400, `No ${deploymentType} credential configured`);
     }
 
     // Simulate deployment
@@ -254,34 +873,436 @@ app.post('/api/implementation/apply', async (req, res) => {
       status: 'completed',
       deployedAt: new Date().toISOString(),
       lastModified: new Date().toISOString()
-    });
+    }, { author: req.user.id });
 
     res.json({
       success: true,
       message: 'Implementation applied successfully',
-      deploymentType
+      deploymentType,
+      credentialSource: deployment.source
     });
 
   } catch (error) {
     console.error('Apply implementation error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
+// AI usage
+
+// The caller's token usage, cost and budget for a month (?month=YYYY-MM).
+// Admins may pass ?userId= to look at someone else.
+app.get('/api/usage', async (req, res) => {
+  try {
+    const { month, userId, includeCalls } = req.query;
+    if (userId && userId !== req.user.id && req.user.role !== 'admin') {
+      throw new ForbiddenError('You can only view your own usage');
+    }
+
+    const usage = await usageMeter.getSummary(userId || req.user.id, {
+      month,
+      includeCalls: includeCalls === 'true'
+    });
+    res.json({ success: true, usage });
+  } catch (error) {
+    console.error('Usage summary error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/projects/:id/usage', requireScope('projects:read'), authorizeProject('read'), async (req, res) => {
+  try {
+    const usage = await usageMeter.getProjectUsage(req.params.id, { month: req.query.month });
+    res.json({ success: true, usage });
+  } catch (error) {
+    console.error('Project usage error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Integration credentials
+
+// Which integrations the user has connected; secrets are never returned
+app.get('/api/credentials', async (req, res) => {
+  try {
+    const credentials = await credentialVault.listCredentials(req.user.id);
+    res.json({ success: true, enabled: credentialVault.enabled, credentials });
+  } catch (error) {
+    console.error('List credentials error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/credentials/:integration', audit('credential.update'), async (req, res) => {
+  try {
+    await credentialVault.setCredential(req.user.id, req.params.integration, req.body.token);
+    const credentials = await credentialVault.listCredentials(req.user.id);
+    res.json({
+      success: true,
+      credential: credentials.find(entry => entry.integration === req.params.integration)
+    });
+  } catch (error) {
+    console.error('Store credential error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/credentials/:integration', audit('credential.delete'), async (req, res) => {
+  try {
+    const removed = await credentialVault.removeCredential(req.user.id, req.params.integration);
+    if (!removed) {
+      throw new NotFoundError('No credential stored for this integration');
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove credential error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Test the stored credential, or body.token before saving it
+app.post('/api/credentials/:integration/test', async (req, res) => {
+  try {
+    const result = await credentialVault.testConnection(req.user.id, req.params.integration, req.body.token);
+    res.json({ success: true, result });
+  } catch (error) {
+    console.error('Test credential error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// API keys
+
+// Create an API key; the plaintext key is only returned here
+app.post('/api/keys', audit('apikey.create'), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const { apiKey, key } = await apiKeyManager.createKey(req.user, { name, scopes, expiresInDays });
+    res.status(201).json({ success: true, apiKey, key });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// List the caller's API keys
+app.get('/api/keys', async (req, res) => {
+  try {
+    const apiKeys = await apiKeyManager.listKeys(req.user.id);
+    res.json({ success: true, apiKeys });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke an API key
+app.delete('/api/keys/:keyId', audit('apikey.revoke'), async (req, res) => {
+  try {
+    const apiKey = await apiKeyManager.revokeKey(req.user.id, req.params.keyId);
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Workspaces
+
+// Create workspace
+app.post('/api/workspaces', async (req, res) => {
+  try {
+    const workspace = await workspaceManager.createWorkspace(req.user, { name: req.body.name });
+    res.status(201).json({ success: true, workspace });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// List the caller's workspaces
+app.get('/api/workspaces', async (req, res) => {
+  try {
+    const workspaces = await workspaceManager.listForUser(req.user.id);
+    res.json({
+      success: true,
+      workspaces: workspaces.map(workspace => ({
+        ...workspace,
+        role: workspaceManager.getMemberRole(workspace, req.user.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get workspace with members
+app.get('/api/workspaces/:workspaceId', async (req, res) => {
+  try {
+    const workspace = await workspaceManager.requireRole(req.params.workspaceId, req.user.id, 'viewer');
+    res.json({ success: true, workspace });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Invite a user by email
+app.post('/api/workspaces/:workspaceId/invitations', async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const invitation = await workspaceManager.invite(req.params.workspaceId, req.user, { email, role });
+    res.status(201).json({ success: true, invitation });
+  } catch (error) {
+    console.error('Invite error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// List a workspace's invitations
+app.get('/api/workspaces/:workspaceId/invitations', async (req, res) => {
+  try {
+    const invitations = await workspaceManager.listWorkspaceInvitations(req.params.workspaceId, req.user.id);
+    res.json({ success: true, invitations });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke a pending invitation
+app.delete('/api/workspaces/:workspaceId/invitations/:invitationId', async (req, res) => {
+  try {
+    const invitation = await workspaceManager.revokeInvitation(
+      req.params.workspaceId,
+      req.params.invitationId,
+      req.user.id
+    );
+    res.json({ success: true, invitation });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Change a member's role
+app.patch('/api/workspaces/:workspaceId/members/:userId', async (req, res) => {
+  try {
+    const workspace = await workspaceManager.updateMemberRole(
+      req.params.workspaceId,
+      req.user.id,
+      req.params.userId,
+      req.body.role
+    );
+    res.json({ success: true, workspace });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a member, or leave the workspace
+app.delete('/api/workspaces/:workspaceId/members/:userId', async (req, res) => {
+  try {
+    const workspace = await workspaceManager.removeMember(req.params.workspaceId, req.user.id, req.params.userId);
+    res.json({ success: true, workspace });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Pending invitations for the caller
+app.get('/api/invitations', async (req, res) => {
+  try {
+    const invitations = await workspaceManager.listPendingInvitations(req.user.email);
+    res.json({ success: true, invitations });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Accept or decline an invitation
+app.post('/api/invitations/:invitationId/:response(accept|decline)', async (req, res) => {
+  try {
+    const invitation = await workspaceManager.respondToInvitation(
+      req.params.invitationId,
+      req.user,
+      req.params.response === 'accept'
+    );
+    res.json({ success: true, invitation });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Report disk space held by orphaned uploads and stale temp files
+app.get('/api/admin/storage', requireAdmin, async (req, res) => {
+  try {
+    const reclaimable = await storageJanitor.report();
+    res.json({ success: true, reclaimable });
+  } catch (error) {
+    console.error('Storage report error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run storage cleanup now
+app.post('/api/admin/storage/cleanup', requireAdmin, async (req, res) => {
+  try {
+    const removed = await storageJanitor.collect();
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Storage cleanup error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Advisory database contents
+app.get('/api/admin/advisories', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, advisories: await vulnerabilityScanner.getStats() });
+  } catch (error) {
+    console.error('Advisory stats error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Refresh the advisory database from an OSV file
+app.post('/api/admin/advisories/import', requireAdmin, audit('advisories.import', { params: uploadParams }), advisoryUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No advisory file uploaded' });
+    }
+
+    console.log('🛡️ Importing advisories:', req.file.originalname);
+
+    const result = await vulnerabilityScanner.importFile(req.file.path, req.file.originalname);
+    res.json({ success: true, result, advisories: await vulnerabilityScanner.getStats() });
+  } catch (error) {
+    console.error('Advisory import error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  } finally {
+    if (req.file) await fs.remove(req.file.path);
+  }
+});
+
+// Every user's AI spend for a month
+app.get('/api/admin/usage', requireAdmin, async (req, res) => {
+  try {
+    const users = await usageMeter.getAllUsage({ month: req.query.month });
+    res.json({ success: true, users });
+  } catch (error) {
+    console.error('Usage report error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Override a user's budgets: { dailyUsd, monthlyUsd } as a number, null for
+// unlimited or "default" for the server-wide limit
+app.put('/api/admin/usage/budgets/:userId', requireAdmin, audit('usage.budget'), async (req, res) => {
+  try {
+    if (!(await userManager.getUser(req.params.userId))) {
+      throw new NotFoundError('User not found');
+    }
+
+    const budget = await usageMeter.setBudget(req.params.userId, req.body);
+    res.json({ success: true, budget });
+  } catch (error) {
+    console.error('Set budget error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Audit trail
+
+// Admins can read every entry. Other users see a project's full trail when
+// they can read the project, and otherwise only their own actions.
+async function auditFiltersFor(req) {
+  const { action, actorId, projectId, outcome, from, to, limit, cursor } = req.query;
+  const filters = { action, actorId, projectId, outcome, from, to, limit, cursor };
+  if (req.user.role === 'admin') return filters;
+
+  if (projectId) {
+    await getAuthorizedProject(projectId, req.user, 'read');
+    return filters;
+  }
+  if (actorId && actorId !== req.user.id) {
+    throw new ForbiddenError('You can only view your own activity');
+  }
+  return { ...filters, actorId: req.user.id };
+}
+
+// Query: action (comma separated), actorId, projectId, outcome, from, to, limit, cursor
+app.get('/api/audit', async (req, res) => {
+  try {
+    const { entries, nextCursor } = await auditLogger.query(await auditFiltersFor(req));
+    res.json({ success: true, entries, nextCursor });
+  } catch (error) {
+    console.error('Audit query error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Same filters, every matching entry as JSON Lines, oldest first
+app.get('/api/audit/export', async (req, res) => {
+  try {
+    const filters = await auditFiltersFor(req);
+    res.set({
+      'Content-Type': 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="debugflow-audit-${new Date().toISOString().slice(0, 10)}.jsonl"`
+    });
+
+    for await (const entry of auditLogger.export(filters)) {
+      if (res.destroyed) return;
+      if (!res.write(`${JSON.stringify(entry)}\n`)) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    }
+    res.end();
+  } catch (error) {
+    console.error('Audit export error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  }
+});
+
 // Socket.IO for real-time updates
+// Clients pass their access token as `auth: { token }` when connecting
+io.use(async (socket, next) => {
+  try {
+    const user = await userManager.verifyToken(socket.handshake.auth?.token, 'access');
+    socket.data.user = { id: user.id, email: user.email, name: user.name, role: user.role };
+    next();
+  } catch (error) {
+    next(new Error('Authentication required'));
+  }
+});
+
 io.on('connection', (socket) => {
   console.log(`✅ Client connected: ${socket.id}`);
   
-  socket.on('join-project', (projectId) => {
+  socket.on('join-project', async (projectId) => {
+    try {
+      await getAuthorizedProject(projectId, socket.data.user, 'read');
+    } catch (error) {
+      socket.emit('project-error', { projectId, error: error.message });
+      return;
+    }
+
     socket.join(`project-${projectId}`);
     console.log(`📁 Client ${socket.id} joined project ${projectId}`);
   });
 
   socket.on('start-analysis', async (data) => {
     try {
+      await getAuthorizedProject(data.projectId, socket.data.user, 'analyze');
       console.log('🔍 Real-time analysis started:', data.projectId);
       
       socket.emit('analysis-progress', { 
@@ -317,9 +1338,10 @@ io.on('connection', (socket) => {
 // Error handling
 app.use((error, req, res, next) => {
   console.error('Server error:', error);
-  res.status(500).json({
+  const status = error.status || 500;
+  res.status(status).json({
     success: false,
-    error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+    error: process.env.NODE_ENV === 'production' && status === 500 ? 'Internal server error' : error.message
   });
 });
 
@@ -328,6 +1350,8 @@ await fs.ensureDir('temp');
 await fs.ensureDir('uploads');
 await fs.ensureDir('data');
 
+storageJanitor.start();
+
 // Start server
 server.listen(PORT, () => {
   console.log('\n🚀 DebugFlow AI Backend Server Started!');
@@ -0,0 +1,140 @@
+const TOKEN = /[A-Za-z_$][\w$]*|&&|\|\||[{}();?]/g;
+
+/*
+ * Complexity of a function body in a brace-delimited language (Go, Java),
+ * from the masked code between start and end (see maskSource), with the same
+ * metrics as measureComplexity. Nested functions are measured on their own:
+ * skip lists the [start, end] offsets of their bodies.
+ *
+ * language describes the syntax:
+ * - nesting: keywords opening a nested block that costs 1 + nesting
+ *   (if, for, switch, catch, ...); all but switches are branches
+ * - switches: those of the nesting keywords whose cases are the branches
+ * - jumps: keywords that cost one more when followed by a label
+ * - ternary: whether ?: exists
+ * - semicolons: whether ; ends statements (an if without braces in Java);
+ *   Go's if and switch take a ; between their init statement and condition
+ * - compositeLiterals: whether a { in a condition may open a literal such as
+ *   []int{1, 2} rather than the block (Go); closeOf (see matchBrackets) then
+ *   tells them apart
+ *
+ * calls lists the prefixes ("" for a plain call, "this." ...) under which a
+ * call of name is direct recursion.
+ */
+export function measureBraceComplexity(code, start, end, { language, closeOf, skip = [], name = null, calls = [''] }) {
+  const metrics = { cyclomatic: 1, cognitive: 0, maxNesting: 0 };
+  const braces = [];
+  let nesting = 0;
+  let parens = 0;
+  // The nesting keyword whose block starts at the next {, and the paren depth it appeared at
+  let pending = null;
+  let previous = null;
+  let operator = null;
+  let afterDo = false;
+
+  const skipped = [...skip].sort((a, b) => a[0] - b[0]);
+  // A block's } ends its line (or is followed by else); a literal's is followed by more of the condition
+  const isLiteral = (index) => {
+    const close = closeOf?.get(index);
+    return close !== undefined && !/^[ \t]*(\r?\n|$|else\b)/.test(code.slice(close + 1, close + 80));
+  };
+  const isRecursion = (index) => {
+    if (code[index + name.length] !== '(' && !/^\s*\(/.test(code.slice(index + name.length, index + name.length + 20))) return false;
+    const before = code.slice(Math.max(0, index - 40), index);
+    return calls.some(prefix => (prefix === ''
+      ? !/(\.|\bnew)\s*$/.test(before)
+      : new RegExp(`(?:^|[^\\w$.])${prefix.replace('.', '\\s*\\.\\s*')}\\s*$`).test(before)));
+  };
+
+  TOKEN.lastIndex = start;
+  let match;
+  while ((match = TOKEN.exec(code)) && match.index < end) {
+    const body = skipped.find(([from, to]) => match.index >= from && match.index <= to);
+    if (body) {
+      TOKEN.lastIndex = body[1] + 1;
+      continue;
+    }
+
+    const token = match[0];
+    switch (token) {
+      case '(':
+        parens++;
+        break;
+      case ')':
+        parens--;
+        break;
+      case ';':
+        operator = null;
+        if (language.semicolons && pending && parens === pending.parens) pending = null;
+        break;
+      case '{':
+        operator = null;
+        if (pending && parens === pending.parens && !(language.compositeLiterals && isLiteral(match.index))) {
+          braces.push(pending.keyword);
+          nesting++;
+          metrics.maxNesting = Math.max(metrics.maxNesting, nesting);
+          pending = null;
+        } else {
+          braces.push(null);
+        }
+        break;
+      case '}': {
+        operator = null;
+        const keyword = braces.pop();
+        if (keyword) nesting--;
+        afterDo = keyword === 'do';
+        previous = token;
+        continue;
+      }
+      case '&&':
+      case '||':
+        metrics.cyclomatic++;
+        // One for each run of the same operator: a && b || c costs two
+        if (operator !== token) metrics.cognitive++;
+        operator = token;
+        break;
+      case '?': {
+        if (!language.ternary) break;
+        // Not a generic wildcard such as List<?> or <? extends T>
+        const before = code.slice(Math.max(start, match.index - 80), match.index).trimEnd().at(-1);
+        const after = code.slice(match.index + 1, match.index + 80);
+        if (before === '<' || before === ',' || /^\s*([>,]|(extends|super)\b)/.test(after)) break;
+        metrics.cyclomatic++;
+        metrics.cognitive += 1 + nesting;
+        break;
+      }
+      case 'else':
+        metrics.cognitive++;
+        pending = { keyword: token, parens };
+        break;
+      case 'case':
+        metrics.cyclomatic++;
+        break;
+      default:
+        if (token === 'while' && afterDo) {
+          // The condition of a do ... while loop, counted at its do
+          break;
+        }
+        if (language.nesting.includes(token)) {
+          if (token === 'if' && previous === 'else') {
+            // else if costs one, already added for its else
+            metrics.cyclomatic++;
+          } else {
+            if (!language.switches.includes(token)) metrics.cyclomatic++;
+            metrics.cognitive += 1 + nesting;
+          }
+          pending = { keyword: token, parens };
+        } else if (language.jumps.includes(token)) {
+          if (/^[ \t]+[A-Za-z_$][\w$]*[ \t]*(;|\r?\n|$)/.test(code.slice(match.index + token.length, match.index + 80))) {
+            metrics.cognitive++;
+          }
+        } else if (name && token === name && isRecursion(match.index)) {
+          metrics.cognitive++;
+        }
+    }
+    afterDo = false;
+    previous = token;
+  }
+
+  return metrics;
+}
@@ -0,0 +1,111 @@
+import { childNodes } from './walk.js';
+
+export const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+const LOGICAL_ASSIGNMENTS = new Set(['&&=', '||=', '??=']);
+
+// Operators of a chain like a && b || c, left to right
+const logicalOperators = (node) => (node.type === 'LogicalExpression'
+  ? [...logicalOperators(node.left), node.operator, ...logicalOperators(node.right)]
+  : []);
+
+/*
+ * Complexity of one function body, or of a program's top-level code. Nested
+ * functions are measured on their own and don't count towards their parent.
+ *
+ * - cyclomatic: 1 + branches (if, ?:, loops, case, catch, &&, ||, ??)
+ * - cognitive: SonarSource's cognitive complexity; branches cost more the
+ *   deeper they're nested, else/else if and mixed logical operators add one,
+ *   as do labelled jumps and direct recursion
+ * - maxNesting: deepest nesting of control flow structures
+ */
+export function measureComplexity(root, { name = null } = {}) {
+  const metrics = { cyclomatic: 1, cognitive: 0, maxNesting: 0 };
+
+  const nest = (node, nesting) => {
+    metrics.maxNesting = Math.max(metrics.maxNesting, nesting);
+    visit(node, nesting);
+  };
+
+  const branch = (nesting) => {
+    metrics.cyclomatic++;
+    metrics.cognitive += 1 + nesting;
+  };
+
+  const visitIf = (node, nesting, elseIf) => {
+    metrics.cyclomatic++;
+    metrics.cognitive += elseIf ? 1 : 1 + nesting;
+    visit(node.test, nesting);
+    nest(node.consequent, nesting + 1);
+
+    if (node.alternate?.type === 'IfStatement') {
+      visitIf(node.alternate, nesting, true);
+    } else if (node.alternate) {
+      metrics.cognitive++;
+      nest(node.alternate, nesting + 1);
+    }
+  };
+
+  const visit = (node, nesting, parent = null) => {
+    if (!node || (node !== root && FUNCTION_TYPES.has(node.type))) return;
+
+    switch (node.type) {
+      case 'IfStatement':
+        visitIf(node, nesting, false);
+        return;
+      case 'ConditionalExpression':
+        branch(nesting);
+        visit(node.test, nesting);
+        nest(node.consequent, nesting + 1);
+        nest(node.alternate, nesting + 1);
+        return;
+      case 'SwitchStatement':
+        metrics.cognitive += 1 + nesting;
+        visit(node.discriminant, nesting);
+        for (const switchCase of node.cases) {
+          if (switchCase.test) metrics.cyclomatic++;
+          nest(switchCase, nesting + 1);
+        }
+        return;
+      case 'CatchClause':
+        branch(nesting);
+        nest(node.body, nesting + 1);
+        return;
+      case 'LogicalExpression':
+        metrics.cyclomatic++;
+        // Only the outermost expression of a chain scores its operator sequences
+        if (parent?.type !== 'LogicalExpression') {
+          const operators = logicalOperators(node);
+          metrics.cognitive += operators.filter((operator, i) => operator !== operators[i - 1]).length;
+        }
+        break;
+      case 'AssignmentExpression':
+        if (LOGICAL_ASSIGNMENTS.has(node.operator)) metrics.cyclomatic++;
+        break;
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        if (node.label) metrics.cognitive++;
+        break;
+      case 'CallExpression':
+        if (name && node.callee.type === 'Identifier' && node.callee.name === name) metrics.cognitive++;
+        break;
+      default:
+        if (LOOP_TYPES.has(node.type)) {
+          branch(nesting);
+          for (const child of childNodes(node)) {
+            if (child === node.body) nest(child, nesting + 1);
+            else visit(child, nesting, node);
+          }
+          return;
+        }
+    }
+
+    for (const child of childNodes(node)) {
+      visit(child, nesting, node);
+    }
+  };
+
+  visit(root.type === 'Program' ? root : root.body, 0);
+  return metrics;
+}
@@ -0,0 +1,223 @@
+import { lineLocator, maskSource, matchBrackets, splitList } from './source.js';
+import { measureBraceComplexity } from './braces.js';
+
+const GO_SYNTAX = {
+  lineComment: '//',
+  blockComment: ['/*', '*/'],
+  quotes: [
+    { open: '"', close: '"', escapes: true, multiline: false },
+    { open: "'", close: "'", escapes: true, multiline: false },
+    { open: '`', close: '`', escapes: false, multiline: true }
+  ]
+};
+
+const GO_LANGUAGE = {
+  nesting: ['if', 'for', 'switch', 'select'],
+  switches: ['switch', 'select'],
+  jumps: ['break', 'continue', 'goto'],
+  ternary: false,
+  semicolons: false,
+  compositeLiterals: true
+};
+
+const IDENTIFIER = /^[A-Za-z_]\w*/;
+const isExported = (name) => /^[A-Z]/.test(name);
+
+// The name a package is used by: the last path element, without a
+// major version ("github.com/x/y/v2" and "gopkg.in/yaml.v3" are y and yaml)
+function packageName(importPath) {
+  const parts = importPath.split('/');
+  const last = /^v\d+$/.test(parts.at(-1)) && parts.length > 1 ? parts.at(-2) : parts.at(-1);
+  return last.replace(/\.v\d+$/, '');
+}
+
+/*
+ * Structure of a Go file, in the same shape as analyzeStructure: functions
+ * (including methods, with their receiver type as className, and function
+ * literals), named types as classes with their kind (struct, interface or
+ * type) and methods, imports, and exported package-level names.
+ */
+export function analyzeGo(content) {
+  const { code, strings } = maskSource(content, GO_SYNTAX);
+  const lineOf = lineLocator(content);
+  const { closeOf } = matchBrackets(code);
+  const skipSpace = (index) => {
+    while (index < code.length && /\s/.test(code[index])) index++;
+    return index;
+  };
+  const identifierAt = (index) => IDENTIFIER.exec(code.slice(index, index + 200))?.[0] ?? null;
+
+  // Where a function signature's body starts, skipping the result type; -1
+  // for function types and bodiless declarations
+  const bodyAfter = (index) => {
+    for (let i = index; i < code.length; i++) {
+      const char = code[i];
+      if (char === '{') {
+        // struct{...} and interface{...} in the result type
+        if (!/\b(struct|interface)\s*$/.test(code.slice(Math.max(0, i - 20), i))) return i;
+        i = closeOf.get(i) ?? i;
+      } else if (char === '(' || char === '[') {
+        i = closeOf.get(i) ?? i;
+      } else if ('\n;,)]}='.includes(char)) {
+        return -1;
+      }
+    }
+    return -1;
+  };
+
+  // Offsets where each spec of a parenthesized group starts, e.g. every
+  // type of type ( A struct{...}; B int )
+  const groupSpecs = (open) => {
+    const close = closeOf.get(open) ?? code.length;
+    const starts = [];
+    let depth = 0;
+    let lineStart = true;
+    for (let i = open + 1; i < close; i++) {
+      const char = code[i];
+      if (char === '\n') {
+        lineStart = true;
+        continue;
+      }
+      if (/\s/.test(char)) continue;
+      if (lineStart && depth === 0) starts.push(i);
+      lineStart = false;
+      if ('([{'.includes(char)) depth++;
+      else if (')]}'.includes(char)) depth--;
+    }
+    return starts;
+  };
+
+  // Spec offsets of every declaration with keyword, grouped or not
+  const declarations = (keyword) => {
+    const specs = [];
+    for (const match of code.matchAll(new RegExp(`\\b${keyword}\\b`, 'g'))) {
+      if (/[\w.]$/.test(code.slice(Math.max(0, match.index - 1), match.index))) continue;
+      const next = skipSpace(match.index + keyword.length);
+      if (code[next] === '(') specs.push(...groupSpecs(next).map(start => ({ start, keyword: match.index })));
+      else specs.push({ start: next, keyword: match.index });
+    }
+    return specs;
+  };
+
+  const functions = [];
+  const bodies = [];
+  for (const match of code.matchAll(/\bfunc\b/g)) {
+    let index = skipSpace(match.index + 4);
+    let receiver = null;
+    let name = null;
+
+    if (code[index] === '(') {
+      // A method's receiver, or a function literal's parameters
+      const close = closeOf.get(index);
+      if (close === undefined) continue;
+      // On the same line: a function type's parameters may end its line
+      const after = close + 1 + /^[ \t]*/.exec(code.slice(close + 1, close + 200))[0].length;
+      const method = identifierAt(after);
+      const paramsAt = method && skipSpace(after + method.length);
+      if (method && method !== 'func' && (code[paramsAt] === '(' || code[paramsAt] === '[')) {
+        receiver = code.slice(index + 1, close);
+        name = method;
+        index = paramsAt;
+      }
+    } else {
+      name = identifierAt(index);
+      if (!name) continue;
+      index = skipSpace(index + name.length);
+    }
+
+    // Type parameters
+    if (name && code[index] === '[') index = skipSpace((closeOf.get(index) ?? index) + 1);
+    if (code[index] !== '(' || !closeOf.has(index)) continue;
+
+    const paramsClose = closeOf.get(index);
+    const open = bodyAfter(paramsClose + 1);
+    if (open === -1 || !closeOf.has(open)) continue;
+
+    const literal = !name;
+    if (literal) {
+      // f := func() {...}, f = func() {...}, Field: func() {...}
+      const lineStart = code.lastIndexOf('\n', match.index) + 1;
+      name = /([A-Za-z_]\w*)\s*(?::=|=|:)\s*$/.exec(code.slice(lineStart, match.index))?.[1] || 'anonymous';
+    }
+
+    // "s *Server", "*Server" or "l List[T]": the type is Server or List
+    const receiverParts = receiver && /^\s*(?:([A-Za-z_]\w*)\s+)?\*?\s*([A-Za-z_]\w*)/.exec(receiver);
+    const entry = {
+      name,
+      kind: receiver ? 'method' : literal ? 'literal' : 'function',
+      ...(receiver && { className: receiverParts?.[2] ?? null }),
+      line: lineOf(match.index),
+      endLine: lineOf(closeOf.get(open)),
+      params: splitList(code.slice(index + 1, paramsClose)).length,
+      async: false,
+      generator: false
+    };
+    functions.push(entry);
+    bodies.push({ entry, start: open, end: closeOf.get(open), receiver: receiverParts?.[1] ?? null, literal });
+  }
+
+  for (const body of bodies) {
+    const skip = bodies.filter(other => other.start > body.start && other.end < body.end).map(other => [other.start, other.end]);
+    // Literals can't call themselves by name, and a method only through its receiver
+    const recursion = body.literal ? {} : body.receiver ? { name: body.entry.name, calls: [`${body.receiver}.`] }
+      : body.entry.kind === 'method' ? {} : { name: body.entry.name };
+    Object.assign(body.entry, measureBraceComplexity(code, body.start + 1, body.end, { language: GO_LANGUAGE, closeOf, skip, ...recursion }));
+  }
+
+  const insideFunction = (offset) => bodies.some(body => offset > body.start && offset < body.end);
+
+  const classes = [];
+  const exports = [];
+  for (const { start } of declarations('type')) {
+    const name = identifierAt(start);
+    if (!name) continue;
+
+    let index = skipSpace(start + name.length);
+    // Type parameters, as opposed to an array type such as [4]int
+    if (code[index] === '[' && /^\[\s*[A-Za-z_]\w*\s+\S/.test(code.slice(index, closeOf.get(index) ?? index))) {
+      index = skipSpace((closeOf.get(index) ?? index) + 1);
+    }
+    if (code[index] === '=') index = skipSpace(index + 1);
+
+    const kind = /^(struct|interface)\b/.exec(code.slice(index, index + 10))?.[1] ?? 'type';
+    const open = kind === 'type' ? -1 : skipSpace(index + kind.length);
+    const end = code[open] === '{' && closeOf.has(open) ? closeOf.get(open) : start;
+    classes.push({ name, kind, line: lineOf(start), endLine: lineOf(end), superClass: null, methods: [] });
+    if (isExported(name) && !insideFunction(start)) exports.push({ name, kind: 'named', line: lineOf(start) });
+  }
+
+  for (const entry of functions) {
+    if (entry.kind === 'method') {
+      classes.find(candidate => candidate.name === entry.className)?.methods.push(entry.name);
+    } else if (entry.kind === 'function' && isExported(entry.name)) {
+      exports.push({ name: entry.name, kind: 'named', line: entry.line });
+    }
+  }
+
+  // Package-level var and const: "var A, B = ..." or one spec per line of a group
+  for (const keyword of ['var', 'const']) {
+    for (const { start, keyword: at } of declarations(keyword)) {
+      if (insideFunction(at)) continue;
+      const names = /^[A-Za-z_]\w*(?:\s*,\s*[A-Za-z_]\w*)*/.exec(code.slice(start, start + 500))?.[0].split(/\s*,\s*/) || [];
+      for (const name of names.filter(isExported)) exports.push({ name, kind: 'named', line: lineOf(start) });
+    }
+  }
+
+  const imports = [];
+  for (const { start, keyword } of declarations('import')) {
+    if (insideFunction(keyword)) continue;
+    const literal = strings.find(string => string.start >= start && code.slice(start, string.start).trim().length <= 1 + (identifierAt(start)?.length ?? 0));
+    if (!literal) continue;
+
+    // _ imports for side effects only and . imports every exported name
+    const alias = code.slice(start, literal.start).trim();
+    const specifiers = alias === '_' ? [] : [{ imported: '*', local: alias === '.' ? null : alias || packageName(literal.value) }];
+    imports.push({ source: literal.value, kind: 'import', line: lineOf(literal.start), specifiers });
+  }
+
+  exports.sort((a, b) => a.line - b.line);
+  const topLevel = measureBraceComplexity(code, 0, code.length, { language: GO_LANGUAGE, closeOf, skip: bodies.map(body => [body.start, body.end]) });
+  const complexity = functions.reduce((sum, fn) => sum + fn.cyclomatic - 1, topLevel.cyclomatic);
+
+  return { functions, classes, imports, exports, complexity };
+}
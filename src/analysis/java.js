@@ -0,0 +1,205 @@
+import { lineLocator, maskSource, matchBrackets, splitList } from './source.js';
+import { measureBraceComplexity } from './braces.js';
+
+const JAVA_SYNTAX = {
+  lineComment: '//',
+  blockComment: ['/*', '*/'],
+  quotes: [
+    { open: '"""', close: '"""', escapes: true, multiline: true },
+    { open: '"', close: '"', escapes: true, multiline: false },
+    { open: "'", close: "'", escapes: true, multiline: false }
+  ]
+};
+
+const JAVA_LANGUAGE = {
+  nesting: ['if', 'for', 'while', 'do', 'switch', 'catch'],
+  switches: ['switch'],
+  jumps: ['break', 'continue'],
+  ternary: true,
+  semicolons: true,
+  compositeLiterals: false
+};
+
+// Words that may come before a method's name without being its return type
+const MODIFIERS = /^(?:(?:public|protected|private|static|final|abstract|synchronized|native|default|strictfp|transient)\b\s*|@[\w$.]+\s*(?:\([^()]*\))?\s*|<[^<>]*(?:<[^<>]*>[^<>]*)*>\s*)*/;
+const STATEMENT_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'synchronized', 'try', 'return', 'new', 'throw', 'else', 'do']);
+const TYPE_DECLARATION = /(?:^|[^\w$.])(class|interface|enum|record)\s+([A-Za-z_$][\w$]*)/;
+
+const lastIdentifier = (text) => /([A-Za-z_$][\w$]*)\s*$/.exec(text)?.[1] ?? null;
+// What follows a type's type parameters: "<T extends Item> extends Base" as
+// " extends Base", so their bounds aren't taken for the type's own clauses
+function afterTypeParameters(text) {
+  if (!text.trimStart().startsWith('<')) return text;
+
+  let depth = 0;
+  for (let i = text.indexOf('<'); i < text.length; i++) {
+    if (text[i] === '<') depth++;
+    else if (text[i] === '>' && --depth === 0) return text.slice(i + 1);
+  }
+  return '';
+}
+
+// "Base<T>, Comparable<Base<T>>" as ["Base", "Comparable"]
+const typeList = (text) => splitList(text || '', { angles: true }).map(type => type.replace(/<[\s\S]*$/, '').trim()).filter(Boolean);
+
+/*
+ * Structure of a Java file, in the same shape as analyzeStructure: methods
+ * and constructors (with their class as className) and lambdas with a block
+ * body as functions; classes, interfaces, enums and records (nested, local
+ * and anonymous ones too) with their kind, superclass, interfaces and
+ * methods; imports; and the public top-level types as exports.
+ */
+export function analyzeJava(content) {
+  const { code } = maskSource(content, JAVA_SYNTAX);
+  const lineOf = lineLocator(content);
+  const { closeOf, openOf } = matchBrackets(code);
+
+  const functions = [];
+  const classes = [];
+  const exports = [];
+  const bodies = [];
+  const classBodies = [];
+  const frames = [];
+  // Where the code before the next { starts: after the last ; { or }
+  let boundary = -1;
+
+  // A method or constructor header such as
+  // "@Override public <T> List<T> find(String q) throws IOException"
+  const callableHeader = (header, headerStart, frame) => {
+    const signature = /\)\s*(?:throws\s+[\w$.,\s<>]+)?$/.exec(header);
+    if (!signature) {
+      // A record's compact constructor: "public Point {"
+      const name = lastIdentifier(header);
+      return name === frame.entry.name && header.trim().replace(MODIFIERS, '') === name
+        ? { name, kind: 'constructor', params: 0, nameAt: headerStart + header.lastIndexOf(name) }
+        : null;
+    }
+
+    const close = headerStart + signature.index;
+    const open = openOf.get(close);
+    if (open === undefined || open < headerStart) return null;
+
+    const name = lastIdentifier(code.slice(headerStart, open));
+    if (!name || STATEMENT_KEYWORDS.has(name)) return null;
+    const before = code.slice(headerStart, open).trim().slice(0, -name.length).replace(MODIFIERS, '').trim();
+    const params = splitList(code.slice(open + 1, close), { angles: true }).length;
+    const nameAt = code.lastIndexOf(name, open);
+
+    if (before === '') {
+      return name === frame.entry.name ? { name, kind: 'constructor', params, nameAt } : null;
+    }
+    // The return type: a (qualified, generic or array) type name
+    if (!/^[\w$.<>[\]?,\s]+$/.test(before) || /[=(]/.test(before)) return null;
+    return { name, kind: 'method', params, nameAt };
+  };
+
+  const openFrame = (index) => {
+    const headerStart = boundary + 1;
+    const header = code.slice(headerStart, index);
+    const parent = frames.findLast(frame => frame.type !== 'block');
+    const inClassBody = frames.at(-1)?.type === 'class';
+
+    const declaration = TYPE_DECLARATION.exec(header);
+    if (declaration) {
+      const [, kind, name] = declaration;
+      const clauses = afterTypeParameters(header.slice(declaration.index + declaration[0].length));
+      const extended = /\bextends\s+(.*?)(?=\bimplements\b|$)/s.exec(clauses)?.[1];
+      const implemented = /\bimplements\s+(.*)$/s.exec(clauses)?.[1];
+      const entry = {
+        name,
+        kind,
+        line: lineOf(headerStart + declaration.index + declaration[0].indexOf(kind)),
+        endLine: lineOf(closeOf.get(index) ?? index),
+        superClass: kind === 'class' ? typeList(extended)[0] ?? null : null,
+        // An interface's extends lists interfaces too
+        interfaces: typeList(kind === 'interface' ? extended : implemented),
+        methods: []
+      };
+      classes.push(entry);
+      if (frames.length === 0 && /\bpublic\b/.test(header)) exports.push({ name, kind: 'named', line: entry.line });
+      return { type: 'class', entry };
+    }
+
+    // new Runnable() { ... }
+    const anonymous = /\bnew\s+([\w$.]+)\s*(?:<[^{]*>)?\s*\([^{]*\)\s*$/.exec(header);
+    if (anonymous) {
+      const entry = { name: 'anonymous', kind: 'class', line: lineOf(index), endLine: lineOf(closeOf.get(index) ?? index), superClass: anonymous[1], interfaces: [], methods: [] };
+      classes.push(entry);
+      return { type: 'class', entry };
+    }
+
+    // A lambda with a block body, unless it's a switch rule (case X -> { ... })
+    // without a lambda of its own
+    const arrow = /(\([^()]*\)|[A-Za-z_$][\w$]*)\s*->\s*$/.exec(header);
+    const switchRule = /^\s*(case\b|default\s*->)/.test(header) && header.split('->').length === 2;
+    if (arrow && !switchRule) {
+      const assigned = /([A-Za-z_$][\w$]*)\s*=\s*$/.exec(header.slice(0, arrow.index))?.[1];
+      const params = arrow[1].startsWith('(') ? splitList(arrow[1].slice(1, -1), { angles: true }).length : 1;
+      return { type: 'function', callable: { name: assigned || 'anonymous', kind: 'lambda', params, nameAt: headerStart + arrow.index } };
+    }
+
+    const callable = inClassBody && callableHeader(header, headerStart, frames.at(-1));
+    if (callable) return { type: 'function', callable, className: parent.entry.name, owner: parent.entry };
+    return { type: 'block' };
+  };
+
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+    if (char === '{') {
+      const frame = openFrame(i);
+      if (frame.type === 'class' && closeOf.has(i)) {
+        classBodies.push([i, closeOf.get(i)]);
+      } else if (frame.type === 'function' && closeOf.has(i)) {
+        const { callable, className, owner } = frame;
+        const entry = {
+          name: callable.name,
+          kind: callable.kind,
+          ...(className && { className }),
+          line: lineOf(callable.nameAt),
+          endLine: lineOf(closeOf.get(i)),
+          params: callable.params,
+          async: false,
+          generator: false
+        };
+        functions.push(entry);
+        bodies.push({ entry, start: i, end: closeOf.get(i) });
+        owner?.methods.push(callable.name);
+      }
+      frames.push(frame);
+      boundary = i;
+    } else if (char === '}') {
+      frames.pop();
+      boundary = i;
+    } else if (char === ';') {
+      boundary = i;
+    }
+  }
+
+  // Nested functions, and local and anonymous classes, are measured on their own
+  for (const body of bodies) {
+    const skip = [...bodies.map(other => [other.start, other.end]), ...classBodies].filter(([start, end]) => start > body.start && end < body.end);
+    // A method recurses by calling itself, plainly or through this
+    const recursion = body.entry.kind === 'method' ? { name: body.entry.name, calls: ['', 'this.'] } : {};
+    Object.assign(body.entry, measureBraceComplexity(code, body.start + 1, body.end, { language: JAVA_LANGUAGE, skip, ...recursion }));
+  }
+
+  // import a.b.C; import a.b.*; import static a.b.C.member;
+  const imports = [...code.matchAll(/(?:^|[;\s])import\s+(static\s+)?([\w$]+(?:\s*\.\s*[\w$]+)*)(\s*\.\s*\*)?\s*;/g)].map(match => {
+    const name = match[2].replace(/\s+/g, '');
+    const line = lineOf(match.index + match[0].indexOf('import'));
+    if (match[3]) return { source: name, kind: 'import', line, specifiers: [{ imported: '*', local: null }] };
+
+    const member = name.split('.').pop();
+    return {
+      source: match[1] ? name.slice(0, -member.length - 1) : name,
+      kind: 'import',
+      line,
+      specifiers: [{ imported: member, local: member }]
+    };
+  });
+
+  const topLevel = measureBraceComplexity(code, 0, code.length, { language: JAVA_LANGUAGE, skip: bodies.map(body => [body.start, body.end]) });
+  const complexity = functions.reduce((sum, fn) => sum + fn.cyclomatic - 1, topLevel.cyclomatic);
+
+  return { functions, classes, imports, exports, complexity };
+}
@@ -0,0 +1,63 @@
+import { parse } from '@babel/parser';
+
+export const JAVASCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+function pluginsFor(extension) {
+  // Type assertions like <T>value clash with JSX, so plain .ts files get no JSX
+  if (extension === '.ts') return ['typescript', 'decorators-legacy'];
+  if (extension === '.tsx') return ['typescript', 'jsx', 'decorators-legacy'];
+  return ['jsx'];
+}
+
+// Tried in order until one parses cleanly. .mjs is always a module and .cjs
+// always CommonJS; everything else may be either, or a plain script.
+function sourceTypesFor(extension) {
+  if (extension === '.mjs') return ['module'];
+  if (extension === '.cjs') return ['commonjs', 'script'];
+  return ['module', 'script', 'commonjs'];
+}
+
+const PARSER_OPTIONS = {
+  module: { sourceType: 'module' },
+  script: { sourceType: 'script' },
+  // CommonJS files may return from the top level
+  commonjs: { sourceType: 'script', allowReturnOutsideFunction: true }
+};
+
+// Babel appends "(line:column)" to its messages; the position is reported separately
+const toParseError = (error) => ({
+  message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+  line: error.loc?.line ?? null,
+  column: error.loc ? error.loc.column + 1 : null
+});
+
+/*
+ * Parses JavaScript, TypeScript and JSX into an ESTree-shaped AST. Returns
+ * { ast, sourceType, errors } where errors lists parse errors with 1-based
+ * line and column. Recoverable errors still yield an AST; when no source type
+ * parses at all, ast is null and errors holds the error that got furthest.
+ */
+export function parseJavaScript(content, extension) {
+  const plugins = pluginsFor(extension);
+  let best = null;
+  let furthest = null;
+
+  for (const sourceType of sourceTypesFor(extension)) {
+    try {
+      const ast = parse(content, {
+        ...PARSER_OPTIONS[sourceType],
+        // classFeatures gives class fields ESTree's PropertyDefinition shape
+        plugins: [['estree', { classFeatures: true }], ...plugins],
+        errorRecovery: true
+      });
+      const attempt = { ast, sourceType, errors: (ast.errors || []).map(toParseError) };
+      if (attempt.errors.length === 0) return attempt;
+      if (!best || attempt.errors.length < best.errors.length) best = attempt;
+    } catch (error) {
+      if (!furthest || (error.pos ?? 0) > (furthest.pos ?? 0)) furthest = error;
+    }
+  }
+
+  if (best) return best;
+  return { ast: null, sourceType: null, errors: [toParseError(furthest)] };
+}
@@ -0,0 +1,12 @@
+import { analyzePython } from './python.js';
+import { analyzeGo } from './go.js';
+import { analyzeJava } from './java.js';
+
+// Structure analyzers for the languages parsed without @babel/parser, by file
+// extension. Each returns analyzeStructure's shape: functions, classes,
+// imports, exports and complexity.
+export const SOURCE_ANALYZERS = {
+  '.py': analyzePython,
+  '.go': analyzeGo,
+  '.java': analyzeJava
+};
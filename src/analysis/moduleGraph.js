@@ -0,0 +1,431 @@
+import path from 'path';
+import { builtinModules } from 'module';
+import { JAVASCRIPT_EXTENSIONS } from './javascript.js';
+
+// Tried in order for extensionless imports and directory index files
+const RESOLVE_EXTENSIONS = ['.js', '.ts', '.tsx', '.jsx', '.mjs', '.cjs', '.json'];
+// TypeScript sources are imported by the name of their compiled output
+const COMPILED_SOURCES = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+// "#" specifiers mapped onto other "#" specifiers before giving up
+const MAX_IMPORTS_CHAIN = 32;
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+// Modules nothing needs to import: tests, stories, tool configuration and
+// conventional entry points at the root of the project or of a package
+const TEST_OR_CONFIG = /(^|\/)(__tests__|__mocks__|tests?)\/|\.(test|spec|stories)\.[cm]?[jt]sx?$|(^|\/)[^/]*\.config\.[cm]?[jt]s$/;
+const ENTRY_NAME = /^(index|main|server|app|cli)\.[cm]?[jt]sx?$/;
+const SCRIPT_FILE = /[\w./@-]+\.[cm]?[jt]sx?\b/g;
+
+const isBuiltin = (name) => name.startsWith('node:') || builtinModules.includes(name);
+const dirOf = (file) => path.posix.dirname(file);
+const joinPath = (dir, relative) => path.posix.normalize(path.posix.join(dir, relative));
+
+// "@scope/pkg/sub/path" -> { name: "@scope/pkg", subpath: "./sub/path" }
+function splitPackageSpecifier(specifier) {
+  const parts = specifier.split('/');
+  const length = specifier.startsWith('@') ? 2 : 1;
+  const rest = parts.slice(length).join('/');
+  return { name: parts.slice(0, length).join('/'), subpath: rest ? `./${rest}` : '.' };
+}
+
+// Picks the first target whose condition applies, following nested
+// condition objects and fallback arrays
+function conditionalTarget(target, conditions) {
+  if (typeof target === 'string') return target;
+  if (Array.isArray(target)) {
+    for (const candidate of target) {
+      const resolved = conditionalTarget(candidate, conditions);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+  if (target && typeof target === 'object') {
+    for (const [condition, value] of Object.entries(target)) {
+      if (!conditions.includes(condition)) continue;
+      const resolved = conditionalTarget(value, conditions);
+      if (resolved) return resolved;
+    }
+  }
+  return null;
+}
+
+// Resolves a subpath ("." or "./x", or "#x" for imports) against a
+// package.json "exports" or "imports" field, subpath patterns included.
+// Returns the target path, null when the subpath isn't exported.
+export function resolvePackageMap(field, subpath, conditions) {
+  const isSubpathMap = field && typeof field === 'object' && !Array.isArray(field)
+    && Object.keys(field).some(key => key.startsWith('.') || key.startsWith('#'));
+  const map = isSubpathMap ? field : { '.': field };
+
+  if (Object.hasOwn(map, subpath)) return conditionalTarget(map[subpath], conditions);
+
+  let best = null;
+  for (const key of Object.keys(map)) {
+    const star = key.indexOf('*');
+    if (star === -1) continue;
+
+    const [prefix, suffix] = [key.slice(0, star), key.slice(star + 1)];
+    const matches = subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= prefix.length + suffix.length;
+    if (matches && (!best || prefix.length > best.prefix.length)) {
+      best = { key, prefix, match: subpath.slice(prefix.length, subpath.length - suffix.length) };
+    }
+  }
+  if (!best) return null;
+
+  const target = conditionalTarget(map[best.key], conditions);
+  return target && target.replaceAll('*', best.match);
+}
+
+function readPackages(files) {
+  const packages = [];
+  for (const file of files) {
+    if (path.posix.basename(file.name) !== 'package.json' || typeof file.content !== 'string') continue;
+
+    try {
+      const manifest = JSON.parse(file.content);
+      const dir = dirOf(file.name);
+      const dependencies = new Set(DEPENDENCY_FIELDS.flatMap(field => Object.keys(manifest[field] || {})));
+      packages.push({ dir, manifest, dependencies });
+    } catch {
+      // An invalid package.json resolves nothing; DependencyExtractor reports it
+    }
+  }
+  return packages;
+}
+
+/*
+ * Resolves imports to files of the project the way Node and bundlers do:
+ * relative paths with or without an extension, directory index files,
+ * package.json main, "exports" and "imports", and packages of the same
+ * workspace. resolveImport(from, { source, kind }) returns { file },
+ * { external, type } for builtin modules, npm packages and URLs, or
+ * { reason } when the import points at nothing.
+ */
+export function createModuleResolver(files) {
+  const fileNames = new Set(files.map(file => file.name));
+  const packages = readPackages(files);
+  const packagesByDir = new Map(packages.map(pkg => [pkg.dir, pkg]));
+  const packagesByName = new Map(packages.filter(pkg => pkg.manifest.name).map(pkg => [pkg.manifest.name, pkg]));
+
+  const resolveFile = (candidate) => {
+    if (fileNames.has(candidate)) return candidate;
+
+    const extension = path.posix.extname(candidate);
+    for (const sourceExtension of COMPILED_SOURCES[extension] || []) {
+      const source = candidate.slice(0, -extension.length) + sourceExtension;
+      if (fileNames.has(source)) return source;
+    }
+    return RESOLVE_EXTENSIONS.map(ext => candidate + ext).find(name => fileNames.has(name)) || null;
+  };
+
+  const resolveDirectory = (dir, conditions) => {
+    const pkg = packagesByDir.get(dir);
+    const prefix = dir === '.' ? '' : `${dir}/`;
+    if (pkg) {
+      const { manifest } = pkg;
+      const main = manifest.exports !== undefined
+        ? resolvePackageMap(manifest.exports, '.', conditions)
+        : (typeof manifest.module === 'string' && manifest.module) || manifest.main;
+      const resolved = typeof main === 'string' && resolveFile(joinPath(dir, main));
+      if (resolved) return resolved;
+    }
+    return RESOLVE_EXTENSIONS.map(ext => `${prefix}index${ext}`).find(name => fileNames.has(name)) || null;
+  };
+
+  const resolvePath = (candidate, conditions) => {
+    if (candidate === '..' || candidate.startsWith('../')) return { reason: 'points outside the project' };
+    const resolved = resolveFile(candidate) || resolveDirectory(candidate, conditions);
+    return resolved ? { file: resolved } : { reason: 'no such file in the project' };
+  };
+
+  // Package targets often name build output (dist/index.js) that isn't
+  // uploaded; its source under src/ is the next best thing
+  const resolvePackageTarget = (pkg, target, conditions) => {
+    const resolved = resolvePath(joinPath(pkg.dir, target), conditions);
+    if (resolved.file) return resolved;
+
+    const source = target.replace(/^\.?\/?(dist|build|lib|out)\//, 'src/');
+    if (source !== target) {
+      const fromSource = resolvePath(joinPath(pkg.dir, source), conditions);
+      if (fromSource.file) return fromSource;
+      // dist/index.mjs may be built from src/index.ts or src/index.js
+      const withoutOutput = source.replace(/\.[cm]?js$/, '');
+      if (withoutOutput !== source) {
+        const fromStem = resolvePath(joinPath(pkg.dir, withoutOutput), conditions);
+        if (fromStem.file) return fromStem;
+      }
+    }
+    return { reason: `package target ${target} is not in the project` };
+  };
+
+  // The package.json files that apply to a file, nearest first
+  const packagesFor = (file) => {
+    const found = [];
+    for (let dir = dirOf(file); ; dir = dirOf(dir)) {
+      if (packagesByDir.has(dir)) found.push(packagesByDir.get(dir));
+      if (dir === '.') return found;
+    }
+  };
+
+  // seen holds the "#" specifiers already mapped, as "imports" can map one
+  // onto another; wildcards can make every step a new one, hence the limit
+  const resolveImport = (from, { source, kind }, seen = new Set()) => {
+    const conditions = kind === 'require' ? ['require', 'node', 'default'] : ['import', 'module', 'node', 'default'];
+
+    if (source.startsWith('./') || source.startsWith('../') || source === '.' || source === '..') {
+      return resolvePath(joinPath(dirOf(from), source), conditions);
+    }
+    if (source.startsWith('/')) return { reason: 'absolute paths are not portable' };
+    if (/^[a-z][a-z0-9+.-]*:/i.test(source) && !source.startsWith('node:')) return { external: source, type: 'url' };
+    if (isBuiltin(source)) return { external: source.replace(/^node:/, '').split('/')[0], type: 'builtin' };
+
+    const owners = packagesFor(from);
+    if (source.startsWith('#')) {
+      if (seen.has(source) || seen.size >= MAX_IMPORTS_CHAIN) return { reason: 'circular "imports" mapping' };
+      seen.add(source);
+      const owner = owners.find(pkg => pkg.manifest.imports);
+      const target = owner && resolvePackageMap(owner.manifest.imports, source, conditions);
+      if (!target) return { reason: 'not listed in package.json "imports"' };
+      return target.startsWith('.') ? resolvePackageTarget(owner, target, conditions) : resolveImport(from, { source: target, kind }, seen);
+    }
+
+    const { name, subpath } = splitPackageSpecifier(source);
+    const workspacePackage = packagesByName.get(name);
+    if (workspacePackage) {
+      const { manifest } = workspacePackage;
+      if (manifest.exports !== undefined) {
+        const target = resolvePackageMap(manifest.exports, subpath, conditions);
+        return target ? resolvePackageTarget(workspacePackage, target, conditions) : { reason: `${subpath} is not exported by ${name}` };
+      }
+      if (subpath !== '.') return resolvePath(joinPath(workspacePackage.dir, subpath), conditions);
+
+      const main = (typeof manifest.module === 'string' && manifest.module) || manifest.main;
+      const fromMain = typeof main === 'string' && resolvePackageTarget(workspacePackage, main, conditions);
+      return fromMain?.file ? fromMain : resolvePath(workspacePackage.dir, conditions);
+    }
+
+    // Without a package.json there's nothing to check npm packages against
+    if (owners.length > 0 && !owners.some(pkg => pkg.dependencies.has(name))) {
+      return { reason: `package ${name} is not declared in package.json` };
+    }
+    return { external: name, type: 'package' };
+  };
+
+  return { resolveImport, resolvePath, resolvePackageTarget, packages };
+}
+
+/*
+ * The project-wide module graph: every file's imports (see analyzeStructure)
+ * resolved with createModuleResolver. Returns:
+ *
+ * - modules: JavaScript and TypeScript files with import counts
+ * - edges: one per resolved import, { from, to, source, kind, line, typeOnly }
+ * - external: builtin modules and npm packages with how many files use them
+ * - unresolved: imports that point at nothing, with the reason
+ * - cycles: import cycles through static imports, each as { modules, path }
+ * - orphans: modules nothing imports that aren't entry points
+ */
+export function buildModuleGraph(files) {
+  const { resolveImport, resolvePackageTarget, packages } = createModuleResolver(files);
+
+  // Resolve every import of every module
+  const modules = files.filter(file => JAVASCRIPT_EXTENSIONS.includes(file.extension));
+  const edges = [];
+  const unresolved = [];
+  const external = new Map();
+
+  for (const file of modules) {
+    for (const entry of file.analysis?.imports || []) {
+      // Analyses stored before imports carried their kind were plain strings
+      const imported = typeof entry === 'string' ? { source: entry, kind: 'import', line: null } : entry;
+      const result = resolveImport(file.name, imported);
+
+      if (result.file) {
+        edges.push({
+          from: file.name,
+          to: result.file,
+          source: imported.source,
+          kind: imported.kind,
+          line: imported.line,
+          ...(imported.typeOnly && { typeOnly: true })
+        });
+      } else if (result.external) {
+        const key = `${result.type}:${result.external}`;
+        if (!external.has(key)) external.set(key, { name: result.external, type: result.type, importers: new Set() });
+        external.get(key).importers.add(file.name);
+      } else if (!imported.typeOnly) {
+        unresolved.push({ from: file.name, source: imported.source, kind: imported.kind, line: imported.line, reason: result.reason });
+      }
+    }
+  }
+
+  const entries = findEntryPoints(modules, packages, resolvePackageTarget);
+  const importedBy = new Map();
+  const importsOf = new Map();
+  for (const edge of edges) {
+    importedBy.set(edge.to, (importedBy.get(edge.to) || 0) + 1);
+    importsOf.set(edge.from, (importsOf.get(edge.from) || 0) + 1);
+  }
+
+  return {
+    modules: modules.map(file => ({
+      id: file.name,
+      imports: importsOf.get(file.name) || 0,
+      importedBy: importedBy.get(file.name) || 0,
+      ...(entries.has(file.name) && { entry: true })
+    })),
+    edges,
+    external: [...external.values()]
+      .map(({ name, type, importers }) => ({ name, type, importers: importers.size }))
+      .sort((a, b) => b.importers - a.importers || a.name.localeCompare(b.name)),
+    unresolved,
+    cycles: findCycles(edges),
+    orphans: modules.map(file => file.name).filter(name => !importedBy.has(name) && !entries.has(name))
+  };
+}
+
+// Files a package runs directly: main, module, bin and exports targets,
+// files named in scripts, tests and configs, and conventional entry names
+function findEntryPoints(modules, packages, resolvePackageTarget) {
+  const entries = new Set();
+  const packageDirs = new Set(['.', ...packages.map(pkg => pkg.dir)]);
+
+  for (const { name } of modules) {
+    if (TEST_OR_CONFIG.test(name)) entries.add(name);
+    if (ENTRY_NAME.test(path.posix.basename(name)) && packageDirs.has(dirOf(name))) entries.add(name);
+  }
+
+  for (const pkg of packages) {
+    const { manifest } = pkg;
+    const targets = [manifest.main, manifest.module];
+    targets.push(...(typeof manifest.bin === 'string' ? [manifest.bin] : Object.values(manifest.bin || {})));
+    const collectStrings = (value) => {
+      if (typeof value === 'string') targets.push(value);
+      else if (value && typeof value === 'object') Object.values(value).forEach(collectStrings);
+    };
+    collectStrings(manifest.exports);
+    for (const script of Object.values(manifest.scripts || {})) {
+      targets.push(...(String(script).match(SCRIPT_FILE) || []));
+    }
+
+    for (const target of targets) {
+      if (typeof target !== 'string' || target.includes('*')) continue;
+      const resolved = resolvePackageTarget(pkg, target, ['import', 'require', 'node', 'default']);
+      if (resolved.file) entries.add(resolved.file);
+    }
+  }
+  return entries;
+}
+
+// Cycles of static imports (dynamic import() and type-only imports don't
+// run the target at load time), found as strongly connected components with
+// Tarjan's algorithm. Each cycle lists its modules and one shortest loop
+// through them.
+export function findCycles(edges) {
+  const graph = new Map();
+  for (const edge of edges) {
+    if (edge.kind === 'dynamic' || edge.typeOnly) continue;
+    if (!graph.has(edge.from)) graph.set(edge.from, new Set());
+    graph.get(edge.from).add(edge.to);
+  }
+
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+
+  const connect = (node) => {
+    index.set(node, index.size);
+    lowLink.set(node, index.get(node));
+    stack.push(node);
+    onStack.add(node);
+
+    for (const next of graph.get(node) || []) {
+      if (!index.has(next)) {
+        connect(next);
+        lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(node, Math.min(lowLink.get(node), index.get(next)));
+      }
+    }
+
+    if (lowLink.get(node) === index.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      components.push(component);
+    }
+  };
+
+  for (const node of graph.keys()) {
+    if (!index.has(node)) connect(node);
+  }
+
+  return components
+    .filter(component => component.length > 1 || graph.get(component[0])?.has(component[0]))
+    .map(component => {
+      const modules = component.sort();
+      return { modules, path: shortestLoop(graph, modules[0], new Set(modules)) };
+    });
+}
+
+// Breadth-first search from start back to itself, staying inside the component
+function shortestLoop(graph, start, members) {
+  const previous = new Map();
+  const queue = [start];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const next of graph.get(node) || []) {
+      if (!members.has(next)) continue;
+      if (next === start) {
+        const loop = [];
+        for (let step = node; step !== start; step = previous.get(step)) loop.unshift(step);
+        return [start, ...loop, start];
+      }
+      if (!previous.has(next)) {
+        previous.set(next, node);
+        queue.push(next);
+      }
+    }
+  }
+  return [start];
+}
+
+// Graphviz rendering: cycle edges red, dynamic imports dashed, type-only
+// imports dotted, orphans grey and unresolved imports as red notes
+export function toDot(graph) {
+  const quote = (value) => JSON.stringify(value);
+  const inCycle = new Set(graph.cycles.flatMap(cycle => cycle.path.slice(1).map((to, i) => `${cycle.path[i]}\n${to}`)));
+  const orphans = new Set(graph.orphans);
+  const lines = ['digraph modules {', '  rankdir=LR;', '  node [shape=box, fontname="Helvetica", fontsize=10];'];
+
+  for (const module of graph.modules) {
+    lines.push(`  ${quote(module.id)}${orphans.has(module.id) ? ' [style=filled, fillcolor=lightgrey]' : ''};`);
+  }
+
+  const seen = new Set();
+  for (const edge of graph.edges) {
+    const key = `${edge.from}\n${edge.to}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const attributes = [];
+    if (inCycle.has(key)) attributes.push('color=red');
+    if (edge.kind === 'dynamic') attributes.push('style=dashed');
+    else if (edge.typeOnly) attributes.push('style=dotted');
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${attributes.length ? ` [${attributes.join(', ')}]` : ''};`);
+  }
+
+  graph.unresolved.forEach((entry, i) => {
+    lines.push(`  ${quote(`unresolved${i}`)} [label=${quote(entry.source)}, shape=note, color=red, fontcolor=red];`);
+    lines.push(`  ${quote(entry.from)} -> ${quote(`unresolved${i}`)} [color=red, style=dotted];`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,266 @@
+import { lineLocator, maskSource, splitList } from './source.js';
+
+const PYTHON_SYNTAX = {
+  lineComment: '#',
+  quotes: [
+    { open: '"""', close: '"""', escapes: true, multiline: true },
+    { open: "'''", close: "'''", escapes: true, multiline: true },
+    { open: '"', close: '"', escapes: true, multiline: false },
+    { open: "'", close: "'", escapes: true, multiline: false }
+  ]
+};
+
+const DEF = /^(async\s+)?def\s+([A-Za-z_]\w*)\s*(?:\[[^\]]*\]\s*)?\(/;
+const CLASS = /^class\s+([A-Za-z_]\w*)\s*(?:\[[^\]]*\]\s*)?(\()?/;
+// Statements that start a nested block costing 1 + nesting
+const NESTING_STATEMENTS = new Set(['if', 'for', 'while', 'except', 'match']);
+// match and case are keywords only in statements such as "match command:",
+// not in "match = pattern.match(line)"
+const SOFT_KEYWORD_STATEMENT = /^(match|case)\b(?!\s*[=.,:)\]])[^]*:/;
+
+// Columns of leading whitespace, with tabs to the next multiple of 8
+function indentOf(text) {
+  let column = 0;
+  for (const char of text) {
+    if (char === ' ') column++;
+    else if (char === '\t') column = column + 8 - (column % 8);
+    else break;
+  }
+  return column;
+}
+
+/*
+ * Logical lines of masked Python code: physical lines joined while brackets
+ * are open, a line ends in a backslash or a string literal (see maskSource)
+ * runs on to the next line, without blank and comment-only lines. Each has its first and last line number, indentation, text (the
+ * joined lines, trimmed) and the offsets it starts and ends at.
+ */
+function logicalLines(code, strings = []) {
+  const lines = [];
+  let current = null;
+  let depth = 0;
+  let offset = 0;
+  // The next string literal to look at and where the last one seen ends
+  let nextString = 0;
+  let stringEnd = 0;
+
+  code.split('\n').forEach((physical, i) => {
+    const start = offset;
+    offset += physical.length + 1;
+    if (!current && physical.trim() === '') return;
+
+    if (current) {
+      current.text += ` ${physical.trim()}`;
+      current.endLine = i + 1;
+    } else {
+      current = { line: i + 1, endLine: i + 1, indent: indentOf(physical), text: physical.trim(), start };
+    }
+    current.end = start + physical.length;
+
+    for (const char of physical) {
+      if ('([{'.includes(char)) depth++;
+      else if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+    }
+    while (nextString < strings.length && strings[nextString].start < current.end) {
+      stringEnd = Math.max(stringEnd, strings[nextString++].end);
+    }
+    if (depth === 0 && !physical.trimEnd().endsWith('\\') && stringEnd <= current.end) {
+      current.text = current.text.replace(/\\\s/g, ' ');
+      lines.push(current);
+      current = null;
+    }
+  });
+  if (current) lines.push(current);
+  return lines;
+}
+
+// The text between the ( at index and its matching )
+function parenthesized(text, index) {
+  let depth = 0;
+  for (let i = index; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth === 0) return text.slice(index + 1, i);
+  }
+  return text.slice(index + 1);
+}
+
+/*
+ * Complexity of a function's own logical lines (nested functions excluded),
+ * with the metrics of measureComplexity. Nesting follows indentation: each
+ * if, elif, else, for, while, except and match opens a level for the lines
+ * indented under it.
+ */
+function measurePython(lines, { name = null } = {}) {
+  const metrics = { cyclomatic: 1, cognitive: 0, maxNesting: 0 };
+  const blocks = [];
+  const recursion = name && new RegExp(`(?:^|[^\\w.])${name}\\s*\\(`, 'g');
+
+  for (const line of lines) {
+    while (blocks.length > 0 && line.indent <= blocks.at(-1)) blocks.pop();
+    const nesting = blocks.length;
+    const text = line.text.replace(/^async\s+/, '');
+    let keyword = /^[A-Za-z_]\w*/.exec(text)?.[0];
+    if ((keyword === 'match' || keyword === 'case') && !SOFT_KEYWORD_STATEMENT.test(text)) keyword = null;
+
+    if (NESTING_STATEMENTS.has(keyword)) {
+      if (keyword !== 'match') metrics.cyclomatic++;
+      metrics.cognitive += 1 + nesting;
+    } else if (keyword === 'elif') {
+      metrics.cyclomatic++;
+      metrics.cognitive++;
+    } else if (keyword === 'else') {
+      metrics.cognitive++;
+    } else if (keyword === 'case' && !/^case\s+_\s*:/.test(text)) {
+      metrics.cyclomatic++;
+    }
+    // Their bodies are the lines indented under them, or the rest of a one-line statement
+    if (NESTING_STATEMENTS.has(keyword) || keyword === 'elif' || keyword === 'else') {
+      blocks.push(line.indent);
+      metrics.maxNesting = Math.max(metrics.maxNesting, blocks.length);
+    }
+
+    // Conditional expressions, comprehension clauses and boolean operators
+    const words = text.match(/\b(if|for|and|or)\b/g) || [];
+    let operator = null;
+    words.forEach((word, i) => {
+      if (i === 0 && word === keyword) return;
+      if (word === 'and' || word === 'or') {
+        metrics.cyclomatic++;
+        if (operator !== word) metrics.cognitive++;
+        operator = word;
+      } else {
+        metrics.cyclomatic++;
+        if (word === 'if') metrics.cognitive += 1 + nesting;
+      }
+    });
+
+    if (recursion) metrics.cognitive += text.match(recursion)?.length ?? 0;
+  }
+  return metrics;
+}
+
+/*
+ * Structure of a Python file, in the same shape as analyzeStructure:
+ * functions and methods (with their class as className), classes with their
+ * first base class and methods, import statements plus importlib and
+ * __import__ calls with a literal module name, and the module's public names
+ * (__all__ when it's a literal list, otherwise its top-level functions and
+ * classes not starting with _).
+ */
+export function analyzePython(content) {
+  const { code, strings } = maskSource(content, PYTHON_SYNTAX);
+  const lineOf = lineLocator(content);
+  const lines = logicalLines(code, strings);
+
+  const functions = [];
+  const classes = [];
+  const imports = [];
+  const moduleLines = [];
+  const frames = [];
+  const publicNames = [];
+  let decorators = [];
+  let allNames = null;
+
+  const close = (frame) => {
+    frame.entry.endLine = frame.lastLine;
+    if (frame.type === 'def') {
+      Object.assign(frame.entry, measurePython(frame.lines, { name: frame.recursive ? frame.entry.name : null }));
+      frame.entry.generator = frame.lines.some(line => /\byield\b/.test(line.text));
+    }
+  };
+
+  for (const line of lines) {
+    while (frames.length > 0 && line.indent <= frames.at(-1).indent) close(frames.pop());
+    for (const frame of frames) frame.lastLine = line.endLine;
+
+    const { text } = line;
+    const owner = frames.at(-1);
+    if (text.startsWith('@')) {
+      decorators.push(text);
+      continue;
+    }
+
+    const def = DEF.exec(text);
+    const declaredClass = !def && CLASS.exec(text);
+    if (def) {
+      const inClass = owner?.type === 'class';
+      const isStatic = decorators.some(decorator => /^@staticmethod\b/.test(decorator));
+      const accessor = decorators.map(decorator => /^@(?:(property)|[\w.]+\.(setter))\b/.exec(decorator)).find(Boolean);
+      const name = def[2];
+      const paramList = parenthesized(text, def[0].length - 1);
+      // self and cls are passed implicitly
+      const params = splitList(paramList)
+        .filter(param => param !== '/' && param !== '*')
+        .slice(inClass && !isStatic ? 1 : 0);
+
+      const entry = {
+        name,
+        kind: !inClass ? 'function' : name === '__init__' ? 'constructor' : accessor?.[1] ? 'get' : accessor?.[2] ? 'set' : 'method',
+        ...(inClass && { className: owner.entry.name }),
+        line: line.line,
+        endLine: line.endLine,
+        params: params.length,
+        async: Boolean(def[1]),
+        generator: false
+      };
+      functions.push(entry);
+      if (inClass) owner.entry.methods.push(name);
+      if (!owner && !name.startsWith('_')) publicNames.push({ name, line: line.line });
+
+      // A one-line body ("def f() -> int: return 1") belongs to the function
+      const body = text.slice(def[0].length + paramList.length + 1).replace(/^[^:]*:/, '').trim();
+      const frame = { type: 'def', entry, indent: line.indent, lastLine: line.endLine, lines: [], recursive: !inClass };
+      if (body) frame.lines.push({ ...line, indent: line.indent + 1, text: body });
+      frames.push(frame);
+    } else if (declaredClass) {
+      const bases = declaredClass[2] ? splitList(parenthesized(text, declaredClass[0].length - 1)).filter(base => !base.includes('=')) : [];
+      const entry = { name: declaredClass[1], line: line.line, endLine: line.endLine, superClass: bases[0] ?? null, methods: [] };
+      classes.push(entry);
+      if (!owner && !entry.name.startsWith('_')) publicNames.push({ name: entry.name, line: line.line });
+      frames.push({ type: 'class', entry, indent: line.indent, lastLine: line.endLine });
+    } else {
+      // Statements of a class body count towards the enclosing function, if any
+      const enclosing = frames.findLast(frame => frame.type === 'def');
+      (enclosing ? enclosing.lines : moduleLines).push(line);
+    }
+    decorators = [];
+
+    // import a.b as c, d / from .x import (y as z, w) / from m import *
+    const importMatch = /^import\s+(.+)$/.exec(text);
+    const fromMatch = /^from\s+([.\w]+)\s+import\s+(.+)$/.exec(text);
+    if (importMatch) {
+      for (const part of splitList(importMatch[1])) {
+        const [, source, alias] = /^([\w.]+)(?:\s+as\s+(\w+))?$/.exec(part) || [];
+        if (source) imports.push({ source, kind: 'import', line: line.line, specifiers: [{ imported: '*', local: alias || source.split('.')[0] }] });
+      }
+    } else if (fromMatch) {
+      const names = fromMatch[2].replace(/^\(|\)$/g, '');
+      const specifiers = names.trim() === '*' ? [{ imported: '*', local: null }] : splitList(names).map(part => {
+        const [, imported, alias] = /^(\w+)(?:\s+as\s+(\w+))?$/.exec(part) || [];
+        return imported && { imported, local: alias || imported };
+      }).filter(Boolean);
+      imports.push({ source: fromMatch[1], kind: 'import', line: line.line, specifiers });
+    }
+
+    // __all__ = ['a', 'b'] (or a tuple) at the top level
+    if (frames.length === 0 && /^__all__\s*=\s*[[(]/.test(text)) {
+      allNames = strings
+        .filter(string => string.start > line.start && string.start < line.end)
+        .map(string => ({ name: string.value, line: line.line }));
+    }
+  }
+  while (frames.length > 0) close(frames.pop());
+
+  // importlib.import_module('x') and __import__('x')
+  for (const match of code.matchAll(/\b(?:importlib\s*\.\s*import_module|__import__)\s*\(\s*/g)) {
+    const literal = strings.find(string => string.start === match.index + match[0].length);
+    if (literal) imports.push({ source: literal.value, kind: 'dynamic', line: lineOf(match.index) });
+  }
+
+  const exports = (allNames || publicNames).map(({ name, line }) => ({ name, kind: 'named', line }));
+  imports.sort((a, b) => a.line - b.line);
+
+  const topLevel = measurePython(moduleLines);
+  const complexity = functions.reduce((sum, fn) => sum + fn.cyclomatic - 1, topLevel.cyclomatic);
+  return { functions, classes, imports, exports, complexity };
+}
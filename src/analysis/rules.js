@@ -0,0 +1,271 @@
+import { walk } from './walk.js';
+import { FUNCTION_TYPES } from './complexity.js';
+import { analyzeScopes } from './scope.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+const PROMISE_COMBINATORS = new Set(['all', 'allSettled', 'any', 'race']);
+// Statements that may follow a return without being dead code
+const HOISTED_TYPES = new Set(['FunctionDeclaration', 'EmptyStatement', 'TSInterfaceDeclaration', 'TSTypeAliasDeclaration', 'TSDeclareFunction']);
+
+const isNullLiteral = (node) => node.type === 'Literal' && node.value === null && node.raw === 'null';
+const isTypeof = (node) => node.type === 'UnaryExpression' && node.operator === 'typeof';
+const propertyName = (member) => (!member.computed && member.property.type === 'Identifier' ? member.property.name : null);
+
+// Whether control never continues past statement
+function terminates(statement) {
+  switch (statement.type) {
+    case 'ReturnStatement':
+    case 'ThrowStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return true;
+    case 'BlockStatement':
+      return statement.body.some(terminates);
+    case 'IfStatement':
+      return Boolean(statement.alternate) && terminates(statement.consequent) && terminates(statement.alternate);
+    case 'TryStatement':
+      return (terminates(statement.block) && (!statement.handler || terminates(statement.handler.body)))
+        || Boolean(statement.finalizer && terminates(statement.finalizer));
+    default:
+      return false;
+  }
+}
+
+function isAsyncFunction(node) {
+  return Boolean(node && FUNCTION_TYPES.has(node.type) && node.async);
+}
+
+// Whether a variable holds an async function declared in this file
+function isAsyncVariable(variable) {
+  const definition = variable?.definition;
+  if (!definition) return false;
+  if (variable.kind === 'function') return isAsyncFunction(definition);
+  return definition.type === 'VariableDeclarator' && variable.kind === 'const' && isAsyncFunction(definition.init);
+}
+
+// this.name() inside a class with an async method called name
+function isAsyncMethodCall(callee, ancestors) {
+  if (callee.type !== 'MemberExpression' || callee.object.type !== 'ThisExpression') return false;
+
+  const classBody = ancestors.findLast(node => node.type === 'ClassBody');
+  const name = propertyName(callee);
+  return Boolean(name && classBody?.body.some(member =>
+    member.type === 'MethodDefinition' && !member.computed && member.key.name === name && member.value.async));
+}
+
+/*
+ * Each rule has an id, a default severity and create(context), which returns
+ * handlers keyed by node type; an optional end() handler runs after the walk.
+ * context.report(node, message, endNode) records a finding spanning node
+ * (through endNode when given).
+ */
+export const RULES = [
+  {
+    id: 'empty-catch',
+    severity: 'warning',
+    description: 'catch blocks that silently swallow errors',
+    create(context) {
+      return {
+        CatchClause(node) {
+          const { body } = node;
+          // A comment inside explains why ignoring the error is fine
+          const explained = context.comments.some(comment => comment.start >= body.start && comment.end <= body.end);
+          if (body.body.length === 0 && !explained) {
+            context.report(node, 'Empty catch block silently swallows errors');
+          }
+        }
+      };
+    }
+  },
+  {
+    id: 'floating-promise',
+    severity: 'error',
+    description: 'promises that are neither awaited, returned nor given a rejection handler',
+    create(context) {
+      const floating = (expression) => {
+        if (expression.type === 'NewExpression') {
+          return expression.callee.type === 'Identifier' && expression.callee.name === 'Promise' ? 'new Promise()' : null;
+        }
+        if (expression.type !== 'CallExpression') return null;
+
+        const { callee } = expression;
+        if (callee.type === 'Identifier') {
+          return isAsyncVariable(context.resolve(callee)) ? `${callee.name}()` : null;
+        }
+        if (callee.type !== 'MemberExpression') return null;
+
+        const name = propertyName(callee);
+        if (name === 'then' && expression.arguments.length < 2) return '.then()';
+        if (callee.object.type === 'Identifier' && callee.object.name === 'Promise' && PROMISE_COMBINATORS.has(name)) return `Promise.${name}()`;
+        return isAsyncMethodCall(callee, context.ancestors) ? `this.${name}()` : null;
+      };
+
+      return {
+        ExpressionStatement(node) {
+          const call = floating(node.expression);
+          if (call) {
+            context.report(node, `Promise returned by ${call} is neither awaited nor handled; a rejection will go unnoticed`);
+          }
+        }
+      };
+    }
+  },
+  {
+    id: 'loose-equality',
+    severity: 'warning',
+    description: '== and != comparisons, other than against null or typeof',
+    create(context) {
+      return {
+        BinaryExpression(node) {
+          if (node.operator !== '==' && node.operator !== '!=') return;
+          if ([node.left, node.right].some(side => isNullLiteral(side) || isTypeof(side))) return;
+          context.report(node, `Use ${node.operator}= instead of ${node.operator}; ${node.operator} converts types before comparing`);
+        }
+      };
+    }
+  },
+  {
+    id: 'unreachable-code',
+    severity: 'warning',
+    description: 'statements after a return, throw, break or continue',
+    create(context) {
+      const check = (statements) => {
+        const exit = statements.findIndex(terminates);
+        if (exit === -1) return;
+
+        const dead = statements.slice(exit + 1).filter(statement =>
+          !HOISTED_TYPES.has(statement.type) && !(statement.type === 'VariableDeclaration' && statement.kind === 'var' && statement.declarations.every(declarator => !declarator.init)));
+        if (dead.length > 0) context.report(dead[0], 'Unreachable code', dead.at(-1));
+      };
+
+      return {
+        Program: (node) => check(node.body),
+        BlockStatement: (node) => check(node.body),
+        StaticBlock: (node) => check(node.body),
+        SwitchCase: (node) => check(node.consequent)
+      };
+    }
+  },
+  {
+    id: 'shadowed-variable',
+    severity: 'info',
+    description: 'declarations that hide a variable of an enclosing scope',
+    create(context) {
+      return {
+        end() {
+          for (const scope of context.scopes.scopes) {
+            for (const variable of scope.variables.values()) {
+              // A named function expression or class expression may reuse its own name
+              if (variable.kind === 'function-name' || variable.kind === 'class-name') continue;
+
+              // Only names already declared (or hoisted) where the inner one appears
+              const outer = scope.parent?.lookup(variable.name);
+              const visible = outer && (['function', 'import', 'var'].includes(outer.kind) || outer.identifier.start < variable.identifier.start);
+              if (visible && outer.kind !== 'function-name' && outer.kind !== 'class-name') {
+                context.report(variable.identifier, `'${variable.name}' shadows the ${outer.kind} declared on line ${outer.identifier.loc.start.line}`);
+              }
+            }
+          }
+        }
+      };
+    }
+  },
+  {
+    id: 'unused-import',
+    severity: 'warning',
+    description: 'imported names that are never used',
+    create(context) {
+      return {
+        end() {
+          for (const variable of context.scopes.root.variables.values()) {
+            if (variable.kind !== 'import' || variable.references.length > 0) continue;
+            // The classic JSX transform calls React.createElement implicitly
+            if (variable.name === 'React' && context.scopes.hasJsx) continue;
+
+            const source = variable.definition.source?.value ?? variable.definition.moduleReference?.expression?.value;
+            context.report(variable.identifier, `'${variable.name}' is imported${source ? ` from '${source}'` : ''} but never used`);
+          }
+        }
+      };
+    }
+  },
+  {
+    id: 'await-in-loop',
+    severity: 'info',
+    description: 'await inside a loop body, which runs the awaited operations one at a time',
+    create(context) {
+      return {
+        AwaitExpression(node) {
+          const { ancestors } = context;
+          for (let i = ancestors.length - 2; i >= 0; i--) {
+            const ancestor = ancestors[i];
+            if (FUNCTION_TYPES.has(ancestor.type)) return;
+            if (!LOOP_TYPES.has(ancestor.type)) continue;
+
+            // A for...of/for...in right-hand side is evaluated once
+            const child = ancestors[i + 1];
+            if (child === ancestor.body || child === ancestor.test || child === ancestor.update) {
+              context.report(node, 'await inside a loop runs each iteration one after another; consider Promise.all() if they are independent');
+              return;
+            }
+          }
+        }
+      };
+    }
+  }
+];
+
+const toFinding = (rule, node, message, endNode) => ({
+  rule: rule.id,
+  severity: rule.severity,
+  message,
+  line: node.loc.start.line,
+  column: node.loc.start.column + 1,
+  endLine: endNode.loc.end.line,
+  endColumn: endNode.loc.end.column + 1
+});
+
+// Runs rules over a parsed file (see parseJavaScript) and returns their
+// findings in source order, with 1-based lines and columns
+export function runRules(ast, { rules = RULES } = {}) {
+  const scopes = analyzeScopes(ast.program);
+  const referenceOf = new Map(scopes.references.map(reference => [reference.identifier, reference]));
+  const ancestors = [];
+  const findings = [];
+  const handlers = new Map();
+  const endHandlers = [];
+
+  for (const rule of rules) {
+    const context = {
+      scopes,
+      ancestors,
+      comments: ast.comments || [],
+      resolve: (identifier) => referenceOf.get(identifier)?.variable ?? null,
+      report: (node, message, endNode = node) => findings.push(toFinding(rule, node, message, endNode))
+    };
+
+    for (const [type, handler] of Object.entries(rule.create(context))) {
+      if (type === 'end') {
+        endHandlers.push(handler);
+        continue;
+      }
+      if (!handlers.has(type)) handlers.set(type, []);
+      handlers.get(type).push(handler);
+    }
+  }
+
+  walk(ast.program, {
+    enter(node) {
+      ancestors.push(node);
+      for (const handler of handlers.get(node.type) || []) handler(node);
+    },
+    leave() {
+      ancestors.pop();
+    }
+  });
+  for (const handler of endHandlers) handler();
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
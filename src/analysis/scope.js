@@ -0,0 +1,216 @@
+import { walk } from './walk.js';
+import { FUNCTION_TYPES } from './complexity.js';
+
+const BLOCK_SCOPE_TYPES = new Set(['BlockStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'SwitchStatement', 'StaticBlock']);
+const HOISTING_SCOPES = new Set(['module', 'script', 'function']);
+const TYPE_DECLARATIONS = { TSInterfaceDeclaration: 'type', TSTypeAliasDeclaration: 'type', TSEnumDeclaration: 'enum' };
+
+// Identifiers bound by a pattern: a, { b, c: d }, [e, ...f], g = 1
+export function patternIdentifiers(pattern) {
+  switch (pattern?.type) {
+    case 'Identifier':
+      return [pattern];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property => patternIdentifiers(property.type === 'Property' ? property.value : property));
+    case 'ArrayPattern':
+      return pattern.elements.flatMap(patternIdentifiers);
+    case 'RestElement':
+      return patternIdentifiers(pattern.argument);
+    case 'AssignmentPattern':
+      return patternIdentifiers(pattern.left);
+    case 'TSParameterProperty':
+      return patternIdentifiers(pattern.parameter);
+    default:
+      return [];
+  }
+}
+
+// Whether an identifier reads or writes a variable, as opposed to naming a
+// property, label, key or declaration
+function isReference(node, parent, grandparent) {
+  switch (parent.type) {
+    case 'MemberExpression':
+      return parent.object === node || parent.computed;
+    case 'Property':
+      return parent.value === node || parent.computed;
+    case 'ExportSpecifier':
+      // export { a } reads a; export { a } from './b' doesn't
+      return parent.local === node && !grandparent?.source;
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'MetaProperty':
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+    case 'ExportAllDeclaration':
+    case 'TSEnumMember':
+      return false;
+    case 'TSQualifiedName':
+      return parent.left === node;
+    default:
+      return !((parent.key === node && !parent.computed) || parent.id === node);
+  }
+}
+
+// <Foo.Bar /> uses Foo; lowercase names like <div> are intrinsic elements
+function jsxRoot(name) {
+  let root = name;
+  while (root.type === 'JSXMemberExpression') root = root.object;
+  if (root.type !== 'JSXIdentifier') return null;
+  return name.type === 'JSXMemberExpression' || /^[A-Z_$]/.test(root.name) ? root : null;
+}
+
+class Scope {
+  constructor(type, node, parent) {
+    this.type = type;
+    this.node = node;
+    this.parent = parent;
+    this.variables = new Map();
+    this.children = [];
+    parent?.children.push(this);
+  }
+
+  declare(identifier, kind, definition) {
+    if (this.variables.has(identifier.name)) return;
+    this.variables.set(identifier.name, { name: identifier.name, kind, identifier, definition, scope: this, references: [] });
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.variables.has(name)) return scope.variables.get(name);
+    }
+    return null;
+  }
+
+  // The nearest scope var declarations and function names hoist to
+  hoistTarget() {
+    let scope = this;
+    while (!HOISTING_SCOPES.has(scope.type)) scope = scope.parent;
+    return scope;
+  }
+}
+
+/*
+ * Lexical scopes of a Program: which names every scope declares (var, let,
+ * const, function, class, param, catch, import, TypeScript types) and what
+ * each identifier reference resolves to. References to globals and
+ * undeclared names have variable null.
+ *
+ * Returns { root, scopes, references, scopeOf, hasJsx }, where scopeOf maps
+ * a scope-creating node to its scope.
+ */
+export function analyzeScopes(program) {
+  const root = new Scope(program.sourceType === 'module' ? 'module' : 'script', program, null);
+  const scopes = [root];
+  const scopeOf = new Map([[program, root]]);
+  const bindings = new Set();
+  const stack = [root];
+
+  const open = (type, node) => {
+    const scope = new Scope(type, node, stack.at(-1));
+    scopes.push(scope);
+    scopeOf.set(node, scope);
+    stack.push(scope);
+    return scope;
+  };
+
+  const declare = (scope, pattern, kind, definition) => {
+    for (const identifier of patternIdentifiers(pattern)) {
+      bindings.add(identifier);
+      scope.declare(identifier, kind, definition);
+    }
+  };
+
+  // First pass: scopes and declarations, so later references to hoisted
+  // names resolve
+  walk(program, {
+    enter(node, parent) {
+      const current = stack.at(-1);
+
+      if (FUNCTION_TYPES.has(node.type)) {
+        if (node.type === 'FunctionDeclaration' && node.id) {
+          // Functions declared in blocks are block scoped in strict code
+          declare(BLOCK_SCOPE_TYPES.has(current.node.type) ? current : current.hoistTarget(), node.id, 'function', node);
+        }
+        const scope = open('function', node);
+        if (node.type === 'FunctionExpression' && node.id) declare(scope, node.id, 'function-name', node);
+        for (const param of node.params) declare(scope, param, 'param', node);
+        return;
+      }
+
+      switch (node.type) {
+        case 'ClassDeclaration':
+        case 'ClassExpression': {
+          if (node.type === 'ClassDeclaration' && node.id) declare(current, node.id, 'class', node);
+          const scope = open('class', node);
+          if (node.type === 'ClassExpression' && node.id) declare(scope, node.id, 'class-name', node);
+          return;
+        }
+        case 'VariableDeclaration': {
+          const target = node.kind === 'var' ? current.hoistTarget() : current;
+          for (const declarator of node.declarations) declare(target, declarator.id, node.kind, declarator);
+          return;
+        }
+        case 'ImportDeclaration':
+          for (const specifier of node.specifiers) declare(root, specifier.local, 'import', node);
+          return;
+        case 'TSImportEqualsDeclaration':
+          declare(current, node.id, 'import', node);
+          return;
+        case 'CatchClause': {
+          const scope = open('catch', node);
+          if (node.param) declare(scope, node.param, 'catch', node);
+          return;
+        }
+      }
+
+      if (TYPE_DECLARATIONS[node.type]) {
+        declare(current, node.id, TYPE_DECLARATIONS[node.type], node);
+      } else if (BLOCK_SCOPE_TYPES.has(node.type) && !FUNCTION_TYPES.has(parent?.type)) {
+        // A function's body shares the function's scope
+        open('block', node);
+      }
+    },
+    leave(node) {
+      if (scopeOf.get(node) === stack.at(-1) && node !== program) stack.pop();
+    }
+  });
+
+  // Second pass: resolve every reference from the scope it appears in
+  const references = [];
+  const ancestors = [];
+  let hasJsx = false;
+
+  const resolve = (identifier, scope, write) => {
+    const variable = scope.lookup(identifier.name);
+    const reference = { identifier, name: identifier.name, variable, scope, write };
+    references.push(reference);
+    variable?.references.push(reference);
+  };
+
+  stack.length = 0;
+  walk(program, {
+    enter(node, parent) {
+      if (scopeOf.has(node)) stack.push(scopeOf.get(node));
+
+      if (node.type === 'Identifier' && parent && !bindings.has(node) && isReference(node, parent, ancestors.at(-2))) {
+        const write = (parent.type === 'AssignmentExpression' && parent.left === node) || parent.type === 'UpdateExpression';
+        resolve(node, stack.at(-1), write);
+      } else if (node.type === 'JSXOpeningElement') {
+        hasJsx = true;
+        const identifier = jsxRoot(node.name);
+        if (identifier) resolve(identifier, stack.at(-1), false);
+      } else if (node.type === 'JSXFragment') {
+        hasJsx = true;
+      }
+      ancestors.push(node);
+    },
+    leave(node) {
+      ancestors.pop();
+      if (scopeOf.has(node)) stack.pop();
+    }
+  });
+
+  return { root, scopes, references, scopeOf, hasJsx };
+}
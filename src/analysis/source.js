@@ -0,0 +1,135 @@
+/*
+ * Lexical helpers for the languages analyzed without a full parser (see
+ * python.js, go.js and java.js).
+ */
+
+const OPENING = { '(': ')', '[': ']', '{': '}' };
+const CLOSING = new Set(Object.values(OPENING));
+
+/*
+ * Replaces comments and the contents of string literals with spaces, keeping
+ * line breaks, so offsets and line numbers still match content while
+ * keywords and brackets inside them are ignored. syntax has lineComment,
+ * blockComment ([open, close]) and quotes ({ open, close, escapes, multiline },
+ * longest first). strings lists every literal with its offsets (quotes
+ * included) and the raw text between its quotes.
+ */
+export function maskSource(content, { lineComment = null, blockComment = null, quotes = [] }) {
+  const masked = content.split('');
+  const strings = [];
+  const starters = new Set([lineComment, blockComment?.[0], ...quotes.map(quote => quote.open)].filter(Boolean).map(token => token[0]));
+
+  const blank = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (masked[i] !== '\n' && masked[i] !== '\r') masked[i] = ' ';
+    }
+  };
+
+  let i = 0;
+  while (i < content.length) {
+    if (!starters.has(content[i])) {
+      i++;
+      continue;
+    }
+
+    if (lineComment && content.startsWith(lineComment, i)) {
+      const end = content.indexOf('\n', i);
+      const stop = end === -1 ? content.length : end;
+      blank(i, stop);
+      i = stop;
+      continue;
+    }
+    if (blockComment && content.startsWith(blockComment[0], i)) {
+      const end = content.indexOf(blockComment[1], i + blockComment[0].length);
+      const stop = end === -1 ? content.length : end + blockComment[1].length;
+      blank(i, stop);
+      i = stop;
+      continue;
+    }
+
+    const quote = quotes.find(candidate => content.startsWith(candidate.open, i));
+    if (!quote) {
+      i++;
+      continue;
+    }
+
+    // Unterminated literals end at the line break (or the end of the file)
+    const valueStart = i + quote.open.length;
+    let j = valueStart;
+    while (j < content.length && !content.startsWith(quote.close, j)) {
+      if (content[j] === '\n' && !quote.multiline) break;
+      j += quote.escapes && content[j] === '\\' ? 2 : 1;
+    }
+    const valueEnd = Math.min(j, content.length);
+    const closed = content.startsWith(quote.close, valueEnd);
+    const end = closed ? valueEnd + quote.close.length : valueEnd;
+
+    strings.push({ start: i, end, value: content.slice(valueStart, valueEnd) });
+    blank(valueStart, valueEnd);
+    i = end;
+  }
+
+  return { code: masked.join(''), strings };
+}
+
+// Maps offsets to 1-based line numbers
+export function lineLocator(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+
+  return (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (starts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return low + 1;
+  };
+}
+
+// Offsets of matching brackets in masked code, both ways: opening offset to
+// closing offset and back. Unbalanced brackets are left out.
+export function matchBrackets(code) {
+  const closeOf = new Map();
+  const openOf = new Map();
+  const stack = [];
+
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+    if (OPENING[char]) {
+      stack.push(i);
+    } else if (CLOSING.has(char) && stack.length > 0 && OPENING[code[stack.at(-1)]] === char) {
+      const open = stack.pop();
+      closeOf.set(open, i);
+      openOf.set(i, open);
+    }
+  }
+  return { closeOf, openOf };
+}
+
+// Splits a parameter or type list on its top-level commas, e.g.
+// "a int, f func(x, y int), m map[K]V" into three parts. With angles, commas
+// inside <...> (Java generics) don't split either.
+export function splitList(text, { angles = false } = {}) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if ('([{'.includes(char) || (angles && char === '<')) depth++;
+    else if (')]}'.includes(char) || (angles && char === '>')) depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
@@ -0,0 +1,229 @@
+import { walk } from './walk.js';
+import { FUNCTION_TYPES, measureComplexity } from './complexity.js';
+import { patternIdentifiers } from './scope.js';
+
+const CLASS_TYPES = new Set(['ClassDeclaration', 'ClassExpression']);
+
+const range = (node) => ({ line: node.loc.start.line, endLine: node.loc.end.line });
+
+// Literal module names only; require(variable) can't be followed
+function literalSource(node) {
+  if (node?.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+export function keyName(key, computed) {
+  if (!computed && key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateIdentifier') return `#${key.name}`;
+  if (key.type === 'Literal') return String(key.value);
+  return '[computed]';
+}
+
+// "module.exports.run" for member chains of plain identifiers, else null
+function memberPath(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type !== 'MemberExpression' || (node.computed && node.property.type !== 'Literal')) return null;
+
+  const object = memberPath(node.object);
+  return object && `${object}.${keyName(node.property, node.computed)}`;
+}
+
+// The export a CommonJS assignment target stands for: "default" for
+// module.exports itself, the property name for exports.x / module.exports.x
+export function commonJsExport(target) {
+  const targetPath = memberPath(target);
+  if (targetPath === 'module.exports') return 'default';
+  const match = targetPath && /^(?:module\.)?exports\.([^.]+)$/.exec(targetPath);
+  return match ? match[1] : null;
+}
+
+// Anonymous functions are named after what they're assigned to
+export function inferName(node, parent) {
+  if (node.id) return node.id.name;
+  switch (parent?.type) {
+    case 'VariableDeclarator':
+      return parent.id.type === 'Identifier' ? parent.id.name : null;
+    case 'AssignmentExpression':
+      return memberPath(parent.left)?.split('.').pop() || null;
+    case 'Property':
+    case 'PropertyDefinition':
+    case 'MethodDefinition':
+      return keyName(parent.key, parent.computed);
+    case 'ExportDefaultDeclaration':
+      return 'default';
+    default:
+      return null;
+  }
+}
+
+function functionKind(node, parent) {
+  if (parent?.type === 'MethodDefinition') {
+    return parent.kind === 'method' ? 'method' : parent.kind;
+  }
+  if (parent?.type === 'Property' && (parent.method || parent.kind !== 'init')) {
+    return parent.kind === 'init' ? 'method' : parent.kind;
+  }
+  if (node.type === 'FunctionDeclaration') return 'declaration';
+  return node.type === 'ArrowFunctionExpression' ? 'arrow' : 'expression';
+}
+
+function specifierNames(specifiers) {
+  return specifiers.map(specifier => {
+    switch (specifier.type) {
+      case 'ImportDefaultSpecifier':
+        return { imported: 'default', local: specifier.local.name };
+      case 'ImportNamespaceSpecifier':
+        return { imported: '*', local: specifier.local.name };
+      default:
+        return { imported: keyName(specifier.imported), local: specifier.local.name };
+    }
+  });
+}
+
+// Names bound by a declaration: function/class ids and every identifier in
+// variable patterns such as const { a, b: [c] } = ...
+function declaredNames(declaration) {
+  if (!declaration) return [];
+  if (declaration.id?.type === 'Identifier') return [declaration.id.name];
+  if (declaration.type !== 'VariableDeclaration') return [];
+
+  return declaration.declarations.flatMap(declarator => patternIdentifiers(declarator.id)).map(identifier => identifier.name);
+}
+
+/*
+ * Structure of a parsed JavaScript or TypeScript file: functions of every kind
+ * with line ranges and complexity metrics, classes with their methods, ES
+ * imports, require() and import() calls, and ES and CommonJS exports.
+ * complexity is the file's cyclomatic complexity, all functions included.
+ */
+export function analyzeStructure(ast) {
+  const functions = [];
+  const classes = [];
+  const imports = [];
+  const exports = [];
+  const classStack = [];
+
+  const addImport = (source, kind, node, specifiers) => {
+    if (source === null) return;
+    imports.push({
+      source,
+      kind,
+      line: node.loc.start.line,
+      ...(specifiers && { specifiers }),
+      // import type / export type ... from are erased when compiled
+      ...((node.importKind === 'type' || node.exportKind === 'type') && { typeOnly: true })
+    });
+  };
+
+  const addExports = (names, kind, node, source) => {
+    for (const name of names) {
+      exports.push({ name, kind, line: node.loc.start.line, ...(source && { source }) });
+    }
+  };
+
+  const addFunction = (node, parent) => {
+    const kind = functionKind(node, parent);
+    const name = inferName(node, parent);
+    const inClass = ['MethodDefinition', 'PropertyDefinition'].includes(parent?.type);
+    // Methods and properties are called through an object, so only plain
+    // functions can recurse by name
+    const callableByName = !inClass && parent?.type !== 'Property';
+    const params = node.params.filter(param => !(param.type === 'Identifier' && param.name === 'this'));
+
+    functions.push({
+      name: name || 'anonymous',
+      kind,
+      ...(inClass && { className: classStack.at(-1)?.name || null }),
+      ...range(node),
+      params: params.length,
+      async: node.async,
+      generator: node.generator,
+      ...measureComplexity(node, { name: callableByName ? name : null })
+    });
+    if (inClass && name) classStack.at(-1)?.methods.push(name);
+  };
+
+  walk(ast, {
+    enter(node, parent) {
+      if (FUNCTION_TYPES.has(node.type)) {
+        // TypeScript overload signatures and declare'd functions have no body
+        if (node.body) addFunction(node, parent);
+        return;
+      }
+
+      switch (node.type) {
+        case 'ClassDeclaration':
+        case 'ClassExpression': {
+          const entry = {
+            name: node.id?.name || inferName(node, parent) || 'anonymous',
+            ...range(node),
+            superClass: node.superClass ? memberPath(node.superClass) : null,
+            methods: []
+          };
+          classes.push(entry);
+          classStack.push(entry);
+          break;
+        }
+        case 'ImportDeclaration':
+          addImport(node.source.value, 'import', node, specifierNames(node.specifiers));
+          break;
+        case 'ImportExpression':
+          addImport(literalSource(node.source), 'dynamic', node);
+          break;
+        case 'CallExpression':
+          if (node.callee.type === 'Identifier' && node.callee.name === 'require') {
+            addImport(literalSource(node.arguments[0]), 'require', node);
+          } else if (node.callee.type === 'Import') {
+            addImport(literalSource(node.arguments[0]), 'dynamic', node);
+          }
+          break;
+        case 'TSImportEqualsDeclaration':
+          if (node.moduleReference.type === 'TSExternalModuleReference') {
+            addImport(literalSource(node.moduleReference.expression), 'require', node);
+          }
+          break;
+        case 'ExportNamedDeclaration': {
+          const source = node.source?.value;
+          if (source) {
+            addImport(source, 'export-from', node, node.specifiers.map(specifier => ({
+              imported: keyName(specifier.local),
+              local: keyName(specifier.exported)
+            })));
+          }
+          addExports([
+            ...declaredNames(node.declaration),
+            ...node.specifiers.map(specifier => keyName(specifier.exported))
+          ], 'named', node, source);
+          break;
+        }
+        case 'ExportDefaultDeclaration':
+          addExports(['default'], 'default', node);
+          break;
+        case 'ExportAllDeclaration':
+          addImport(node.source.value, 'export-from', node);
+          addExports([node.exported ? keyName(node.exported) : '*'], 'all', node, node.source.value);
+          break;
+        case 'AssignmentExpression': {
+          const name = commonJsExport(node.left);
+          if (name === 'default' && node.right.type === 'ObjectExpression') {
+            // module.exports = { a, b } exports a and b
+            addExports(node.right.properties.filter(property => property.type === 'Property').map(property => keyName(property.key, property.computed)), 'commonjs', node);
+          } else if (name) {
+            addExports([name], 'commonjs', node);
+          }
+          break;
+        }
+      }
+    },
+    leave(node) {
+      if (CLASS_TYPES.has(node.type)) classStack.pop();
+    }
+  });
+
+  // Top-level code plus every function's own branches
+  const topLevel = measureComplexity(ast.program);
+  const complexity = functions.reduce((sum, fn) => sum + fn.cyclomatic - 1, topLevel.cyclomatic);
+
+  return { functions, classes, imports, exports, complexity };
+}
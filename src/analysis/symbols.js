@@ -0,0 +1,282 @@
+import { walk } from './walk.js';
+import { FUNCTION_TYPES } from './complexity.js';
+import { analyzeScopes, patternIdentifiers } from './scope.js';
+import { commonJsExport, inferName, keyName } from './structure.js';
+
+const CLASS_TYPES = new Set(['ClassDeclaration', 'ClassExpression']);
+const CLASS_MEMBER_TYPES = new Set(['MethodDefinition', 'PropertyDefinition']);
+// Module-level declarations that are worth looking up; functions and
+// classes are definitions wherever they're declared
+const TOP_LEVEL_KINDS = new Set(['var', 'let', 'const', 'enum', 'type']);
+
+const span = (node) => ({
+  line: node.loc.start.line,
+  column: node.loc.start.column + 1,
+  endLine: node.loc.end.line,
+  endColumn: node.loc.end.column + 1
+});
+
+function requireSource(node) {
+  if (node?.type !== 'CallExpression' || node.callee.type !== 'Identifier' || node.callee.name !== 'require') return null;
+  const [argument] = node.arguments;
+  return argument?.type === 'Literal' && typeof argument.value === 'string' ? argument.value : null;
+}
+
+/*
+ * Symbols of one parsed file, for the project-wide SymbolIndex:
+ *
+ * - definitions: functions, classes, class members and module-level
+ *   variables, each with a qualifiedName unique in the file ("Cart.checkout",
+ *   or "outer.helper" for a function declared inside another)
+ * - imports: names bound by import declarations and require() calls, with
+ *   the name they import ("default", "*" for the whole module, or a name)
+ * - exports: exported names and the local definition (or re-exported
+ *   source) behind each
+ * - references: uses of definitions and imports, with the enclosing
+ *   definition as caller and call set for call sites
+ */
+export function extractSymbols(ast) {
+  const program = ast.program;
+  const scopes = analyzeScopes(program);
+  const variableOf = new Map();
+  for (const scope of scopes.scopes) {
+    for (const variable of scope.variables.values()) variableOf.set(variable.identifier, variable);
+  }
+  const referenceOf = new Map(scopes.references.map(reference => [reference.identifier, reference]));
+
+  const definitions = [];
+  const definitionOf = new Map();
+  const imports = [];
+  const importOf = new Map();
+  const exports = [];
+  const references = [];
+  const classStack = [];
+  const ownerStack = [];
+
+  const owner = () => ownerStack.findLast(name => name !== null) ?? null;
+
+  // Local definitions are qualified by the definition they're declared in
+  const define = (name, kind, node, { variable = null, qualifiedName = null } = {}) => {
+    const local = Boolean(variable) && variable.scope !== scopes.root;
+    const enclosing = owner();
+    const qualified = qualifiedName ?? (local && enclosing ? `${enclosing}.${name}` : name);
+    if (!definitions.some(definition => definition.qualifiedName === qualified)) {
+      definitions.push({ name, qualifiedName: qualified, kind, ...span(node), ...(local && { local: true }) });
+    }
+    if (variable) definitionOf.set(variable, qualified);
+    return qualified;
+  };
+
+  const addImport = (identifier, imported, source, kind) => {
+    const entry = { local: identifier.name, imported, source, kind };
+    imports.push(entry);
+    const variable = variableOf.get(identifier);
+    if (variable) importOf.set(variable, entry);
+  };
+
+  // this.name inside a class method; resolved once all members are known
+  const memberOfThis = (member) => (member.object.type === 'ThisExpression' && !member.computed && classStack.at(-1)
+    ? `${classStack.at(-1)}.${keyName(member.property)}`
+    : null);
+
+  const isCallee = (node, parent) => (parent?.type === 'CallExpression' || parent?.type === 'NewExpression') && parent.callee === node;
+
+  // The definition a function or class creates, if it has a usable name
+  const defineCallable = (node, parent, grandparent) => {
+    const name = inferName(node, parent);
+    if (!name) return null;
+
+    if (CLASS_MEMBER_TYPES.has(parent?.type)) {
+      const className = classStack.at(-1);
+      const kind = parent.type === 'MethodDefinition' ? parent.kind : 'property';
+      return className ? define(name, kind, parent, { qualifiedName: `${className}.${name}` }) : null;
+    }
+
+    const kind = CLASS_TYPES.has(node.type) ? 'class' : 'function';
+    if (node.id) return define(name, kind, node, { variable: variableOf.get(node.id) });
+    if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+      return define(name, kind, parent, { variable: variableOf.get(parent.id) });
+    }
+    if (parent.type === 'AssignmentExpression' && commonJsExport(parent.left)) return define(name, kind, parent);
+    if (parent.type === 'ExportDefaultDeclaration') return define('default', kind, node);
+
+    // module.exports = { helper() {} }
+    const assignment = ancestors.at(-4);
+    if (parent.type === 'Property' && grandparent?.type === 'ObjectExpression'
+      && assignment?.type === 'AssignmentExpression' && commonJsExport(assignment.left) === 'default') {
+      return define(name, kind, parent);
+    }
+    return null;
+  };
+
+  const recordExports = (node) => {
+    switch (node.type) {
+      case 'ExportNamedDeclaration': {
+        const source = node.source?.value;
+        for (const specifier of node.specifiers) {
+          const exported = keyName(specifier.exported);
+          exports.push(source ? { exported, imported: keyName(specifier.local), source } : { exported, local: specifier.local.name });
+        }
+        const { declaration } = node;
+        if (declaration?.type === 'VariableDeclaration') {
+          for (const declarator of declaration.declarations) {
+            for (const identifier of patternIdentifiers(declarator.id)) exports.push({ exported: identifier.name, local: identifier.name });
+          }
+        } else if (declaration?.id) {
+          exports.push({ exported: declaration.id.name, local: declaration.id.name });
+        }
+        break;
+      }
+      case 'ExportDefaultDeclaration': {
+        const { declaration } = node;
+        const local = declaration.type === 'Identifier' ? declaration.name : declaration.id?.name
+          ?? (FUNCTION_TYPES.has(declaration.type) || CLASS_TYPES.has(declaration.type) ? 'default' : null);
+        exports.push({ exported: 'default', local });
+        break;
+      }
+      case 'ExportAllDeclaration':
+        exports.push({ exported: node.exported ? keyName(node.exported) : '*', imported: '*', source: node.source.value });
+        break;
+      case 'AssignmentExpression': {
+        const exported = commonJsExport(node.left);
+        if (!exported) break;
+
+        const { right } = node;
+        if (exported === 'default' && right.type === 'ObjectExpression') {
+          for (const property of right.properties) {
+            if (property.type !== 'Property' || property.computed) continue;
+            const name = keyName(property.key);
+            const local = property.value.type === 'Identifier' ? property.value.name : FUNCTION_TYPES.has(property.value.type) ? name : null;
+            exports.push({ exported: name, local });
+          }
+        } else if (right.type === 'Identifier') {
+          exports.push({ exported, local: right.name });
+        } else if (FUNCTION_TYPES.has(right.type) || CLASS_TYPES.has(right.type)) {
+          exports.push({ exported, local: right.id?.name || (exported === 'default' ? inferName(right, node) : exported) });
+        }
+        break;
+      }
+    }
+  };
+
+  const recordImports = (node) => {
+    if (node.type === 'ImportDeclaration') {
+      for (const specifier of node.specifiers) {
+        const imported = specifier.type === 'ImportDefaultSpecifier' ? 'default'
+          : specifier.type === 'ImportNamespaceSpecifier' ? '*' : keyName(specifier.imported);
+        addImport(specifier.local, imported, node.source.value, 'import');
+      }
+    } else if (node.type === 'TSImportEqualsDeclaration' && node.moduleReference.type === 'TSExternalModuleReference') {
+      addImport(node.id, '*', node.moduleReference.expression.value, 'require');
+    } else if (node.type === 'VariableDeclarator' && node.init) {
+      // const x = require('x'), const { a, b: c } = require('x'), const y = require('x').y
+      const { init, id } = node;
+      const direct = requireSource(init);
+      const viaMember = init.type === 'MemberExpression' && !init.computed ? requireSource(init.object) : null;
+      if (direct && id.type === 'Identifier') {
+        addImport(id, '*', direct, 'require');
+      } else if (direct && id.type === 'ObjectPattern') {
+        for (const property of id.properties) {
+          if (property.type === 'Property' && !property.computed && property.value.type === 'Identifier') {
+            addImport(property.value, keyName(property.key), direct, 'require');
+          }
+        }
+      } else if (viaMember && id.type === 'Identifier') {
+        addImport(id, keyName(init.property), viaMember, 'require');
+      }
+    }
+  };
+
+  const recordReference = (node, parent, grandparent) => {
+    const reference = referenceOf.get(node);
+    const variable = reference?.variable;
+    if (!variable) return;
+
+    const entry = { line: node.loc.start.line, column: node.loc.start.column + 1, caller: owner() };
+    if (definitionOf.has(variable)) {
+      entry.symbol = definitionOf.get(variable);
+    } else if (importOf.has(variable)) {
+      entry.import = variable.name;
+      // ns.name through a namespace import or a whole-module require
+      if (importOf.get(variable).imported === '*' && parent.type === 'MemberExpression' && parent.object === node && !parent.computed) {
+        entry.member = keyName(parent.property);
+        if (isCallee(parent, grandparent)) entry.call = true;
+      }
+    } else {
+      return;
+    }
+    if (isCallee(node, parent)) entry.call = true;
+    if (reference.write) entry.write = true;
+    references.push(entry);
+  };
+
+  const ancestors = [];
+  const pendingMembers = [];
+  const definedBy = new Map();
+
+  // First walk: definitions, imports and exports, so that references to
+  // names declared further down the file still find them
+  walk(program, {
+    enter(node, parent) {
+      const grandparent = ancestors.at(-2);
+      ancestors.push(node);
+
+      if (FUNCTION_TYPES.has(node.type) || CLASS_TYPES.has(node.type)) {
+        const name = node.body ? defineCallable(node, parent, grandparent) : null;
+        definedBy.set(node, name);
+        (FUNCTION_TYPES.has(node.type) ? ownerStack : classStack).push(name);
+      }
+      recordImports(node);
+      recordExports(node);
+    },
+    leave(node) {
+      ancestors.pop();
+      if (FUNCTION_TYPES.has(node.type)) ownerStack.pop();
+      else if (CLASS_TYPES.has(node.type)) classStack.pop();
+    }
+  });
+
+  for (const variable of scopes.root.variables.values()) {
+    if (TOP_LEVEL_KINDS.has(variable.kind) && !definitionOf.has(variable) && !importOf.has(variable)) {
+      define(variable.name, variable.kind, variable.definition, { variable });
+    }
+  }
+
+  // Second walk: references, now that every definition is known
+  walk(program, {
+    enter(node, parent) {
+      const grandparent = ancestors.at(-2);
+      ancestors.push(node);
+
+      if (FUNCTION_TYPES.has(node.type)) ownerStack.push(definedBy.get(node));
+      else if (CLASS_TYPES.has(node.type)) classStack.push(definedBy.get(node));
+
+      if (node.type === 'Identifier' || node.type === 'JSXIdentifier') {
+        recordReference(node, parent, grandparent);
+      } else if (node.type === 'MemberExpression') {
+        const symbol = memberOfThis(node);
+        if (symbol) {
+          pendingMembers.push({
+            line: node.property.loc.start.line,
+            column: node.property.loc.start.column + 1,
+            caller: owner(),
+            symbol,
+            ...(isCallee(node, parent) && { call: true })
+          });
+        }
+      }
+    },
+    leave(node) {
+      ancestors.pop();
+      if (FUNCTION_TYPES.has(node.type)) ownerStack.pop();
+      else if (CLASS_TYPES.has(node.type)) classStack.pop();
+    }
+  });
+
+  const defined = new Set(definitions.map(definition => definition.qualifiedName));
+  references.push(...pendingMembers.filter(reference => defined.has(reference.symbol)));
+  references.sort((a, b) => a.line - b.line || a.column - b.column);
+  definitions.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  return { definitions, imports, exports, references };
+}
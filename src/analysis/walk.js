@@ -0,0 +1,34 @@
+// Keys holding positions, comments or parser bookkeeping rather than child nodes
+const SKIPPED_KEYS = new Set(['loc', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens', 'errors']);
+
+const isNode = (value) => value !== null && typeof value === 'object' && typeof value.type === 'string';
+
+// The direct child nodes of node, in source order
+export function childNodes(node) {
+  const children = [];
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (isNode(child)) children.push(child);
+      }
+    } else if (isNode(value)) {
+      children.push(value);
+    }
+  }
+  return children;
+}
+
+// Depth-first walk over any ESTree or Babel AST, JSX and TypeScript nodes
+// included. enter(node, parent) may return false to skip a node's children.
+export function walk(node, { enter, leave }, parent = null) {
+  if (enter?.(node, parent) === false) return;
+
+  for (const child of childNodes(node)) {
+    walk(child, { enter, leave }, node);
+  }
+
+  leave?.(node, parent);
+}
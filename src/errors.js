@@ -0,0 +1,34 @@
+// Errors that carry an HTTP status so routes can answer with it directly
+export class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    Object.assign(this, details);
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(message, details) {
+    super(409, message, details);
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden', details) {
+    super(403, message, details);
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = 'Not found', details) {
+    super(404, message, details);
+  }
+}
+
+// An AI call refused because the caller's spending budget is used up
+export class BudgetExceededError extends HttpError {
+  constructor(message, details) {
+    super(429, message, details);
+  }
+}
@@ -0,0 +1,40 @@
+const defaultProjectId = (req) => req.params.id || req.body?.projectId;
+
+const defaultParams = (req) => ({ ...req.params, ...req.query, ...req.body });
+
+// Records one audit entry per request once the response is done. Handlers can
+// fill in what's only known after they run through res.locals.audit
+// ({ actor, projectId, params }); error messages are taken from the JSON body.
+export function createAuditMiddleware(auditLogger) {
+  return function audit(action, { projectId = defaultProjectId, params = defaultParams } = {}) {
+    return (req, res, next) => {
+      const routeParams = req.params;
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (body?.success === false) res.locals.auditError = body.error;
+        return json(body);
+      };
+
+      res.once('close', () => {
+        req.params = routeParams;
+        const extra = res.locals.audit || {};
+        const user = extra.actor || req.user;
+        const outcome = !res.writableFinished ? 'aborted' : res.statusCode < 400 ? 'success' : 'failure';
+
+        auditLogger.record({
+          action,
+          actor: user ? { id: user.id, email: user.email, apiKeyId: req.apiKey?.id } : null,
+          ip: req.ip,
+          projectId: extra.projectId || projectId(req),
+          params: { ...params(req), ...extra.params },
+          outcome,
+          status: res.statusCode,
+          error: res.locals.auditError
+        }).catch(error => console.error('Audit log error:', error));
+      });
+
+      next();
+    };
+  };
+}
@@ -0,0 +1,60 @@
+import { isApiKey } from '../services/ApiKeyManager.js';
+
+// Puts the authenticated user on req.user for every request carrying a valid
+// "Authorization: Bearer <access token>" header, and answers 401 otherwise.
+// API keys are accepted the same way (or via X-API-Key); those requests also
+// get req.apiKey so routes can check its scopes.
+export function createAuthMiddleware(userManager, apiKeyManager) {
+  return async function authenticate(req, res, next) {
+    const [scheme, bearer] = (req.get('Authorization') || '').split(' ');
+    const token = req.get('X-API-Key') || (scheme === 'Bearer' ? bearer : null);
+    if (!token) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    try {
+      let user;
+      if (isApiKey(token)) {
+        const apiKey = await apiKeyManager.verifyKey(token, { ip: req.ip });
+        user = await userManager.getUser(apiKey.userId);
+        if (!user) {
+          return res.status(401).json({ success: false, error: 'Invalid API key' });
+        }
+        req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+      } else {
+        user = await userManager.verifyToken(token, 'access');
+      }
+
+      req.user = { id: user.id, email: user.email, name: user.name, role: user.role };
+      next();
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// Logged-in users may do anything their role allows; API keys only what their
+// scopes list
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ success: false, error: `API key is missing the ${scope} scope` });
+    }
+    next();
+  };
+}
+
+// For routes API keys must never reach, such as managing keys themselves
+export function requireSession(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({ success: false, error: 'This endpoint requires a logged-in session' });
+  }
+  next();
+}
+
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ success: false, error: 'Admin access required' });
+  }
+  next();
+}
@@ -1,16 +1,68 @@
+import { BudgetExceededError } from '../errors.js';
+import { REDACTION_PATTERN, maskSecrets } from '../analysis/secrets.js';
+
+const MODEL = 'gpt-4o-mini';
+const MAX_PROMPT_VULNERABILITIES = 10;
+const MAX_PROMPT_HOTSPOTS = 5;
+const MAX_PROMPT_ISSUES = 15;
+const MAX_PROMPT_GRAPH_PROBLEMS = 10;
+const ISSUE_SEVERITY_ORDER = ['error', 'warning', 'info'];
+const MAX_PROMPT_DEFINITIONS = 5;
+
 export class AIAnalyzer {
-  constructor(openaiClient) {
+  // openaiClient is the server-wide default. With a credentialVault, calls made
+  // for a user who stored their own OpenAI key go through createClient(key).
+  // A usageMeter records every call and enforces budgets on the server key.
+  // A symbolIndex adds the code of functions the bug description names.
+  constructor(openaiClient, { credentialVault, createClient, usageMeter, symbolIndex } = {}) {
     this.openai = openaiClient;
+    this.credentialVault = credentialVault;
+    this.createClient = createClient;
+    this.usageMeter = usageMeter;
+    this.symbolIndex = symbolIndex;
+  }
+
+  async getClient(userId) {
+    const userKey = await this.credentialVault?.getCredential(userId, 'openai');
+    if (userKey && this.createClient) {
+      return { client: this.createClient(userKey), source: 'user' };
+    }
+    if (!this.openai) {
+      throw new Error('No OpenAI credential configured');
+    }
+    if (userId) {
+      await this.usageMeter?.assertWithinBudget(userId);
+    }
+    return { client: this.openai, source: 'server' };
   }
 
-  async analyzeBug({ projectData, bugDescription, aiProvider = 'openai' }) {
+  // Metering must never fail the AI call it describes
+  async recordUsage({ userId, projectId, operation, response, source }) {
+    if (!this.usageMeter || !userId) return;
+
+    try {
+      await this.usageMeter.record({
+        userId,
+        projectId,
+        operation,
+        model: response.model || MODEL,
+        usage: response.usage,
+        credentialSource: source
+      });
+    } catch (error) {
+      console.error('Usage metering error:', error);
+    }
+  }
+
+  async analyzeBug({ projectData, bugDescription, aiProvider = 'openai', userId }) {
     console.log('🔍 AI analyzing bug for project:', projectData.name);
 
     try {
-      const prompt = this.createAnalysisPrompt(projectData, bugDescription);
-      
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const { prompt } = this.prepareAnalysisPrompt(projectData, bugDescription);
+      const { client, source } = await this.getClient(userId);
+
+      const response = await client.chat.completions.create({
+        model: MODEL,
         messages: [
           {
             role: 'system',
@@ -25,10 +77,13 @@ export class AIAnalyzer {
         max_tokens: 2000
       });
 
+      await this.recordUsage({ userId, projectId: projectData.id, operation: 'analyze', response, source });
+
       const analysis = this.parseAnalysisResponse(response.choices[0].message.content);
       return analysis;
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
       console.error('AI analysis error:', error);
       
       // Return mock analysis if AI fails
@@ -54,11 +109,56 @@ export class AIAnalyzer {
     }
   }
 
-  createAnalysisPrompt(projectData, bugDescription) {
-    const fileContents = projectData.files?.slice(0, 3).map(f => 
-      `File: ${f.name}\n${f.content.slice(0, 1000)}...`
+  // The prompt analyzeBug sends, and how many secrets of each kind were masked
+  // in it, e.g. [{ rule: 'aws-access-key-id', count: 2 }]
+  prepareAnalysisPrompt(projectData, bugDescription) {
+    const definitions = this.findMentionedDefinitions(projectData, bugDescription);
+    return this.redact(this.createAnalysisPrompt(projectData, bugDescription, { definitions }));
+  }
+
+  // A last pass over a whole prompt for secrets that aren't in the project's
+  // files, such as a key pasted into the bug description
+  redact(text) {
+    const { content } = maskSecrets(text);
+    const counts = {};
+    for (const [, rule] of content.matchAll(REDACTION_PATTERN)) counts[rule] = (counts[rule] || 0) + 1;
+    return { prompt: content, redactions: Object.entries(counts).map(([rule, count]) => ({ rule, count })) };
+  }
+
+  // Like metering, the symbol lookup only enriches the prompt and must not
+  // fail the analysis
+  findMentionedDefinitions(projectData, bugDescription) {
+    if (!this.symbolIndex || !bugDescription) return [];
+
+    try {
+      return this.symbolIndex.mentionedIn(projectData, bugDescription, { limit: MAX_PROMPT_DEFINITIONS });
+    } catch (error) {
+      console.error('Symbol lookup error:', error);
+      return [];
+    }
+  }
+
+  createAnalysisPrompt(projectData, bugDescription, { definitions = [] } = {}) {
+    // Files are masked whole before being cut down, so no secret is sent half
+    // masked; masking keeps line breaks, so snippets still line up
+    const masked = new Map();
+    const maskedLines = (name) => {
+      const file = projectData.files?.find(f => f.name === name);
+      if (file && !masked.has(name)) masked.set(name, maskSecrets(file.content).content.split('\n'));
+      return masked.get(name) || null;
+    };
+
+    // Lockfiles are only kept for dependency extraction
+    const fileContents = projectData.files?.filter(f => !f.flags?.includes('lockfile')).slice(0, 3).map(f => 
+      `File: ${f.name}\n${maskedLines(f.name).join('\n').slice(0, 1000)}...`
     ).join('\n\n') || 'No file contents available';
 
+    const vulnerabilities = this.formatVulnerabilities(projectData.vulnerabilities);
+    const hotspots = this.formatHotspots(projectData.hotspots);
+    const issues = this.formatIssues(projectData.files);
+    const graphProblems = this.formatModuleGraph(projectData.moduleGraph);
+    const mentioned = this.formatDefinitions(definitions, maskedLines);
+
     return `
 Analyze this ${projectData.projectType} project for bugs:
 
@@ -73,7 +173,22 @@ ${bugDescription || 'Please analyze the code for potential bugs and issues.'}
 
 CODE SAMPLE:
 ${fileContents}
-
+${mentioned ? `
+DEFINITIONS MENTIONED IN THE BUG DESCRIPTION:
+${mentioned}
+` : ''}${hotspots ? `
+COMPLEXITY HOT SPOTS (most complex functions; bugs are more likely here):
+${hotspots}
+` : ''}${issues ? `
+STATIC ANALYSIS FINDINGS (from built-in rules; use them as evidence):
+${issues}
+` : ''}${graphProblems ? `
+MODULE GRAPH PROBLEMS (broken imports and cycles that load modules half-initialized):
+${graphProblems}
+` : ''}${vulnerabilities ? `
+KNOWN VULNERABLE DEPENDENCIES (from the advisory database; consider them as possible causes):
+${vulnerabilities}
+` : ''}
 Provide a JSON response with:
 1. Root cause analysis
 2. Severity assessment (low/medium/high/critical)
@@ -85,6 +200,74 @@ Format as valid JSON with rootCause, severity, impact, fixes array, and testingS
 `;
   }
 
+  // One line per finding, most severe first, e.g.
+  // "- lodash@4.17.15 (npm): GHSA-p6mc-m468-83gw, high - Prototype Pollution; fixed in 4.17.19"
+  formatVulnerabilities(vulnerabilities) {
+    const findings = vulnerabilities?.findings || [];
+    if (findings.length === 0) return '';
+
+    const lines = findings.slice(0, MAX_PROMPT_VULNERABILITIES).map(finding =>
+      `- ${finding.package}@${finding.version} (${finding.ecosystem}): ${finding.advisoryId}, ${finding.severity}` +
+      `${finding.summary ? ` - ${finding.summary}` : ''}${finding.fixedVersion ? `; fixed in ${finding.fixedVersion}` : '; no fix released'}`
+    );
+    if (findings.length > MAX_PROMPT_VULNERABILITIES) {
+      lines.push(`- ...and ${findings.length - MAX_PROMPT_VULNERABILITIES} more`);
+    }
+    return lines.join('\n');
+  }
+
+  // Each definition's source under a header line, e.g.
+  // "--- src/cart.js:42-97 Cart.checkout (method)", taken from linesOf(file)
+  // (the masked file) when given
+  formatDefinitions(definitions, linesOf = () => null) {
+    return (definitions || []).slice(0, MAX_PROMPT_DEFINITIONS).map(definition => {
+      const { snippet } = definition;
+      const lines = linesOf(definition.file);
+      const code = lines ? lines.slice(snippet.startLine - 1, snippet.endLine).join('\n') : maskSecrets(snippet.code).content;
+      return `--- ${definition.file}:${snippet.startLine}-${snippet.endLine} ${definition.qualifiedName} (${definition.kind})\n` +
+        `${code}${snippet.truncated ? '\n...' : ''}`;
+    }).join('\n\n');
+  }
+
+  // e.g. "- src/cart.js:42-97 checkout: cognitive 31, cyclomatic 18, nesting 5, 3 params"
+  formatHotspots(hotspots) {
+    return (hotspots || []).slice(0, MAX_PROMPT_HOTSPOTS).map(hotspot =>
+      `- ${hotspot.file}:${hotspot.line}-${hotspot.endLine} ${hotspot.name}: cognitive ${hotspot.cognitive}, ` +
+      `cyclomatic ${hotspot.cyclomatic}, nesting ${hotspot.maxNesting}, ${hotspot.params} params`
+    ).join('\n');
+  }
+
+  // Rule findings across all files, errors first, e.g.
+  // "- src/api.js:12:3 floating-promise (error): Promise returned by save() is ..."
+  formatIssues(files) {
+    const issues = (files || [])
+      .flatMap(file => (file.analysis?.potentialIssues || []).map(issue => ({ ...issue, file: file.name })))
+      .sort((a, b) => ISSUE_SEVERITY_ORDER.indexOf(a.severity) - ISSUE_SEVERITY_ORDER.indexOf(b.severity));
+    if (issues.length === 0) return '';
+
+    const lines = issues.slice(0, MAX_PROMPT_ISSUES).map(issue =>
+      `- ${issue.file}:${issue.line}:${issue.column} ${issue.rule} (${issue.severity}): ${issue.message}`
+    );
+    if (issues.length > MAX_PROMPT_ISSUES) {
+      lines.push(`- ...and ${issues.length - MAX_PROMPT_ISSUES} more`);
+    }
+    return lines.join('\n');
+  }
+
+  // e.g. "- unresolved: src/app.js:3 imports './util/date' (no such file in the project)"
+  //      "- cycle: src/a.js -> src/b.js -> src/a.js"
+  formatModuleGraph(moduleGraph) {
+    const problems = [
+      ...(moduleGraph?.unresolved || []).map(entry =>
+        `- unresolved: ${entry.from}${entry.line ? `:${entry.line}` : ''} imports '${entry.source}' (${entry.reason})`),
+      ...(moduleGraph?.cycles || []).map(cycle => `- cycle: ${cycle.path.join(' -> ')}`)
+    ];
+    if (problems.length > MAX_PROMPT_GRAPH_PROBLEMS) {
+      return [...problems.slice(0, MAX_PROMPT_GRAPH_PROBLEMS), `- ...and ${problems.length - MAX_PROMPT_GRAPH_PROBLEMS} more`].join('\n');
+    }
+    return problems.join('\n');
+  }
+
   parseAnalysisResponse(response) {
     try {
       // Try to parse as JSON first
@@ -156,7 +339,7 @@ Format as valid JSON with rootCause, severity, impact, fixes array, and testingS
     };
   }
 
-  async generateImplementation({ projectData, fix, customInstructions, aiProvider = 'openai' }) {
+  async generateImplementation({ projectData, fix, customInstructions, aiProvider = 'openai', userId }) {
     console.log('⚡ Generating implementation for fix:', fix.title);
 
     try {
@@ -174,8 +357,9 @@ Project context: ${projectData.name} (${projectData.projectType})
 Provide specific code changes with file names and exact implementations.
 `;
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const { client, source } = await this.getClient(userId);
+      const response = await client.chat.completions.create({
+        model: MODEL,
         messages: [
           {
             role: 'system',
@@ -183,16 +367,19 @@ Provide specific code changes with file names and exact implementations.
           },
           {
             role: 'user',
-            content: prompt
+            content: maskSecrets(prompt).content
           }
         ],
         temperature: 0.2,
         max_tokens: 1500
       });
 
+      await this.recordUsage({ userId, projectId: projectData.id, operation: 'implement', response, source });
+
       return response.choices[0].message.content;
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
       console.error('Implementation generation error:', error);
       return `
 Implementation for: ${fix.title}
@@ -0,0 +1,126 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { createCollection } from '../storage/index.js';
+import { HttpError, NotFoundError } from '../errors.js';
+import { KeyedLock } from '../utils/KeyedLock.js';
+
+export const API_KEY_SCOPES = [
+  'projects:read',
+  'projects:upload',
+  'ai:analyze',
+  'ai:implement',
+  'implementation:apply'
+];
+
+const KEY_PREFIX = 'dfk';
+const KEY_PATTERN = /^dfk_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+const DEFAULT_TTL_DAYS = 90;
+const MAX_TTL_DAYS = 365;
+const DAY = 24 * 60 * 60 * 1000;
+
+// lastUsedAt is only rewritten when older than this, so busy CI keys don't
+// turn every request into a write
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashSecret = (secret) => createHash('sha256').update(secret).digest();
+
+export const isApiKey = (value) => typeof value === 'string' && value.startsWith(`${KEY_PREFIX}_`);
+
+export class ApiKeyManager {
+  constructor({ keys = createCollection('api-keys') } = {}) {
+    this.keys = keys;
+    this.ready = this.keys.init();
+    this.locks = new KeyedLock();
+  }
+
+  // Returns the plaintext key exactly once; only its hash is stored
+  async createKey(user, { name, scopes, expiresInDays = DEFAULT_TTL_DAYS }) {
+    await this.ready;
+
+    if (!name || !String(name).trim()) {
+      throw new HttpError(400, 'Key name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      throw new HttpError(400, `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_TTL_DAYS) {
+      throw new HttpError(400, `expiresInDays must be between 1 and ${MAX_TTL_DAYS}`);
+    }
+
+    const id = randomBytes(8).toString('hex');
+    const secret = randomBytes(32).toString('base64url');
+    const record = {
+      id,
+      userId: user.id,
+      name: String(name).trim(),
+      scopes: [...new Set(scopes)],
+      secretHash: hashSecret(secret).toString('hex'),
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + days * DAY).toISOString(),
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null
+    };
+
+    await this.keys.put(record);
+    console.log('🔑 API key created:', id);
+    return { apiKey: this.toPublic(record), key: `${KEY_PREFIX}_${id}_${secret}` };
+  }
+
+  async listKeys(userId) {
+    await this.ready;
+    const keys = await this.keys.find(key => key.userId === userId);
+    return keys
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(key => this.toPublic(key));
+  }
+
+  async revokeKey(userId, keyId) {
+    await this.ready;
+
+    return this.locks.run(keyId, async () => {
+      const key = await this.keys.get(keyId);
+      if (!key || key.userId !== userId) {
+        throw new NotFoundError('API key not found');
+      }
+
+      const revoked = { ...key, revokedAt: key.revokedAt || new Date().toISOString() };
+      await this.keys.put(revoked);
+      console.log('🔑 API key revoked:', keyId);
+      return this.toPublic(revoked);
+    });
+  }
+
+  // Resolves a presented key to its stored record, or throws 401
+  async verifyKey(rawKey, { ip } = {}) {
+    await this.ready;
+
+    const match = KEY_PATTERN.exec(String(rawKey));
+    const record = match ? await this.keys.get(match[1]) : null;
+    const valid = record && timingSafeEqual(hashSecret(match[2]), Buffer.from(record.secretHash, 'hex'));
+    if (!valid) {
+      throw new HttpError(401, 'Invalid API key');
+    }
+    if (record.revokedAt) {
+      throw new HttpError(401, 'API key has been revoked');
+    }
+    if (record.expiresAt <= new Date().toISOString()) {
+      throw new HttpError(401, 'API key has expired');
+    }
+
+    if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+      await this.locks.run(record.id, async () => {
+        const current = await this.keys.get(record.id);
+        await this.keys.put({ ...current, lastUsedAt: new Date().toISOString(), lastUsedIp: ip || null });
+      });
+    }
+
+    return record;
+  }
+
+  toPublic(record) {
+    const { secretHash, ...publicKey } = record;
+    return { ...publicKey, prefix: `${KEY_PREFIX}_${record.id}` };
+  }
+}
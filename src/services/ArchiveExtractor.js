@@ -0,0 +1,219 @@
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { promisify } from 'util';
+import tar from 'tar-stream';
+import yauzl from 'yauzl';
+import { HttpError } from '../errors.js';
+
+export const ARCHIVE_PATTERN = /\.(zip|tar\.gz|tgz)$/i;
+
+// Guards against zip bombs and oversized uploads. Tarballs are measured after
+// decompression, so skipped entries count towards MAX_TOTAL_BYTES as well.
+const MAX_ENTRIES = 5000;
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 200 * 1024 * 1024;
+const MAX_COMPRESSION_RATIO = 100;
+const RATIO_CHECK_MIN_BYTES = 1024 * 1024;
+
+const IGNORED_ENTRIES = /(^|\/)(__MACOSX\/|\.DS_Store$)/;
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+
+const openZip = promisify(yauzl.open);
+
+// Archive entry names become project-relative paths. Anything absolute or
+// climbing out of the archive root is rejected outright.
+export function normalizeEntryPath(name) {
+  const normalized = String(name).replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[A-Za-z]:/.test(normalized)) {
+    throw new HttpError(400, `Archive entry has an absolute path: ${name}`);
+  }
+
+  const segments = normalized.split('/').filter(segment => segment && segment !== '.');
+  if (segments.includes('..')) {
+    throw new HttpError(400, `Archive entry escapes the archive root: ${name}`);
+  }
+  return segments.join('/');
+}
+
+// GitHub-style archives wrap everything in one folder (repo-main/...); drop it
+// so root files like package.json sit at the project root. Skipped entries
+// count too, so a lone kept folder isn't mistaken for such a wrapper.
+function stripCommonRoot({ files, skipped, entryPaths }) {
+  const roots = new Set(entryPaths.map(entryPath => entryPath.split('/')[0]));
+  if (roots.size !== 1 || entryPaths.some(entryPath => !entryPath.includes('/'))) {
+    return { files, skipped };
+  }
+
+  const strip = (value) => value.slice(value.indexOf('/') + 1);
+  return {
+    files: files.map(file => ({ ...file, originalname: strip(file.originalname) })),
+    skipped: skipped.map(entry => ({ ...entry, path: strip(entry.path) }))
+  };
+}
+
+function byteLimit(limit, message) {
+  let total = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      callback(total > limit ? new HttpError(413, message) : null, chunk);
+    }
+  });
+}
+
+/*
+ * Unpacks .zip and .tar.gz uploads into the upload directory. Entries are
+ * written under generated names, never under their archive path, and only
+ * regular files matching `accept` are kept; the rest are reported as skipped.
+ */
+export class ArchiveExtractor {
+  constructor({ uploadDir = path.join(process.cwd(), 'uploads'), accept = () => true } = {}) {
+    this.uploadDir = uploadDir;
+    this.accept = accept;
+  }
+
+  // Returns { files, skipped } where files look like multer uploads
+  async extract(archivePath, originalName) {
+    await fs.ensureDir(this.uploadDir);
+
+    const state = { files: [], skipped: [], entryPaths: [], totalBytes: 0 };
+    try {
+      if (/\.zip$/i.test(originalName)) {
+        await this.extractZip(archivePath, state);
+      } else {
+        await this.extractTarGz(archivePath, state);
+      }
+    } catch (error) {
+      await Promise.all(state.files.map(file => fs.remove(file.path)));
+      if (error.status) throw error;
+      throw new HttpError(400, `Archive ${originalName} could not be read: ${error.message}`);
+    }
+
+    console.log(`🗜️ Extracted ${state.files.length} file(s) from ${originalName}`);
+    return stripCommonRoot(state);
+  }
+
+  // Decides what happens to one entry: null to keep it, or a skip reason
+  checkEntry(relativePath, { isFile, size }, state) {
+    state.entryPaths.push(relativePath);
+    if (state.entryPaths.length > MAX_ENTRIES) {
+      throw new HttpError(413, `Archive has more than ${MAX_ENTRIES} entries`);
+    }
+
+    if (!isFile) return 'not a regular file';
+    if (!this.accept(relativePath)) return 'unsupported file type';
+    if (size > MAX_FILE_BYTES) return 'file too large';
+    return null;
+  }
+
+  async writeEntry(relativePath, stream, state) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const storedPath = path.join(this.uploadDir, `archive-${uniqueSuffix}${path.extname(relativePath)}`);
+    const file = { path: storedPath, originalname: relativePath, size: 0 };
+    state.files.push(file);
+
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        file.size += chunk.length;
+        state.totalBytes += chunk.length;
+        if (file.size > MAX_FILE_BYTES || state.totalBytes > MAX_TOTAL_BYTES) {
+          callback(new HttpError(413, 'Archive expands to more data than allowed'));
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+    await pipeline(stream, counter, fs.createWriteStream(storedPath));
+  }
+
+  async extractTarGz(archivePath, state) {
+    const extract = tar.extract();
+
+    const reading = (async () => {
+      for await (const entry of extract) {
+        const { name, type, size } = entry.header;
+        const relativePath = normalizeEntryPath(name);
+        if (type === 'directory' || !relativePath || IGNORED_ENTRIES.test(relativePath)) {
+          entry.resume();
+          continue;
+        }
+
+        const reason = this.checkEntry(relativePath, { isFile: type === 'file', size }, state);
+        if (reason) {
+          state.skipped.push({ path: relativePath, reason });
+          entry.resume();
+          continue;
+        }
+        await this.writeEntry(relativePath, entry, state);
+      }
+    })();
+
+    try {
+      await Promise.all([
+        pipeline(
+          fs.createReadStream(archivePath),
+          zlib.createGunzip(),
+          byteLimit(MAX_TOTAL_BYTES, 'Archive expands to more data than allowed'),
+          extract
+        ),
+        reading
+      ]);
+    } catch (error) {
+      extract.destroy();
+      throw error;
+    }
+  }
+
+  async extractZip(archivePath, state) {
+    const zip = await openZip(archivePath, { lazyEntries: true, validateEntrySizes: true });
+
+    try {
+      await new Promise((resolve, reject) => {
+        zip.on('error', reject);
+        zip.on('end', resolve);
+        zip.on('entry', async (entry) => {
+          try {
+            await this.handleZipEntry(zip, entry, state);
+            zip.readEntry();
+          } catch (error) {
+            reject(error);
+          }
+        });
+        zip.readEntry();
+      });
+    } finally {
+      zip.close();
+    }
+  }
+
+  async handleZipEntry(zip, entry, state) {
+    const relativePath = normalizeEntryPath(entry.fileName);
+    if (entry.fileName.endsWith('/') || !relativePath || IGNORED_ENTRIES.test(relativePath)) return;
+
+    // Entries made on Unix may carry a file type; symlinks and the like are skipped
+    const madeOnUnix = (entry.versionMadeBy >> 8) === 3;
+    const fileType = (entry.externalFileAttributes >>> 16) & S_IFMT;
+    const isFile = !madeOnUnix || fileType === 0 || fileType === S_IFREG;
+
+    const reason = this.checkEntry(relativePath, { isFile, size: entry.uncompressedSize }, state);
+    if (reason) {
+      state.skipped.push({ path: relativePath, reason });
+      return;
+    }
+
+    if (entry.uncompressedSize > RATIO_CHECK_MIN_BYTES
+      && entry.uncompressedSize > entry.compressedSize * MAX_COMPRESSION_RATIO) {
+      throw new HttpError(400, `Archive entry ${relativePath} has a suspicious compression ratio`);
+    }
+    if (state.totalBytes + entry.uncompressedSize > MAX_TOTAL_BYTES) {
+      throw new HttpError(413, 'Archive expands to more data than allowed');
+    }
+
+    const stream = await promisify(zip.openReadStream.bind(zip))(entry);
+    await this.writeEntry(relativePath, stream, state);
+  }
+}
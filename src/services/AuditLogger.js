@@ -0,0 +1,70 @@
+import { randomBytes } from 'crypto';
+import { createAuditLog } from '../storage/index.js';
+import { normalizeAuditQuery } from '../storage/auditQuery.js';
+
+const REDACTED_KEYS = /^(password|token|accesstoken|refreshtoken|secret|apikey|key|credential)$/i;
+const MAX_STRING_LENGTH = 500;
+const MAX_ARRAY_ITEMS = 20;
+const MAX_DEPTH = 4;
+
+// Entries sharing a millisecond are ordered by id, so ids carry a per-process
+// sequence number to keep them in the order they were recorded
+let sequence = 0;
+const nextEntryId = (now) =>
+  `${now.getTime().toString(36)}-${String(sequence++ % 1e8).padStart(8, '0')}-${randomBytes(4).toString('hex')}`;
+
+// Request parameters are stored for context, never secrets or whole payloads
+export function sanitizeParams(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+
+  if (Array.isArray(value)) {
+    return value.slice(0, MAX_ARRAY_ITEMS).map(item => sanitizeParams(item, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    REDACTED_KEYS.test(key) ? '[redacted]' : sanitizeParams(item, depth + 1)
+  ]));
+}
+
+export class AuditLogger {
+  constructor({ log = createAuditLog() } = {}) {
+    this.log = log;
+    this.ready = this.log.init();
+  }
+
+  async record({ action, actor, ip, projectId, params, outcome, status, error }) {
+    await this.ready;
+
+    const now = new Date();
+    const entry = {
+      id: nextEntryId(now),
+      timestamp: now.toISOString(),
+      action,
+      actor: actor || null,
+      ip: ip || null,
+      projectId: projectId || null,
+      params: sanitizeParams(params || {}),
+      outcome,
+      status: status ?? null,
+      error: error || null
+    };
+
+    await this.log.append(entry);
+    return entry;
+  }
+
+  async query(options) {
+    await this.ready;
+    return this.log.query(normalizeAuditQuery(options));
+  }
+
+  async *export(options) {
+    await this.ready;
+    yield* this.log.iterate(normalizeAuditQuery(options));
+  }
+}
@@ -0,0 +1,268 @@
+import axios from 'axios';
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import { createCollection } from '../storage/index.js';
+import { HttpError, NotFoundError } from '../errors.js';
+import { KeyedLock } from '../utils/KeyedLock.js';
+
+const TEST_TIMEOUT_MS = 10000;
+
+// Integrations offered on the Settings page. envVar is the server-wide
+// default used when a user hasn't stored their own credential.
+export const INTEGRATIONS = {
+  openai: {
+    label: 'OpenAI',
+    envVar: 'OPENAI_API_KEY',
+    test: async (token) => {
+      const { data } = await axios.get('https://api.openai.com/v1/models', {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: TEST_TIMEOUT_MS
+      });
+      return `${data.data?.length ?? 0} models available`;
+    }
+  },
+  claude: {
+    label: 'Claude',
+    envVar: 'ANTHROPIC_API_KEY',
+    test: async (token) => {
+      const { data } = await axios.get('https://api.anthropic.com/v1/models', {
+        headers: { 'x-api-key': token, 'anthropic-version': '2023-06-01' },
+        timeout: TEST_TIMEOUT_MS
+      });
+      return `${data.data?.length ?? 0} models available`;
+    }
+  },
+  gemini: {
+    label: 'Google Gemini',
+    envVar: 'GEMINI_API_KEY',
+    test: async (token) => {
+      const { data } = await axios.get('https://generativelanguage.googleapis.com/v1beta/models', {
+        params: { key: token },
+        timeout: TEST_TIMEOUT_MS
+      });
+      return `${data.models?.length ?? 0} models available`;
+    }
+  },
+  github: {
+    label: 'GitHub',
+    envVar: 'GITHUB_TOKEN',
+    test: async (token) => {
+      const { data } = await axios.get('https://api.github.com/user', {
+        headers: { Authorization: `Bearer ${token}`, Accept: 'application/vnd.github+json' },
+        timeout: TEST_TIMEOUT_MS
+      });
+      return `Authenticated as ${data.login}`;
+    }
+  },
+  vercel: {
+    label: 'Vercel',
+    envVar: 'VERCEL_TOKEN',
+    test: async (token) => {
+      const { data } = await axios.get('https://api.vercel.com/v2/user', {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: TEST_TIMEOUT_MS
+      });
+      return `Authenticated as ${data.user?.username || data.user?.email}`;
+    }
+  },
+  netlify: {
+    label: 'Netlify',
+    envVar: 'NETLIFY_TOKEN',
+    test: async (token) => {
+      const { data } = await axios.get('https://api.netlify.com/api/v1/user', {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: TEST_TIMEOUT_MS
+      });
+      return `Authenticated as ${data.email}`;
+    }
+  }
+};
+
+// CREDENTIALS_ENCRYPTION_KEY holds 32 bytes as 64 hex characters or base64
+function parseEncryptionKey(value) {
+  if (!value) return null;
+
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+}
+
+/*
+ * Stores each user's integration tokens encrypted with AES-256-GCM. Every
+ * ciphertext is bound to its user and integration through the GCM additional
+ * data, so a stored value can't be copied onto another account.
+ */
+export class CredentialVault {
+  constructor({
+    records = createCollection('credentials'),
+    encryptionKey = process.env.CREDENTIALS_ENCRYPTION_KEY
+  } = {}) {
+    this.records = records;
+    this.key = parseEncryptionKey(encryptionKey);
+    this.ready = this.records.init();
+    this.locks = new KeyedLock();
+
+    if (!this.key) {
+      console.warn('⚠️ CREDENTIALS_ENCRYPTION_KEY is not set; per-user credentials are disabled.');
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.key);
+  }
+
+  assertIntegration(integration) {
+    if (!Object.hasOwn(INTEGRATIONS, integration)) {
+      throw new NotFoundError(`Unknown integration: ${integration}`);
+    }
+  }
+
+  assertEnabled() {
+    if (!this.enabled) {
+      throw new HttpError(503, 'Credential storage is not configured on this server');
+    }
+  }
+
+  encrypt(userId, integration, plaintext) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', this.key, iv);
+    cipher.setAAD(Buffer.from(`${userId}:${integration}`));
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+  }
+
+  decrypt(userId, integration, envelope) {
+    const [version, iv, tag, ciphertext] = envelope.split(':');
+    if (version !== 'v1') {
+      throw new Error(`Unsupported credential format: ${version}`);
+    }
+
+    const decipher = createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(`${userId}:${integration}`));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  // Status of every integration for the Settings page; never includes secrets
+  async listCredentials(userId) {
+    await this.ready;
+    const record = await this.records.get(userId);
+
+    return Object.entries(INTEGRATIONS).map(([integration, { label, envVar }]) => {
+      const stored = record?.integrations?.[integration];
+      return {
+        integration,
+        label,
+        configured: Boolean(stored),
+        hint: stored?.hint || null,
+        updatedAt: stored?.updatedAt || null,
+        lastTest: stored?.lastTest || null,
+        serverDefault: Boolean(process.env[envVar])
+      };
+    });
+  }
+
+  async setCredential(userId, integration, token) {
+    this.assertIntegration(integration);
+    this.assertEnabled();
+    if (typeof token !== 'string' || !token.trim()) {
+      throw new HttpError(400, 'A token is required');
+    }
+
+    const value = token.trim();
+    await this.updateRecord(userId, integrations => {
+      integrations[integration] = {
+        ciphertext: this.encrypt(userId, integration, value),
+        hint: value.length > 8 ? `…${value.slice(-4)}` : '…',
+        updatedAt: new Date().toISOString(),
+        lastTest: null
+      };
+    });
+    console.log(`🔐 ${INTEGRATIONS[integration].label} credential stored for user:`, userId);
+  }
+
+  async removeCredential(userId, integration) {
+    this.assertIntegration(integration);
+
+    let removed = false;
+    await this.updateRecord(userId, integrations => {
+      removed = Boolean(integrations[integration]);
+      delete integrations[integration];
+    });
+    if (removed) {
+      console.log(`🔐 ${INTEGRATIONS[integration].label} credential removed for user:`, userId);
+    }
+    return removed;
+  }
+
+  async getCredential(userId, integration) {
+    if (!this.enabled || !userId) return null;
+    await this.ready;
+
+    const stored = (await this.records.get(userId))?.integrations?.[integration];
+    if (!stored) return null;
+
+    try {
+      return this.decrypt(userId, integration, stored.ciphertext);
+    } catch (error) {
+      console.error(`Could not decrypt ${integration} credential for user ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  // The user's own credential when stored, else the server default from .env
+  async resolveCredential(userId, integration) {
+    this.assertIntegration(integration);
+
+    const token = await this.getCredential(userId, integration);
+    if (token) return { token, source: 'user' };
+
+    const fallback = process.env[INTEGRATIONS[integration].envVar];
+    return fallback ? { token: fallback, source: 'server' } : { token: null, source: 'none' };
+  }
+
+  // Tests a candidate token when given, otherwise the stored one. Results for
+  // stored tokens are kept so the Settings page can show them.
+  async testConnection(userId, integration, candidateToken) {
+    this.assertIntegration(integration);
+
+    const token = candidateToken || await this.getCredential(userId, integration);
+    if (!token) {
+      throw new HttpError(400, `No ${INTEGRATIONS[integration].label} credential to test`);
+    }
+
+    let result;
+    try {
+      const message = await INTEGRATIONS[integration].test(token);
+      result = { ok: true, message, testedAt: new Date().toISOString() };
+    } catch (error) {
+      const status = error.response?.status;
+      result = {
+        ok: false,
+        message: status === 401 || status === 403 ? 'Credential was rejected' : `Connection failed: ${error.message}`,
+        testedAt: new Date().toISOString()
+      };
+    }
+
+    if (!candidateToken) {
+      await this.updateRecord(userId, integrations => {
+        if (integrations[integration]) integrations[integration].lastTest = result;
+      });
+    }
+    return result;
+  }
+
+  async updateRecord(userId, mutate) {
+    await this.ready;
+
+    return this.locks.run(userId, async () => {
+      const record = (await this.records.get(userId)) || { id: userId, integrations: {} };
+      mutate(record.integrations);
+      record.updatedAt = new Date().toISOString();
+      await this.records.put(record);
+      return record;
+    });
+  }
+}
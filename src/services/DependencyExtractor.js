@@ -0,0 +1,548 @@
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { parse as parseToml } from 'smol-toml';
+
+// Ecosystem names follow OSV (https://ossf.github.io/osv-schema/) so entries
+// can be matched against advisories as they are
+const NPM = 'npm';
+const PYPI = 'PyPI';
+const MAVEN = 'Maven';
+const RUBYGEMS = 'RubyGems';
+const GO = 'Go';
+const CRATES = 'crates.io';
+
+const EXACT_SEMVER = /^v?\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+const REQUIREMENTS_FILE = /(^|[-_.])requirements([-_.][\w-]+)?\.(txt|in)$/i;
+const REQUIREMENTS_DIR_FILE = /(^|\/)requirements\/[\w.-]+\.(txt|in)$/i;
+const DEV_FILE = /(^|[-_./])(dev|test|tests|testing|lint|docs?)([-_./]|$)/i;
+
+const npmExact = (range) => (EXACT_SEMVER.test(range || '') ? range.replace(/^v/, '') : null);
+
+// PEP 503 normalized name, as used by PyPI and OSV
+const pypiName = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+const devGroup = (group) => /dev|test|lint|doc|type/i.test(group);
+
+// --- npm / yarn / pnpm ---
+
+function parsePackageJson(content) {
+  const manifest = JSON.parse(content);
+  const sections = [
+    ['dependencies', 'prod'],
+    ['optionalDependencies', 'prod'],
+    ['devDependencies', 'dev']
+  ];
+
+  return sections.flatMap(([section, scope]) =>
+    Object.entries(manifest[section] || {}).map(([name, range]) => ({
+      name, ecosystem: NPM, declared: String(range), resolved: npmExact(String(range)), scope, direct: true
+    }))
+  );
+}
+
+function parsePackageLock(content) {
+  const lock = JSON.parse(content);
+  const entries = [];
+
+  if (lock.packages) {
+    const root = lock.packages[''] || {};
+    const directNames = new Set(Object.keys({ ...root.dependencies, ...root.optionalDependencies, ...root.devDependencies }));
+
+    for (const [key, info] of Object.entries(lock.packages)) {
+      if (!key.includes('node_modules/') || info.link || !info.version) continue;
+
+      const name = info.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length);
+      const top = key === `node_modules/${name}`;
+      entries.push({
+        name,
+        ecosystem: NPM,
+        resolved: info.version,
+        scope: info.dev || info.devOptional ? 'dev' : 'prod',
+        direct: top && directNames.has(name),
+        top
+      });
+    }
+    return entries;
+  }
+
+  // lockfileVersion 1 nests dependencies instead of listing install paths
+  const visit = (dependencies, depth) => {
+    for (const [name, info] of Object.entries(dependencies || {})) {
+      if (info.version && !info.version.startsWith('file:')) {
+        entries.push({ name, ecosystem: NPM, resolved: info.version, scope: info.dev ? 'dev' : 'prod', top: depth === 0 });
+      }
+      visit(info.dependencies, depth + 1);
+    }
+  };
+  visit(lock.dependencies, 0);
+  return entries;
+}
+
+// Handles both the classic (v1) and Berry formats
+function parseYarnLock(content) {
+  const entries = [];
+  let specs = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+
+    if (!/^\s/.test(line) && line.trimEnd().endsWith(':')) {
+      specs = line.trimEnd().slice(0, -1).split(/,\s*/).map(spec => spec.replace(/^"|"$/g, ''));
+      continue;
+    }
+
+    const version = /^\s+version:?\s+"?([^"\s]+)"?/.exec(line);
+    if (!specs || !version) continue;
+
+    for (const spec of specs) {
+      const at = spec.indexOf('@', 1);
+      if (at === -1) continue;
+
+      const range = spec.slice(at + 1).replace(/^npm:/, '');
+      if (/^(workspace|link|portal|patch|file):/.test(range)) continue;
+      entries.push({ name: spec.slice(0, at), ecosystem: NPM, range, resolved: version[1], scope: null });
+    }
+    specs = null;
+  }
+  return entries;
+}
+
+// lockfileVersion 5 keys packages as /name/1.0.0_peer, 6 as /name@1.0.0(peer)
+// and 9 as name@1.0.0(peer)
+function parsePnpmPackageKey(key, lockfileVersion) {
+  const clean = key.replace(/^\//, '').replace(/\(.*$/, '');
+  if (lockfileVersion < 6) {
+    const slash = clean.lastIndexOf('/');
+    return slash > 0 ? { name: clean.slice(0, slash), version: clean.slice(slash + 1).replace(/_.*$/, '') } : null;
+  }
+  const at = clean.lastIndexOf('@');
+  return at > 0 ? { name: clean.slice(0, at), version: clean.slice(at + 1) } : null;
+}
+
+function parsePnpmLock(content) {
+  const lock = parseYaml(content) || {};
+  const lockfileVersion = parseFloat(lock.lockfileVersion) || 0;
+  const entries = [];
+
+  // Direct dependencies of the root package
+  const importer = lock.importers?.['.'] || lock;
+  for (const [section, scope] of [['dependencies', 'prod'], ['optionalDependencies', 'prod'], ['devDependencies', 'dev']]) {
+    for (const [name, value] of Object.entries(importer[section] || {})) {
+      const version = String(typeof value === 'object' ? value.version : value).replace(/[(_].*$/, '');
+      if (/^(link|file|workspace):/.test(version)) continue;
+
+      const range = typeof value === 'object' ? value.specifier : lock.specifiers?.[name];
+      entries.push({ name, ecosystem: NPM, range, resolved: version, scope, direct: true, top: true });
+    }
+  }
+
+  for (const [key, info] of Object.entries(lock.packages || {})) {
+    const parsed = parsePnpmPackageKey(key, lockfileVersion);
+    if (!parsed || entries.some(entry => entry.name === parsed.name && entry.resolved === parsed.version)) continue;
+
+    const scope = info?.dev === true ? 'dev' : info?.dev === false ? 'prod' : null;
+    entries.push({ name: parsed.name, ecosystem: NPM, resolved: parsed.version, scope });
+  }
+  return entries;
+}
+
+// --- pip / Poetry / Pipenv ---
+
+// One PEP 508 requirement, e.g. "requests[socks]>=2.31,<3 ; python_version > '3.8'"
+function parseRequirement(line) {
+  const match = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(?:\(([^)]*)\)|([^;]*))/.exec(line.trim());
+  if (!match) return null;
+
+  const declared = (match[2] ?? match[3] ?? '').trim() || null;
+  const pinned = declared && /^===?\s*([^,\s*]+)$/.exec(declared);
+  return { name: pypiName(match[1]), declared, resolved: pinned ? pinned[1] : null };
+}
+
+function parseRequirementsTxt(content, file) {
+  const scope = DEV_FILE.test(path.posix.basename(file.name)) ? 'dev' : 'prod';
+  const entries = [];
+
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    // Options (-r, -e, --index-url ...) and direct URLs carry no registry version
+    if (!line || line.startsWith('-') || line.includes('://')) continue;
+
+    const requirement = parseRequirement(line);
+    if (requirement) entries.push({ ...requirement, ecosystem: PYPI, scope, direct: true });
+  }
+  return entries;
+}
+
+function poetryEntries(dependencies, scope) {
+  return Object.entries(dependencies || {})
+    .filter(([name]) => name.toLowerCase() !== 'python')
+    .map(([name, value]) => {
+      const declared = typeof value === 'string' ? value : value?.version || null;
+      const pinned = declared && /^(==)?(\d[\w.]*)$/.exec(declared);
+      return { name: pypiName(name), ecosystem: PYPI, declared, resolved: pinned ? pinned[2] : null, scope, direct: true };
+    });
+}
+
+function parsePyproject(content) {
+  const pyproject = parseToml(content);
+  const entries = [];
+  const requirements = (list, scope) => {
+    for (const line of list || []) {
+      const requirement = typeof line === 'string' && parseRequirement(line);
+      if (requirement) entries.push({ ...requirement, ecosystem: PYPI, scope, direct: true });
+    }
+  };
+
+  // PEP 621 metadata, optional extras and PEP 735 dependency groups
+  requirements(pyproject.project?.dependencies, 'prod');
+  for (const [group, list] of Object.entries(pyproject.project?.['optional-dependencies'] || {})) {
+    requirements(list, devGroup(group) ? 'dev' : 'prod');
+  }
+  for (const [group, list] of Object.entries(pyproject['dependency-groups'] || {})) {
+    requirements(list, devGroup(group) ? 'dev' : 'prod');
+  }
+
+  const poetry = pyproject.tool?.poetry;
+  if (poetry) {
+    entries.push(...poetryEntries(poetry.dependencies, 'prod'));
+    entries.push(...poetryEntries(poetry['dev-dependencies'], 'dev'));
+    for (const [group, { dependencies } = {}] of Object.entries(poetry.group || {})) {
+      entries.push(...poetryEntries(dependencies, group === 'main' ? 'prod' : 'dev'));
+    }
+  }
+  return entries;
+}
+
+function parsePoetryLock(content) {
+  const lock = parseToml(content);
+  return (lock.package || []).map(pkg => ({
+    name: pypiName(pkg.name),
+    ecosystem: PYPI,
+    resolved: pkg.version,
+    // Poetry 1.x records a category; newer lockfiles don't
+    scope: pkg.category ? (pkg.category === 'dev' ? 'dev' : 'prod') : null
+  }));
+}
+
+function parsePipfile(content) {
+  const pipfile = parseToml(content);
+  return [...poetryEntries(pipfile.packages, 'prod'), ...poetryEntries(pipfile['dev-packages'], 'dev')]
+    .map(entry => ({ ...entry, declared: entry.declared === '*' ? null : entry.declared }));
+}
+
+function parsePipfileLock(content) {
+  const lock = JSON.parse(content);
+  return [['default', 'prod'], ['develop', 'dev']].flatMap(([section, scope]) =>
+    Object.entries(lock[section] || {})
+      .filter(([, info]) => info.version)
+      .map(([name, info]) => ({ name: pypiName(name), ecosystem: PYPI, resolved: info.version.replace(/^==/, ''), scope }))
+  );
+}
+
+// --- Maven / Gradle ---
+
+const xmlTag = (xml, tag) => new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`).exec(xml)?.[1] ?? null;
+
+function parsePom(content) {
+  const xml = content.replace(/<!--[\s\S]*?-->/g, '');
+  const properties = {};
+  const propertiesBlock = /<properties>([\s\S]*?)<\/properties>/.exec(xml)?.[1] || '';
+  for (const [, key, value] of propertiesBlock.matchAll(/<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g)) {
+    properties[key] = value;
+  }
+  const project = xml.replace(/<parent>[\s\S]*?<\/parent>|<dependencies>[\s\S]*<\/dependencies>|<build>[\s\S]*?<\/build>/g, '');
+  properties['project.version'] = xmlTag(project, 'version');
+
+  const interpolate = (value) => value && value.replace(/\$\{([^}]+)\}/g, (match, key) => properties[key] ?? match);
+  const dependencies = (block) => [...(block || '').matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)].map(([, dependency]) => ({
+    name: `${interpolate(xmlTag(dependency, 'groupId'))}:${interpolate(xmlTag(dependency, 'artifactId'))}`,
+    version: interpolate(xmlTag(dependency, 'version')),
+    scope: xmlTag(dependency, 'scope')
+  }));
+
+  // Versions left out here are usually pinned in dependencyManagement
+  const managementBlock = /<dependencyManagement>([\s\S]*?)<\/dependencyManagement>/.exec(xml)?.[1];
+  const managed = new Map(dependencies(managementBlock).map(dependency => [dependency.name, dependency.version]));
+  const body = xml.replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>|<build>[\s\S]*?<\/build>|<profiles>[\s\S]*?<\/profiles>/g, '');
+
+  return dependencies(/<dependencies>([\s\S]*?)<\/dependencies>/.exec(body)?.[1]).map(({ name, version, scope }) => {
+    const declared = version || managed.get(name) || null;
+    const concrete = declared && !/[[\](),$]/.test(declared);
+    return { name, ecosystem: MAVEN, declared, resolved: concrete ? declared : null, scope: scope === 'test' ? 'dev' : 'prod', direct: true };
+  });
+}
+
+const GRADLE_CONFIGURATION = /^\s*(implementation|api|compile|compileOnly|runtimeOnly|runtime|testImplementation|testCompile|testCompileOnly|testRuntimeOnly|androidTestImplementation|debugImplementation|annotationProcessor|kapt|ksp|developmentOnly)\b\s*\(?\s*(.*)$/;
+
+function parseGradle(content) {
+  const text = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|\s)\/\/.*$/gm, '$1');
+  const variables = {};
+  for (const [, key, value] of text.matchAll(/(?:^|\s)(?:def|val|var|ext\.)?\s*([A-Za-z_][\w]*)\s*=\s*['"]([^'"$]+)['"]/g)) {
+    variables[key] = value;
+  }
+  const interpolate = (value) => value?.replace(/\$\{?([A-Za-z_][\w.]*)\}?/g, (match, key) => variables[key] ?? match);
+
+  const entries = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = GRADLE_CONFIGURATION.exec(line);
+    if (!match) continue;
+
+    const [, configuration, rest] = match;
+    let group, artifact, version;
+    const notation = /^['"]([^'"]+)['"]/.exec(rest.trim());
+    if (notation) {
+      [group, artifact, version] = interpolate(notation[1]).split(':');
+    } else {
+      // Map notation: group: 'g', name: 'a', version: 'v'
+      const field = (key) => new RegExp(`${key}\\s*[:=]\\s*['"]([^'"]+)['"]`).exec(rest)?.[1];
+      [group, artifact, version] = [field('group'), field('name'), interpolate(field('version'))];
+    }
+    if (!group || !artifact) continue;
+
+    const declared = version || null;
+    entries.push({
+      name: `${group}:${artifact}`,
+      ecosystem: MAVEN,
+      declared,
+      resolved: declared && !/[[\](),+$]/.test(declared) ? declared : null,
+      scope: /^(test|androidTest|debug)|annotationProcessor|kapt|ksp|developmentOnly/.test(configuration) ? 'dev' : 'prod',
+      direct: true
+    });
+  }
+  return entries;
+}
+
+// --- Bundler ---
+
+function parseGemfile(content) {
+  const entries = [];
+  // One item per open do-block: true when it's a group of non-production gems
+  const blocks = [];
+  const isDevGroup = (groups) => groups.length > 0 && !groups.some(group => ['default', 'production'].includes(group));
+
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) continue;
+
+    const group = /^group\s+(.+?)\s+do\b/.exec(line);
+    if (group) {
+      blocks.push(isDevGroup([...group[1].matchAll(/:(\w+)|['"](\w+)['"]/g)].map(m => m[1] || m[2])));
+      continue;
+    }
+    if (/\bdo(\s*\|[^|]*\|)?$/.test(line)) {
+      blocks.push(false);
+      continue;
+    }
+    if (line === 'end') {
+      blocks.pop();
+      continue;
+    }
+
+    const gem = /^gem\s*\(?\s*['"]([^'"]+)['"](.*)$/.exec(line);
+    if (!gem) continue;
+
+    const requirements = [...gem[2].matchAll(/,\s*['"]([^'"]+)['"]/g)].map(m => m[1]);
+    const optionGroups = /groups?:\s*(\[[^\]]*\]|:\w+)/.exec(gem[2]);
+    const dev = blocks.includes(true) || (optionGroups && isDevGroup([...optionGroups[1].matchAll(/:(\w+)/g)].map(m => m[1])));
+    const declared = requirements.join(', ') || null;
+    const pinned = declared && /^=?\s*(\d[\w.]*)$/.exec(declared);
+
+    entries.push({ name: gem[1], ecosystem: RUBYGEMS, declared, resolved: pinned ? pinned[1] : null, scope: dev ? 'dev' : 'prod', direct: true });
+  }
+  return entries;
+}
+
+function parseGemfileLock(content) {
+  const entries = [];
+  const direct = new Set();
+  let section = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (/^[A-Z]/.test(line)) {
+      section = line.trim();
+      continue;
+    }
+    // Installed gems sit at four spaces; their own requirements at six
+    const spec = /^ {4}([^\s(]+) \(([^)]+)\)$/.exec(line);
+    if (spec && ['GEM', 'GIT', 'PATH'].includes(section)) {
+      entries.push({ name: spec[1], ecosystem: RUBYGEMS, resolved: spec[2].replace(/-(x86|x64|arm|aarch|universal|java|mingw|mswin).*$/, ''), scope: null });
+    }
+    const dependency = section === 'DEPENDENCIES' && /^ {2}([^\s(!]+)/.exec(line);
+    if (dependency) direct.add(dependency[1]);
+  }
+  return entries.map(entry => ({ ...entry, direct: direct.has(entry.name) }));
+}
+
+// --- Go modules ---
+
+function parseGoMod(content) {
+  const entries = [];
+  let inRequire = false;
+
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (/^require\s*\($/.test(line)) {
+      inRequire = true;
+      continue;
+    }
+    if (inRequire && line === ')') {
+      inRequire = false;
+      continue;
+    }
+
+    const requirement = inRequire ? /^(\S+)\s+(v\S+)(.*)$/.exec(line) : /^require\s+(\S+)\s+(v\S+)(.*)$/.exec(line);
+    if (!requirement) continue;
+
+    // Go has no dev dependencies; the selected version is the declared one
+    entries.push({
+      name: requirement[1],
+      ecosystem: GO,
+      declared: requirement[2],
+      resolved: requirement[2],
+      scope: 'prod',
+      direct: !/\/\/\s*indirect/.test(requirement[3])
+    });
+  }
+  return entries;
+}
+
+// --- Cargo ---
+
+// Path-only dependencies are local crates, not registry packages
+function cargoEntries(dependencies, scope) {
+  return Object.entries(dependencies || {})
+    .filter(([, value]) => typeof value === 'string' || !value?.path || value.version)
+    .map(([key, value]) => {
+      const declared = typeof value === 'string' ? value : value?.version || null;
+      const exact = declared && /^=\s*(\d+\.\d+\.\d+\S*)$/.exec(declared);
+      return { name: value?.package || key, ecosystem: CRATES, declared, resolved: exact ? exact[1] : null, scope, direct: true };
+    });
+}
+
+function parseCargoToml(content) {
+  const manifest = parseToml(content);
+  const tables = [manifest, ...Object.values(manifest.target || {})];
+
+  return tables.flatMap(table => [
+    ...cargoEntries(table.dependencies, 'prod'),
+    ...cargoEntries(table['build-dependencies'], 'prod'),
+    ...cargoEntries(table['dev-dependencies'], 'dev')
+  ]).concat(cargoEntries(manifest.workspace?.dependencies, 'prod'));
+}
+
+function parseCargoLock(content) {
+  const lock = parseToml(content);
+  // Packages without a source are the workspace's own crates
+  return (lock.package || [])
+    .filter(pkg => pkg.source)
+    .map(pkg => ({ name: pkg.name, ecosystem: CRATES, resolved: pkg.version, scope: null }));
+}
+
+// Keyed by file name; lockfiles supply resolved versions for the manifests
+// next to them
+const MANIFEST_PARSERS = {
+  'package.json': parsePackageJson,
+  'pyproject.toml': parsePyproject,
+  'Pipfile': parsePipfile,
+  'pom.xml': parsePom,
+  'build.gradle': parseGradle,
+  'build.gradle.kts': parseGradle,
+  'Gemfile': parseGemfile,
+  'go.mod': parseGoMod,
+  'Cargo.toml': parseCargoToml
+};
+
+const LOCKFILE_PARSERS = {
+  'package-lock.json': parsePackageLock,
+  'npm-shrinkwrap.json': parsePackageLock,
+  'yarn.lock': parseYarnLock,
+  'pnpm-lock.yaml': parsePnpmLock,
+  'poetry.lock': parsePoetryLock,
+  'Pipfile.lock': parsePipfileLock,
+  'Gemfile.lock': parseGemfileLock,
+  'Cargo.lock': parseCargoLock
+};
+
+export const DEPENDENCY_FILE_NAMES = [...Object.keys(MANIFEST_PARSERS), ...Object.keys(LOCKFILE_PARSERS)];
+
+export const isDependencyFile = (name) => {
+  const base = path.posix.basename(name);
+  return DEPENDENCY_FILE_NAMES.includes(base) || REQUIREMENTS_FILE.test(base) || REQUIREMENTS_DIR_FILE.test(name);
+};
+
+function parserFor(name) {
+  const base = path.posix.basename(name);
+  if (MANIFEST_PARSERS[base]) return { parse: MANIFEST_PARSERS[base], lockfile: false };
+  if (LOCKFILE_PARSERS[base]) return { parse: LOCKFILE_PARSERS[base], lockfile: true };
+  if (REQUIREMENTS_FILE.test(base) || REQUIREMENTS_DIR_FILE.test(name)) return { parse: parseRequirementsTxt, lockfile: false };
+  return null;
+}
+
+// Picks the lockfile entry a declared dependency resolved to
+function findLocked(candidates, dependency) {
+  return candidates.find(entry => entry.range !== undefined && entry.range === dependency.declared)
+    || candidates.find(entry => entry.top)
+    || candidates[0];
+}
+
+/*
+ * Parses every manifest and lockfile among files into one list of
+ * { name, ecosystem, declared, resolved, scope, direct, source }. Manifests
+ * give the declared ranges; lockfiles in the same directory fill in resolved
+ * versions and add transitive dependencies (declared: null, direct: false).
+ * scope is 'prod' or 'dev', or null when a lockfile doesn't record it.
+ */
+export function extractDependencies(files) {
+  const declared = [];
+  const locked = [];
+
+  for (const file of files) {
+    const parser = parserFor(file.name);
+    if (!parser) continue;
+
+    try {
+      const dir = path.posix.dirname(file.name);
+      const entries = parser.parse(file.content, file).map(entry => ({ ...entry, dir, source: file.name }));
+      (parser.lockfile ? locked : declared).push(...entries);
+    } catch (error) {
+      console.error(`Error parsing ${file.name}:`, error.message);
+    }
+  }
+
+  const keyOf = (entry) => `${entry.ecosystem}|${entry.dir}|${entry.name}`;
+  const lockedByName = new Map();
+  for (const entry of locked) {
+    lockedByName.set(keyOf(entry), [...(lockedByName.get(keyOf(entry)) || []), entry]);
+  }
+
+  const dependencies = [];
+  const seen = new Set();
+  for (const dependency of declared) {
+    const lockedEntry = findLocked(lockedByName.get(keyOf(dependency)) || [], dependency);
+    const resolved = dependency.resolved || lockedEntry?.resolved || null;
+    const id = `${keyOf(dependency)}|${resolved}|${dependency.scope}`;
+    if (seen.has(id)) continue;
+
+    seen.add(id);
+    seen.add(`${keyOf(dependency)}|${resolved}`);
+    dependencies.push({ ...dependency, resolved });
+  }
+
+  for (const entry of locked) {
+    const id = `${keyOf(entry)}|${entry.resolved}`;
+    if (seen.has(id)) continue;
+
+    seen.add(id);
+    dependencies.push({ ...entry, declared: null, direct: Boolean(entry.direct) });
+  }
+
+  return dependencies.map(({ name, ecosystem, declared: range, resolved, scope, direct, source }) => ({
+    name,
+    ecosystem,
+    declared: range ?? null,
+    resolved: resolved ?? null,
+    scope: scope ?? null,
+    direct: Boolean(direct),
+    source
+  }));
+}
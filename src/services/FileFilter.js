@@ -0,0 +1,163 @@
+import fs from 'fs-extra';
+import path from 'path';
+import ignore from 'ignore';
+import { HttpError } from '../errors.js';
+
+export const IGNORE_FILE_NAME = '.gitignore';
+
+// Directories holding third-party or generated code; anything below them is skipped
+export const VENDORED_DIRECTORIES = [
+  'node_modules', 'bower_components', 'jspm_packages', 'vendor', 'third_party',
+  'dist', '.next', '.nuxt', 'coverage', '__pycache__', '.venv', 'venv'
+];
+
+// Kept for dependency extraction but never analyzed or sent to the AI
+export const LOCKFILE_NAMES = [
+  'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml',
+  'composer.lock', 'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'Pipfile.lock', 'go.sum'
+];
+
+const MAX_IGNORE_PATTERNS = 200;
+const MAX_IGNORE_PATTERN_LENGTH = 500;
+const BINARY_SNIFF_BYTES = 8000;
+const MINIFIABLE_PATTERN = /\.(js|mjs|cjs|jsx|ts|css)$/i;
+const MINIFIED_NAME_PATTERN = /[.-]min\.(js|css)$/i;
+
+// Accepts an array or a newline separated string of .gitignore-style patterns
+export function normalizeIgnorePatterns(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  const patterns = Array.isArray(value) ? value : String(value).split(/\r?\n/);
+  if (patterns.some(pattern => typeof pattern !== 'string' || pattern.length > MAX_IGNORE_PATTERN_LENGTH)) {
+    throw new HttpError(400, `Ignore patterns must be strings of at most ${MAX_IGNORE_PATTERN_LENGTH} characters`);
+  }
+
+  const cleaned = patterns.map(pattern => pattern.trim()).filter(pattern => pattern && !pattern.startsWith('#'));
+  if (cleaned.length > MAX_IGNORE_PATTERNS) {
+    throw new HttpError(400, `At most ${MAX_IGNORE_PATTERNS} ignore patterns are allowed`);
+  }
+  return cleaned;
+}
+
+/*
+ * Decides which files of an upload are worth analyzing. select() works on
+ * paths (ignore rules, vendored directories); inspect() on content (binary,
+ * encoding, minified code). Every file left out is reported with a reason.
+ */
+export class FileFilter {
+  constructor({ ignorePatterns = [] } = {}) {
+    this.projectRules = ignore().add(ignorePatterns);
+  }
+
+  // Applies the project ignore list, every .gitignore in the upload (scoped to
+  // its directory) and the vendored directory list. Files left out, including
+  // the .gitignore files themselves, are removed from disk.
+  async select(files) {
+    const gitignores = [];
+    const candidates = [];
+
+    for (const file of files) {
+      if (path.posix.basename(file.originalname) !== IGNORE_FILE_NAME) {
+        candidates.push(file);
+        continue;
+      }
+
+      const dir = path.posix.dirname(file.originalname);
+      const rules = ignore().add(await fs.readFile(file.path, 'utf8'));
+      gitignores.push({ dir: dir === '.' ? '' : dir, source: file.originalname, rules });
+      await fs.remove(file.path);
+    }
+    // Deeper .gitignore files override shallower ones, as in git
+    gitignores.sort((a, b) => a.dir.split('/').length - b.dir.split('/').length || a.dir.localeCompare(b.dir));
+
+    const kept = [];
+    const skipped = [];
+    const vendored = new Map();
+
+    for (const file of candidates) {
+      const name = file.originalname;
+      const vendoredDir = this.vendoredDirectory(name);
+      const reason = this.skipReason(gitignores, name);
+
+      if (vendoredDir) {
+        vendored.set(vendoredDir, (vendored.get(vendoredDir) || 0) + 1);
+      } else if (reason) {
+        skipped.push({ path: name, reason });
+      } else {
+        kept.push(file);
+        continue;
+      }
+      await fs.remove(file.path);
+    }
+
+    // Vendored trees are listed once per directory rather than file by file
+    for (const [dir, count] of vendored) {
+      skipped.push({ path: `${dir}/`, reason: 'vendored directory', files: count });
+    }
+
+    return { files: kept, skipped };
+  }
+
+  // The vendored directory a path lives in, e.g. "web/node_modules"
+  vendoredDirectory(relativePath) {
+    const segments = relativePath.split('/').slice(0, -1);
+    const index = segments.findIndex(segment => VENDORED_DIRECTORIES.includes(segment));
+    return index === -1 ? null : segments.slice(0, index + 1).join('/');
+  }
+
+  skipReason(gitignores, relativePath) {
+    if (this.projectRules.ignores(relativePath)) return 'matched project ignore list';
+
+    const source = this.gitignoreSource(gitignores, relativePath);
+    return source ? `ignored by ${source}` : null;
+  }
+
+  // The .gitignore that has the final say on ignoring relativePath, if any
+  gitignoreSource(gitignores, relativePath) {
+    let source = null;
+    for (const { dir, rules, source: candidate } of gitignores) {
+      if (dir && !relativePath.startsWith(`${dir}/`)) continue;
+
+      const { ignored, unignored } = rules.test(dir ? relativePath.slice(dir.length + 1) : relativePath);
+      if (ignored) source = candidate;
+      else if (unignored) source = null;
+    }
+    return source;
+  }
+
+  // Returns { reason } for content that shouldn't be analyzed, otherwise
+  // { content, flags } with the decoded UTF-8 text
+  inspect(buffer, relativePath) {
+    const head = buffer.subarray(0, BINARY_SNIFF_BYTES);
+    if ((head[0] === 0xff && head[1] === 0xfe) || (head[0] === 0xfe && head[1] === 0xff)) {
+      return { reason: 'not UTF-8 encoded (UTF-16)' };
+    }
+    if (head.includes(0)) {
+      return { reason: 'binary file' };
+    }
+
+    let content;
+    try {
+      content = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+      return { reason: 'not UTF-8 encoded' };
+    }
+
+    if (MINIFIABLE_PATTERN.test(relativePath) && this.looksMinified(relativePath, content)) {
+      return { reason: 'minified or bundled code' };
+    }
+
+    const flags = LOCKFILE_NAMES.includes(path.posix.basename(relativePath)) ? ['lockfile'] : [];
+    return { content, flags };
+  }
+
+  // Minified output has a telltale name or very long lines
+  looksMinified(relativePath, content) {
+    if (MINIFIED_NAME_PATTERN.test(relativePath)) return true;
+    if (content.length < 2000) return false;
+
+    const lines = content.split('\n');
+    const longest = lines.reduce((max, line) => Math.max(max, line.length), 0);
+    return longest > 5000 || content.length / lines.length > 300;
+  }
+}
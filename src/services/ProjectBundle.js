@@ -0,0 +1,212 @@
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import { createHash } from 'crypto';
+import { pipeline } from 'stream/promises';
+import tar from 'tar-stream';
+import { HttpError } from '../errors.js';
+import { isPathInside } from '../utils/paths.js';
+
+const BUNDLE_FORMAT = 'debugflow-project-bundle';
+const BUNDLE_VERSION = 1;
+
+// Guards against oversized or crafted archives on import
+const MAX_ENTRIES = 5000;
+const MAX_TOTAL_BYTES = 200 * 1024 * 1024;
+const ENTRY_NAME = /^(manifest\.json|project\.json|revisions\.json|files\/\d{4,}-[A-Za-z0-9._-]+)$/;
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+const safeName = (name) => String(name || 'file').replace(/[^A-Za-z0-9._-]/g, '_').slice(0, 100);
+
+// Historic file paths belong to the exporting server; keeping them would let the
+// imported project claim (and later delete) uploads it does not own.
+function withoutStoredPaths(revision) {
+  if (!Array.isArray(revision.changes?.files)) return revision;
+
+  return {
+    ...revision,
+    changes: {
+      ...revision.changes,
+      files: revision.changes.files.map(({ path: storedPath, ...file }) => file)
+    }
+  };
+}
+
+/*
+ * A bundle is a .tar.gz holding:
+ *   project.json    project record; file entries point at files/ via archivePath
+ *   revisions.json  the project's full revision history
+ *   files/NNNN-*    raw bytes of every stored file
+ *   manifest.json   format version plus a sha256 and size for every other entry
+ */
+export class ProjectBundle {
+  constructor(projectManager, { uploadDir = path.join(process.cwd(), 'uploads') } = {}) {
+    this.projectManager = projectManager;
+    this.uploadDir = uploadDir;
+  }
+
+  async exportProject(project, output) {
+    const revisions = await this.projectManager.store.listRevisions(project.id);
+    const pack = tar.pack();
+    const written = pipeline(pack, zlib.createGzip(), output);
+    const entries = {};
+
+    const addEntry = (name, data) => new Promise((resolve, reject) => {
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+      entries[name] = { sha256: sha256(buffer), size: buffer.length };
+      pack.entry({ name, size: buffer.length, mtime: new Date() }, buffer, error => (error ? reject(error) : resolve()));
+    });
+
+    const files = [];
+    for (const [index, file] of (project.files || []).entries()) {
+      const archivePath = `files/${String(index).padStart(4, '0')}-${safeName(file.name)}`;
+      await addEntry(archivePath, await this.readStoredFile(file));
+
+      const { content, path: storedPath, ...metadata } = file;
+      files.push({ ...metadata, archivePath });
+    }
+
+    await addEntry('project.json', JSON.stringify({ ...project, files }, null, 2));
+    await addEntry('revisions.json', JSON.stringify(revisions, null, 2));
+
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      formatVersion: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      source: { projectId: project.id, version: project.version },
+      entries
+    };
+    await addEntry('manifest.json', JSON.stringify(manifest, null, 2));
+
+    pack.finalize();
+    await written;
+    console.log('📦 Project exported:', project.id);
+  }
+
+  // Prefer the original upload on disk; fall back to the stored text content
+  async readStoredFile(file) {
+    if (file.path && isPathInside(file.path, this.uploadDir) && await fs.pathExists(file.path)) {
+      return fs.readFile(file.path);
+    }
+    return Buffer.from(file.content || '', 'utf8');
+  }
+
+  async importBundle(bundlePath, { userId }) {
+    const entries = await this.readEntries(bundlePath);
+    const manifest = this.parseJsonEntry(entries, 'manifest.json');
+
+    if (manifest.format !== BUNDLE_FORMAT || manifest.formatVersion !== BUNDLE_VERSION) {
+      throw new HttpError(400, 'Unsupported bundle format');
+    }
+    this.verifyIntegrity(entries, manifest);
+
+    const project = this.parseJsonEntry(entries, 'project.json');
+    const revisions = this.parseJsonEntry(entries, 'revisions.json');
+    if (!Array.isArray(revisions) || revisions.some((revision, index) => revision?.revision !== index + 1)) {
+      throw new HttpError(400, 'Bundle revision history is invalid');
+    }
+
+    await fs.ensureDir(this.uploadDir);
+    const files = [];
+    for (const file of project.files || []) {
+      const data = entries.get(file.archivePath);
+      if (!data) {
+        throw new HttpError(400, `Bundle is missing file ${file.archivePath}`);
+      }
+
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const storedPath = path.join(this.uploadDir, `files-${uniqueSuffix}${path.extname(file.name || '')}`);
+      await fs.writeFile(storedPath, data);
+
+      const { archivePath, ...metadata } = file;
+      files.push({ ...metadata, path: storedPath, content: data.toString('utf8') });
+    }
+
+    return this.projectManager.importProject({
+      ...project,
+      files,
+      importedFrom: {
+        projectId: manifest.source?.projectId,
+        exportedAt: manifest.exportedAt
+      }
+    }, revisions.map(withoutStoredPaths), { userId });
+  }
+
+  async readEntries(bundlePath) {
+    const entries = new Map();
+    const extract = tar.extract();
+    let totalBytes = 0;
+
+    const reading = (async () => {
+      for await (const entry of extract) {
+        const { name, type } = entry.header;
+        if (type === 'directory') {
+          entry.resume();
+          continue;
+        }
+        if (type !== 'file' || !ENTRY_NAME.test(name)) {
+          throw new HttpError(400, `Unexpected bundle entry: ${name}`);
+        }
+        if (entries.size >= MAX_ENTRIES) {
+          throw new HttpError(400, 'Bundle has too many entries');
+        }
+
+        const chunks = [];
+        for await (const chunk of entry) {
+          totalBytes += chunk.length;
+          if (totalBytes > MAX_TOTAL_BYTES) {
+            throw new HttpError(413, 'Bundle is too large');
+          }
+          chunks.push(chunk);
+        }
+        entries.set(name, Buffer.concat(chunks));
+      }
+    })();
+
+    try {
+      await Promise.all([
+        pipeline(fs.createReadStream(bundlePath), zlib.createGunzip(), extract),
+        reading
+      ]);
+    } catch (error) {
+      extract.destroy();
+      if (error.status) throw error;
+      throw new HttpError(400, `Bundle could not be read: ${error.message}`);
+    }
+
+    return entries;
+  }
+
+  verifyIntegrity(entries, manifest) {
+    const expected = manifest.entries || {};
+
+    for (const [name, { sha256: checksum, size }] of Object.entries(expected)) {
+      const data = entries.get(name);
+      if (!data) {
+        throw new HttpError(400, `Bundle is missing ${name}`);
+      }
+      if (data.length !== size || sha256(data) !== checksum) {
+        throw new HttpError(400, `Checksum mismatch for ${name}`);
+      }
+    }
+
+    for (const name of entries.keys()) {
+      if (name !== 'manifest.json' && !expected[name]) {
+        throw new HttpError(400, `Bundle entry not listed in manifest: ${name}`);
+      }
+    }
+  }
+
+  parseJsonEntry(entries, name) {
+    const data = entries.get(name);
+    if (!data) {
+      throw new HttpError(400, `Bundle is missing ${name}`);
+    }
+
+    try {
+      return JSON.parse(data.toString('utf8'));
+    } catch {
+      throw new HttpError(400, `Bundle entry ${name} is not valid JSON`);
+    }
+  }
+}
@@ -1,82 +1,269 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { createProjectStore } from '../storage/index.js';
+import { normalizeQuery } from '../storage/query.js';
+import { ConflictError } from '../errors.js';
+import { isPathInside } from '../utils/paths.js';
+import { KeyedLock } from '../utils/KeyedLock.js';
+
+// Bookkeeping fields that change on every write and would drown out real changes
+const UNTRACKED_FIELDS = ['lastModified', 'version'];
+// Who a project is shared with. Only the sharing endpoint sets them, after
+// checking the caller's workspace role, so imports and restores never do.
+const SHARING_FIELDS = ['workspaceId', 'visibility'];
+
+const withoutSharing = (project) => Object.fromEntries(Object.entries(project).filter(([field]) => !SHARING_FIELDS.includes(field)));
+const sharingOf = (project) => Object.fromEntries(Object.entries(project).filter(([field]) => SHARING_FIELDS.includes(field)));
+
+// What project lists show: enough to pick a project and filter or sort the
+// list, without file contents or server paths (see GET /api/projects/:id)
+const projectSummary = (project) => ({
+  id: project.id,
+  name: project.name,
+  description: project.description,
+  type: project.type,
+  status: project.status,
+  userId: project.userId,
+  workspaceId: project.workspaceId ?? null,
+  visibility: project.visibility || 'private',
+  version: project.version,
+  languages: project.languages,
+  fileCount: project.files?.length ?? 0,
+  createdAt: project.createdAt,
+  lastModified: project.lastModified
+});
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function diffValues(before, after, fieldPath = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(key => diffValues(before[key], after[key], fieldPath ? `${fieldPath}.${key}` : key));
+  }
+
+  return isEqual(before, after) ? [] : [{ field: fieldPath, before, after }];
+}
 
 export class ProjectManager {
-  constructor() {
-    this.dataDir = path.join(process.cwd(), 'data');
-    this.ensureDataDir();
+  constructor({ store, uploadDir = path.join(process.cwd(), 'uploads') } = {}) {
+    this.store = store || createProjectStore();
+    this.uploadDir = uploadDir;
+    this.ready = this.store.init();
+    this.locks = new KeyedLock();
   }
 
-  async ensureDataDir() {
-    await fs.ensureDir(this.dataDir);
+  // Serializes writes to the same project within this process
+  async withProjectLock(projectId, task) {
+    return this.locks.run(projectId, task);
   }
 
-  async createProject(projectData) {
+  assertVersion(project, expectedVersion) {
+    if (expectedVersion === undefined || expectedVersion === null) return;
+
+    const currentVersion = project.version || 0;
+    if (Number(expectedVersion) !== currentVersion) {
+      throw new ConflictError('Project was modified by another request', {
+        expectedVersion: Number(expectedVersion),
+        currentVersion
+      });
+    }
+  }
+
+  async createProject(projectData, { author } = {}) {
     const project = {
       id: uuidv4(),
       ...projectData,
+      version: 1,
       createdAt: new Date().toISOString(),
       lastModified: new Date().toISOString()
     };
 
     await this.saveProject(project);
+    await this.recordRevision(null, project, { author: author || project.userId });
     console.log('💾 Project created:', project.id);
     
     return project;
   }
 
   async saveProject(project) {
-    const filePath = path.join(this.dataDir, `${project.id}.json`);
-    await fs.writeJSON(filePath, project, { spaces: 2 });
+    await this.ready;
+    await this.store.put(project);
   }
 
-  async getProject(projectId) {
+  // With userId, projects owned by anyone else are reported as not found
+  async getProject(projectId, { userId } = {}) {
     try {
-      const filePath = path.join(this.dataDir, `${projectId}.json`);
-      return await fs.readJSON(filePath);
+      await this.ready;
+      const project = await this.store.get(projectId);
+      if (!project || (userId && project.userId !== userId)) {
+        console.error('Project not found:', projectId);
+        return null;
+      }
+      return project;
     } catch (error) {
-      console.error('Project not found:', projectId);
+      console.error('Project not found:', projectId, error);
       return null;
     }
   }
 
-  async updateProject(projectId, updates) {
-    const project = await this.getProject(projectId);
-    if (!project) return null;
+  // Pass expectedVersion to reject the update with a ConflictError when the
+  // project changed since the caller read it.
+  async updateProject(projectId, updates, { author, expectedVersion } = {}) {
+    return this.withProjectLock(projectId, async () => {
+      const project = await this.getProject(projectId);
+      if (!project) return null;
+
+      this.assertVersion(project, expectedVersion);
+
+      const updatedProject = {
+        ...project,
+        ...updates,
+        id: project.id,
+        version: (project.version || 0) + 1,
+        lastModified: new Date().toISOString()
+      };
+
+      await this.saveProject(updatedProject);
+      await this.recordRevision(project, updatedProject, { author });
+      return updatedProject;
+    });
+  }
+
+  // Revisions store only the fields that changed, so a project's state at any
+  // revision is rebuilt by replaying revisions 1..n in order.
+  async recordRevision(previous, project, { author, restoredFrom } = {}) {
+    const revisions = await this.store.listRevisions(project.id);
+
+    // Projects written before revisions existed get their prior state as a baseline
+    if (revisions.length === 0 && previous) {
+      await this.recordRevision(null, previous, { author: previous.userId });
+      return this.recordRevision(previous, project, { author, restoredFrom });
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(project)) {
+      if (!isEqual(previous?.[field], value)) changes[field] = value;
+    }
+    const removedFields = Object.keys(previous || {}).filter(field => !(field in project));
+
+    const revision = {
+      projectId: project.id,
+      revision: revisions.length + 1,
+      author: author || 'system',
+      timestamp: project.lastModified,
+      changedFields: [...Object.keys(changes), ...removedFields].filter(field => !UNTRACKED_FIELDS.includes(field)),
+      changes,
+      removedFields,
+      ...(restoredFrom && { restoredFrom })
+    };
+
+    await this.store.appendRevision(revision);
+    return revision;
+  }
+
+  // Recreates a project from an exported bundle under a fresh id and owner,
+  // private to the importer whatever the bundle says it was shared with.
+  // The original history is kept and closed by a revision recording the import.
+  async importProject(projectData, revisions = [], { userId, author } = {}) {
+    await this.ready;
 
-    const updatedProject = {
-      ...project,
-      ...updates,
+    const project = {
+      ...withoutSharing(projectData),
+      id: uuidv4(),
+      userId,
+      version: 1,
       lastModified: new Date().toISOString()
     };
 
-    await this.saveProject(updatedProject);
-    return updatedProject;
+    await this.saveProject(project);
+
+    for (const revision of revisions) {
+      await this.store.appendRevision({ ...revision, projectId: project.id });
+    }
+
+    const previous = revisions.length
+      ? await this.getProjectAtRevision(project.id, revisions.length)
+      : null;
+    await this.recordRevision(previous, project, { author: author || userId });
+
+    console.log('📥 Project imported:', project.id);
+    return project;
+  }
+
+  async getRevisions(projectId) {
+    await this.ready;
+    const revisions = await this.store.listRevisions(projectId);
+
+    return revisions.map(({ revision, author, timestamp, changedFields, restoredFrom }) => ({
+      revision,
+      author,
+      timestamp,
+      changedFields,
+      ...(restoredFrom && { restoredFrom })
+    }));
+  }
+
+  async getProjectAtRevision(projectId, revisionNumber) {
+    await this.ready;
+    const revisions = await this.store.listRevisions(projectId);
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1 || revisionNumber > revisions.length) {
+      return null;
+    }
+
+    const state = {};
+    for (const revision of revisions.slice(0, revisionNumber)) {
+      Object.assign(state, revision.changes);
+      for (const field of revision.removedFields) delete state[field];
+    }
+    return state;
+  }
+
+  async diffRevisions(projectId, fromRevision, toRevision) {
+    const [before, after] = await Promise.all([
+      this.getProjectAtRevision(projectId, fromRevision),
+      this.getProjectAtRevision(projectId, toRevision)
+    ]);
+    if (!before || !after) return null;
+
+    return {
+      from: fromRevision,
+      to: toRevision,
+      changes: diffValues(before, after).filter(change => !UNTRACKED_FIELDS.includes(change.field))
+    };
+  }
+
+  async restoreRevision(projectId, revisionNumber, { author, expectedVersion } = {}) {
+    return this.withProjectLock(projectId, async () => {
+      const current = await this.getProject(projectId);
+      const snapshot = await this.getProjectAtRevision(projectId, revisionNumber);
+      if (!current || !snapshot) return null;
+
+      this.assertVersion(current, expectedVersion);
+
+      // Sharing stays as it is now: an old revision may have been shared with a
+      // workspace the project has since left
+      const restoredProject = {
+        ...withoutSharing(snapshot),
+        ...sharingOf(current),
+        id: current.id,
+        version: (current.version || 0) + 1,
+        createdAt: current.createdAt,
+        lastModified: new Date().toISOString()
+      };
+
+      await this.saveProject(restoredProject);
+      await this.recordRevision(current, restoredProject, { author, restoredFrom: revisionNumber });
+      return restoredProject;
+    });
   }
 
   async getUserProjects(userId) {
     try {
-      const files = await fs.readdir(this.dataDir);
-      const projects = [];
-
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          try {
-            const project = await fs.readJSON(path.join(this.dataDir, file));
-            if (project.userId === userId) {
-              projects.push(project);
-            }
-          } catch (error) {
-            console.error('Error reading project file:', file, error);
-          }
-        }
-      }
-
-      // Sort by last modified
-      projects.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
-
-      return projects;
+      await this.ready;
+      // Stores return projects sorted by last modified, newest first
+      return await this.store.list({ userId });
     } catch (error) {
       console.error('Error getting user projects:', error);
       
@@ -108,12 +295,52 @@ export class ProjectManager {
     }
   }
 
-  async deleteProject(projectId) {
+  // Filtered, sorted, cursor-paginated listing of project summaries (see
+  // projectSummary): { projects, total, nextCursor }.
+  // With options.workspaceId it lists that workspace's shared projects instead
+  // of the user's own; callers check workspace membership first.
+  async queryProjects(userId, options = {}) {
+    await this.ready;
+    const page = await this.store.query(normalizeQuery(options.workspaceId ? options : { ...options, userId }));
+    return { ...page, projects: page.projects.map(projectSummary) };
+  }
+
+  // Uploaded files belonging to a project: everything its current record or
+  // any revision points at inside the upload directory.
+  async getOwnedFiles(projectId, project) {
+    await this.ready;
+    const revisions = await this.store.listRevisions(projectId);
+    const owned = new Set();
+
+    for (const record of [project, ...revisions.map(revision => revision.changes)]) {
+      for (const file of record?.files || []) {
+        if (file?.path && isPathInside(file.path, this.uploadDir)) {
+          owned.add(path.resolve(file.path));
+        }
+      }
+    }
+
+    return [...owned];
+  }
+
+  async deleteProject(projectId, { expectedVersion } = {}) {
     try {
-      const filePath = path.join(this.dataDir, `${projectId}.json`);
-      await fs.remove(filePath);
-      return true;
+      await this.ready;
+      return await this.withProjectLock(projectId, async () => {
+        const project = await this.store.get(projectId);
+        if (!project) return false;
+        this.assertVersion(project, expectedVersion);
+
+        const ownedFiles = await this.getOwnedFiles(projectId, project);
+        const deleted = await this.store.delete(projectId);
+        if (deleted) {
+          await Promise.all(ownedFiles.map(filePath => fs.remove(filePath)));
+          console.log(`🗑️ Project deleted: ${projectId} (${ownedFiles.length} file(s) removed)`);
+        }
+        return deleted;
+      });
     } catch (error) {
+      if (error.status) throw error;
       console.error('Error deleting project:', error);
       return false;
     }
@@ -1,61 +1,319 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { createHash } from 'crypto';
 import simpleGit from 'simple-git';
-import { Parser } from 'acorn';
-import * as walk from 'acorn-walk';
+import { HttpError } from '../errors.js';
+import { ArchiveExtractor, ARCHIVE_PATTERN } from './ArchiveExtractor.js';
+import { FileFilter, IGNORE_FILE_NAME, VENDORED_DIRECTORIES } from './FileFilter.js';
+import { extractDependencies, isDependencyFile } from './DependencyExtractor.js';
+import { JAVASCRIPT_EXTENSIONS, parseJavaScript } from '../analysis/javascript.js';
+import { analyzeStructure } from '../analysis/structure.js';
+import { SEVERITIES, runRules } from '../analysis/rules.js';
+import { buildModuleGraph } from '../analysis/moduleGraph.js';
+import { SOURCE_ANALYZERS } from '../analysis/languages.js';
+import { maskSecrets, scanSecrets } from '../analysis/secrets.js';
+import { isPublicAddress, resolveHost } from '../utils/network.js';
+
+// Files accepted by uploads and taken from cloned repositories
+export const UPLOADABLE_FILE_PATTERN = /\.(js|mjs|cjs|ts|jsx|tsx|py|java|php|rb|go|rs|swift|json|yml|yaml|md|txt|toml|ini|cfg|conf|properties|pem)$/i;
+// .env, .env.example, .env.production.local, ...
+const ENV_FILE_PATTERN = /^\.env(\..+)?$/;
+
+// .gitignore files are accepted too (their rules are applied, not analyzed),
+// as are dependency manifests and lockfiles such as Gemfile or go.mod, and
+// .env files so their secrets are found (see scanSecrets)
+export const isUploadableFile = (name) =>
+  UPLOADABLE_FILE_PATTERN.test(name) || path.posix.basename(name) === IGNORE_FILE_NAME
+    || ENV_FILE_PATTERN.test(path.posix.basename(name)) || isDependencyFile(name);
+
+// Bump whenever analyzeFile's output changes so cached analyses are redone
+export const ANALYSIS_VERSION = 7;
+
+const MAX_HOTSPOTS = 10;
+const MAX_SECRET_PREVIEW = 160;
+const MAX_REPO_FILES = 1000;
+const MAX_REPO_FILE_BYTES = 50 * 1024 * 1024;
+const MAX_REPO_TOTAL_BYTES = 200 * 1024 * 1024;
+const GIT_TIMEOUT_MS = 2 * 60 * 1000;
+const COMMIT_SHA = /^[0-9a-f]{7,40}$/i;
+const SAFE_REF = /^(?!-)(?!.*\.\.)[A-Za-z0-9._\/-]+$/;
+
+// Remote repositories must be http(s); file:// reads repositories on the
+// server's own disk, so it's off unless GIT_IMPORT_ALLOW_FILE=true
+function allowedProtocols() {
+  return process.env.GIT_IMPORT_ALLOW_FILE === 'true' ? ['https:', 'http:', 'file:'] : ['https:', 'http:'];
+}
+
+// Hosts on loopback and private networks are refused (the server would
+// otherwise fetch from its own network for anyone) unless
+// GIT_IMPORT_ALLOW_PRIVATE_HOSTS=true, e.g. for a self-hosted Git server
+const allowPrivateHosts = () => process.env.GIT_IMPORT_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Strips any user:password@ so URLs can be stored and logged
+export function redactRepositoryUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString();
+  } catch {
+    return String(url);
+  }
+}
 
 export class ProjectProcessor {
-  constructor() {
-    this.supportedExtensions = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.php', '.rb', '.go', '.rs', '.swift'];
+  // With a vulnerabilityScanner, extracted dependencies are checked against
+  // its advisories as part of processing
+  constructor({
+    uploadDir = path.join(process.cwd(), 'uploads'),
+    tempDir = path.join(process.cwd(), 'temp'),
+    vulnerabilityScanner = null
+  } = {}) {
+    this.supportedExtensions = ['.js', '.mjs', '.cjs', '.ts', '.jsx', '.tsx', '.py', '.java', '.php', '.rb', '.go', '.rs', '.swift'];
+    this.uploadDir = uploadDir;
+    this.tempDir = tempDir;
+    this.vulnerabilityScanner = vulnerabilityScanner;
+    this.archiveExtractor = new ArchiveExtractor({
+      uploadDir,
+      accept: isUploadableFile
+    });
   }
 
-  async processUploadedFiles(files) {
+  // Replaces uploaded .zip/.tar.gz files with the files inside them; each
+  // archive is removed once unpacked
+  async expandArchives(files) {
+    const expanded = [];
+    const skipped = [];
+
+    try {
+      for (const file of files) {
+        if (!ARCHIVE_PATTERN.test(file.originalname)) {
+          expanded.push(file);
+          continue;
+        }
+
+        const result = await this.archiveExtractor.extract(file.path, file.originalname);
+        expanded.push(...result.files);
+        skipped.push(...result.skipped.map(entry => ({ ...entry, archive: file.originalname })));
+        await fs.remove(file.path);
+      }
+    } catch (error) {
+      await Promise.all(expanded.filter(file => !files.includes(file)).map(file => fs.remove(file.path)));
+      throw error;
+    }
+
+    return { files: expanded, skipped };
+  }
+
+  async processUploadedFiles(uploadedFiles, { ignorePatterns } = {}) {
+    const { files, skipped, fileFilter } = await this.selectFiles(uploadedFiles, ignorePatterns);
     console.log('📄 Processing uploaded files:', files.length);
     
     const processedFiles = [];
-    let totalLines = 0;
-    const languages = new Set();
-
     for (const file of files) {
       try {
-        const content = await fs.readFile(file.path, 'utf8');
-        const lines = content.split('\n').length;
-        const extension = path.extname(file.originalname);
-        
-        processedFiles.push({
-          name: file.originalname,
-          path: file.path,
-          content,
-          size: file.size,
-          lines,
-          extension,
-          language: this.detectLanguage(extension),
-          analysis: await this.analyzeFile(content, extension)
-        });
-
-        totalLines += lines;
-        languages.add(this.detectLanguage(extension));
-
+        const processed = await this.processFile(file, { fileFilter, skipped });
+        if (processed) processedFiles.push(processed);
       } catch (error) {
         console.error(`Error processing file ${file.originalname}:`, error);
       }
     }
 
+    return this.summarize(processedFiles, skipped);
+  }
+
+  // Unpacks archives and drops ignored and vendored files. The returned
+  // fileFilter checks each remaining file's content in processFile.
+  async selectFiles(uploadedFiles, ignorePatterns = []) {
+    const expanded = await this.expandArchives(uploadedFiles);
+    const fileFilter = new FileFilter({ ignorePatterns });
+    const { files, skipped } = await fileFilter.select(expanded.files);
+
+    return { files, skipped: [...expanded.skipped, ...skipped], fileFilter };
+  }
+
+  // Returns null (and adds to skipped) for binary, non-UTF-8 or minified files.
+  // analysisCache maps `${hash}:${extension}` to a stored analysis to reuse.
+  async processFile(file, { fileFilter, skipped, analysisCache }) {
+    const buffer = await fs.readFile(file.path);
+    const inspection = fileFilter.inspect(buffer, file.originalname);
+    if (inspection.reason) {
+      skipped.push({ path: file.originalname, reason: inspection.reason });
+      await fs.remove(file.path);
+      return null;
+    }
+
+    const { content, flags } = inspection;
+    const extension = path.extname(file.originalname);
+    const hash = createHash('sha256').update(buffer).digest('hex');
+
+    return {
+      name: file.originalname,
+      path: file.path,
+      content,
+      size: file.size,
+      lines: content.split('\n').length,
+      extension,
+      language: this.detectLanguage(extension),
+      hash,
+      ...(flags.length > 0 && { flags }),
+      analysisVersion: ANALYSIS_VERSION,
+      analysis: analysisCache?.get(`${hash}:${extension}`) || await this.analyzeFile(content, extension)
+    };
+  }
+
+  async summarize(processedFiles, skipped = []) {
+    const dependencies = await this.extractDependencies(processedFiles);
+
     return {
       name: 'Uploaded Project',
       files: processedFiles,
       totalFiles: processedFiles.length,
-      totalLines,
-      languages: Array.from(languages),
+      totalLines: processedFiles.reduce((sum, file) => sum + file.lines, 0),
+      languages: [...new Set(processedFiles.map(file => file.language))],
       projectType: this.detectProjectType(processedFiles),
-      dependencies: await this.extractDependencies(processedFiles)
+      hotspots: this.findHotspots(processedFiles),
+      issueSummary: this.summarizeIssues(processedFiles),
+      moduleGraph: this.summarizeModuleGraph(this.buildModuleGraph(processedFiles)),
+      secrets: this.scanSecrets(processedFiles),
+      dependencies,
+      ...(this.vulnerabilityScanner && { vulnerabilities: await this.vulnerabilityScanner.scan(dependencies) }),
+      skippedFiles: skipped
+    };
+  }
+
+  // The most complex functions in the project, hardest to follow first
+  findHotspots(processedFiles) {
+    return processedFiles
+      .flatMap(file => (file.analysis?.functions || [])
+        .filter(fn => fn.cognitive > 0)
+        .map(fn => ({
+          file: file.name,
+          name: fn.className ? `${fn.className}.${fn.name}` : fn.name,
+          line: fn.line,
+          endLine: fn.endLine,
+          cyclomatic: fn.cyclomatic,
+          cognitive: fn.cognitive,
+          maxNesting: fn.maxNesting,
+          params: fn.params
+        })))
+      .sort((a, b) => b.cognitive - a.cognitive || b.cyclomatic - a.cyclomatic)
+      .slice(0, MAX_HOTSPOTS);
+  }
+
+  // Counts of potentialIssues across the project, by severity and by rule
+  summarizeIssues(processedFiles) {
+    const summary = {
+      total: 0,
+      files: 0,
+      bySeverity: Object.fromEntries(SEVERITIES.map(severity => [severity, 0])),
+      byRule: {}
+    };
+
+    for (const file of processedFiles) {
+      const issues = file.analysis?.potentialIssues || [];
+      if (issues.length > 0) summary.files++;
+      for (const issue of issues) {
+        summary.total++;
+        summary.bySeverity[issue.severity] = (summary.bySeverity[issue.severity] || 0) + 1;
+        summary.byRule[issue.rule] = (summary.byRule[issue.rule] || 0) + 1;
+      }
+    }
+    return summary;
+  }
+
+  // Credentials committed in the project's files, by file and line. Each
+  // finding's preview is its line with every secret on it masked, so the
+  // secrets themselves are never copied out of the files.
+  scanSecrets(processedFiles) {
+    const secrets = { total: 0, files: 0, byRule: {}, findings: [] };
+
+    for (const file of processedFiles) {
+      // Lockfiles are full of integrity hashes, so only the pattern rules apply
+      const findings = scanSecrets(file.content, { entropy: !file.flags?.includes('lockfile') });
+      if (findings.length === 0) continue;
+
+      const lines = maskSecrets(file.content, findings).content.split('\n');
+      secrets.files++;
+      for (const { rule, description, line, column } of findings) {
+        secrets.total++;
+        secrets.byRule[rule] = (secrets.byRule[rule] || 0) + 1;
+        secrets.findings.push({ file: file.name, line, column, rule, description, preview: lines[line - 1].trim().slice(0, MAX_SECRET_PREVIEW) });
+      }
+    }
+    return secrets;
+  }
+
+  // See buildModuleGraph for the format
+  buildModuleGraph(files) {
+    return buildModuleGraph(files);
+  }
+
+  // What's kept on the project: the problems, not the edges
+  summarizeModuleGraph(graph) {
+    return {
+      modules: graph.modules.length,
+      edges: graph.edges.length,
+      unresolved: graph.unresolved,
+      cycles: graph.cycles,
+      orphans: graph.orphans
     };
   }
 
-  async processAppProject(files, projectData) {
+  // Processes a new upload of an existing project. Files whose content is
+  // unchanged keep their previous entry (and stored copy); new or edited files
+  // reuse any cached analysis of identical content before being analyzed.
+  async processSnapshot(uploadedFiles, previousFiles = [], { ignorePatterns } = {}) {
+    const { files, skipped, fileFilter } = await this.selectFiles(uploadedFiles, ignorePatterns);
+    console.log('🔁 Processing project snapshot:', files.length);
+
+    const hashOf = (file) => file.hash || createHash('sha256').update(file.content || '', 'utf8').digest('hex');
+    const previousByName = new Map(previousFiles.map(file => [file.name, file]));
+    const analysisCache = new Map(previousFiles
+      .filter(file => file.hash && file.analysisVersion === ANALYSIS_VERSION)
+      .map(file => [`${file.hash}:${file.extension}`, file.analysis]));
+
+    const processedFiles = [];
+    const changes = { added: [], changed: [], removed: [], unchanged: 0, reusedAnalyses: 0 };
+
+    for (const file of files) {
+      try {
+        const processed = await this.processFile(file, { fileFilter, skipped, analysisCache });
+        if (!processed) continue;
+
+        const previous = previousByName.get(processed.name);
+
+        // Unchanged content analyzed by an older analyzer gets the fresh analysis
+        if (previous && hashOf(previous) === processed.hash) {
+          changes.unchanged++;
+          if (previous.analysisVersion === ANALYSIS_VERSION) {
+            processedFiles.push(previous);
+            if (previous.path !== file.path) await fs.remove(file.path);
+          } else {
+            processedFiles.push(processed);
+          }
+          continue;
+        }
+
+        if (analysisCache.has(`${processed.hash}:${processed.extension}`)) changes.reusedAnalyses++;
+        processedFiles.push(processed);
+        changes[previous ? 'changed' : 'added'].push(processed.name);
+      } catch (error) {
+        console.error(`Error processing file ${file.originalname}:`, error);
+      }
+    }
+
+    const names = new Set(processedFiles.map(file => file.name));
+    changes.removed = previousFiles.map(file => file.name).filter(name => !names.has(name));
+
+    const { name, ...summary } = await this.summarize(processedFiles, skipped);
+    return { ...summary, changes };
+  }
+
+  async processAppProject(files, projectData, options = {}) {
     console.log('🌐 Processing app project:', projectData.name);
     
-    const processedFiles = await this.processUploadedFiles(files);
+    const processedFiles = await this.processUploadedFiles(files, options);
     
     return {
       ...processedFiles,
@@ -67,10 +325,201 @@ export class ProjectProcessor {
     };
   }
 
+  // Clones url into a throwaway directory, checks out ref (a branch, tag or
+  // commit; the default branch when omitted) and processes it like an upload.
+  // Kept files are copied into the upload directory so the project owns them.
+  async processRepository({ url, ref, credential, ignorePatterns }) {
+    const parsed = this.parseRepositoryUrl(url);
+    if (ref && !SAFE_REF.test(ref)) {
+      throw new HttpError(400, 'Invalid branch, tag or commit');
+    }
+    const addresses = await this.resolveRepositoryHost(parsed);
+
+    console.log('🌱 Importing repository:', redactRepositoryUrl(url), ref || '(default branch)');
+
+    await fs.ensureDir(this.tempDir);
+    const workDir = await fs.mkdtemp(path.join(this.tempDir, 'repo-'));
+    let files = [];
+
+    try {
+      const commit = await this.cloneRepository(parsed, ref, credential, workDir, addresses);
+      const collected = await this.collectRepositoryFiles(workDir);
+      files = collected.files;
+      const processed = await this.processUploadedFiles(files, { ignorePatterns });
+      const name = decodeURIComponent(parsed.pathname.split('/').filter(Boolean).pop() || 'repository').replace(/\.git$/, '');
+
+      return {
+        ...processed,
+        skippedFiles: [...collected.skipped, ...processed.skippedFiles],
+        name,
+        codebaseUrl: redactRepositoryUrl(url),
+        repository: {
+          url: redactRepositoryUrl(url),
+          ref: ref || null,
+          commit,
+          importedAt: new Date().toISOString()
+        }
+      };
+    } catch (error) {
+      await Promise.all(files.map(file => fs.remove(file.path)));
+      throw error;
+    } finally {
+      await fs.remove(workDir);
+    }
+  }
+
+  parseRepositoryUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(String(url || ''));
+    } catch {
+      throw new HttpError(400, 'A valid repository URL is required');
+    }
+
+    const protocols = allowedProtocols();
+    if (!protocols.includes(parsed.protocol)) {
+      throw new HttpError(400, `Repository URLs must use ${protocols.map(protocol => protocol.replace(':', '')).join(', ')}`);
+    }
+    return parsed;
+  }
+
+  // The addresses an http(s) repository's host resolves to, all of them
+  // public (see allowPrivateHosts); null for file:// URLs and when private
+  // hosts are allowed, as there is nothing to pin the clone to
+  async resolveRepositoryHost(parsed) {
+    if (parsed.protocol === 'file:' || allowPrivateHosts()) return null;
+
+    const addresses = await resolveHost(parsed.hostname);
+    if (!addresses || addresses.length === 0) {
+      throw new HttpError(400, 'Could not resolve the repository host');
+    }
+    if (!addresses.every(isPublicAddress)) {
+      throw new HttpError(400, 'Repository URLs must not point at loopback or private network addresses');
+    }
+    return addresses;
+  }
+
+  // Returns the checked-out commit SHA. With addresses, git connects only to
+  // them, so the host can't resolve differently than when it was checked.
+  async cloneRepository(parsed, ref, credential, workDir, addresses = null) {
+    const env = {
+      PATH: process.env.PATH,
+      HOME: workDir,
+      GIT_TERMINAL_PROMPT: '0',
+      GIT_CONFIG_NOSYSTEM: '1',
+      GIT_CONFIG_GLOBAL: '/dev/null',
+      // Also covers submodule URLs
+      GIT_ALLOW_PROTOCOL: allowedProtocols().map(protocol => protocol.replace(':', '')).join(':')
+    };
+
+    // Config travels through the environment, so the credential's HTTP header
+    // never shows up in the process list or the clone's .git/config
+    const config = [];
+    if (parsed.protocol !== 'file:') {
+      // A redirect could lead anywhere, private hosts included
+      config.push(['http.followRedirects', 'false']);
+    }
+    if (addresses) {
+      const port = parsed.port || (parsed.protocol === 'https:' ? '443' : '80');
+      const pinned = addresses.map(address => (address.includes(':') ? `[${address}]` : address)).join(',');
+      config.push(['http.curloptResolve', `${parsed.hostname.replace(/^\[|\]$/g, '')}:${port}:${pinned}`]);
+    }
+    if (credential && parsed.protocol !== 'file:') {
+      const basic = String(credential).includes(':') ? String(credential) : `x-access-token:${credential}`;
+      config.push(['http.extraHeader', `Authorization: Basic ${Buffer.from(basic).toString('base64')}`]);
+    }
+    env.GIT_CONFIG_COUNT = String(config.length);
+    config.forEach(([key, value], index) => {
+      env[`GIT_CONFIG_KEY_${index}`] = key;
+      env[`GIT_CONFIG_VALUE_${index}`] = value;
+    });
+
+    const git = simpleGit({ baseDir: workDir, timeout: { block: GIT_TIMEOUT_MS } }).env(env);
+    const source = parsed.toString();
+    const checkoutDir = path.join(workDir, 'checkout');
+
+    try {
+      if (ref && COMMIT_SHA.test(ref)) {
+        // Arbitrary commits need the full history
+        await git.clone(source, checkoutDir, ['--no-checkout']);
+        await git.cwd(checkoutDir);
+        await git.checkout(['--detach', ref]);
+      } else {
+        await git.clone(source, checkoutDir, ['--depth', '1', ...(ref ? ['--branch', ref] : [])]);
+        await git.cwd(checkoutDir);
+      }
+      return (await git.revparse(['HEAD'])).trim();
+    } catch (error) {
+      const message = String(error.message || error).split('\n').find(line => line.startsWith('fatal:') || line.startsWith('error:'));
+      const safeMessage = (message || 'git failed').replace(/\/\/[^/@\s]+@/g, '//');
+      throw new HttpError(400, `Could not clone repository: ${safeMessage}`);
+    }
+  }
+
+  // Regular files only: symlinks could point anywhere on the server. Vendored
+  // directories are skipped whole rather than copied file by file.
+  async collectRepositoryFiles(workDir) {
+    const root = path.join(workDir, 'checkout');
+    const candidates = [];
+    const skipped = [];
+
+    const visit = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && VENDORED_DIRECTORIES.includes(entry.name)) {
+          skipped.push({ path: `${path.relative(root, fullPath).split(path.sep).join('/')}/`, reason: 'vendored directory' });
+        } else if (entry.isDirectory()) {
+          if (entry.name !== '.git') await visit(fullPath);
+        } else if (entry.isFile() && isUploadableFile(entry.name)) {
+          candidates.push(fullPath);
+        }
+      }
+    };
+    await visit(root);
+
+    if (candidates.length > MAX_REPO_FILES) {
+      throw new HttpError(413, `Repository has more than ${MAX_REPO_FILES} importable files`);
+    }
+
+    await fs.ensureDir(this.uploadDir);
+    const files = [];
+    let totalBytes = 0;
+    try {
+      for (const fullPath of candidates.sort()) {
+        const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+        const { size } = await fs.stat(fullPath);
+        if (size > MAX_REPO_FILE_BYTES) {
+          skipped.push({ path: relativePath, reason: 'file too large' });
+          continue;
+        }
+
+        totalBytes += size;
+        if (totalBytes > MAX_REPO_TOTAL_BYTES) {
+          throw new HttpError(413, 'Repository is too large to import');
+        }
+
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const storedPath = path.join(this.uploadDir, `repo-${uniqueSuffix}${path.extname(fullPath)}`);
+        await fs.copy(fullPath, storedPath);
+        files.push({
+          path: storedPath,
+          originalname: relativePath,
+          size
+        });
+      }
+    } catch (error) {
+      await Promise.all(files.map(file => fs.remove(file.path)));
+      throw error;
+    }
+    return { files, skipped };
+  }
+
   detectLanguage(extension) {
     const languageMap = {
       '.js': 'JavaScript',
       '.jsx': 'JavaScript (React)',
+      '.mjs': 'JavaScript',
+      '.cjs': 'JavaScript',
       '.ts': 'TypeScript',
       '.tsx': 'TypeScript (React)',
       '.py': 'Python',
@@ -88,32 +537,18 @@ export class ProjectProcessor {
     const hasFile = (name) => files.some(f => f.name === name);
     
     if (hasFile('package.json')) return 'Node.js/JavaScript';
-    if (hasFile('requirements.txt')) return 'Python';
-    if (hasFile('pom.xml')) return 'Java';
+    if (hasFile('requirements.txt') || hasFile('pyproject.toml') || hasFile('Pipfile')) return 'Python';
+    if (hasFile('pom.xml') || hasFile('build.gradle') || hasFile('build.gradle.kts')) return 'Java';
     if (hasFile('Gemfile')) return 'Ruby';
     if (hasFile('go.mod')) return 'Go';
+    if (hasFile('Cargo.toml')) return 'Rust';
     
     return 'Generic';
   }
 
+  // See DependencyExtractor for the entry format
   async extractDependencies(files) {
-    const dependencies = {};
-
-    for (const file of files) {
-      if (file.name === 'package.json') {
-        try {
-          const packageJson = JSON.parse(file.content);
-          dependencies.npm = {
-            ...packageJson.dependencies,
-            ...packageJson.devDependencies
-          };
-        } catch (error) {
-          console.error('Error parsing package.json:', error);
-        }
-      }
-    }
-
-    return dependencies;
+    return extractDependencies(files);
   }
 
   async analyzeFile(content, extension) {
@@ -121,13 +556,16 @@ export class ProjectProcessor {
       functions: [],
       classes: [],
       imports: [],
+      exports: [],
       complexity: 0,
       potentialIssues: []
     };
 
     try {
-      if (extension === '.js' || extension === '.jsx') {
-        await this.analyzeJavaScript(content, analysis);
+      if (JAVASCRIPT_EXTENSIONS.includes(extension)) {
+        await this.analyzeJavaScript(content, extension, analysis);
+      } else if (Object.hasOwn(SOURCE_ANALYZERS, extension)) {
+        Object.assign(analysis, SOURCE_ANALYZERS[extension](content));
       }
     } catch (error) {
       console.error('File analysis error:', error);
@@ -136,34 +574,16 @@ export class ProjectProcessor {
     return analysis;
   }
 
-  async analyzeJavaScript(content, analysis) {
-    try {
-      const ast = Parser.parse(content, {
-        ecmaVersion: 2022,
-        sourceType: 'module'
-      });
-
-      walk.simple(ast, {
-        FunctionDeclaration(node) {
-          analysis.functions.push({
-            name: node.id?.name || 'anonymous',
-            line: node.loc?.start.line,
-            params: node.params.length
-          });
-        },
-        ClassDeclaration(node) {
-          analysis.classes.push({
-            name: node.id?.name,
-            line: node.loc?.start.line
-          });
-        },
-        ImportDeclaration(node) {
-          analysis.imports.push(node.source.value);
-        }
-      });
+  // Handles JavaScript, TypeScript and JSX. Parse errors are kept in
+  // analysis.parseErrors with their line and column; see analyzeStructure
+  // for the structure and RULES for what lands in potentialIssues.
+  async analyzeJavaScript(content, extension, analysis) {
+    const { ast, sourceType, errors } = parseJavaScript(content, extension);
+    analysis.sourceType = sourceType;
+    analysis.parseErrors = errors;
+    if (!ast) return;
 
-    } catch (error) {
-      console.error('JavaScript analysis error:', error);
-    }
+    Object.assign(analysis, analyzeStructure(ast));
+    analysis.potentialIssues = runRules(ast);
   }
 }
@@ -0,0 +1,115 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+const HOUR = 60 * 60 * 1000;
+
+export class StorageJanitor {
+  constructor(projectManager, {
+    uploadDir = path.join(process.cwd(), 'uploads'),
+    tempDir = path.join(process.cwd(), 'temp'),
+    maxAgeHours = Number(process.env.CLEANUP_MAX_AGE_HOURS) || 24
+  } = {}) {
+    this.projectManager = projectManager;
+    this.uploadDir = uploadDir;
+    this.tempDir = tempDir;
+    this.maxAgeMs = maxAgeHours * HOUR;
+    this.timer = null;
+  }
+
+  // Anything younger than maxAge is left alone: multer writes uploads before
+  // the project record referencing them exists.
+  async findReclaimable() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    const referenced = await this.referencedUploads();
+
+    const uploads = (await this.listEntries(this.uploadDir))
+      .filter(entry => entry.modified < cutoff && !referenced.has(entry.path));
+    const temp = (await this.listEntries(this.tempDir))
+      .filter(entry => entry.modified < cutoff);
+
+    return { uploads, temp };
+  }
+
+  async report() {
+    return this.summarize(await this.findReclaimable());
+  }
+
+  async collect() {
+    const reclaimable = await this.findReclaimable();
+
+    for (const entry of [...reclaimable.uploads, ...reclaimable.temp]) {
+      await fs.remove(entry.path);
+    }
+
+    const summary = this.summarize(reclaimable);
+    if (summary.totalFiles > 0) {
+      console.log(`🧹 Storage cleanup removed ${summary.totalFiles} item(s), ${summary.totalBytes} bytes`);
+    }
+    return summary;
+  }
+
+  start(intervalMinutes = Number(process.env.CLEANUP_INTERVAL_MINUTES ?? 60)) {
+    if (!intervalMinutes || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.collect().catch(error => console.error('Storage cleanup error:', error));
+    }, intervalMinutes * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async referencedUploads() {
+    await this.projectManager.ready;
+    const projects = await this.projectManager.store.list();
+    const referenced = new Set();
+
+    for (const project of projects) {
+      for (const filePath of await this.projectManager.getOwnedFiles(project.id, project)) {
+        referenced.add(filePath);
+      }
+    }
+
+    return referenced;
+  }
+
+  async listEntries(dir) {
+    if (!(await fs.pathExists(dir))) return [];
+
+    const entries = [];
+    for (const name of await fs.readdir(dir)) {
+      const entryPath = path.resolve(dir, name);
+      const stats = await fs.lstat(entryPath);
+      entries.push({
+        path: entryPath,
+        size: stats.isDirectory() ? await this.directorySize(entryPath) : stats.size,
+        modified: stats.mtimeMs
+      });
+    }
+    return entries;
+  }
+
+  async directorySize(dir) {
+    let total = 0;
+    for (const name of await fs.readdir(dir)) {
+      const stats = await fs.lstat(path.join(dir, name));
+      total += stats.isDirectory() ? await this.directorySize(path.join(dir, name)) : stats.size;
+    }
+    return total;
+  }
+
+  summarize({ uploads, temp }) {
+    const bytes = (entries) => entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    return {
+      maxAgeHours: this.maxAgeMs / HOUR,
+      uploads: { files: uploads.length, bytes: bytes(uploads) },
+      temp: { files: temp.length, bytes: bytes(temp) },
+      totalFiles: uploads.length + temp.length,
+      totalBytes: bytes(uploads) + bytes(temp)
+    };
+  }
+}
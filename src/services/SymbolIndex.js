@@ -0,0 +1,231 @@
+import { NotFoundError } from '../errors.js';
+import { JAVASCRIPT_EXTENSIONS, parseJavaScript } from '../analysis/javascript.js';
+import { extractSymbols } from '../analysis/symbols.js';
+import { createModuleResolver } from '../analysis/moduleGraph.js';
+
+const MAX_SNIPPET_LINES = 60;
+const MAX_SEARCH_RESULTS = 100;
+const MAX_MENTIONED = 5;
+// Definitions worth showing when a bug report names them
+const MENTIONABLE_KINDS = new Set(['function', 'class', 'method', 'constructor', 'get', 'set']);
+
+// Symbol ids are "<file>#<qualifiedName>", e.g. "src/cart.js#Cart.checkout"
+const symbolId = (file, qualifiedName) => `${file}#${qualifiedName}`;
+
+// Keeps the most recently used entries of a Map-like cache
+function remember(cache, key, value, limit) {
+  cache.delete(key);
+  cache.set(key, value);
+  if (cache.size > limit) cache.delete(cache.keys().next().value);
+  return value;
+}
+
+/*
+ * Go-to-definition, find-references and call hierarchy for a project's
+ * JavaScript and TypeScript files. Indexes are built from the stored file
+ * contents on first use and cached per project version; each file's symbols
+ * are cached by content hash, so a new snapshot only re-parses what changed.
+ */
+export class SymbolIndex {
+  constructor({ maxProjects = 20, maxFiles = 5000 } = {}) {
+    this.maxProjects = maxProjects;
+    this.maxFiles = maxFiles;
+    this.projects = new Map();
+    this.files = new Map();
+  }
+
+  fileSymbols(file) {
+    const key = `${file.hash}:${file.extension}`;
+    if (file.hash && this.files.has(key)) return remember(this.files, key, this.files.get(key), this.maxFiles);
+
+    const { ast } = parseJavaScript(file.content, file.extension);
+    const symbols = ast ? extractSymbols(ast) : { definitions: [], imports: [], exports: [], references: [] };
+    return file.hash ? remember(this.files, key, symbols, this.maxFiles) : symbols;
+  }
+
+  getIndex(project) {
+    const cacheKey = `${project.id}@${project.version || 0}`;
+    if (this.projects.has(cacheKey)) return remember(this.projects, cacheKey, this.projects.get(cacheKey), this.maxProjects);
+    return remember(this.projects, cacheKey, this.buildIndex(project.files || []), this.maxProjects);
+  }
+
+  buildIndex(files) {
+    const { resolveImport } = createModuleResolver(files);
+    const contents = new Map(files.map(file => [file.name, file.content]));
+    const symbolsByFile = new Map();
+    for (const file of files) {
+      if (JAVASCRIPT_EXTENSIONS.includes(file.extension) && typeof file.content === 'string') {
+        symbolsByFile.set(file.name, this.fileSymbols(file));
+      }
+    }
+
+    const definitions = new Map();
+    for (const [file, symbols] of symbolsByFile) {
+      for (const definition of symbols.definitions) {
+        definitions.set(symbolId(file, definition.qualifiedName), { id: symbolId(file, definition.qualifiedName), file, ...definition });
+      }
+    }
+
+    // Follows an exported name to its definition through re-exports
+    const resolveExport = (file, name, seen = new Set()) => {
+      const key = `${file}#${name}`;
+      if (seen.has(key)) return null;
+      seen.add(key);
+
+      const symbols = symbolsByFile.get(file);
+      for (const entry of symbols?.exports || []) {
+        if (entry.exported !== name && !(entry.exported === '*' && name !== 'default')) continue;
+
+        if (entry.local) return definitions.has(symbolId(file, entry.local)) ? symbolId(file, entry.local) : null;
+        // export * as ns re-exports a whole module, not one definition
+        if (entry.imported === '*' && entry.exported !== '*') continue;
+        const target = entry.source && resolveImport(file, { source: entry.source, kind: 'import' }).file;
+        if (!target) continue;
+
+        const found = resolveExport(target, entry.exported === '*' ? name : entry.imported, seen);
+        if (found) return found;
+      }
+      return null;
+    };
+
+    const references = new Map();
+    const callees = new Map();
+    const addTo = (map, key, value) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(value);
+    };
+
+    for (const [file, symbols] of symbolsByFile) {
+      const importsByLocal = new Map(symbols.imports.map(entry => [entry.local, entry]));
+
+      for (const reference of symbols.references) {
+        let target = null;
+        if (reference.symbol) {
+          target = symbolId(file, reference.symbol);
+        } else {
+          const imported = importsByLocal.get(reference.import);
+          const resolved = imported && resolveImport(file, { source: imported.source, kind: imported.kind }).file;
+          if (resolved) {
+            // A whole-module import points at its default export unless a member is used
+            const name = imported.imported === '*' ? reference.member || 'default' : imported.imported;
+            target = resolveExport(resolved, name);
+          }
+        }
+        if (!target || !definitions.has(target)) continue;
+
+        const caller = reference.caller ? symbolId(file, reference.caller) : null;
+        const entry = { symbol: target, file, line: reference.line, column: reference.column, caller, ...(reference.call && { call: true }), ...(reference.write && { write: true }) };
+        addTo(references, target, entry);
+        if (reference.call && caller) addTo(callees, caller, entry);
+      }
+    }
+
+    return { definitions, references, callees, contents, lines: new Map() };
+  }
+
+  // Definitions named name, either qualified ("Cart.checkout") or by their
+  // own name ("checkout"), optionally only those in file
+  findDefinitions(project, name, { file } = {}) {
+    const index = this.getIndex(project);
+    const matches = [...index.definitions.values()].filter(definition =>
+      (definition.qualifiedName === name || definition.name === name) && (!file || definition.file === file));
+    return matches.sort((a, b) => Number(Boolean(a.local)) - Number(Boolean(b.local)) || a.file.localeCompare(b.file) || a.line - b.line);
+  }
+
+  // Like findDefinitions, but a symbol that doesn't exist is a 404
+  requireDefinitions(project, name, options) {
+    const definitions = this.findDefinitions(project, name, options);
+    if (definitions.length === 0) throw new NotFoundError(`No definition of ${name} found`);
+    return definitions;
+  }
+
+  search(project, query, { limit } = {}) {
+    const needle = String(query || '').toLowerCase();
+    const count = Math.min(Math.max(Number.parseInt(limit, 10) || MAX_SEARCH_RESULTS, 1), MAX_SEARCH_RESULTS);
+    return [...this.getIndex(project).definitions.values()]
+      .filter(definition => definition.qualifiedName.toLowerCase().includes(needle))
+      .sort((a, b) => Number(!a.name.toLowerCase().startsWith(needle)) - Number(!b.name.toLowerCase().startsWith(needle))
+        || a.qualifiedName.localeCompare(b.qualifiedName))
+      .slice(0, count);
+  }
+
+  // Functions, classes and methods named in free text such as a bug report
+  // ("checkout throws", "`Cart.checkout`"), in the order they're mentioned,
+  // each with its snippet
+  mentionedIn(project, text, { limit = MAX_MENTIONED } = {}) {
+    const tokens = String(text || '').match(/[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/g) || [];
+    const position = new Map();
+    tokens.forEach((token, i) => {
+      if (!position.has(token)) position.set(token, i);
+    });
+
+    const index = this.getIndex(project);
+    const mentionOf = (definition) => Math.min(position.get(definition.qualifiedName) ?? Infinity, position.get(definition.name) ?? Infinity);
+    return [...index.definitions.values()]
+      .filter(definition => MENTIONABLE_KINDS.has(definition.kind) && !definition.local && mentionOf(definition) < Infinity)
+      .sort((a, b) => mentionOf(a) - mentionOf(b) || a.file.localeCompare(b.file) || a.line - b.line)
+      .slice(0, limit)
+      .map(definition => ({ ...definition, snippet: this.snippet(index, definition.file, definition.line, definition.endLine) }));
+  }
+
+  definition(project, name, options) {
+    const index = this.getIndex(project);
+    return this.requireDefinitions(project, name, options).map(definition => ({
+      ...definition,
+      snippet: this.snippet(index, definition.file, definition.line, definition.endLine)
+    }));
+  }
+
+  references(project, name, options) {
+    const index = this.getIndex(project);
+    const definitions = this.requireDefinitions(project, name, options);
+    const references = definitions.flatMap(definition => index.references.get(definition.id) || [])
+      .map(reference => ({ ...reference, text: this.lineOf(index, reference.file, reference.line) }));
+    return { definitions, references };
+  }
+
+  // Functions calling name, with each call site
+  callers(project, name, options) {
+    const index = this.getIndex(project);
+    const definitions = this.requireDefinitions(project, name, options);
+    const calls = definitions.flatMap(definition => index.references.get(definition.id) || []).filter(reference => reference.call);
+    return { definitions, callers: this.groupCalls(index, calls, call => call.caller) };
+  }
+
+  // Functions name calls, with each call site
+  callees(project, name, options) {
+    const index = this.getIndex(project);
+    const definitions = this.requireDefinitions(project, name, options);
+    const calls = definitions.flatMap(definition => index.callees.get(definition.id) || []);
+    return { definitions, callees: this.groupCalls(index, calls, call => call.symbol) };
+  }
+
+  groupCalls(index, calls, keyOf) {
+    const groups = new Map();
+    for (const call of calls) {
+      const key = keyOf(call);
+      if (!key) continue;
+      if (!groups.has(key)) {
+        const { id, file, name, qualifiedName, kind, line } = index.definitions.get(key);
+        groups.set(key, { id, file, name, qualifiedName, kind, line, calls: [] });
+      }
+      groups.get(key).calls.push({ file: call.file, line: call.line, column: call.column, text: this.lineOf(index, call.file, call.line) });
+    }
+    return [...groups.values()];
+  }
+
+  linesOf(index, file) {
+    if (!index.lines.has(file)) index.lines.set(file, (index.contents.get(file) || '').split('\n'));
+    return index.lines.get(file);
+  }
+
+  snippet(index, file, startLine, endLine) {
+    const lines = this.linesOf(index, file);
+    const last = Math.min(endLine, startLine + MAX_SNIPPET_LINES - 1);
+    return { startLine, endLine: last, truncated: last < endLine, code: lines.slice(startLine - 1, last).join('\n') };
+  }
+
+  lineOf(index, file, line) {
+    return this.linesOf(index, file)[line - 1]?.trim() ?? '';
+  }
+}
@@ -0,0 +1,264 @@
+import { createCollection } from '../storage/index.js';
+import { BudgetExceededError, HttpError } from '../errors.js';
+import { KeyedLock } from '../utils/KeyedLock.js';
+
+// USD per million tokens; models missing here are metered at DEFAULT_MODEL's price
+export const MODEL_PRICING = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 }
+};
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Calls kept per ledger; totals keep counting past it
+const MAX_LEDGER_CALLS = 5000;
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+function assertMonth(month) {
+  if (!MONTH_PATTERN.test(month)) {
+    throw new HttpError(400, 'month must look like YYYY-MM');
+  }
+}
+
+const emptyTotals = () => ({
+  calls: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  costUsd: 0,
+  serverCostUsd: 0
+});
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+function mergeTotals(a = emptyTotals(), b) {
+  return {
+    calls: a.calls + b.calls,
+    promptTokens: a.promptTokens + b.promptTokens,
+    completionTokens: a.completionTokens + b.completionTokens,
+    totalTokens: a.totalTokens + b.totalTokens,
+    costUsd: roundUsd(a.costUsd + b.costUsd),
+    serverCostUsd: roundUsd(a.serverCostUsd + b.serverCostUsd)
+  };
+}
+
+const callTotals = (call) => ({
+  calls: 1,
+  promptTokens: call.promptTokens,
+  completionTokens: call.completionTokens,
+  totalTokens: call.promptTokens + call.completionTokens,
+  costUsd: call.costUsd,
+  serverCostUsd: call.credentialSource === 'server' ? call.costUsd : 0
+});
+
+function parseBudget(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+// Dated snapshots such as gpt-4o-mini-2024-07-18 use their base model's price
+function pricingFor(model = '') {
+  const base = Object.keys(MODEL_PRICING)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return MODEL_PRICING[base || DEFAULT_MODEL];
+}
+
+export function estimateCost(model, promptTokens, completionTokens) {
+  const pricing = pricingFor(model);
+  return roundUsd((promptTokens * pricing.prompt + completionTokens * pricing.completion) / 1e6);
+}
+
+/*
+ * Meters AI token usage in one ledger per user and calendar month (UTC),
+ * with running totals by day, project and operation. Budgets only cap spend
+ * on the server's own API key; calls made with a user's stored key are
+ * metered but never refused.
+ */
+export class UsageMeter {
+  constructor({
+    ledgers = createCollection('ai-usage'),
+    budgets = createCollection('ai-budgets'),
+    dailyBudgetUsd = process.env.AI_DAILY_BUDGET_USD,
+    monthlyBudgetUsd = process.env.AI_MONTHLY_BUDGET_USD
+  } = {}) {
+    this.ledgers = ledgers;
+    this.budgets = budgets;
+    this.defaultBudget = { dailyUsd: parseBudget(dailyBudgetUsd), monthlyUsd: parseBudget(monthlyBudgetUsd) };
+    this.ready = Promise.all([ledgers.init(), budgets.init()]);
+    this.locks = new KeyedLock();
+  }
+
+  ledgerId(userId, month) {
+    return `${userId}_${month}`;
+  }
+
+  async record({ userId, projectId, operation, model, usage, credentialSource }) {
+    await this.ready;
+
+    const now = new Date().toISOString();
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    const call = {
+      timestamp: now,
+      projectId: projectId || null,
+      operation,
+      model,
+      promptTokens,
+      completionTokens,
+      costUsd: estimateCost(model, promptTokens, completionTokens),
+      credentialSource
+    };
+
+    const month = now.slice(0, 7);
+    const day = now.slice(0, 10);
+    const id = this.ledgerId(userId, month);
+
+    await this.locks.run(id, async () => {
+      const ledger = (await this.ledgers.get(id)) || {
+        id,
+        userId,
+        month,
+        totals: emptyTotals(),
+        days: {},
+        projects: {},
+        operations: {},
+        calls: []
+      };
+
+      const totals = callTotals(call);
+      ledger.totals = mergeTotals(ledger.totals, totals);
+      ledger.days[day] = mergeTotals(ledger.days[day], totals);
+      ledger.operations[operation] = mergeTotals(ledger.operations[operation], totals);
+      if (call.projectId) {
+        ledger.projects[call.projectId] = mergeTotals(ledger.projects[call.projectId], totals);
+      }
+      ledger.calls = [...ledger.calls, call].slice(-MAX_LEDGER_CALLS);
+
+      await this.ledgers.put(ledger);
+    });
+
+    return call;
+  }
+
+  // Per-user limits win over AI_DAILY_BUDGET_USD / AI_MONTHLY_BUDGET_USD;
+  // null means unlimited
+  async getBudget(userId) {
+    await this.ready;
+    const override = await this.budgets.get(userId);
+    return {
+      dailyUsd: override && 'dailyUsd' in override ? override.dailyUsd : this.defaultBudget.dailyUsd,
+      monthlyUsd: override && 'monthlyUsd' in override ? override.monthlyUsd : this.defaultBudget.monthlyUsd
+    };
+  }
+
+  // Pass a number to set a limit, null for unlimited, or "default" to go back
+  // to the server-wide default; omitted limits are left as they are
+  async setBudget(userId, { dailyUsd, monthlyUsd }) {
+    await this.ready;
+
+    await this.locks.run(`budget:${userId}`, async () => {
+      const record = { ...(await this.budgets.get(userId)), id: userId, userId, updatedAt: new Date().toISOString() };
+      for (const [field, value] of Object.entries({ dailyUsd, monthlyUsd })) {
+        if (value === undefined) continue;
+        if (value === 'default') {
+          delete record[field];
+        } else if (value === null || parseBudget(value) !== null) {
+          record[field] = value === null ? null : Number(value);
+        } else {
+          throw new HttpError(400, `${field} must be a non-negative number, null or "default"`);
+        }
+      }
+      await this.budgets.put(record);
+    });
+
+    return this.getBudget(userId);
+  }
+
+  async getStatus(userId) {
+    const now = new Date().toISOString();
+    const [budget, ledger] = await Promise.all([
+      this.getBudget(userId),
+      this.ledgers.get(this.ledgerId(userId, now.slice(0, 7)))
+    ]);
+
+    const spentToday = ledger?.days[now.slice(0, 10)]?.serverCostUsd || 0;
+    const spentThisMonth = ledger?.totals.serverCostUsd || 0;
+    const describe = (limitUsd, spentUsd) => ({
+      limitUsd,
+      spentUsd,
+      remainingUsd: limitUsd === null ? null : roundUsd(Math.max(limitUsd - spentUsd, 0))
+    });
+
+    return {
+      daily: describe(budget.dailyUsd, spentToday),
+      monthly: describe(budget.monthlyUsd, spentThisMonth)
+    };
+  }
+
+  async assertWithinBudget(userId) {
+    const status = await this.getStatus(userId);
+
+    if (status.daily.limitUsd !== null && status.daily.spentUsd >= status.daily.limitUsd) {
+      throw new BudgetExceededError(
+        `Daily AI budget of $${status.daily.limitUsd} reached ($${status.daily.spentUsd} spent). It resets at midnight UTC.`,
+        { budget: status }
+      );
+    }
+    if (status.monthly.limitUsd !== null && status.monthly.spentUsd >= status.monthly.limitUsd) {
+      throw new BudgetExceededError(
+        `Monthly AI budget of $${status.monthly.limitUsd} reached ($${status.monthly.spentUsd} spent). It resets on the 1st (UTC).`,
+        { budget: status }
+      );
+    }
+  }
+
+  // One user's usage for a month (default: the current one)
+  async getSummary(userId, { month = currentMonth(), includeCalls = false } = {}) {
+    await this.ready;
+    assertMonth(month);
+
+    const ledger = await this.ledgers.get(this.ledgerId(userId, month));
+    return {
+      userId,
+      month,
+      totals: ledger?.totals || emptyTotals(),
+      byDay: ledger?.days || {},
+      byProject: ledger?.projects || {},
+      byOperation: ledger?.operations || {},
+      ...(includeCalls && { calls: ledger?.calls || [] }),
+      budget: await this.getStatus(userId)
+    };
+  }
+
+  // A project's usage for a month, across everyone who worked on it
+  async getProjectUsage(projectId, { month = currentMonth() } = {}) {
+    await this.ready;
+    assertMonth(month);
+
+    const ledgers = await this.ledgers.find(ledger => ledger.month === month && ledger.projects[projectId]);
+    return {
+      projectId,
+      month,
+      totals: ledgers.reduce((sum, ledger) => mergeTotals(sum, ledger.projects[projectId]), emptyTotals()),
+      byUser: Object.fromEntries(ledgers.map(ledger => [ledger.userId, ledger.projects[projectId]]))
+    };
+  }
+
+  // Every user's totals for a month, biggest spender first
+  async getAllUsage({ month = currentMonth() } = {}) {
+    await this.ready;
+    assertMonth(month);
+
+    const ledgers = await this.ledgers.find(ledger => ledger.month === month);
+    return ledgers
+      .map(ledger => ({ userId: ledger.userId, totals: ledger.totals }))
+      .sort((a, b) => b.totals.costUsd - a.totals.costUsd);
+  }
+}
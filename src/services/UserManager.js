@@ -0,0 +1,144 @@
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { randomBytes } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { createCollection } from '../storage/index.js';
+import { HttpError, ConflictError } from '../errors.js';
+import { KeyedLock } from '../utils/KeyedLock.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 12;
+
+export class UserManager {
+  constructor({
+    users = createCollection('users'),
+    jwtSecret = process.env.JWT_SECRET,
+    accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtl = process.env.REFRESH_TOKEN_TTL || '7d'
+  } = {}) {
+    if (!jwtSecret) {
+      console.warn('⚠️ JWT_SECRET is not set; using a random secret. Tokens will not survive a restart.');
+      jwtSecret = randomBytes(32).toString('hex');
+    }
+
+    this.users = users;
+    this.jwtSecret = jwtSecret;
+    this.accessTokenTtl = accessTokenTtl;
+    this.refreshTokenTtl = refreshTokenTtl;
+    this.ready = this.users.init();
+    this.locks = new KeyedLock();
+  }
+
+  async register({ email, password, name }) {
+    await this.ready;
+
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      throw new HttpError(400, 'A valid email is required');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    // Registrations run one at a time so two requests can't claim the same email
+    return this.locks.run('register', async () => {
+      if (await this.findByEmail(normalizedEmail)) {
+        throw new ConflictError('An account with this email already exists');
+      }
+
+      const adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(value => value.trim().toLowerCase());
+      const user = {
+        id: uuidv4(),
+        email: normalizedEmail,
+        name: String(name || normalizedEmail.split('@')[0]).trim(),
+        role: adminEmails.includes(normalizedEmail) ? 'admin' : 'user',
+        passwordHash,
+        tokenVersion: 0,
+        createdAt: new Date().toISOString(),
+        lastLoginAt: null
+      };
+
+      await this.users.put(user);
+      console.log('👤 User registered:', user.id);
+      return user;
+    });
+  }
+
+  async login({ email, password }) {
+    await this.ready;
+
+    const user = await this.findByEmail(String(email || '').trim().toLowerCase());
+    const valid = user && typeof password === 'string' && await bcrypt.compare(password, user.passwordHash);
+    if (!valid) {
+      throw new HttpError(401, 'Invalid email or password');
+    }
+
+    return this.updateUser(user.id, { lastLoginAt: new Date().toISOString() });
+  }
+
+  // Read-modify-write under the user's lock so concurrent updates don't undo each other
+  async updateUser(userId, changes) {
+    return this.locks.run(userId, async () => {
+      const user = await this.users.get(userId);
+      if (!user) return null;
+
+      const updated = { ...user, ...(typeof changes === 'function' ? changes(user) : changes) };
+      await this.users.put(updated);
+      return updated;
+    });
+  }
+
+  async findByEmail(email) {
+    return this.users.findOne(user => user.email === email);
+  }
+
+  async getUser(userId) {
+    await this.ready;
+    return this.users.get(userId);
+  }
+
+  issueTokens(user) {
+    const claims = { sub: user.id, ver: user.tokenVersion };
+
+    return {
+      accessToken: jwt.sign({ ...claims, type: 'access' }, this.jwtSecret, { expiresIn: this.accessTokenTtl }),
+      refreshToken: jwt.sign({ ...claims, type: 'refresh' }, this.jwtSecret, { expiresIn: this.refreshTokenTtl }),
+      tokenType: 'Bearer'
+    };
+  }
+
+  // Resolves a token to its user, rejecting expired, revoked or wrong-type tokens
+  async verifyToken(token, expectedType) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.jwtSecret);
+    } catch (error) {
+      throw new HttpError(401, error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+
+    const user = payload.type === expectedType ? await this.getUser(payload.sub) : null;
+    if (!user || user.tokenVersion !== payload.ver) {
+      throw new HttpError(401, 'Invalid token');
+    }
+    return user;
+  }
+
+  async refresh(refreshToken) {
+    const user = await this.verifyToken(refreshToken, 'refresh');
+    return { user, tokens: this.issueTokens(user) };
+  }
+
+  // Bumping tokenVersion invalidates every access and refresh token issued so far
+  async logout(userId) {
+    await this.ready;
+    await this.updateUser(userId, user => ({ tokenVersion: user.tokenVersion + 1 }));
+  }
+
+  toPublic(user) {
+    const { passwordHash, tokenVersion, ...publicUser } = user;
+    return publicUser;
+  }
+}
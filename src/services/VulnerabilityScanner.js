@@ -0,0 +1,305 @@
+import fs from 'fs-extra';
+import { promisify } from 'util';
+import yauzl from 'yauzl';
+import { createCollection } from '../storage/index.js';
+import { HttpError } from '../errors.js';
+import { compareVersions, minimumVersion } from '../utils/versions.js';
+
+const openZip = promisify(yauzl.open);
+
+const MAX_ADVISORY_BYTES = 5 * 1024 * 1024;
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'unknown'];
+const GHSA_SEVERITY = { CRITICAL: 'critical', HIGH: 'high', MODERATE: 'medium', MEDIUM: 'medium', LOW: 'low' };
+
+// Package names compare the way each registry does
+const packageKey = (ecosystem, name) =>
+  `${ecosystem}|${ecosystem === 'PyPI' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name}`;
+
+// CVSS v3.x base score from a vector such as CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H
+function cvss3BaseScore(vector) {
+  const metrics = Object.fromEntries(vector.split('/').slice(1).map(part => part.split(':')));
+  const changed = metrics.S === 'C';
+  const weights = {
+    AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+    AC: { L: 0.77, H: 0.44 },
+    PR: { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 },
+    UI: { N: 0.85, R: 0.62 },
+    CIA: { H: 0.56, L: 0.22, N: 0 }
+  };
+  const [av, ac, pr, ui] = ['AV', 'AC', 'PR', 'UI'].map(metric => weights[metric][metrics[metric]]);
+  const [c, i, a] = ['C', 'I', 'A'].map(metric => weights.CIA[metrics[metric]]);
+  if ([av, ac, pr, ui, c, i, a].includes(undefined)) return null;
+
+  const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+  const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * (iss - 0.02) ** 15 : 6.42 * iss;
+  if (impact <= 0) return 0;
+
+  const exploitability = 8.22 * av * ac * pr * ui;
+  const roundUp = (value) => Math.ceil(value * 10 - 1e-9) / 10;
+  return roundUp(Math.min(changed ? 1.08 * (impact + exploitability) : impact + exploitability, 10));
+}
+
+function scoreToSeverity(score) {
+  if (score >= 9) return 'critical';
+  if (score >= 7) return 'high';
+  if (score >= 4) return 'medium';
+  return score > 0 ? 'low' : 'unknown';
+}
+
+// Prefers the database's own rating (GitHub advisories carry one), then a
+// CVSS v3 vector
+function advisorySeverity(advisory, affected) {
+  const rated = GHSA_SEVERITY[String(advisory.database_specific?.severity || affected?.ecosystem_specific?.severity || '').toUpperCase()];
+  const vector = (advisory.severity || []).find(entry => entry.type === 'CVSS_V3')?.score;
+  const score = vector ? cvss3BaseScore(vector) : null;
+
+  return { severity: rated || (score !== null ? scoreToSeverity(score) : 'unknown'), score };
+}
+
+// Walks an OSV range's events in version order. Returns whether version is
+// affected and, if so, the first version that fixes it.
+function evaluateRange(ecosystem, range, version) {
+  const compare = (a, b) => (a === '0' ? (b === '0' ? 0 : -1) : b === '0' ? 1 : compareVersions(ecosystem, a, b) ?? 0);
+  const eventVersion = (event) => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+  const events = [...(range.events || [])].sort((a, b) => compare(eventVersion(a), eventVersion(b)));
+
+  let affected = false;
+  let fixedVersion = null;
+  for (const event of events) {
+    if (event.introduced !== undefined && compare(version, event.introduced) >= 0) {
+      affected = true;
+      fixedVersion = null;
+    } else if (event.fixed !== undefined) {
+      if (compare(version, event.fixed) >= 0) affected = false;
+      else if (affected && !fixedVersion) fixedVersion = event.fixed;
+    } else if (event.last_affected !== undefined && compare(version, event.last_affected) > 0) {
+      affected = false;
+    } else if (event.limit !== undefined && compare(version, event.limit) >= 0) {
+      affected = false;
+    }
+  }
+  return { affected, fixedVersion };
+}
+
+/*
+ * Offline vulnerability scanning against advisories in the OSV format
+ * (https://ossf.github.io/osv-schema/). Advisories are stored as-is in the
+ * 'advisories' collection and refreshed by importing OSV JSON files or the
+ * per-ecosystem all.zip exports from osv.dev.
+ */
+export class VulnerabilityScanner {
+  constructor({ advisories = createCollection('advisories') } = {}) {
+    this.advisories = advisories;
+    this.ready = this.advisories.init();
+    this.index = null;
+    // Package keys each advisory is indexed under, so re-imports can replace it
+    this.indexedKeys = new Map();
+  }
+
+  // Advisories by package, built on first use and kept current by imports
+  async getIndex() {
+    await this.ready;
+    if (!this.index) {
+      this.index = new Map();
+      for (const advisory of await this.advisories.list()) {
+        this.indexAdvisory(advisory);
+      }
+    }
+    return this.index;
+  }
+
+  indexAdvisory(advisory) {
+    for (const key of this.indexedKeys.get(advisory.id) || []) {
+      const remaining = (this.index.get(key) || []).filter(entry => entry.id !== advisory.id);
+      remaining.length ? this.index.set(key, remaining) : this.index.delete(key);
+    }
+    this.indexedKeys.delete(advisory.id);
+    if (advisory.withdrawn) return;
+
+    const keys = new Set();
+    for (const affected of advisory.affected || []) {
+      const { ecosystem, name } = affected.package || {};
+      if (!ecosystem || !name) continue;
+
+      const key = packageKey(ecosystem, name);
+      keys.add(key);
+      if (!this.index.has(key)) this.index.set(key, []);
+      this.index.get(key).push({ id: advisory.id, advisory, affected });
+    }
+    this.indexedKeys.set(advisory.id, keys);
+  }
+
+  // Accepts a single OSV advisory, an array of them, { vulns: [...] }, or a
+  // .zip of advisory files. Newer copies of known advisories replace older ones.
+  async importFile(filePath, originalName) {
+    const stats = { imported: 0, updated: 0, unchanged: 0, invalid: 0 };
+
+    if (/\.zip$/i.test(originalName)) {
+      await this.readZip(filePath, advisory => this.importAdvisory(advisory, stats));
+    } else {
+      let parsed;
+      try {
+        parsed = await fs.readJSON(filePath);
+      } catch {
+        throw new HttpError(400, 'Advisory file is not valid JSON');
+      }
+      const advisories = Array.isArray(parsed) ? parsed : parsed?.vulns ?? [parsed];
+      if (!parsed || typeof parsed !== 'object' || !Array.isArray(advisories)) {
+        throw new HttpError(400, 'Advisory file must be an OSV advisory, an array or { vulns }');
+      }
+      for (const advisory of advisories) {
+        await this.importAdvisory(advisory, stats);
+      }
+    }
+
+    console.log('🛡️ Advisories imported:', stats);
+    return stats;
+  }
+
+  async importAdvisory(advisory, stats) {
+    if (!advisory || !SAFE_ID.test(String(advisory.id)) || !Array.isArray(advisory.affected)) {
+      stats.invalid++;
+      return;
+    }
+
+    await this.getIndex();
+    const existing = await this.advisories.get(advisory.id);
+    if (existing && existing.modified && advisory.modified && existing.modified >= advisory.modified) {
+      stats.unchanged++;
+      return;
+    }
+
+    await this.advisories.put(advisory);
+    this.indexAdvisory(advisory);
+    stats[existing ? 'updated' : 'imported']++;
+  }
+
+  async readZip(filePath, onAdvisory) {
+    let zip;
+    try {
+      zip = await openZip(filePath, { lazyEntries: true, validateEntrySizes: true });
+    } catch {
+      throw new HttpError(400, 'Advisory archive is not a valid zip file');
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        zip.on('error', reject);
+        zip.on('end', resolve);
+        zip.on('entry', async (entry) => {
+          try {
+            if (entry.fileName.endsWith('.json') && entry.uncompressedSize <= MAX_ADVISORY_BYTES) {
+              const stream = await promisify(zip.openReadStream.bind(zip))(entry);
+              const chunks = [];
+              for await (const chunk of stream) chunks.push(chunk);
+
+              let advisory = null;
+              try {
+                advisory = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+              } catch {
+                // Counted as invalid below
+              }
+              await onAdvisory(advisory);
+            }
+            zip.readEntry();
+          } catch (error) {
+            reject(error);
+          }
+        });
+        zip.readEntry();
+      });
+    } finally {
+      zip.close();
+    }
+  }
+
+  async getStats() {
+    const index = await this.getIndex();
+    const advisories = new Map();
+    for (const entries of index.values()) {
+      for (const { id, advisory, affected } of entries) {
+        if (!advisories.has(id)) advisories.set(id, { modified: advisory.modified, ecosystems: new Set() });
+        advisories.get(id).ecosystems.add(affected.package.ecosystem);
+      }
+    }
+
+    const ecosystems = {};
+    let lastModified = null;
+    for (const { modified, ecosystems: names } of advisories.values()) {
+      for (const name of names) ecosystems[name] = (ecosystems[name] || 0) + 1;
+      if (modified && (!lastModified || modified > lastModified)) lastModified = modified;
+    }
+    return { advisories: advisories.size, packages: index.size, ecosystems, lastModified };
+  }
+
+  // Checks dependencies from DependencyExtractor. Without a resolved version,
+  // npm and Cargo ranges are checked at the lowest version they allow.
+  async scan(dependencies = []) {
+    const index = await this.getIndex();
+    const findings = [];
+    let unscanned = 0;
+
+    for (const dependency of dependencies) {
+      const resolved = dependency.resolved || minimumVersion(dependency.ecosystem, dependency.declared);
+      if (!resolved) {
+        unscanned++;
+        continue;
+      }
+
+      const seen = new Set();
+      for (const { id, advisory, affected } of index.get(packageKey(dependency.ecosystem, dependency.name)) || []) {
+        if (seen.has(id)) continue;
+
+        const match = this.matchAffected(dependency.ecosystem, affected, resolved);
+        if (!match.affected) continue;
+
+        seen.add(id);
+        const { severity, score } = advisorySeverity(advisory, affected);
+        findings.push({
+          advisoryId: id,
+          aliases: advisory.aliases || [],
+          summary: advisory.summary || advisory.details?.split('\n')[0]?.slice(0, 200) || '',
+          severity,
+          score,
+          package: dependency.name,
+          ecosystem: dependency.ecosystem,
+          version: resolved,
+          versionSource: dependency.resolved ? 'resolved' : 'declared-minimum',
+          fixedVersion: match.fixedVersion,
+          direct: dependency.direct,
+          source: dependency.source,
+          url: (advisory.references || []).find(reference => reference.type === 'ADVISORY')?.url || advisory.references?.[0]?.url || null
+        });
+      }
+    }
+
+    findings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) || a.package.localeCompare(b.package));
+    const summary = Object.fromEntries(SEVERITY_ORDER.map(severity => [severity, findings.filter(finding => finding.severity === severity).length]));
+
+    return {
+      scannedAt: new Date().toISOString(),
+      scanned: dependencies.length - unscanned,
+      unscanned,
+      summary,
+      findings
+    };
+  }
+
+  matchAffected(ecosystem, affected, version) {
+    const compare = (a, b) => compareVersions(ecosystem, a, b);
+    if ((affected.versions || []).some(listed => compare(listed, version) === 0)) {
+      const fixes = (affected.ranges || []).flatMap(range => range.events || []).map(event => event.fixed).filter(Boolean);
+      return { affected: true, fixedVersion: fixes.find(fixed => (compare(fixed, version) ?? 0) > 0) || null };
+    }
+
+    for (const range of affected.ranges || []) {
+      // GIT ranges are commit hashes, which a package version can't be checked against
+      if (range.type === 'GIT') continue;
+
+      const result = evaluateRange(ecosystem, range, version);
+      if (result.affected) return result;
+    }
+    return { affected: false, fixedVersion: null };
+  }
+}
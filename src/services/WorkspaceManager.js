@@ -0,0 +1,232 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createCollection } from '../storage/index.js';
+import { HttpError, ConflictError, ForbiddenError, NotFoundError } from '../errors.js';
+import { KeyedLock } from '../utils/KeyedLock.js';
+
+export const ROLES = ['viewer', 'maintainer', 'owner'];
+
+// Minimum role needed for each project action
+export const PROJECT_PERMISSIONS = {
+  read: 'viewer',
+  update: 'maintainer',
+  analyze: 'maintainer',
+  implement: 'maintainer',
+  apply: 'maintainer',
+  delete: 'owner',
+  share: 'owner'
+};
+
+const INVITATION_TTL_DAYS = 14;
+
+export const hasRole = (role, minimumRole) => ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+
+export class WorkspaceManager {
+  constructor({
+    workspaces = createCollection('workspaces'),
+    invitations = createCollection('invitations')
+  } = {}) {
+    this.workspaces = workspaces;
+    this.invitations = invitations;
+    this.ready = Promise.all([workspaces.init(), invitations.init()]);
+    this.locks = new KeyedLock();
+  }
+
+  async createWorkspace(user, { name }) {
+    await this.ready;
+
+    if (!name || !String(name).trim()) {
+      throw new HttpError(400, 'Workspace name is required');
+    }
+
+    const workspace = {
+      id: uuidv4(),
+      name: String(name).trim(),
+      ownerId: user.id,
+      members: [{ userId: user.id, email: user.email, role: 'owner', addedAt: new Date().toISOString() }],
+      createdAt: new Date().toISOString()
+    };
+
+    await this.workspaces.put(workspace);
+    console.log('👥 Workspace created:', workspace.id);
+    return workspace;
+  }
+
+  async listForUser(userId) {
+    await this.ready;
+    return this.workspaces.find(workspace => workspace.members.some(member => member.userId === userId));
+  }
+
+  getMemberRole(workspace, userId) {
+    return workspace?.members.find(member => member.userId === userId)?.role || null;
+  }
+
+  // Returns the workspace when userId holds at least minimumRole in it.
+  // Non-members get a 404 so workspace IDs can't be probed.
+  async requireRole(workspaceId, userId, minimumRole = 'viewer') {
+    await this.ready;
+
+    const workspace = await this.workspaces.get(workspaceId);
+    const role = this.getMemberRole(workspace, userId);
+    if (!role) {
+      throw new NotFoundError('Workspace not found');
+    }
+    if (!hasRole(role, minimumRole)) {
+      throw new ForbiddenError(`This action requires the ${minimumRole} role`);
+    }
+    return workspace;
+  }
+
+  // A project's creator always owns it. Other users get their workspace role,
+  // but only when the project is shared with its workspace.
+  async getProjectRole(project, userId) {
+    if (project.userId === userId) return 'owner';
+    if (!project.workspaceId || project.visibility !== 'workspace') return null;
+
+    await this.ready;
+    const workspace = await this.workspaces.get(project.workspaceId);
+    return this.getMemberRole(workspace, userId);
+  }
+
+  async invite(workspaceId, inviter, { email, role = 'viewer' }) {
+    const workspace = await this.requireRole(workspaceId, inviter.id, 'owner');
+
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    if (!normalizedEmail) {
+      throw new HttpError(400, 'Invitee email is required');
+    }
+    if (!ROLES.includes(role)) {
+      throw new HttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (workspace.members.some(member => member.email === normalizedEmail)) {
+      throw new ConflictError('This user is already a member');
+    }
+
+    const invitation = {
+      id: uuidv4(),
+      workspaceId,
+      workspaceName: workspace.name,
+      email: normalizedEmail,
+      role,
+      invitedBy: inviter.id,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+
+    await this.invitations.put(invitation);
+    console.log('✉️ Workspace invitation created:', invitation.id);
+    return invitation;
+  }
+
+  async listWorkspaceInvitations(workspaceId, userId) {
+    await this.requireRole(workspaceId, userId, 'owner');
+    return this.invitations.find(invitation => invitation.workspaceId === workspaceId);
+  }
+
+  async listPendingInvitations(email) {
+    await this.ready;
+    const now = new Date().toISOString();
+    return this.invitations.find(invitation =>
+      invitation.email === email && invitation.status === 'pending' && invitation.expiresAt > now
+    );
+  }
+
+  async respondToInvitation(invitationId, user, accept) {
+    await this.ready;
+
+    return this.locks.run(invitationId, async () => {
+      const invitation = await this.invitations.get(invitationId);
+      if (!invitation || invitation.email !== user.email) {
+        throw new NotFoundError('Invitation not found');
+      }
+      if (invitation.status !== 'pending' || invitation.expiresAt <= new Date().toISOString()) {
+        throw new ConflictError('Invitation is no longer pending');
+      }
+
+      if (accept) {
+        await this.updateWorkspace(invitation.workspaceId, workspace => {
+          if (!workspace.members.some(member => member.userId === user.id)) {
+            workspace.members.push({
+              userId: user.id,
+              email: user.email,
+              role: invitation.role,
+              addedAt: new Date().toISOString()
+            });
+          }
+        });
+      }
+
+      const updated = {
+        ...invitation,
+        status: accept ? 'accepted' : 'declined',
+        respondedAt: new Date().toISOString()
+      };
+      await this.invitations.put(updated);
+      return updated;
+    });
+  }
+
+  async revokeInvitation(workspaceId, invitationId, userId) {
+    await this.requireRole(workspaceId, userId, 'owner');
+
+    return this.locks.run(invitationId, async () => {
+      const invitation = await this.invitations.get(invitationId);
+      if (!invitation || invitation.workspaceId !== workspaceId) {
+        throw new NotFoundError('Invitation not found');
+      }
+
+      const updated = { ...invitation, status: 'revoked', respondedAt: new Date().toISOString() };
+      await this.invitations.put(updated);
+      return updated;
+    });
+  }
+
+  async updateMemberRole(workspaceId, actorId, memberId, role) {
+    await this.requireRole(workspaceId, actorId, 'owner');
+    if (!ROLES.includes(role)) {
+      throw new HttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    return this.updateWorkspace(workspaceId, workspace => {
+      const member = workspace.members.find(entry => entry.userId === memberId);
+      if (!member) {
+        throw new NotFoundError('Member not found');
+      }
+      member.role = role;
+      this.assertHasOwner(workspace);
+    });
+  }
+
+  // Owners can remove anyone; every member can remove themselves
+  async removeMember(workspaceId, actorId, memberId) {
+    await this.requireRole(workspaceId, actorId, actorId === memberId ? 'viewer' : 'owner');
+
+    return this.updateWorkspace(workspaceId, workspace => {
+      const before = workspace.members.length;
+      workspace.members = workspace.members.filter(member => member.userId !== memberId);
+      if (workspace.members.length === before) {
+        throw new NotFoundError('Member not found');
+      }
+      this.assertHasOwner(workspace);
+    });
+  }
+
+  assertHasOwner(workspace) {
+    if (!workspace.members.some(member => member.role === 'owner')) {
+      throw new ConflictError('A workspace must keep at least one owner');
+    }
+  }
+
+  async updateWorkspace(workspaceId, mutate) {
+    return this.locks.run(workspaceId, async () => {
+      const workspace = await this.workspaces.get(workspaceId);
+      if (!workspace) {
+        throw new NotFoundError('Workspace not found');
+      }
+
+      mutate(workspace);
+      await this.workspaces.put(workspace);
+      return workspace;
+    });
+  }
+}
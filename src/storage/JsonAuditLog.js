@@ -0,0 +1,79 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { auditCursor, compareAuditEntries, matchesAuditQuery } from './auditQuery.js';
+
+const DAY_FILE = /^\d{4}-\d{2}-\d{2}\.jsonl$/;
+
+// Append-only audit trail as JSON Lines, one file per UTC day under
+// data/audit/. Entries are only ever appended, never rewritten.
+export class JsonAuditLog {
+  constructor({ dataDir = path.join(process.cwd(), 'data') } = {}) {
+    this.driver = 'json';
+    this.dir = path.join(dataDir, 'audit');
+  }
+
+  async init() {
+    await fs.ensureDir(this.dir);
+  }
+
+  async append(entry) {
+    const file = path.join(this.dir, `${entry.timestamp.slice(0, 10)}.jsonl`);
+    await fs.appendFile(file, `${JSON.stringify(entry)}\n`, { flag: 'a' });
+  }
+
+  // Day files that can hold entries inside the query's time range, oldest first
+  async dayFiles(query) {
+    const files = (await fs.readdir(this.dir)).filter(file => DAY_FILE.test(file)).sort();
+    return files.filter(file => {
+      const day = file.slice(0, 10);
+      return (!query.from || day >= query.from.slice(0, 10)) && (!query.to || day <= query.to.slice(0, 10));
+    });
+  }
+
+  async readDay(file) {
+    const content = await fs.readFile(path.join(this.dir, file), 'utf8');
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          // A line cut short by a crash mid-append; everything else is intact
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  async query(query) {
+    const { cursor } = query;
+    const entries = [];
+
+    for (const file of (await this.dayFiles(query)).reverse()) {
+      const matching = (await this.readDay(file))
+        .filter(entry => matchesAuditQuery(entry, query))
+        .filter(entry => !cursor || compareAuditEntries(entry, { timestamp: cursor.v, id: cursor.id }) > 0)
+        .sort(compareAuditEntries);
+
+      entries.push(...matching);
+      if (entries.length > query.limit) break;
+    }
+
+    const page = entries.slice(0, query.limit);
+    return {
+      entries: page,
+      nextCursor: entries.length > query.limit ? auditCursor(page[page.length - 1]) : null
+    };
+  }
+
+  // Every matching entry, oldest first, for exports
+  async *iterate(query) {
+    for (const file of await this.dayFiles(query)) {
+      const matching = (await this.readDay(file))
+        .filter(entry => matchesAuditQuery(entry, query))
+        .sort((a, b) => compareAuditEntries(b, a));
+      yield* matching;
+    }
+  }
+}
@@ -0,0 +1,59 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { writeJsonAtomic } from '../utils/atomicWrite.js';
+
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+// A named set of small JSON records (users, keys, ...), one file per record
+// under data/<name>/. Lookups other than by id scan the whole collection.
+export class JsonCollection {
+  constructor(name, { dataDir = path.join(process.cwd(), 'data') } = {}) {
+    this.name = name;
+    this.dir = path.join(dataDir, name);
+  }
+
+  async init() {
+    await fs.ensureDir(this.dir);
+  }
+
+  async get(id) {
+    if (!SAFE_ID.test(String(id))) return null;
+
+    try {
+      return await fs.readJSON(path.join(this.dir, `${id}.json`));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async put(record) {
+    if (!SAFE_ID.test(String(record.id))) {
+      throw new Error(`Invalid ${this.name} id: ${record.id}`);
+    }
+    await writeJsonAtomic(path.join(this.dir, `${record.id}.json`), record);
+  }
+
+  async delete(id) {
+    if (!SAFE_ID.test(String(id))) return false;
+
+    const filePath = path.join(this.dir, `${id}.json`);
+    if (!(await fs.pathExists(filePath))) return false;
+
+    await fs.remove(filePath);
+    return true;
+  }
+
+  async list() {
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    return Promise.all(files.map(file => fs.readJSON(path.join(this.dir, file))));
+  }
+
+  async find(predicate) {
+    return (await this.list()).filter(predicate);
+  }
+
+  async findOne(predicate) {
+    return (await this.list()).find(predicate) || null;
+  }
+}
@@ -0,0 +1,111 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { writeJsonAtomic } from '../utils/atomicWrite.js';
+import { queryInMemory } from './query.js';
+
+// Project IDs become file names, so anything outside this set is rejected
+// before it can reach the filesystem.
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+export class JsonFileStore {
+  constructor({ dataDir = path.join(process.cwd(), 'data') } = {}) {
+    this.driver = 'json';
+    this.dataDir = dataDir;
+  }
+
+  async init() {
+    await fs.ensureDir(this.dataDir);
+    await fs.ensureDir(this.revisionsRoot());
+  }
+
+  filePath(projectId) {
+    return path.join(this.dataDir, `${projectId}.json`);
+  }
+
+  revisionsRoot() {
+    return path.join(this.dataDir, 'revisions');
+  }
+
+  revisionsDir(projectId) {
+    return path.join(this.revisionsRoot(), projectId);
+  }
+
+  async get(projectId) {
+    if (!SAFE_ID.test(String(projectId))) return null;
+
+    try {
+      return await fs.readJSON(this.filePath(projectId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async put(project) {
+    if (!SAFE_ID.test(String(project.id))) {
+      throw new Error(`Invalid project id: ${project.id}`);
+    }
+    await writeJsonAtomic(this.filePath(project.id), project);
+  }
+
+  async delete(projectId) {
+    if (!SAFE_ID.test(String(projectId))) return false;
+
+    const filePath = this.filePath(projectId);
+    if (!(await fs.pathExists(filePath))) return false;
+
+    await fs.remove(filePath);
+    await fs.remove(this.revisionsDir(projectId));
+    return true;
+  }
+
+  async appendRevision(revision) {
+    if (!SAFE_ID.test(String(revision.projectId))) {
+      throw new Error(`Invalid project id: ${revision.projectId}`);
+    }
+
+    const dir = this.revisionsDir(revision.projectId);
+    await fs.ensureDir(dir);
+
+    // Refusing to overwrite keeps recorded revisions immutable
+    const fileName = `${String(revision.revision).padStart(6, '0')}.json`;
+    await writeJsonAtomic(path.join(dir, fileName), revision, { overwrite: false });
+  }
+
+  async listRevisions(projectId) {
+    if (!SAFE_ID.test(String(projectId))) return [];
+
+    const dir = this.revisionsDir(projectId);
+    if (!(await fs.pathExists(dir))) return [];
+
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+    return Promise.all(files.map(file => fs.readJSON(path.join(dir, file))));
+  }
+
+  async list({ userId } = {}) {
+    const files = await fs.readdir(this.dataDir);
+    const projects = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const project = await fs.readJSON(path.join(this.dataDir, file));
+        if (!userId || project.userId === userId) {
+          projects.push(project);
+        }
+      } catch (error) {
+        console.error('Error reading project file:', file, error);
+      }
+    }
+
+    projects.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+    return projects;
+  }
+
+  async query(query) {
+    return queryInMemory(await this.list(), query);
+  }
+
+  async close() {}
+}
@@ -0,0 +1,132 @@
+import fs from 'fs-extra';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { auditCursor } from './auditQuery.js';
+
+// The triggers make the table append-only for every connection, not just ours
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    action TEXT NOT NULL,
+    actor_id TEXT,
+    project_id TEXT,
+    outcome TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id, timestamp DESC);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_project ON audit_log (project_id, timestamp DESC);
+
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+  BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+  BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+`;
+
+function buildFilter(query) {
+  const where = [];
+  const params = {};
+
+  if (query.actions) {
+    where.push(`action IN (${query.actions.map((_, index) => `@action${index}`).join(', ')})`);
+    query.actions.forEach((action, index) => { params[`action${index}`] = action; });
+  }
+  if (query.actorId) {
+    where.push('actor_id = @actorId');
+    params.actorId = query.actorId;
+  }
+  if (query.projectId) {
+    where.push('project_id = @projectId');
+    params.projectId = query.projectId;
+  }
+  if (query.outcome) {
+    where.push('outcome = @outcome');
+    params.outcome = query.outcome;
+  }
+  if (query.from) {
+    where.push('timestamp >= @from');
+    params.from = query.from;
+  }
+  if (query.to) {
+    where.push('timestamp <= @to');
+    params.to = query.to;
+  }
+
+  return { where, params };
+}
+
+export class SqliteAuditLog {
+  constructor({ filename = path.join(process.cwd(), 'data', 'debugflow.db') } = {}) {
+    this.driver = 'sqlite';
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) return;
+
+    if (this.filename !== ':memory:') {
+      await fs.ensureDir(path.dirname(this.filename));
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      append: this.db.prepare(`
+        INSERT INTO audit_log (id, timestamp, action, actor_id, project_id, outcome, data)
+        VALUES (@id, @timestamp, @action, @actorId, @projectId, @outcome, @data)
+      `)
+    };
+  }
+
+  async append(entry) {
+    this.statements.append.run({
+      id: entry.id,
+      timestamp: entry.timestamp,
+      action: entry.action,
+      actorId: entry.actor?.id ?? null,
+      projectId: entry.projectId ?? null,
+      outcome: entry.outcome ?? null,
+      data: JSON.stringify(entry)
+    });
+  }
+
+  async query(query) {
+    const { where, params } = buildFilter(query);
+
+    if (query.cursor) {
+      where.push('(timestamp < @cursorValue OR (timestamp = @cursorValue AND id < @cursorId))');
+      params.cursorValue = query.cursor.v;
+      params.cursorId = query.cursor.id;
+    }
+
+    const rows = this.db.prepare(`
+      SELECT data FROM audit_log
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY timestamp DESC, id DESC
+      LIMIT @limit
+    `).all({ ...params, limit: query.limit + 1 });
+
+    const entries = rows.slice(0, query.limit).map(row => JSON.parse(row.data));
+    return {
+      entries,
+      nextCursor: rows.length > query.limit ? auditCursor(entries[entries.length - 1]) : null
+    };
+  }
+
+  async *iterate(query) {
+    const { where, params } = buildFilter(query);
+    const statement = this.db.prepare(`
+      SELECT data FROM audit_log
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY timestamp ASC, id ASC
+    `);
+
+    for (const row of statement.iterate(params)) {
+      yield JSON.parse(row.data);
+    }
+  }
+}
@@ -0,0 +1,68 @@
+import fs from 'fs-extra';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+`;
+
+// SQLite counterpart of JsonCollection; every collection shares one table
+export class SqliteCollection {
+  constructor(name, { filename = path.join(process.cwd(), 'data', 'debugflow.db') } = {}) {
+    this.name = name;
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) return;
+
+    if (this.filename !== ':memory:') {
+      await fs.ensureDir(path.dirname(this.filename));
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+      put: this.db.prepare(`
+        INSERT INTO records (collection, id, data) VALUES (?, ?, ?)
+        ON CONFLICT(collection, id) DO UPDATE SET data = excluded.data
+      `),
+      delete: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+      list: this.db.prepare('SELECT data FROM records WHERE collection = ?')
+    };
+  }
+
+  async get(id) {
+    const row = this.statements.get.get(this.name, String(id));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async put(record) {
+    this.statements.put.run(this.name, String(record.id), JSON.stringify(record));
+  }
+
+  async delete(id) {
+    return this.statements.delete.run(this.name, String(id)).changes > 0;
+  }
+
+  async list() {
+    return this.statements.list.all(this.name).map(row => JSON.parse(row.data));
+  }
+
+  async find(predicate) {
+    return (await this.list()).filter(predicate);
+  }
+
+  async findOne(predicate) {
+    return (await this.list()).find(predicate) || null;
+  }
+}
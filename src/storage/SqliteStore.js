@@ -0,0 +1,211 @@
+import fs from 'fs-extra';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { encodeCursor, sortValue } from './query.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS projects (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    status TEXT,
+    type TEXT,
+    name TEXT,
+    created_at TEXT,
+    last_modified TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects (user_id, last_modified DESC);
+  CREATE INDEX IF NOT EXISTS idx_projects_status ON projects (status);
+  CREATE INDEX IF NOT EXISTS idx_projects_last_modified ON projects (last_modified DESC);
+  CREATE INDEX IF NOT EXISTS idx_projects_workspace ON projects (json_extract(data, '$.workspaceId'));
+
+  CREATE TABLE IF NOT EXISTS project_revisions (
+    project_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    author TEXT,
+    timestamp TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (project_id, revision)
+  );
+`;
+
+// Sort expressions mirror sortValue() in query.js so cursors mean the same thing
+// for both drivers
+const SORT_COLUMNS = {
+  lastModified: 'last_modified',
+  createdAt: 'created_at',
+  name: "LOWER(COALESCE(name, ''))",
+  status: "COALESCE(status, '')"
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+function toRow(project) {
+  return {
+    id: project.id,
+    userId: project.userId ?? null,
+    status: project.status ?? null,
+    type: project.type ?? null,
+    name: project.name ?? null,
+    createdAt: project.createdAt ?? '',
+    lastModified: project.lastModified ?? '',
+    data: JSON.stringify(project)
+  };
+}
+
+export class SqliteStore {
+  constructor({ filename = path.join(process.cwd(), 'data', 'debugflow.db') } = {}) {
+    this.driver = 'sqlite';
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) return;
+
+    if (this.filename !== ':memory:') {
+      await fs.ensureDir(path.dirname(this.filename));
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM projects WHERE id = ?'),
+      put: this.db.prepare(`
+        INSERT INTO projects (id, user_id, status, type, name, created_at, last_modified, data)
+        VALUES (@id, @userId, @status, @type, @name, @createdAt, @lastModified, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          user_id = excluded.user_id,
+          status = excluded.status,
+          type = excluded.type,
+          name = excluded.name,
+          created_at = excluded.created_at,
+          last_modified = excluded.last_modified,
+          data = excluded.data
+      `),
+      delete: this.db.prepare('DELETE FROM projects WHERE id = ?'),
+      deleteRevisions: this.db.prepare('DELETE FROM project_revisions WHERE project_id = ?'),
+      appendRevision: this.db.prepare(`
+        INSERT INTO project_revisions (project_id, revision, author, timestamp, data)
+        VALUES (@projectId, @revision, @author, @timestamp, @data)
+      `),
+      listRevisions: this.db.prepare('SELECT data FROM project_revisions WHERE project_id = ? ORDER BY revision ASC'),
+      listAll: this.db.prepare('SELECT data FROM projects ORDER BY last_modified DESC'),
+      listByUser: this.db.prepare('SELECT data FROM projects WHERE user_id = ? ORDER BY last_modified DESC')
+    };
+  }
+
+  async get(projectId) {
+    const row = this.statements.get.get(String(projectId));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async put(project) {
+    this.statements.put.run(toRow(project));
+  }
+
+  async putMany(projects) {
+    const insertAll = this.db.transaction((items) => {
+      for (const project of items) {
+        this.statements.put.run(toRow(project));
+      }
+    });
+    insertAll(projects);
+  }
+
+  async delete(projectId) {
+    const removeProject = this.db.transaction((id) => {
+      this.statements.deleteRevisions.run(id);
+      return this.statements.delete.run(id).changes > 0;
+    });
+    return removeProject(String(projectId));
+  }
+
+  async appendRevision(revision) {
+    // The primary key rejects a second write of the same revision number
+    this.statements.appendRevision.run({
+      projectId: revision.projectId,
+      revision: revision.revision,
+      author: revision.author ?? null,
+      timestamp: revision.timestamp ?? null,
+      data: JSON.stringify(revision)
+    });
+  }
+
+  async listRevisions(projectId) {
+    return this.statements.listRevisions.all(String(projectId)).map(row => JSON.parse(row.data));
+  }
+
+  async list({ userId } = {}) {
+    const rows = userId
+      ? this.statements.listByUser.all(userId)
+      : this.statements.listAll.all();
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async query(query) {
+    const where = [];
+    const params = {};
+
+    if (query.userId) {
+      where.push('user_id = @userId');
+      params.userId = query.userId;
+    }
+    if (query.workspaceId) {
+      where.push(`json_extract(data, '$.workspaceId') = @workspaceId AND json_extract(data, '$.visibility') = 'workspace'`);
+      params.workspaceId = query.workspaceId;
+    }
+    if (query.status) {
+      where.push('status = @status');
+      params.status = query.status;
+    }
+    if (query.type) {
+      where.push('type = @type');
+      params.type = query.type;
+    }
+    if (query.search) {
+      where.push(`(
+        LOWER(name) LIKE @search ESCAPE '\\'
+        OR LOWER(json_extract(data, '$.description')) LIKE @search ESCAPE '\\'
+        OR LOWER(json_extract(data, '$.languages')) LIKE @search ESCAPE '\\'
+      )`);
+      params.search = `%${escapeLike(query.search)}%`;
+    }
+
+    const filter = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM projects ${filter}`).get(params);
+
+    const column = SORT_COLUMNS[query.sort];
+    const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+    const operator = query.order === 'asc' ? '>' : '<';
+
+    if (query.cursor) {
+      where.push(`(${column} ${operator} @cursorValue OR (${column} = @cursorValue AND id ${operator} @cursorId))`);
+      params.cursorValue = query.cursor.v;
+      params.cursorId = query.cursor.id;
+    }
+
+    const rows = this.db.prepare(`
+      SELECT data FROM projects
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY ${column} ${direction}, id ${direction}
+      LIMIT @limit
+    `).all({ ...params, limit: query.limit + 1 });
+
+    const projects = rows.slice(0, query.limit).map(row => JSON.parse(row.data));
+    const last = projects[projects.length - 1];
+
+    return {
+      projects,
+      total,
+      nextCursor: rows.length > query.limit && last ? encodeCursor(sortValue(last, query.sort), last.id) : null
+    };
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+}
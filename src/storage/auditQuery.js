@@ -0,0 +1,51 @@
+// Filter handling shared by the audit log drivers. Entries are always paged
+// newest first; cursors reuse the {v, id} keyset format of project listings.
+import { encodeCursor, decodeCursor } from './query.js';
+
+export const AUDIT_OUTCOMES = ['success', 'failure', 'aborted'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function toIsoDate(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+export function normalizeAuditQuery({ action, actorId, projectId, outcome, from, to, limit, cursor } = {}) {
+  const parsedLimit = parseInt(limit, 10);
+  const actions = action
+    ? String(action).split(',').map(value => value.trim()).filter(Boolean)
+    : [];
+
+  return {
+    actions: actions.length ? actions : undefined,
+    actorId: actorId ? String(actorId) : undefined,
+    projectId: projectId ? String(projectId) : undefined,
+    outcome: AUDIT_OUTCOMES.includes(outcome) ? outcome : undefined,
+    from: toIsoDate(from),
+    to: toIsoDate(to),
+    limit: Math.min(Math.max(Number.isNaN(parsedLimit) ? DEFAULT_LIMIT : parsedLimit, 1), MAX_LIMIT),
+    cursor: decodeCursor(cursor)
+  };
+}
+
+export function matchesAuditQuery(entry, query) {
+  return (!query.actions || query.actions.includes(entry.action))
+    && (!query.actorId || entry.actor?.id === query.actorId)
+    && (!query.projectId || entry.projectId === query.projectId)
+    && (!query.outcome || entry.outcome === query.outcome)
+    && (!query.from || entry.timestamp >= query.from)
+    && (!query.to || entry.timestamp <= query.to);
+}
+
+// Newest first, ties broken by id
+export function compareAuditEntries(a, b) {
+  if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? 1 : -1;
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+export function auditCursor(entry) {
+  return encodeCursor(entry.timestamp, entry.id);
+}
@@ -0,0 +1,60 @@
+import path from 'path';
+import { JsonFileStore } from './JsonFileStore.js';
+import { SqliteStore } from './SqliteStore.js';
+import { JsonCollection } from './JsonCollection.js';
+import { SqliteCollection } from './SqliteCollection.js';
+import { JsonAuditLog } from './JsonAuditLog.js';
+import { SqliteAuditLog } from './SqliteAuditLog.js';
+
+export { JsonFileStore, SqliteStore, JsonCollection, SqliteCollection, JsonAuditLog, SqliteAuditLog };
+
+// Picks the project storage driver from PROJECT_STORE ('json' or 'sqlite').
+// JSON files stay the default so existing deployments keep working untouched.
+export function createProjectStore(options = {}) {
+  const driver = (options.driver || process.env.PROJECT_STORE || 'json').toLowerCase();
+  const dataDir = options.dataDir || process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+  switch (driver) {
+    case 'json':
+      return new JsonFileStore({ dataDir });
+    case 'sqlite':
+      return new SqliteStore({
+        filename: options.filename || process.env.SQLITE_PATH || path.join(dataDir, 'debugflow.db')
+      });
+    default:
+      throw new Error(`Unknown project store driver: ${driver}`);
+  }
+}
+
+// Record collections (users, API keys, ...) follow the same driver choice as projects
+export function createCollection(name, options = {}) {
+  const driver = (options.driver || process.env.PROJECT_STORE || 'json').toLowerCase();
+  const dataDir = options.dataDir || process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+  switch (driver) {
+    case 'json':
+      return new JsonCollection(name, { dataDir });
+    case 'sqlite':
+      return new SqliteCollection(name, {
+        filename: options.filename || process.env.SQLITE_PATH || path.join(dataDir, 'debugflow.db')
+      });
+    default:
+      throw new Error(`Unknown project store driver: ${driver}`);
+  }
+}
+
+export function createAuditLog(options = {}) {
+  const driver = (options.driver || process.env.PROJECT_STORE || 'json').toLowerCase();
+  const dataDir = options.dataDir || process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+  switch (driver) {
+    case 'json':
+      return new JsonAuditLog({ dataDir });
+    case 'sqlite':
+      return new SqliteAuditLog({
+        filename: options.filename || process.env.SQLITE_PATH || path.join(dataDir, 'debugflow.db')
+      });
+    default:
+      throw new Error(`Unknown project store driver: ${driver}`);
+  }
+}
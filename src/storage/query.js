@@ -0,0 +1,95 @@
+// Shared list-query handling for the project stores: option normalization,
+// opaque keyset cursors and the in-memory matcher used by the JSON driver.
+import { HttpError } from '../errors.js';
+
+export const SORT_FIELDS = ['lastModified', 'createdAt', 'name', 'status'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+export function normalizeQuery({ userId, workspaceId, search, status, type, sort, order, limit, cursor } = {}) {
+  const sortField = SORT_FIELDS.includes(sort) ? sort : 'lastModified';
+  const defaultOrder = sortField === 'lastModified' || sortField === 'createdAt' ? 'desc' : 'asc';
+  const parsedLimit = parseInt(limit, 10);
+
+  return {
+    userId,
+    workspaceId: workspaceId ? String(workspaceId) : undefined,
+    search: search ? String(search).trim().toLowerCase() : undefined,
+    status: status && status !== 'all' ? String(status) : undefined,
+    type: type && type !== 'all' ? String(type) : undefined,
+    sort: sortField,
+    order: order === 'asc' || order === 'desc' ? order : defaultOrder,
+    limit: Math.min(Math.max(Number.isNaN(parsedLimit) ? DEFAULT_LIMIT : parsedLimit, 1), MAX_LIMIT),
+    cursor: decodeCursor(cursor)
+  };
+}
+
+// Cursors carry the sort value and id of the last project on the previous page.
+// They come back from clients, so anything else is refused rather than bound
+// into a query.
+export function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+  const validValue = decoded && (decoded.v === null || typeof decoded.v === 'string' || typeof decoded.v === 'number');
+  if (!validValue || typeof decoded.id !== 'string') {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+  return { v: decoded.v, id: decoded.id };
+}
+
+export function sortValue(project, field) {
+  const value = project[field] ?? '';
+  return field === 'name' ? String(value).toLowerCase() : String(value);
+}
+
+function matchesSearch(project, search) {
+  const haystack = [project.name, project.description, ...(project.languages || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return haystack.includes(search);
+}
+
+// Plain code-unit comparison, matching SQLite's default BINARY collation
+const compareStrings = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+export function queryInMemory(projects, query) {
+  const direction = query.order === 'asc' ? 1 : -1;
+  const compare = (a, b) => {
+    const byValue = compareStrings(sortValue(a, query.sort), sortValue(b, query.sort));
+    return direction * (byValue || compareStrings(String(a.id), String(b.id)));
+  };
+
+  const matching = projects
+    .filter(project => !query.userId || project.userId === query.userId)
+    .filter(project => !query.workspaceId || (project.workspaceId === query.workspaceId && project.visibility === 'workspace'))
+    .filter(project => !query.status || project.status === query.status)
+    .filter(project => !query.type || project.type === query.type)
+    .filter(project => !query.search || matchesSearch(project, query.search))
+    .sort(compare);
+
+  const { cursor } = query;
+  const remaining = cursor
+    ? matching.filter(project => compare(project, { [query.sort]: cursor.v, id: cursor.id }) > 0)
+    : matching;
+
+  const page = remaining.slice(0, query.limit);
+  const last = page[page.length - 1];
+
+  return {
+    projects: page,
+    total: matching.length,
+    nextCursor: remaining.length > query.limit && last ? encodeCursor(sortValue(last, query.sort), last.id) : null
+  };
+}
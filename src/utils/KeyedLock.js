@@ -0,0 +1,29 @@
+// Serializes async tasks that share a key within this process. Each caller
+// waits for the previous holder, so read-modify-write cycles never interleave.
+export class KeyedLock {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  async run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const queued = previous.then(() => current);
+    this.tails.set(key, queued);
+
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+      if (this.tails.get(key) === queued) {
+        this.tails.delete(key);
+      }
+    }
+  }
+
+  get size() {
+    return this.tails.size;
+  }
+}
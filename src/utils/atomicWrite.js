@@ -0,0 +1,31 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+// Writes JSON to a temp file next to the target and moves it into place, so a
+// crash mid-write leaves either the old file or the new one, never a truncated
+// mix. With overwrite: false the move fails with EEXIST if the target exists.
+export async function writeJsonAtomic(filePath, data, { overwrite = true } = {}) {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`);
+
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await fs.writeFile(handle, JSON.stringify(data, null, 2));
+    await fs.fsync(handle);
+  } finally {
+    await fs.close(handle);
+  }
+
+  try {
+    if (overwrite) {
+      await fs.rename(tempPath, filePath);
+    } else {
+      await fs.link(tempPath, filePath);
+      await fs.remove(tempPath);
+    }
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+}
@@ -0,0 +1,35 @@
+// Nests a project's flat file list (names are relative paths such as
+// src/a/index.js) into directories. Directories sort before files.
+export function buildFileTree(files) {
+  const root = { name: '', path: '', type: 'directory', children: [] };
+
+  for (const file of files) {
+    const segments = String(file.name).split('/').filter(Boolean);
+    let dir = root;
+
+    for (const [index, segment] of segments.slice(0, -1).entries()) {
+      let child = dir.children.find(node => node.type === 'directory' && node.name === segment);
+      if (!child) {
+        child = { name: segment, path: segments.slice(0, index + 1).join('/'), type: 'directory', children: [] };
+        dir.children.push(child);
+      }
+      dir = child;
+    }
+
+    dir.children.push({
+      name: segments[segments.length - 1] || file.name,
+      path: segments.join('/'),
+      type: 'file',
+      size: file.size,
+      lines: file.lines,
+      language: file.language
+    });
+  }
+
+  const sort = (node) => {
+    node.children.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'directory' ? -1 : 1));
+    node.children.filter(child => child.type === 'directory').forEach(sort);
+    return node;
+  };
+  return sort(root);
+}
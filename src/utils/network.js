@@ -0,0 +1,35 @@
+import net from 'net';
+import { lookup } from 'dns/promises';
+
+// Loopback, private, link-local, shared (CGNAT), benchmarking, multicast and
+// reserved ranges: addresses a server-side request must not be pointed at.
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) match the IPv4 ranges.
+const NON_PUBLIC = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  NON_PUBLIC.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC.addSubnet(address, prefix, 'ipv6');
+}
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Every address hostname resolves to (an IP literal resolves to itself), or
+// null when it doesn't resolve
+export async function resolveHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return [host];
+
+  try {
+    return (await lookup(host, { all: true, verbatim: true })).map(entry => entry.address);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,7 @@
+import path from 'path';
+
+// True when filePath resolves to somewhere under dir (not dir itself)
+export function isPathInside(filePath, dir) {
+  const relative = path.relative(path.resolve(dir), path.resolve(filePath));
+  return Boolean(relative) && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
@@ -0,0 +1,118 @@
+import semver from 'semver';
+
+// Version ordering per OSV ecosystem. Each comparator returns <0, 0 or >0,
+// and null when a version can't be understood at all.
+
+const SEMVER_ECOSYSTEMS = ['npm', 'crates.io', 'Go'];
+
+function toSemver(version) {
+  const clean = String(version).trim().replace(/^v/, '');
+  return semver.valid(clean, { loose: true }) || semver.coerce(clean, { includePrerelease: true })?.version || null;
+}
+
+function compareSemver(a, b) {
+  const [left, right] = [toSemver(a), toSemver(b)];
+  return left && right ? semver.compare(left, right, { loose: true }) : null;
+}
+
+// PEP 440: [N!]N(.N)*[{a|b|rc}N][.postN][.devN]
+const PEP440 = /^(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|alpha|b|beta|c|rc|pre|preview)[-_.]?(\d*))?(?:-(\d+)|[-_.]?(?:post|rev|r)[-_.]?(\d*))?(?:[-_.]?dev[-_.]?(\d*))?(?:\+[\w.]+)?$/i;
+const PRE_PHASES = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+function pep440Key(version) {
+  const match = PEP440.exec(String(version).trim().toLowerCase().replace(/^v/, ''));
+  if (!match) return null;
+
+  const [, epoch, release, prePhase, preNumber, postImplicit, postNumber, devNumber] = match;
+  const hasPost = postImplicit !== undefined || postNumber !== undefined;
+  const hasDev = devNumber !== undefined;
+  return {
+    epoch: Number(epoch || 0),
+    release: release.split('.').map(Number),
+    // A bare dev release sorts before any pre-release of the same version
+    pre: prePhase ? [PRE_PHASES[prePhase], Number(preNumber || 0)] : hasDev && !hasPost ? [-1, 0] : [Infinity, 0],
+    post: hasPost ? Number(postImplicit ?? postNumber ?? 0) : -1,
+    dev: hasDev ? Number(devNumber || 0) : Infinity
+  };
+}
+
+function compareNumbers(a, b) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    const [x, y] = [a[i] ?? 0, b[i] ?? 0];
+    if (x !== y) return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+function comparePep440(a, b) {
+  const [left, right] = [pep440Key(a), pep440Key(b)];
+  if (!left || !right) return null;
+
+  return left.epoch - right.epoch
+    || compareNumbers(left.release, right.release)
+    || compareNumbers(left.pre, right.pre)
+    || left.post - right.post
+    || compareNumbers([left.dev], [right.dev]);
+}
+
+// Maven and RubyGems: numeric and text segments; text marks a pre-release
+// unless it's one of the release qualifiers
+const QUALIFIERS = { alpha: 1, a: 1, beta: 2, b: 2, milestone: 3, m: 3, rc: 4, cr: 4, pre: 4, snapshot: 5, '': 6, ga: 6, final: 6, release: 6, sp: 7 };
+
+function segments(version) {
+  return String(version).trim().toLowerCase().replace(/^v/, '')
+    .split(/[.\-_+]|(?<=\d)(?=[a-z])|(?<=[a-z])(?=\d)/)
+    .filter(Boolean);
+}
+
+function compareSegmented(a, b) {
+  const [left, right] = [segments(a), segments(b)];
+  if (left.length === 0 || right.length === 0) return null;
+
+  const length = Math.max(left.length, right.length);
+  for (let i = 0; i < length; i++) {
+    const [x, y] = [left[i] ?? '', right[i] ?? ''];
+    const [xNumeric, yNumeric] = [/^\d+$/.test(x), /^\d+$/.test(y)];
+
+    if (xNumeric && yNumeric) {
+      const diff = Number(x) - Number(y);
+      if (diff !== 0) return diff;
+      continue;
+    }
+    // A missing segment counts as 0 against a number ("1.0" equals "1.0.0")
+    if (xNumeric !== yNumeric && (x === '' || y === '')) {
+      const number = Number(xNumeric ? x : y);
+      if (number !== 0) return xNumeric ? 1 : -1;
+      continue;
+    }
+    // Numbers are newer than qualifiers: 1.0.1 > 1.0-rc1
+    if (xNumeric !== yNumeric) return xNumeric ? 1 : -1;
+
+    const [xRank, yRank] = [QUALIFIERS[x] ?? 0, QUALIFIERS[y] ?? 0];
+    if (xRank !== yRank) return xRank - yRank;
+    // Known qualifiers of the same rank are equal ("1.0-final" is "1.0")
+    if (xRank === 0 && x !== y) return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+export function compareVersions(ecosystem, a, b) {
+  if (SEMVER_ECOSYSTEMS.includes(ecosystem)) return compareSemver(a, b);
+  if (ecosystem === 'PyPI') return comparePep440(a, b);
+  return compareSegmented(a, b);
+}
+
+// For npm and Cargo ranges without a lockfile: the lowest version the range
+// allows, which is what a fresh install may still pick up
+export function minimumVersion(ecosystem, range) {
+  if (!SEMVER_ECOSYSTEMS.includes(ecosystem) || !range) return null;
+
+  try {
+    // Cargo's "1.2" means ^1.2, and its "=1.2.3" is npm's "1.2.3"
+    const npmRange = ecosystem === 'crates.io' && /^\d/.test(range) ? `^${range}` : range.replace(/^=\s*/, '');
+    return semver.minVersion(npmRange, { loose: true })?.version || null;
+  } catch {
+    return null;
+  }
+}
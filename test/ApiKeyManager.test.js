@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ApiKeyManager, isApiKey } from '../src/services/ApiKeyManager.js';
+import { UserManager } from '../src/services/UserManager.js';
+import { createAuthMiddleware, requireScope, requireSession } from '../src/middleware/auth.js';
+import { JsonCollection } from '../src/storage/index.js';
+
+async function setup(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dataDir));
+
+  const keys = new JsonCollection('api-keys', { dataDir });
+  const apiKeyManager = new ApiKeyManager({ keys });
+  const userManager = new UserManager({ users: new JsonCollection('users', { dataDir }), jwtSecret: 'test-secret' });
+  return { keys, apiKeyManager, userManager };
+}
+
+// Resolves with the request if the middleware called next, else with its answer
+function run(middleware, headers = {}, req = {}) {
+  return new Promise((resolve) => {
+    const request = { ip: '203.0.113.7', ...req, get: (name) => headers[name] };
+    const res = { status: (code) => ({ json: (body) => resolve({ status: code, body }) }) };
+    Promise.resolve(middleware(request, res, () => resolve({ next: true, req: request })));
+  });
+}
+
+test('API keys are shown once, stored hashed and verified until revoked', async (t) => {
+  const { keys, apiKeyManager } = await setup(t);
+
+  const { apiKey, key } = await apiKeyManager.createKey({ id: 'u1' }, { name: ' CI ', scopes: ['projects:read', 'projects:read'] });
+  assert.ok(isApiKey(key));
+  assert.equal(apiKey.name, 'CI');
+  assert.deepEqual(apiKey.scopes, ['projects:read']);
+  assert.equal(apiKey.secretHash, undefined);
+  assert.ok(!JSON.stringify(await keys.get(apiKey.id)).includes(key.split('_')[2]));
+
+  const record = await apiKeyManager.verifyKey(key, { ip: '203.0.113.7' });
+  assert.equal(record.userId, 'u1');
+  assert.equal((await keys.get(apiKey.id)).lastUsedIp, '203.0.113.7');
+
+  await assert.rejects(apiKeyManager.verifyKey(`${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`), { status: 401, message: 'Invalid API key' });
+  await assert.rejects(apiKeyManager.verifyKey('dfk_0000000000000000_nope'), { status: 401 });
+
+  await assert.rejects(apiKeyManager.revokeKey('u2', apiKey.id), { status: 404 });
+  await apiKeyManager.revokeKey('u1', apiKey.id);
+  await assert.rejects(apiKeyManager.verifyKey(key), { status: 401, message: 'API key has been revoked' });
+  assert.deepEqual((await apiKeyManager.listKeys('u1')).map(item => item.prefix), [`dfk_${apiKey.id}`]);
+});
+
+test('API keys need known scopes and expire', async (t) => {
+  const { keys, apiKeyManager } = await setup(t);
+
+  await assert.rejects(apiKeyManager.createKey({ id: 'u1' }, { name: 'CI', scopes: [] }), { status: 400 });
+  await assert.rejects(apiKeyManager.createKey({ id: 'u1' }, { name: 'CI', scopes: ['admin'] }), { status: 400 });
+  await assert.rejects(apiKeyManager.createKey({ id: 'u1' }, { name: 'CI', scopes: ['ai:analyze'], expiresInDays: 400 }), { status: 400 });
+  await assert.rejects(apiKeyManager.createKey({ id: 'u1' }, { name: '', scopes: ['ai:analyze'] }), { status: 400 });
+
+  const { apiKey, key } = await apiKeyManager.createKey({ id: 'u1' }, { name: 'CI', scopes: ['ai:analyze'], expiresInDays: 1 });
+  await keys.put({ ...(await keys.get(apiKey.id)), expiresAt: new Date(Date.now() - 1000).toISOString() });
+  await assert.rejects(apiKeyManager.verifyKey(key), { status: 401, message: 'API key has expired' });
+});
+
+test('requests with an API key are limited to its scopes and kept off session routes', async (t) => {
+  const { apiKeyManager, userManager } = await setup(t);
+  const user = await userManager.register({ email: 'ci@example.com', password: 'correct horse' });
+  const { key } = await apiKeyManager.createKey(user, { name: 'CI', scopes: ['projects:read'] });
+  const authenticate = createAuthMiddleware(userManager, apiKeyManager);
+
+  for (const headers of [{ 'X-API-Key': key }, { Authorization: `Bearer ${key}` }]) {
+    const { req } = await run(authenticate, headers);
+    assert.equal(req.user.id, user.id);
+    assert.deepEqual(req.apiKey.scopes, ['projects:read']);
+
+    assert.equal((await run(requireScope('projects:read'), {}, req)).next, true);
+    assert.deepEqual(await run(requireScope('projects:upload'), {}, req), {
+      status: 403,
+      body: { success: false, error: 'API key is missing the projects:upload scope' }
+    });
+    assert.equal((await run(requireSession, {}, req)).status, 403);
+  }
+
+  // Sessions aren't limited by scopes
+  const session = { user: { id: user.id } };
+  assert.equal((await run(requireScope('projects:upload'), {}, session)).next, true);
+  assert.equal((await run(requireSession, {}, session)).next, true);
+
+  assert.deepEqual(await run(authenticate, { 'X-API-Key': 'dfk_0000000000000000_nope' }), {
+    status: 401,
+    body: { success: false, error: 'Invalid API key' }
+  });
+});
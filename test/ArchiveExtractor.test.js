@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import fs from 'fs-extra';
+import tar from 'tar-stream';
+import { ArchiveExtractor, normalizeEntryPath } from '../src/services/ArchiveExtractor.js';
+
+async function setup(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dir));
+
+  const uploadDir = path.join(dir, 'uploads');
+  const extractor = new ArchiveExtractor({ uploadDir, accept: name => /\.(js|json|md)$/.test(name) });
+  return { dir, uploadDir, extractor };
+}
+
+// entries: [{ name, content, type, linkname }]
+async function writeTarGz(filePath, entries) {
+  const pack = tar.pack();
+  const written = pipeline(pack, zlib.createGzip(), fs.createWriteStream(filePath));
+  for (const { content = '', ...header } of entries) pack.entry(header, content);
+  pack.finalize();
+  await written;
+}
+
+// A minimal deflate zip; entries with a mode are marked as made on Unix
+async function writeZip(filePath, entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, content = '', mode } of entries) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    locals.push(local, fileName, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(mode ? (3 << 8) | 20 : 20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(((mode || 0) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, fileName);
+
+    offset += local.length + fileName.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  await fs.writeFile(filePath, Buffer.concat([...locals, directory, end]));
+}
+
+test('entry paths that are absolute or climb out of the archive are refused', () => {
+  assert.equal(normalizeEntryPath('./src//lib\\util.js'), 'src/lib/util.js');
+  for (const name of ['../etc/passwd', 'src/../../escape.js', '/etc/passwd', 'C:\\Windows\\win.ini', '..\\..\\escape.js']) {
+    assert.throws(() => normalizeEntryPath(name), { status: 400 }, name);
+  }
+});
+
+test('tarballs keep their directory structure without the wrapper folder', async (t) => {
+  const { dir, uploadDir, extractor } = await setup(t);
+  const archive = path.join(dir, 'repo.tar.gz');
+  await writeTarGz(archive, [
+    { name: 'repo-main/', type: 'directory' },
+    { name: 'repo-main/package.json', content: '{}' },
+    { name: 'repo-main/src/index.js', content: 'export {};' },
+    { name: 'repo-main/logo.png', content: 'png' },
+    { name: 'repo-main/current.js', type: 'symlink', linkname: '/etc/passwd' },
+    { name: 'repo-main/.DS_Store', content: 'x' }
+  ]);
+
+  const { files, skipped } = await extractor.extract(archive, 'repo.tar.gz');
+  assert.deepEqual(files.map(file => [file.originalname, file.size]), [['package.json', 2], ['src/index.js', 10]]);
+  assert.deepEqual(skipped, [
+    { path: 'logo.png', reason: 'unsupported file type' },
+    { path: 'current.js', reason: 'not a regular file' }
+  ]);
+  // Stored under generated names inside the upload directory
+  for (const file of files) {
+    assert.equal(path.dirname(file.path), uploadDir);
+    assert.match(path.basename(file.path), /^archive-\d+-\d+\.(js|json)$/);
+  }
+  assert.equal(await fs.readFile(files[1].path, 'utf8'), 'export {};');
+});
+
+test('archives with a traversing entry are refused whole', async (t) => {
+  const { dir, uploadDir, extractor } = await setup(t);
+
+  const tarball = path.join(dir, 'evil.tar.gz');
+  await writeTarGz(tarball, [
+    { name: 'src/ok.js', content: 'ok' },
+    { name: '../../evil.js', content: 'evil' }
+  ]);
+  await assert.rejects(extractor.extract(tarball, 'evil.tar.gz'), { status: 400, message: /escapes the archive root/ });
+
+  const zip = path.join(dir, 'evil.zip');
+  await writeZip(zip, [
+    { name: 'src/ok.js', content: 'ok' },
+    { name: '/etc/cron.d/evil.js', content: 'evil' }
+  ]);
+  await assert.rejects(extractor.extract(zip, 'evil.zip'), { status: 400, message: /absolute path/ });
+
+  // Files written before the bad entry are cleaned up, and nothing left the upload directory
+  assert.deepEqual(await fs.readdir(uploadDir), []);
+  assert.equal(await fs.pathExists(path.join(dir, '..', 'evil.js')), false);
+});
+
+test('zip uploads skip symlinks made on Unix', async (t) => {
+  const { dir, extractor } = await setup(t);
+  const zip = path.join(dir, 'app.zip');
+  await writeZip(zip, [
+    { name: 'README.md', content: '# App' },
+    { name: 'lib/index.js', content: 'module.exports = 1;', mode: 0o100644 },
+    { name: 'lib/link.js', content: '/etc/passwd', mode: 0o120777 },
+    { name: '__MACOSX/lib/._index.js', content: 'x' }
+  ]);
+
+  const { files, skipped } = await extractor.extract(zip, 'app.zip');
+  assert.deepEqual(files.map(file => file.originalname), ['README.md', 'lib/index.js']);
+  assert.deepEqual(skipped, [{ path: 'lib/link.js', reason: 'not a regular file' }]);
+
+  await fs.writeFile(path.join(dir, 'broken.zip'), 'not a zip');
+  await assert.rejects(extractor.extract(path.join(dir, 'broken.zip'), 'broken.zip'), { status: 400 });
+});
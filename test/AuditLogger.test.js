@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import { AuditLogger, sanitizeParams } from '../src/services/AuditLogger.js';
+import { createAuditMiddleware } from '../src/middleware/audit.js';
+import { JsonAuditLog, SqliteAuditLog } from '../src/storage/index.js';
+
+const drivers = {
+  json: async (t) => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+    t.after(() => fs.remove(dataDir));
+    return new JsonAuditLog({ dataDir });
+  },
+  sqlite: async (t) => {
+    const log = new SqliteAuditLog({ filename: ':memory:' });
+    t.after(() => log.db?.close());
+    return log;
+  }
+};
+
+for (const [driver, open] of Object.entries(drivers)) {
+  test(`${driver} audit log filters, pages newest first and exports oldest first`, async (t) => {
+    const auditLogger = new AuditLogger({ log: await open(t) });
+
+    const recorded = [];
+    for (const [action, actorId, outcome] of [
+      ['project.create', 'u1', 'success'],
+      ['project.update', 'u2', 'failure'],
+      ['project.update', 'u1', 'success'],
+      ['project.delete', 'u1', 'success']
+    ]) {
+      recorded.push(await auditLogger.record({ action, actor: { id: actorId }, projectId: 'p1', outcome }));
+    }
+
+    const first = await auditLogger.query({ actorId: 'u1', limit: 2 });
+    assert.deepEqual(first.entries.map(entry => entry.id), [recorded[3].id, recorded[2].id]);
+    const second = await auditLogger.query({ actorId: 'u1', limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.entries.map(entry => entry.id), [recorded[0].id]);
+    assert.equal(second.nextCursor, null);
+
+    assert.deepEqual((await auditLogger.query({ action: 'project.update, project.delete', outcome: 'success' })).entries.map(entry => entry.id),
+      [recorded[3].id, recorded[2].id]);
+    assert.deepEqual((await auditLogger.query({ from: '2999-01-01' })).entries, []);
+
+    const exported = [];
+    for await (const entry of auditLogger.export({ projectId: 'p1' })) exported.push(entry.id);
+    assert.deepEqual(exported, recorded.map(entry => entry.id));
+  });
+}
+
+test('SQLite audit entries can be neither changed nor deleted', async (t) => {
+  const log = await drivers.sqlite(t);
+  const auditLogger = new AuditLogger({ log });
+  const entry = await auditLogger.record({ action: 'project.delete', actor: { id: 'u1' }, outcome: 'success' });
+
+  assert.throws(() => log.db.prepare("UPDATE audit_log SET outcome = 'failure'").run(), /append-only/);
+  assert.throws(() => log.db.prepare('DELETE FROM audit_log').run(), /append-only/);
+  await assert.rejects(log.append(entry), /UNIQUE|PRIMARY KEY/);
+  assert.deepEqual((await auditLogger.query({})).entries, [entry]);
+});
+
+test('audit params keep context but never secrets or whole payloads', () => {
+  const params = sanitizeParams({
+    name: 'App',
+    password: 'hunter22',
+    credentials: { apiKey: 'sk-secret', note: 'x'.repeat(600) },
+    files: Array.from({ length: 30 }, (_, i) => i),
+    deep: { a: { b: { c: { d: 'too deep' } } } }
+  });
+
+  assert.equal(params.name, 'App');
+  assert.equal(params.password, '[redacted]');
+  assert.equal(params.credentials.apiKey, '[redacted]');
+  assert.equal(params.credentials.note.length, 501);
+  assert.equal(params.files.length, 20);
+  assert.equal(params.deep.a.b.c, '[truncated]');
+});
+
+test('the audit middleware records each request once it is answered', async (t) => {
+  const log = await drivers.json(t);
+  const auditLogger = new AuditLogger({ log });
+  const audit = createAuditMiddleware(auditLogger);
+  // Appends are asynchronous; keep hold of them to wait for them below
+  const appends = [];
+  const record = auditLogger.record.bind(auditLogger);
+  t.mock.method(auditLogger, 'record', (entry) => {
+    appends.push(record(entry));
+    return appends.at(-1);
+  });
+
+  const respond = (status, body, { finish = true } = {}) => new Promise((resolve) => {
+    const req = { params: { id: 'p1' }, query: {}, body: { name: 'App', token: 'secret' }, ip: '198.51.100.1', user: { id: 'u1', email: 'dev@example.com' } };
+    const res = Object.assign(new EventEmitter(), { statusCode: 200, locals: {}, writableFinished: false, json: () => {} });
+    audit('project.update')(req, res, () => {
+      res.statusCode = status;
+      res.json(body);
+      res.writableFinished = finish;
+      res.emit('close');
+      setImmediate(resolve);
+    });
+  });
+
+  await respond(200, { success: true });
+  await respond(404, { success: false, error: 'Project not found' });
+  await respond(200, { success: true }, { finish: false });
+  await Promise.all(appends);
+
+  const { entries } = await auditLogger.query({});
+  assert.deepEqual(entries.reverse().map(({ action, actor, projectId, outcome, status, error, params }) => ({ action, actor, projectId, outcome, status, error, params })), [
+    { action: 'project.update', actor: { id: 'u1', email: 'dev@example.com' }, projectId: 'p1', outcome: 'success', status: 200, error: null, params: { id: 'p1', name: 'App', token: '[redacted]' } },
+    { action: 'project.update', actor: { id: 'u1', email: 'dev@example.com' }, projectId: 'p1', outcome: 'failure', status: 404, error: 'Project not found', params: { id: 'p1', name: 'App', token: '[redacted]' } },
+    { action: 'project.update', actor: { id: 'u1', email: 'dev@example.com' }, projectId: 'p1', outcome: 'aborted', status: 200, error: null, params: { id: 'p1', name: 'App', token: '[redacted]' } }
+  ]);
+});
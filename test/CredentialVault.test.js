@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import fs from 'fs-extra';
+import { CredentialVault } from '../src/services/CredentialVault.js';
+import { JsonCollection } from '../src/storage/index.js';
+import { NotFoundError } from '../src/errors.js';
+
+async function setup(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dataDir));
+
+  const records = new JsonCollection('credentials', { dataDir });
+  const vault = new CredentialVault({ records, encryptionKey: randomBytes(32).toString('hex') });
+  return { vault, records };
+}
+
+test('integration names inherited from Object.prototype are unknown', async (t) => {
+  const { vault, records } = await setup(t);
+
+  for (const integration of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    await assert.rejects(vault.setCredential('u1', integration, 'token-value'), NotFoundError, integration);
+    await assert.rejects(vault.removeCredential('u1', integration), NotFoundError, integration);
+    await assert.rejects(vault.resolveCredential('u1', integration), NotFoundError, integration);
+  }
+  assert.equal(await records.get('u1'), null);
+});
+
+test('credentials round-trip encrypted and bound to their user and integration', async (t) => {
+  const { vault, records } = await setup(t);
+
+  await vault.setCredential('u1', 'github', '  ghp_exampleTokenValue1234  ');
+  const stored = await records.get('u1');
+  assert.ok(!JSON.stringify(stored).includes('ghp_exampleTokenValue1234'));
+  assert.equal(stored.integrations.github.hint, '…1234');
+
+  assert.equal(await vault.getCredential('u1', 'github'), 'ghp_exampleTokenValue1234');
+  assert.deepEqual(await vault.resolveCredential('u1', 'github'), { token: 'ghp_exampleTokenValue1234', source: 'user' });
+
+  // A ciphertext copied onto another account or integration doesn't decrypt
+  await records.put({ id: 'u2', integrations: { github: stored.integrations.github, vercel: stored.integrations.github } });
+  assert.equal(await vault.getCredential('u2', 'github'), null);
+  assert.equal(await vault.getCredential('u2', 'vercel'), null);
+
+  const listed = await vault.listCredentials('u1');
+  assert.deepEqual(listed.find(entry => entry.integration === 'github').configured, true);
+  assert.ok(!JSON.stringify(listed).includes('ghp_'));
+
+  assert.equal(await vault.removeCredential('u1', 'github'), true);
+  assert.equal(await vault.removeCredential('u1', 'github'), false);
+  assert.equal(await vault.getCredential('u1', 'github'), null);
+});
+
+test('the server default applies without a stored credential, and storing needs a key', async (t) => {
+  const { records } = await setup(t);
+  const netlifyToken = process.env.NETLIFY_TOKEN;
+  process.env.NETLIFY_TOKEN = 'server-token';
+  t.after(() => {
+    if (netlifyToken === undefined) delete process.env.NETLIFY_TOKEN;
+    else process.env.NETLIFY_TOKEN = netlifyToken;
+  });
+
+  const disabled = new CredentialVault({ records, encryptionKey: '' });
+  assert.equal(disabled.enabled, false);
+  await assert.rejects(disabled.setCredential('u1', 'netlify', 'token-value'), { status: 503 });
+  assert.deepEqual(await disabled.resolveCredential('u1', 'netlify'), { token: 'server-token', source: 'server' });
+
+  assert.throws(() => new CredentialVault({ records, encryptionKey: 'too-short' }), /32 bytes/);
+});
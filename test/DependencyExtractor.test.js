@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractDependencies, isDependencyFile } from '../src/services/DependencyExtractor.js';
+
+const file = (name, content) => ({ name, content: typeof content === 'string' ? content : JSON.stringify(content) });
+const pick = (dependencies, ...names) => names.map(name => {
+  const { source, ...dependency } = dependencies.find(entry => entry.name === name) || {};
+  return dependency;
+});
+
+test('dependency files are recognized by name', () => {
+  for (const name of ['package.json', 'web/yarn.lock', 'requirements-dev.txt', 'requirements/base.in', 'go.mod', 'Gemfile.lock', 'build.gradle.kts']) {
+    assert.equal(isDependencyFile(name), true, name);
+  }
+  for (const name of ['src/index.js', 'requirements.md', 'Gemfile.bak']) {
+    assert.equal(isDependencyFile(name), false, name);
+  }
+});
+
+test('npm manifests take resolved versions and transitive packages from the lockfile beside them', () => {
+  const dependencies = extractDependencies([
+    file('package.json', { dependencies: { express: '^4.18.0', lodash: '4.17.21' }, devDependencies: { jest: '~29.0.0' } }),
+    file('package-lock.json', {
+      lockfileVersion: 3,
+      packages: {
+        '': { dependencies: { express: '^4.18.0', lodash: '4.17.21' }, devDependencies: { jest: '~29.0.0' } },
+        'node_modules/express': { version: '4.18.2' },
+        'node_modules/jest': { version: '29.0.3', dev: true },
+        'node_modules/lodash': { version: '4.17.21' },
+        'node_modules/qs': { version: '6.11.0' },
+        'node_modules/express/node_modules/qs': { version: '6.10.3' }
+      }
+    }),
+    // A lockfile elsewhere doesn't resolve this manifest
+    file('tools/package.json', { dependencies: { express: '^4.0.0' } })
+  ]);
+
+  assert.deepEqual(dependencies, [
+    { name: 'express', ecosystem: 'npm', declared: '^4.18.0', resolved: '4.18.2', scope: 'prod', direct: true, source: 'package.json' },
+    { name: 'lodash', ecosystem: 'npm', declared: '4.17.21', resolved: '4.17.21', scope: 'prod', direct: true, source: 'package.json' },
+    { name: 'jest', ecosystem: 'npm', declared: '~29.0.0', resolved: '29.0.3', scope: 'dev', direct: true, source: 'package.json' },
+    { name: 'express', ecosystem: 'npm', declared: '^4.0.0', resolved: null, scope: 'prod', direct: true, source: 'tools/package.json' },
+    { name: 'qs', ecosystem: 'npm', declared: null, resolved: '6.11.0', scope: 'prod', direct: false, source: 'package-lock.json' },
+    { name: 'qs', ecosystem: 'npm', declared: null, resolved: '6.10.3', scope: 'prod', direct: false, source: 'package-lock.json' }
+  ]);
+});
+
+test('yarn lockfiles match each declared range to its own resolution', () => {
+  const dependencies = extractDependencies([
+    file('package.json', { dependencies: { debug: '^4.3.0' }, devDependencies: { mocha: '^10.0.0' } }),
+    file('yarn.lock', [
+      '# yarn lockfile v1',
+      '',
+      'debug@^2.6.9:',
+      '  version "2.6.9"',
+      '',
+      'debug@^4.3.0, debug@^4.3.4:',
+      '  version "4.3.4"',
+      '',
+      '"mocha@^10.0.0":',
+      '  version "10.2.0"',
+      ''
+    ].join('\n'))
+  ]);
+
+  assert.deepEqual(pick(dependencies, 'debug', 'mocha'), [
+    { name: 'debug', ecosystem: 'npm', declared: '^4.3.0', resolved: '4.3.4', scope: 'prod', direct: true },
+    { name: 'mocha', ecosystem: 'npm', declared: '^10.0.0', resolved: '10.2.0', scope: 'dev', direct: true }
+  ]);
+  assert.deepEqual(dependencies.filter(entry => !entry.direct).map(entry => `${entry.name}@${entry.resolved}`), ['debug@2.6.9']);
+});
+
+test('Python requirements and pyproject files use PEP 503 names and pins', () => {
+  const dependencies = extractDependencies([
+    file('requirements.txt', '# web\nDjango==4.2.7\nrequests[socks]>=2.31,<3 ; python_version > "3.8"\n-r base.txt\ngit+https://github.com/org/pkg.git\n'),
+    file('requirements-dev.txt', 'pytest==7.4.0\n'),
+    file('pyproject.toml', [
+      '[tool.poetry.dependencies]',
+      'python = "^3.11"',
+      'Flask_Login = "0.6.3"',
+      '',
+      '[tool.poetry.group.test.dependencies]',
+      'coverage = { version = "^7.3" }'
+    ].join('\n'))
+  ]);
+
+  assert.deepEqual(dependencies.map(({ name, declared, resolved, scope }) => ({ name, declared, resolved, scope })), [
+    { name: 'django', declared: '==4.2.7', resolved: '4.2.7', scope: 'prod' },
+    { name: 'requests', declared: '>=2.31,<3', resolved: null, scope: 'prod' },
+    { name: 'pytest', declared: '==7.4.0', resolved: '7.4.0', scope: 'dev' },
+    { name: 'flask-login', declared: '0.6.3', resolved: '0.6.3', scope: 'prod' },
+    { name: 'coverage', declared: '^7.3', resolved: null, scope: 'dev' }
+  ]);
+  assert.ok(dependencies.every(entry => entry.ecosystem === 'PyPI' && entry.direct));
+});
+
+test('Maven and Gradle builds resolve properties and managed versions', () => {
+  const pom = `<project>
+    <version>1.0.0</version>
+    <properties><jackson.version>2.15.3</jackson.version></properties>
+    <dependencyManagement><dependencies>
+      <dependency><groupId>org.slf4j</groupId><artifactId>slf4j-api</artifactId><version>2.0.9</version></dependency>
+    </dependencies></dependencyManagement>
+    <dependencies>
+      <dependency><groupId>com.fasterxml.jackson.core</groupId><artifactId>jackson-databind</artifactId><version>\${jackson.version}</version></dependency>
+      <dependency><groupId>org.slf4j</groupId><artifactId>slf4j-api</artifactId></dependency>
+      <dependency><groupId>junit</groupId><artifactId>junit</artifactId><version>[4.0,5.0)</version><scope>test</scope></dependency>
+      <!-- <dependency><groupId>old</groupId><artifactId>gone</artifactId></dependency> -->
+    </dependencies>
+  </project>`;
+  const gradle = [
+    "def guavaVersion = '32.1.3-jre'",
+    "implementation \"com.google.guava:guava:$guavaVersion\"",
+    "testImplementation group: 'org.mockito', name: 'mockito-core', version: '5.+'",
+    "// implementation 'commented:out:1.0'"
+  ].join('\n');
+
+  const dependencies = extractDependencies([file('pom.xml', pom), file('app/build.gradle', gradle)]);
+  assert.deepEqual(dependencies.map(({ name, declared, resolved, scope }) => ({ name, declared, resolved, scope })), [
+    { name: 'com.fasterxml.jackson.core:jackson-databind', declared: '2.15.3', resolved: '2.15.3', scope: 'prod' },
+    { name: 'org.slf4j:slf4j-api', declared: '2.0.9', resolved: '2.0.9', scope: 'prod' },
+    { name: 'junit:junit', declared: '[4.0,5.0)', resolved: null, scope: 'dev' },
+    { name: 'com.google.guava:guava', declared: '32.1.3-jre', resolved: '32.1.3-jre', scope: 'prod' },
+    { name: 'org.mockito:mockito-core', declared: '5.+', resolved: null, scope: 'dev' }
+  ]);
+});
+
+test('Bundler, Go and Cargo manifests record groups, indirect modules and registry crates', () => {
+  const dependencies = extractDependencies([
+    file('Gemfile', "source 'https://rubygems.org'\ngem 'rails', '~> 7.1'\ngroup :development, :test do\n  gem 'rspec-rails'\nend\n"),
+    file('Gemfile.lock', 'GEM\n  remote: https://rubygems.org/\n  specs:\n    rails (7.1.2)\n      actionpack (= 7.1.2)\n    actionpack (7.1.2)\n    rspec-rails (6.1.0)\n\nDEPENDENCIES\n  rails (~> 7.1)\n  rspec-rails\n'),
+    file('go.mod', 'module example.com/app\n\ngo 1.21\n\nrequire (\n\tgithub.com/gin-gonic/gin v1.9.1\n\tgolang.org/x/net v0.17.0 // indirect\n)\n'),
+    file('Cargo.toml', '[dependencies]\nserde = "1.0"\nlocal = { path = "../local" }\n\n[dev-dependencies]\ntokio = { version = "=1.34.0" }\n')
+  ]);
+
+  assert.deepEqual(dependencies.map(({ name, ecosystem, resolved, scope, direct }) => [name, ecosystem, resolved, scope, direct]), [
+    ['rails', 'RubyGems', '7.1.2', 'prod', true],
+    ['rspec-rails', 'RubyGems', '6.1.0', 'dev', true],
+    ['github.com/gin-gonic/gin', 'Go', 'v1.9.1', 'prod', true],
+    ['golang.org/x/net', 'Go', 'v0.17.0', 'prod', false],
+    ['serde', 'crates.io', null, 'prod', true],
+    ['tokio', 'crates.io', '1.34.0', 'dev', true],
+    ['actionpack', 'RubyGems', '7.1.2', null, false]
+  ]);
+});
+
+test('a manifest that fails to parse is skipped', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const dependencies = extractDependencies([
+    file('package.json', '{ "dependencies": '),
+    file('web/package.json', { dependencies: { react: '18.2.0' } })
+  ]);
+  assert.deepEqual(dependencies.map(entry => entry.source), ['web/package.json']);
+  assert.equal(console.error.mock.calls.length, 1);
+});
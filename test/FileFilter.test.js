@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { FileFilter, normalizeIgnorePatterns } from '../src/services/FileFilter.js';
+
+async function upload(t, files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dir));
+
+  return Promise.all(Object.entries(files).map(async ([originalname, content], index) => {
+    const filePath = path.join(dir, `upload-${index}`);
+    await fs.writeFile(filePath, content);
+    return { originalname, path: filePath, size: Buffer.byteLength(content) };
+  }));
+}
+
+test('ignore patterns are normalized and limited', () => {
+  assert.deepEqual(normalizeIgnorePatterns(undefined), []);
+  assert.deepEqual(normalizeIgnorePatterns('# generated\r\n*.log\n\n  build/  '), ['*.log', 'build/']);
+  assert.deepEqual(normalizeIgnorePatterns(['*.log', ' ']), ['*.log']);
+  assert.throws(() => normalizeIgnorePatterns([42]), { status: 400 });
+  assert.throws(() => normalizeIgnorePatterns('x'.repeat(501)), { status: 400 });
+  assert.throws(() => normalizeIgnorePatterns(Array.from({ length: 201 }, (_, i) => `file-${i}`)), { status: 400 });
+});
+
+test('project rules, nested .gitignore files and vendored directories are applied', async (t) => {
+  const files = await upload(t, {
+    '.gitignore': '*.log\nbuild/\n',
+    'web/.gitignore': '!debug.log\nsecret.json\n',
+    'app.log': 'x',
+    'web/debug.log': 'x',
+    'web/secret.json': '{}',
+    'build/out.js': 'x',
+    'fixtures/data.json': '{}',
+    'web/node_modules/react/index.js': 'x',
+    'web/node_modules/react/cjs/react.js': 'x',
+    'src/index.js': 'x'
+  });
+
+  const { files: kept, skipped } = await new FileFilter({ ignorePatterns: ['fixtures/'] }).select(files);
+  assert.deepEqual(kept.map(file => file.originalname), ['web/debug.log', 'src/index.js']);
+  assert.deepEqual(skipped, [
+    { path: 'app.log', reason: 'ignored by .gitignore' },
+    { path: 'web/secret.json', reason: 'ignored by web/.gitignore' },
+    { path: 'build/out.js', reason: 'ignored by .gitignore' },
+    { path: 'fixtures/data.json', reason: 'matched project ignore list' },
+    { path: 'web/node_modules/', reason: 'vendored directory', files: 2 }
+  ]);
+
+  // Only the kept files are left on disk
+  for (const file of files) {
+    assert.equal(await fs.pathExists(file.path), kept.includes(file), file.originalname);
+  }
+});
+
+test('binary, non-UTF-8 and minified content is not analyzed', () => {
+  const filter = new FileFilter();
+  const readable = 'function add(a, b) {\n  return a + b;\n}\n'.repeat(100);
+
+  assert.deepEqual(filter.inspect(Buffer.from(readable), 'src/add.js'), { content: readable, flags: [] });
+  assert.deepEqual(filter.inspect(Buffer.from('{}'), 'web/package-lock.json'), { content: '{}', flags: ['lockfile'] });
+  assert.deepEqual(filter.inspect(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]), 'logo.js'), { reason: 'binary file' });
+  assert.deepEqual(filter.inspect(Buffer.from('\ufeffabc', 'utf16le'), 'notes.txt'), { reason: 'not UTF-8 encoded (UTF-16)' });
+  assert.deepEqual(filter.inspect(Buffer.from([0x63, 0x61, 0x66, 0xe9]), 'notes.txt'), { reason: 'not UTF-8 encoded' });
+
+  assert.deepEqual(filter.inspect(Buffer.from('var a=1;'), 'vendor.min.js'), { reason: 'minified or bundled code' });
+  const bundle = `!function(){${'var a=1;'.repeat(1000)}}();`;
+  assert.deepEqual(filter.inspect(Buffer.from(bundle), 'dist.js'), { reason: 'minified or bundled code' });
+  // Long lines only count against code that gets minified
+  assert.equal(filter.inspect(Buffer.from(bundle), 'notes.md').reason, undefined);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import fs from 'fs-extra';
+import tar from 'tar-stream';
+import { ProjectManager } from '../src/services/ProjectManager.js';
+import { ProjectBundle } from '../src/services/ProjectBundle.js';
+import { JsonFileStore } from '../src/storage/index.js';
+
+async function setup(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dataDir));
+
+  const uploadDir = path.join(dataDir, 'uploads');
+  const projectManager = new ProjectManager({ store: new JsonFileStore({ dataDir }), uploadDir });
+  const bundle = new ProjectBundle(projectManager, { uploadDir });
+
+  await fs.outputFile(path.join(uploadDir, 'files-1.js'), 'console.log("on disk");\n');
+  const project = await projectManager.createProject({
+    name: 'App',
+    userId: 'alice',
+    files: [{ name: 'src/index.js', path: path.join(uploadDir, 'files-1.js'), content: 'console.log("on disk");\n', size: 24 }]
+  });
+  await projectManager.updateProject(project.id, { description: 'Second revision' }, { author: 'alice' });
+
+  const bundlePath = path.join(dataDir, 'app.tar.gz');
+  await bundle.exportProject(await projectManager.getProject(project.id), fs.createWriteStream(bundlePath));
+  return { dataDir, uploadDir, projectManager, bundle, project, bundlePath };
+}
+
+// Writes entries (name -> Buffer) back out as a .tar.gz
+async function writeBundle(filePath, entries) {
+  const pack = tar.pack();
+  const written = pipeline(pack, zlib.createGzip(), fs.createWriteStream(filePath));
+  for (const [name, data] of entries) pack.entry({ name }, data);
+  pack.finalize();
+  await written;
+}
+
+test('bundles round-trip a project, its files and its history', async (t) => {
+  const { uploadDir, projectManager, bundle, project, bundlePath } = await setup(t);
+
+  const imported = await bundle.importBundle(bundlePath, { userId: 'bob' });
+  assert.notEqual(imported.id, project.id);
+  assert.equal(imported.userId, 'bob');
+  assert.equal(imported.description, 'Second revision');
+  assert.deepEqual(imported.importedFrom.projectId, project.id);
+
+  const [file] = imported.files;
+  assert.equal(file.name, 'src/index.js');
+  assert.equal(file.content, 'console.log("on disk");\n');
+  assert.notEqual(file.path, path.join(uploadDir, 'files-1.js'));
+  assert.equal(await fs.readFile(file.path, 'utf8'), 'console.log("on disk");\n');
+
+  // The source's history plus the import itself, without the source's upload paths
+  const revisions = await projectManager.store.listRevisions(imported.id);
+  assert.deepEqual(revisions.map(revision => revision.author), ['alice', 'alice', 'bob']);
+  assert.ok(revisions.every(revision => !(revision.changes.files || []).some(entry => entry.path === path.join(uploadDir, 'files-1.js'))));
+  assert.deepEqual(await projectManager.getOwnedFiles(imported.id, imported), [file.path]);
+});
+
+test('bundles that were altered after export are refused', async (t) => {
+  const { dataDir, projectManager, bundle, bundlePath } = await setup(t);
+  const original = await bundle.readEntries(bundlePath);
+  const tampered = path.join(dataDir, 'tampered.tar.gz');
+
+  const attempt = async (entries) => {
+    await writeBundle(tampered, entries);
+    return bundle.importBundle(tampered, { userId: 'mallory' });
+  };
+  const replaced = (name, data) => new Map([...original, [name, Buffer.from(data)]]);
+
+  const project = JSON.parse(original.get('project.json'));
+  await assert.rejects(attempt(replaced('project.json', JSON.stringify({ ...project, userId: 'mallory' }))),
+    { status: 400, message: 'Checksum mismatch for project.json' });
+  await assert.rejects(attempt(replaced('files/9999-extra.js', 'extra')),
+    { status: 400, message: 'Bundle entry not listed in manifest: files/9999-extra.js' });
+  await assert.rejects(attempt(replaced('../escape.js', 'x')),
+    { status: 400, message: 'Unexpected bundle entry: ../escape.js' });
+  await assert.rejects(attempt(new Map([...original].filter(([name]) => name !== 'revisions.json'))),
+    { status: 400, message: 'Bundle is missing revisions.json' });
+
+  const manifest = JSON.parse(original.get('manifest.json'));
+  await assert.rejects(attempt(replaced('manifest.json', JSON.stringify({ ...manifest, formatVersion: 2 }))),
+    { status: 400, message: 'Unsupported bundle format' });
+
+  await fs.writeFile(tampered, 'not a tarball');
+  await assert.rejects(bundle.importBundle(tampered, { userId: 'mallory' }), { status: 400 });
+
+  // Nothing was imported by any of them
+  assert.equal((await projectManager.queryProjects('mallory')).total, 0);
+});
@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ProjectManager } from '../src/services/ProjectManager.js';
+import { WorkspaceManager } from '../src/services/WorkspaceManager.js';
+import { JsonFileStore, SqliteStore, createCollection } from '../src/storage/index.js';
+import { encodeCursor } from '../src/storage/query.js';
+
+async function setup(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dataDir));
+
+  const projectManager = new ProjectManager({ store: new JsonFileStore({ dataDir }), uploadDir: path.join(dataDir, 'uploads') });
+  const workspaceManager = new WorkspaceManager({
+    workspaces: createCollection('workspaces', { driver: 'json', dataDir }),
+    invitations: createCollection('invitations', { driver: 'json', dataDir })
+  });
+  const owner = { id: 'owner', email: 'owner@example.com' };
+  const workspace = await workspaceManager.createWorkspace(owner, { name: 'Team' });
+  return { projectManager, workspaceManager, owner, workspace };
+}
+
+test('imported projects are private whatever the bundle says', async (t) => {
+  const { projectManager, workspaceManager, owner, workspace } = await setup(t);
+
+  const history = [{
+    projectId: 'elsewhere',
+    revision: 1,
+    author: 'someone',
+    timestamp: new Date().toISOString(),
+    changedFields: ['name', 'workspaceId', 'visibility'],
+    changes: { name: 'Planted', workspaceId: workspace.id, visibility: 'workspace' },
+    removedFields: []
+  }];
+  const project = await projectManager.importProject(
+    { name: 'Planted', workspaceId: workspace.id, visibility: 'workspace', files: [] },
+    history,
+    { userId: 'intruder' }
+  );
+
+  assert.equal(project.workspaceId, undefined);
+  assert.equal(project.visibility, undefined);
+  assert.equal(await workspaceManager.getProjectRole(project, owner.id), null);
+
+  const listed = await projectManager.queryProjects(owner.id, { workspaceId: workspace.id });
+  assert.deepEqual(listed.projects.map(item => item.id), []);
+
+  // Nor does restoring the bundle's own history share it
+  const restored = await projectManager.restoreRevision(project.id, 1, { author: 'intruder' });
+  assert.equal(restored.workspaceId, undefined);
+  assert.equal(restored.visibility, undefined);
+});
+
+test('restoring a revision keeps the current sharing', async (t) => {
+  const { projectManager, owner, workspace } = await setup(t);
+
+  const project = await projectManager.createProject({ name: 'App', userId: owner.id, files: [] });
+  await projectManager.updateProject(project.id, { workspaceId: workspace.id, visibility: 'workspace' });
+  await projectManager.updateProject(project.id, { workspaceId: null, visibility: 'private', name: 'App 2' });
+
+  const restored = await projectManager.restoreRevision(project.id, 2, { author: owner.id });
+  assert.equal(restored.workspaceId, null);
+  assert.equal(restored.visibility, 'private');
+  assert.equal(restored.name, 'App');
+});
+
+test('project lists hold summaries without file contents or paths', async (t) => {
+  const { projectManager, owner } = await setup(t);
+
+  const project = await projectManager.createProject({
+    name: 'App',
+    userId: owner.id,
+    files: [{ name: 'a.js', path: '/srv/debugflow/uploads/files-1.js', content: 'console.log(1)' }]
+  });
+
+  const { projects, total } = await projectManager.queryProjects(owner.id);
+  assert.equal(total, 1);
+  assert.deepEqual(projects[0], {
+    id: project.id,
+    name: 'App',
+    description: undefined,
+    type: undefined,
+    status: undefined,
+    userId: owner.id,
+    workspaceId: null,
+    visibility: 'private',
+    version: 1,
+    languages: undefined,
+    fileCount: 1,
+    createdAt: project.createdAt,
+    lastModified: project.lastModified
+  });
+  assert.ok(!JSON.stringify(projects).includes('/srv/debugflow'));
+});
+
+test('malformed list cursors are refused with 400 by both stores', async (t) => {
+  const { projectManager, owner } = await setup(t);
+  const sqliteStore = new SqliteStore({ filename: ':memory:' });
+  t.after(() => sqliteStore.close());
+  const sqliteManager = new ProjectManager({ store: sqliteStore });
+
+  const cursors = [
+    Buffer.from(JSON.stringify({ v: { $gt: '' }, id: 'x' })).toString('base64url'),
+    Buffer.from(JSON.stringify({ v: ['a'], id: 'x' })).toString('base64url'),
+    Buffer.from(JSON.stringify({ v: 'a', id: 7 })).toString('base64url'),
+    Buffer.from('null').toString('base64url'),
+    'not json'
+  ];
+  for (const manager of [projectManager, sqliteManager]) {
+    await manager.createProject({ name: 'App', userId: owner.id, files: [] });
+    for (const cursor of cursors) {
+      await assert.rejects(manager.queryProjects(owner.id, { cursor }), { status: 400, message: 'Invalid cursor' }, cursor);
+    }
+    const { projects } = await manager.queryProjects(owner.id, { sort: 'name', order: 'asc', cursor: encodeCursor('a', '') });
+    assert.deepEqual(projects.map(project => project.name), ['App']);
+  }
+});
+
+test('revisions record what changed and rebuild, diff and restore earlier states', async (t) => {
+  const { projectManager, owner } = await setup(t);
+
+  const project = await projectManager.createProject({ name: 'App', userId: owner.id, settings: { theme: 'dark', tabs: 2 }, files: [] });
+  await projectManager.updateProject(project.id, { settings: { theme: 'light', tabs: 2 } }, { author: 'editor' });
+  await projectManager.updateProject(project.id, { name: 'App 2', description: 'Renamed' }, { author: owner.id });
+
+  const revisions = await projectManager.getRevisions(project.id);
+  assert.deepEqual(revisions.map(({ revision, author, changedFields }) => ({ revision, author, changedFields })), [
+    { revision: 1, author: owner.id, changedFields: ['id', 'name', 'userId', 'settings', 'files', 'createdAt'] },
+    { revision: 2, author: 'editor', changedFields: ['settings'] },
+    { revision: 3, author: owner.id, changedFields: ['name', 'description'] }
+  ]);
+
+  const first = await projectManager.getProjectAtRevision(project.id, 1);
+  assert.equal(first.name, 'App');
+  assert.deepEqual(first.settings, { theme: 'dark', tabs: 2 });
+  assert.equal(await projectManager.getProjectAtRevision(project.id, 4), null);
+
+  const diff = await projectManager.diffRevisions(project.id, 1, 3);
+  assert.deepEqual(diff.changes, [
+    { field: 'name', before: 'App', after: 'App 2' },
+    { field: 'settings.theme', before: 'dark', after: 'light' },
+    { field: 'description', before: undefined, after: 'Renamed' }
+  ]);
+  assert.equal(await projectManager.diffRevisions(project.id, 1, 9), null);
+
+  const restored = await projectManager.restoreRevision(project.id, 1, { author: 'editor' });
+  assert.equal(restored.name, 'App');
+  assert.equal(restored.description, undefined);
+  assert.equal(restored.version, 4);
+  assert.equal(restored.createdAt, project.createdAt);
+
+  const [latest] = (await projectManager.getRevisions(project.id)).slice(-1);
+  assert.deepEqual({ revision: latest.revision, restoredFrom: latest.restoredFrom }, { revision: 4, restoredFrom: 1 });
+  assert.deepEqual(latest.changedFields.sort(), ['description', 'name', 'settings']);
+  assert.equal(await projectManager.restoreRevision(project.id, 0), null);
+});
+
+test('stale expected versions are refused and concurrent updates all land', async (t) => {
+  const { projectManager, owner } = await setup(t);
+  const project = await projectManager.createProject({ name: 'App', userId: owner.id, files: [] });
+
+  await projectManager.updateProject(project.id, { name: 'First' }, { expectedVersion: 1 });
+  await assert.rejects(
+    projectManager.updateProject(project.id, { name: 'Lost update' }, { expectedVersion: 1 }),
+    { name: 'ConflictError', status: 409, expectedVersion: 1, currentVersion: 2 }
+  );
+  await assert.rejects(projectManager.restoreRevision(project.id, 1, { expectedVersion: '1' }), { status: 409 });
+  await assert.rejects(projectManager.deleteProject(project.id, { expectedVersion: 5 }), { status: 409 });
+  assert.equal((await projectManager.getProject(project.id)).name, 'First');
+
+  // Each read-modify-write waits for the one before it
+  await Promise.all(Array.from({ length: 10 }, (_, i) =>
+    projectManager.updateProject(project.id, { [`field${i}`]: i })));
+  const updated = await projectManager.getProject(project.id);
+  assert.equal(updated.version, 12);
+  assert.deepEqual(Array.from({ length: 10 }, (_, i) => updated[`field${i}`]), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.deepEqual((await projectManager.getRevisions(project.id)).map(revision => revision.revision), Array.from({ length: 12 }, (_, i) => i + 1));
+  assert.equal(projectManager.locks.size, 0);
+});
+
+test('projects are only visible to their owner when looked up for a user', async (t) => {
+  const { projectManager, owner } = await setup(t);
+  const project = await projectManager.createProject({ name: 'App', userId: owner.id, files: [] });
+  await projectManager.createProject({ name: 'Other', userId: 'someone-else', files: [] });
+
+  assert.equal((await projectManager.getProject(project.id, { userId: owner.id })).id, project.id);
+  assert.equal(await projectManager.getProject(project.id, { userId: 'someone-else' }), null);
+  assert.deepEqual((await projectManager.queryProjects('someone-else')).projects.map(item => item.name), ['Other']);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs-extra';
+import { ProjectProcessor } from '../src/services/ProjectProcessor.js';
+
+const git = (cwd, ...args) => promisify(execFile)('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd });
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dir));
+  return dir;
+}
+
+test('repositories clone through file:// when it is allowed', async (t) => {
+  const allowFile = process.env.GIT_IMPORT_ALLOW_FILE;
+  process.env.GIT_IMPORT_ALLOW_FILE = 'true';
+  t.after(() => {
+    if (allowFile === undefined) delete process.env.GIT_IMPORT_ALLOW_FILE;
+    else process.env.GIT_IMPORT_ALLOW_FILE = allowFile;
+  });
+
+  const dir = await tempDir(t);
+  const work = path.join(dir, 'work');
+  await fs.outputFile(path.join(work, 'src/index.js'), "import { add } from './math.js';\nconsole.log(add(1, 2));\n");
+  await fs.outputFile(path.join(work, 'src/math.js'), 'export const add = (a, b) => a + b;\n');
+  await fs.outputFile(path.join(work, 'node_modules/left-pad/index.js'), 'module.exports = () => {};\n');
+  // Over the 50 MB limit for a single repository file; zeros pack small
+  await fs.outputFile(path.join(work, 'data/fixtures.js'), '');
+  await fs.truncate(path.join(work, 'data/fixtures.js'), 51 * 1024 * 1024);
+  await git(dir, 'init', '-q', '-b', 'main', work);
+  await git(work, 'add', '-A');
+  await git(work, 'commit', '-q', '-m', 'Initial commit');
+  await git(dir, 'clone', '-q', '--bare', work, path.join(dir, 'app.git'));
+  const { stdout: head } = await git(work, 'rev-parse', 'HEAD');
+
+  const processor = new ProjectProcessor({ uploadDir: path.join(dir, 'uploads'), tempDir: path.join(dir, 'temp') });
+  const result = await processor.processRepository({ url: `file://${path.join(dir, 'app.git')}` });
+
+  assert.equal(result.name, 'app');
+  assert.equal(result.repository.commit, head.trim());
+  assert.deepEqual(result.files.map(file => file.name).sort(), ['src/index.js', 'src/math.js']);
+  assert.deepEqual(result.skippedFiles, [
+    { path: 'node_modules/', reason: 'vendored directory' },
+    { path: 'data/fixtures.js', reason: 'file too large' }
+  ]);
+  // The clone is gone; the kept files were copied into the upload directory
+  assert.deepEqual(await fs.readdir(path.join(dir, 'temp')), []);
+  assert.ok(result.files.every(file => file.path.startsWith(path.join(dir, 'uploads'))));
+});
+
+test('snapshots keep unchanged files and reuse analyses of identical content', async (t) => {
+  const dir = await tempDir(t);
+  const processor = new ProjectProcessor({ uploadDir: path.join(dir, 'uploads'), tempDir: path.join(dir, 'temp') });
+  let uploads = 0;
+  const upload = async (files) => Promise.all(Object.entries(files).map(async ([originalname, content]) => {
+    const filePath = path.join(dir, 'uploads', `upload-${++uploads}${path.extname(originalname)}`);
+    await fs.outputFile(filePath, content);
+    return { originalname, path: filePath, size: Buffer.byteLength(content) };
+  }));
+
+  const helpers = 'export function clamp(value, min, max) {\n  if (value < min) return min;\n  return value > max ? max : value;\n}\n';
+  const first = await processor.processUploadedFiles(await upload({
+    'src/index.js': "import { clamp } from './helpers.js';\nconsole.log(clamp(5, 0, 3));\n",
+    'src/config.js': 'export default { port: 3000 };\n',
+    'src/helpers.js': helpers
+  }));
+  const previous = Object.fromEntries(first.files.map(file => [file.name, file]));
+
+  const files = await upload({
+    'src/index.js': "import { clamp } from './helpers.js';\nconsole.log(clamp(5, 0, 3));\n",
+    'src/config.js': 'export default { port: 8080 };\n',
+    'src/math.js': helpers
+  });
+  const result = await processor.processSnapshot(files, first.files);
+
+  assert.deepEqual(result.changes, { added: ['src/math.js'], changed: ['src/config.js'], removed: ['src/helpers.js'], unchanged: 1, reusedAnalyses: 1 });
+  const byName = Object.fromEntries(result.files.map(file => [file.name, file]));
+  // The unchanged file keeps its stored copy; the duplicate upload is dropped
+  assert.equal(byName['src/index.js'], previous['src/index.js']);
+  assert.equal(await fs.pathExists(files[0].path), false);
+  // Moved content takes the earlier analysis instead of being analyzed again
+  assert.equal(byName['src/math.js'].analysis, previous['src/helpers.js'].analysis);
+  assert.equal(byName['src/math.js'].path, files[2].path);
+
+  // Files analyzed by an older analyzer are analyzed afresh, even if unchanged
+  const stale = first.files.map(file => ({ ...file, analysisVersion: 0, analysis: { stale: true } }));
+  const again = await processor.processSnapshot(await upload({ 'src/index.js': "import { clamp } from './helpers.js';\nconsole.log(clamp(5, 0, 3));\n" }), stale);
+  assert.equal(again.changes.unchanged, 1);
+  assert.equal(again.changes.reusedAnalyses, 0);
+  assert.notDeepEqual(again.files[0].analysis, { stale: true });
+});
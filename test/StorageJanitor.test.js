@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ProjectManager } from '../src/services/ProjectManager.js';
+import { StorageJanitor } from '../src/services/StorageJanitor.js';
+import { JsonFileStore } from '../src/storage/index.js';
+
+const HOUR = 60 * 60 * 1000;
+
+async function setup(t) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(root));
+
+  const uploadDir = path.join(root, 'uploads');
+  const tempDir = path.join(root, 'temp');
+  const projectManager = new ProjectManager({ store: new JsonFileStore({ dataDir: path.join(root, 'data') }), uploadDir });
+  const janitor = new StorageJanitor(projectManager, { uploadDir, tempDir, maxAgeHours: 24 });
+
+  // Writes a file and backdates it by ageHours
+  const write = async (filePath, ageHours, content = 'data') => {
+    await fs.outputFile(filePath, content);
+    const time = new Date(Date.now() - ageHours * HOUR);
+    await fs.utimes(filePath, time, time);
+    return filePath;
+  };
+  return { uploadDir, tempDir, projectManager, janitor, write };
+}
+
+test('cleanup removes only unreferenced uploads and temp entries past the cutoff', async (t) => {
+  const { uploadDir, tempDir, projectManager, janitor, write } = await setup(t);
+
+  const kept = await write(path.join(uploadDir, 'files-kept.js'), 48);
+  const inHistory = await write(path.join(uploadDir, 'files-history.js'), 48);
+  const orphan = await write(path.join(uploadDir, 'files-orphan.js'), 48, 'orphaned');
+  const fresh = await write(path.join(uploadDir, 'files-fresh.js'), 1);
+  const staleTemp = path.join(tempDir, 'extract-old');
+  await write(path.join(staleTemp, 'a.txt'), 30, 'abc');
+  await fs.utimes(staleTemp, new Date(Date.now() - 30 * HOUR), new Date(Date.now() - 30 * HOUR));
+  const freshTemp = await write(path.join(tempDir, 'upload-new'), 2);
+
+  const project = await projectManager.createProject({ name: 'App', userId: 'u1', files: [{ name: 'old.js', path: inHistory }] });
+  await projectManager.updateProject(project.id, { files: [{ name: 'kept.js', path: kept }] });
+
+  const report = await janitor.report();
+  assert.deepEqual(report, {
+    maxAgeHours: 24,
+    uploads: { files: 1, bytes: 8 },
+    temp: { files: 1, bytes: 3 },
+    totalFiles: 2,
+    totalBytes: 11
+  });
+
+  await janitor.collect();
+  assert.equal(await fs.pathExists(orphan), false);
+  assert.equal(await fs.pathExists(staleTemp), false);
+  for (const filePath of [kept, inHistory, fresh, freshTemp]) {
+    assert.equal(await fs.pathExists(filePath), true, filePath);
+  }
+});
+
+test('deleting a project removes the uploads it owns and nothing else', async (t) => {
+  const { uploadDir, projectManager, write } = await setup(t);
+
+  const current = await write(path.join(uploadDir, 'files-current.js'), 0);
+  const earlier = await write(path.join(uploadDir, 'files-earlier.js'), 0);
+  const outside = await write(path.join(path.dirname(uploadDir), 'elsewhere.js'), 0);
+
+  const project = await projectManager.createProject({ name: 'App', userId: 'u1', files: [{ name: 'a.js', path: earlier }] });
+  await projectManager.updateProject(project.id, { files: [{ name: 'a.js', path: current }, { name: 'b.js', path: outside }] });
+
+  assert.equal(await projectManager.deleteProject(project.id), true);
+  assert.equal(await fs.pathExists(current), false);
+  assert.equal(await fs.pathExists(earlier), false);
+  assert.equal(await fs.pathExists(outside), true);
+  assert.equal(await projectManager.deleteProject(project.id), false);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SymbolIndex } from '../src/services/SymbolIndex.js';
+import { NotFoundError } from '../src/errors.js';
+
+const file = (name, lines) => ({ name, extension: name.slice(name.lastIndexOf('.')), content: lines.join('\n') });
+
+const project = (version = 1) => ({
+  id: 'p1',
+  version,
+  files: [
+    file('src/format.js', [
+      'export function formatPrice(cents) {',
+      '  return `$${(cents / 100).toFixed(2)}`;',
+      '}'
+    ]),
+    file('src/util.js', [
+      "export { formatPrice as price } from './format.js';",
+      "export * from './format.js';"
+    ]),
+    file('src/cart.js', [
+      "import { price } from './util.js';",
+      'export class Cart {',
+      '  total() {',
+      '    return this.items.reduce((sum, item) => sum + item.cents, 0);',
+      '  }',
+      '  checkout() {',
+      '    const label = price(this.total());',
+      '    return label;',
+      '  }',
+      '}'
+    ]),
+    file('src/index.js', [
+      "const { Cart } = require('./cart.js');",
+      "import * as util from './util.js';",
+      'function main() {',
+      '  const cart = new Cart();',
+      '  console.log(util.formatPrice(cart.checkout()));',
+      '}',
+      'main();'
+    ]),
+    file('README.md', ['# Cart'])
+  ]
+});
+
+test('definitions are found by name and come with their snippet', () => {
+  const index = new SymbolIndex();
+
+  const [checkout] = index.definition(project(), 'checkout');
+  assert.equal(checkout.id, 'src/cart.js#Cart.checkout');
+  assert.equal(checkout.kind, 'method');
+  assert.deepEqual(checkout.snippet, { startLine: 6, endLine: 9, truncated: false, code: '  checkout() {\n    const label = price(this.total());\n    return label;\n  }' });
+
+  // Variables local to a function aren't symbols
+  assert.deepEqual(index.findDefinitions(project(), 'label'), []);
+  assert.deepEqual(index.search(project(), 'cart').map(definition => definition.qualifiedName), ['Cart', 'Cart.checkout', 'Cart.total']);
+  assert.throws(() => index.definition(project(), 'missing'), NotFoundError);
+  assert.throws(() => index.references(project(), 'Cart', { file: 'src/index.js' }), { status: 404 });
+});
+
+test('references follow imports, requires and re-exports across files', () => {
+  const index = new SymbolIndex();
+
+  const { references } = index.references(project(), 'formatPrice');
+  assert.deepEqual(references.map(({ file, line, caller, call, text }) => ({ file, line, caller, call, text })), [
+    // price is formatPrice renamed by src/util.js; util.formatPrice comes through export *
+    { file: 'src/cart.js', line: 7, caller: 'src/cart.js#Cart.checkout', call: true, text: 'const label = price(this.total());' },
+    { file: 'src/index.js', line: 5, caller: 'src/index.js#main', call: true, text: 'console.log(util.formatPrice(cart.checkout()));' }
+  ]);
+
+  assert.deepEqual(index.references(project(), 'Cart').references.map(({ file, line, call }) => [file, line, call]), [['src/index.js', 4, true]]);
+});
+
+test('callers and callees group call sites by function', () => {
+  const index = new SymbolIndex();
+
+  const { callees } = index.callees(project(), 'Cart.checkout');
+  assert.deepEqual(callees.map(({ id, calls }) => [id, calls.map(call => call.line)]), [
+    ['src/format.js#formatPrice', [7]],
+    ['src/cart.js#Cart.total', [7]]
+  ]);
+
+  const { callers } = index.callers(project(), 'formatPrice');
+  assert.deepEqual(callers.map(({ id, calls }) => [id, calls.map(call => `${call.file}:${call.line}`)]), [
+    ['src/cart.js#Cart.checkout', ['src/cart.js:7']],
+    ['src/index.js#main', ['src/index.js:5']]
+  ]);
+  // Top-level calls have no caller to group under
+  assert.deepEqual(index.callers(project(), 'main').callers, []);
+});
+
+test('bug reports are matched to the definitions they mention', () => {
+  const index = new SymbolIndex();
+  const mentioned = index.mentionedIn(project(), 'formatPrice throws after `Cart.checkout`; main logs nothing and label is empty');
+  assert.deepEqual(mentioned.map(definition => definition.id), ['src/format.js#formatPrice', 'src/cart.js#Cart.checkout', 'src/index.js#main']);
+  assert.equal(mentioned[0].snippet.code.split('\n')[0], 'export function formatPrice(cents) {');
+});
+
+test('indexes are cached per project version and files per content hash', (t) => {
+  const index = new SymbolIndex();
+  const parse = t.mock.method(index, 'fileSymbols');
+  const hashed = (version) => ({ ...project(version), files: project(version).files.map(entry => ({ ...entry, hash: entry.name })) });
+
+  index.getIndex(hashed(1));
+  index.getIndex(hashed(1));
+  assert.equal(parse.mock.callCount(), 4);
+
+  // A new version is indexed again, reusing the symbols of unchanged files
+  const rebuilt = index.getIndex(hashed(2));
+  assert.equal(parse.mock.callCount(), 8);
+  assert.equal(index.files.size, 4);
+  assert.equal(rebuilt.definitions.size, index.getIndex(hashed(1)).definitions.size);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { UsageMeter, estimateCost } from '../src/services/UsageMeter.js';
+import { AIAnalyzer } from '../src/services/AIAnalyzer.js';
+import { BudgetExceededError } from '../src/errors.js';
+import { JsonCollection } from '../src/storage/index.js';
+
+async function setup(t, budgets = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dataDir));
+
+  return new UsageMeter({
+    ledgers: new JsonCollection('ai-usage', { dataDir }),
+    budgets: new JsonCollection('ai-budgets', { dataDir }),
+    dailyBudgetUsd: budgets.daily,
+    monthlyBudgetUsd: budgets.monthly
+  });
+}
+
+// An OpenAI client stand-in that answers every call with the given usage
+const fakeClient = (usage) => {
+  const calls = [];
+  return {
+    calls,
+    chat: {
+      completions: {
+        create: async (request) => {
+          calls.push(request);
+          return { model: 'gpt-4o-mini-2024-07-18', usage, choices: [{ message: { content: '{"rootCause":"x","fixes":[]}' } }] };
+        }
+      }
+    }
+  };
+};
+
+test('costs follow the model price list, dated snapshots included', () => {
+  assert.equal(estimateCost('gpt-4o', 1_000_000, 1_000_000), 12.5);
+  assert.equal(estimateCost('gpt-4o-mini-2024-07-18', 1_000_000, 0), 0.15);
+  assert.equal(estimateCost('unknown-model', 0, 1_000_000), 0.6);
+});
+
+test('usage is totalled by day, project and operation', async (t) => {
+  const meter = await setup(t);
+
+  await meter.record({ userId: 'u1', projectId: 'p1', operation: 'analyze', model: 'gpt-4o', usage: { prompt_tokens: 1000, completion_tokens: 500 }, credentialSource: 'server' });
+  await meter.record({ userId: 'u1', projectId: 'p1', operation: 'implement', model: 'gpt-4o', usage: { prompt_tokens: 2000, completion_tokens: 0 }, credentialSource: 'user' });
+  await meter.record({ userId: 'u2', projectId: 'p1', operation: 'analyze', model: 'gpt-4o', usage: { prompt_tokens: 1000, completion_tokens: 0 }, credentialSource: 'server' });
+
+  const summary = await meter.getSummary('u1', { includeCalls: true });
+  assert.deepEqual(summary.totals, { calls: 2, promptTokens: 3000, completionTokens: 500, totalTokens: 3500, costUsd: 0.0125, serverCostUsd: 0.0075 });
+  assert.deepEqual(Object.keys(summary.byOperation).sort(), ['analyze', 'implement']);
+  assert.equal(summary.calls.length, 2);
+
+  const project = await meter.getProjectUsage('p1');
+  assert.equal(project.totals.calls, 3);
+  assert.deepEqual(Object.keys(project.byUser).sort(), ['u1', 'u2']);
+  assert.deepEqual((await meter.getAllUsage()).map(entry => entry.userId), ['u1', 'u2']);
+
+  await assert.rejects(meter.getSummary('u1', { month: '2026-1' }), { status: 400 });
+});
+
+test('budgets refuse calls on the server key once spent, never calls on the user key', async (t) => {
+  const meter = await setup(t, { daily: '0.01', monthly: '' });
+  assert.deepEqual(await meter.getBudget('u1'), { dailyUsd: 0.01, monthlyUsd: null });
+
+  const serverClient = fakeClient({ prompt_tokens: 0, completion_tokens: 10_000 });
+  const analyzer = new AIAnalyzer(serverClient, { usageMeter: meter });
+  const projectData = { id: 'p1', name: 'App', files: [] };
+
+  await analyzer.analyzeBug({ projectData, bugDescription: 'Crash', userId: 'u1' });
+  // 10,000 gpt-4o completion tokens cost $0.10, over the $0.01 daily budget
+  await meter.record({ userId: 'u1', operation: 'analyze', model: 'gpt-4o', usage: { prompt_tokens: 0, completion_tokens: 10_000 }, credentialSource: 'server' });
+  await assert.rejects(meter.assertWithinBudget('u1'), BudgetExceededError);
+  await assert.rejects(analyzer.analyzeBug({ projectData, bugDescription: 'Crash', userId: 'u1' }), { status: 429 });
+  assert.equal(serverClient.calls.length, 1);
+
+  // With their own OpenAI key the user isn't limited, but is still metered
+  const userClient = fakeClient({ prompt_tokens: 10, completion_tokens: 10 });
+  const withUserKey = new AIAnalyzer(serverClient, {
+    usageMeter: meter,
+    credentialVault: { getCredential: async () => 'sk-user-key' },
+    createClient: () => userClient
+  });
+  await withUserKey.analyzeBug({ projectData, bugDescription: 'Crash', userId: 'u1' });
+  assert.equal(userClient.calls.length, 1);
+  assert.equal((await meter.getSummary('u1', { includeCalls: true })).calls.at(-1).credentialSource, 'user');
+
+  // A per-user override wins over the server default, and "default" drops it
+  assert.deepEqual(await meter.setBudget('u1', { dailyUsd: null, monthlyUsd: 5 }), { dailyUsd: null, monthlyUsd: 5 });
+  await meter.assertWithinBudget('u1');
+  assert.deepEqual(await meter.setBudget('u1', { dailyUsd: 'default' }), { dailyUsd: 0.01, monthlyUsd: 5 });
+  await assert.rejects(meter.setBudget('u1', { monthlyUsd: -1 }), { status: 400 });
+});
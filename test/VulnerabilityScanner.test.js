@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { VulnerabilityScanner } from '../src/services/VulnerabilityScanner.js';
+import { JsonCollection } from '../src/storage/index.js';
+import { compareVersions, minimumVersion } from '../src/utils/versions.js';
+
+async function setup(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dataDir));
+
+  const scanner = new VulnerabilityScanner({ advisories: new JsonCollection('advisories', { dataDir }) });
+  const importJson = async (value) => {
+    const filePath = path.join(dataDir, 'advisories.json');
+    await fs.writeFile(filePath, JSON.stringify(value));
+    return scanner.importFile(filePath, 'advisories.json');
+  };
+  return { scanner, importJson };
+}
+
+test('advisory files that are not an object or array are refused with 400', async (t) => {
+  const { importJson } = await setup(t);
+
+  for (const value of [null, 5, 'GHSA-1', true, { vulns: 3 }, { vulns: 'GHSA-1' }]) {
+    await assert.rejects(importJson(value), {
+      status: 400,
+      message: 'Advisory file must be an OSV advisory, an array or { vulns }'
+    }, JSON.stringify(value));
+  }
+  assert.deepEqual(await importJson({ vulns: [] }), { imported: 0, updated: 0, unchanged: 0, invalid: 0 });
+});
+
+test('versions are ordered the way each ecosystem orders them', () => {
+  const ascending = {
+    npm: ['1.0.0-alpha', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0', 'v1.2.0', '1.10.0'],
+    Go: ['v0.9.0', 'v1.9.1', 'v1.10.0-rc.1', 'v1.10.0'],
+    PyPI: ['1.0.dev1', '1.0a1', '1.0b2', '1.0rc1', '1.0', '1.0.post1', '1.1', '1!0.1'],
+    Maven: ['1.0-alpha-1', '1.0-beta', '1.0-M2', '1.0-RC1', '1.0-SNAPSHOT', '1.0', '1.0-sp1', '1.0.1', '1.10'],
+    RubyGems: ['2.0.0.beta1', '2.0.0.rc1', '2.0.0', '2.0.1', '2.10.0']
+  };
+
+  for (const [ecosystem, versions] of Object.entries(ascending)) {
+    for (let i = 1; i < versions.length; i++) {
+      assert.ok(compareVersions(ecosystem, versions[i - 1], versions[i]) < 0, `${ecosystem}: ${versions[i - 1]} < ${versions[i]}`);
+      assert.ok(compareVersions(ecosystem, versions[i], versions[i - 1]) > 0, `${ecosystem}: ${versions[i]} > ${versions[i - 1]}`);
+    }
+  }
+
+  assert.equal(compareVersions('PyPI', '1.0', '1.0.0'), 0);
+  assert.equal(compareVersions('Maven', '1.0', '1.0.0'), 0);
+  assert.equal(compareVersions('Maven', '1.0-final', '1.0'), 0);
+  assert.equal(compareVersions('PyPI', 'not a version', '1.0'), null);
+
+  assert.equal(minimumVersion('npm', '^4.17.0'), '4.17.0');
+  assert.equal(minimumVersion('npm', '>=2.0.0 <3'), '2.0.0');
+  assert.equal(minimumVersion('crates.io', '1.2'), '1.2.0');
+  assert.equal(minimumVersion('crates.io', '=0.4.3'), '0.4.3');
+  assert.equal(minimumVersion('PyPI', '>=2.0'), null);
+  assert.equal(minimumVersion('npm', 'latest'), null);
+});
+
+test('dependencies are matched against advisory ranges in their own ecosystem', async (t) => {
+  const { scanner, importJson } = await setup(t);
+  const advisory = (id, ecosystem, name, events, extra = {}) => ({
+    id,
+    modified: '2024-01-01T00:00:00Z',
+    summary: `${name} advisory`,
+    affected: [{ package: { ecosystem, name }, ranges: [{ type: ecosystem === 'Go' || ecosystem === 'npm' ? 'SEMVER' : 'ECOSYSTEM', events }], ...extra }],
+    database_specific: { severity: 'HIGH' }
+  });
+
+  assert.deepEqual(await importJson({
+    vulns: [
+      advisory('GHSA-npm1', 'npm', 'lodash', [{ introduced: '0' }, { fixed: '4.17.21' }]),
+      advisory('PYSEC-1', 'PyPI', 'Django', [{ introduced: '4.2a1' }, { fixed: '4.2.8' }]),
+      advisory('GHSA-mvn1', 'Maven', 'org.example:lib', [{ introduced: '2.0-beta' }, { last_affected: '2.0' }]),
+      advisory('GHSA-gem1', 'RubyGems', 'rails', [{ introduced: '7.1.0.rc1' }, { fixed: '7.1.3' }]),
+      advisory('GO-1', 'Go', 'golang.org/x/net', [{ introduced: '0' }, { fixed: '0.17.0' }]),
+      { id: 'GHSA-listed', modified: '2024-01-01T00:00:00Z', affected: [{ package: { ecosystem: 'npm', name: 'left-pad' }, versions: ['1.1.0'] }] },
+      { id: 'GHSA-git', modified: '2024-01-01T00:00:00Z', affected: [{ package: { ecosystem: 'npm', name: 'qs' }, ranges: [{ type: 'GIT', events: [{ introduced: '0' }] }] }] },
+      { id: '../escape', affected: [] }
+    ]
+  }), { imported: 7, updated: 0, unchanged: 0, invalid: 1 });
+
+  const dependency = (ecosystem, name, resolved, declared = null) => ({ name, ecosystem, declared, resolved, direct: true, source: 'manifest' });
+  const result = await scanner.scan([
+    dependency('npm', 'lodash', null, '^4.17.0'),
+    dependency('npm', 'left-pad', '1.1.0'),
+    dependency('npm', 'qs', '6.10.0'),
+    dependency('PyPI', 'django', '4.2rc1'),
+    dependency('Maven', 'org.example:lib', '2.0-RC1'),
+    dependency('Maven', 'org.example:lib', '2.0.1'),
+    dependency('RubyGems', 'rails', '7.1.3'),
+    dependency('Go', 'golang.org/x/net', 'v0.9.0'),
+    dependency('PyPI', 'flask', null, '>=2.0')
+  ]);
+
+  assert.deepEqual(result.findings.map(({ advisoryId, version, versionSource, fixedVersion }) => [advisoryId, version, versionSource, fixedVersion]), [
+    ['PYSEC-1', '4.2rc1', 'resolved', '4.2.8'],
+    ['GO-1', 'v0.9.0', 'resolved', '0.17.0'],
+    ['GHSA-npm1', '4.17.0', 'declared-minimum', '4.17.21'],
+    ['GHSA-mvn1', '2.0-RC1', 'resolved', null],
+    ['GHSA-listed', '1.1.0', 'resolved', null]
+  ]);
+  assert.equal(result.scanned, 8);
+  assert.equal(result.unscanned, 1);
+
+  // A newer copy of an advisory replaces the stored one; the same copy is left alone
+  const fixed = advisory('GHSA-npm1', 'npm', 'lodash', [{ introduced: '0' }, { fixed: '4.17.0' }]);
+  assert.deepEqual(await importJson([{ ...fixed, modified: '2024-06-01T00:00:00Z' }, advisory('GO-1', 'Go', 'golang.org/x/net', [])]),
+    { imported: 0, updated: 1, unchanged: 1, invalid: 0 });
+  assert.equal((await scanner.scan([dependency('npm', 'lodash', null, '^4.17.0')])).findings.length, 0);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { WorkspaceManager, PROJECT_PERMISSIONS, hasRole } from '../src/services/WorkspaceManager.js';
+import { JsonCollection } from '../src/storage/index.js';
+
+const owner = { id: 'owner', email: 'owner@example.com' };
+const member = { id: 'member', email: 'member@example.com' };
+const outsider = { id: 'outsider', email: 'outsider@example.com' };
+
+async function setup(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dataDir));
+
+  const workspaceManager = new WorkspaceManager({
+    workspaces: new JsonCollection('workspaces', { dataDir }),
+    invitations: new JsonCollection('invitations', { dataDir })
+  });
+  const workspace = await workspaceManager.createWorkspace(owner, { name: ' Team ' });
+  return { workspaceManager, workspace };
+}
+
+test('invited users join with the invited role once they accept', async (t) => {
+  const { workspaceManager, workspace } = await setup(t);
+  assert.equal(workspace.name, 'Team');
+
+  await assert.rejects(workspaceManager.invite(workspace.id, member, { email: outsider.email }), { status: 404 });
+  await assert.rejects(workspaceManager.invite(workspace.id, owner, { email: member.email, role: 'admin' }), { status: 400 });
+  await assert.rejects(workspaceManager.invite(workspace.id, owner, { email: owner.email }), { status: 409 });
+
+  const invitation = await workspaceManager.invite(workspace.id, owner, { email: ' Member@Example.com ', role: 'maintainer' });
+  assert.deepEqual((await workspaceManager.listPendingInvitations(member.email)).map(item => item.id), [invitation.id]);
+
+  // Only the invitee can answer, and only once
+  await assert.rejects(workspaceManager.respondToInvitation(invitation.id, outsider, true), { status: 404 });
+  await workspaceManager.respondToInvitation(invitation.id, member, true);
+  await assert.rejects(workspaceManager.respondToInvitation(invitation.id, member, true), { status: 409 });
+
+  assert.equal((await workspaceManager.requireRole(workspace.id, member.id, 'maintainer')).id, workspace.id);
+  await assert.rejects(workspaceManager.requireRole(workspace.id, member.id, 'owner'), { status: 403 });
+  await assert.rejects(workspaceManager.requireRole(workspace.id, outsider.id), { status: 404, message: 'Workspace not found' });
+  assert.deepEqual((await workspaceManager.listForUser(member.id)).map(item => item.id), [workspace.id]);
+  assert.deepEqual(await workspaceManager.listPendingInvitations(member.email), []);
+});
+
+test('a workspace always keeps an owner', async (t) => {
+  const { workspaceManager, workspace } = await setup(t);
+  const invitation = await workspaceManager.invite(workspace.id, owner, { email: member.email });
+  await workspaceManager.respondToInvitation(invitation.id, member, true);
+
+  await assert.rejects(workspaceManager.updateMemberRole(workspace.id, member.id, member.id, 'owner'), { status: 403 });
+  await assert.rejects(workspaceManager.updateMemberRole(workspace.id, owner.id, owner.id, 'viewer'), { status: 409 });
+  await assert.rejects(workspaceManager.removeMember(workspace.id, owner.id, owner.id), { status: 409 });
+
+  await workspaceManager.updateMemberRole(workspace.id, owner.id, member.id, 'owner');
+  await workspaceManager.removeMember(workspace.id, owner.id, owner.id);
+  const [remaining] = (await workspaceManager.listForUser(member.id));
+  assert.deepEqual(remaining.members.map(entry => [entry.userId, entry.role]), [[member.id, 'owner']]);
+});
+
+test('project roles come from the workspace only while the project is shared with it', async (t) => {
+  const { workspaceManager, workspace } = await setup(t);
+  const invitation = await workspaceManager.invite(workspace.id, owner, { email: member.email, role: 'viewer' });
+  await workspaceManager.respondToInvitation(invitation.id, member, true);
+
+  const project = { id: 'p1', userId: owner.id, workspaceId: workspace.id, visibility: 'workspace' };
+  assert.equal(await workspaceManager.getProjectRole(project, owner.id), 'owner');
+  assert.equal(await workspaceManager.getProjectRole(project, member.id), 'viewer');
+  assert.equal(await workspaceManager.getProjectRole(project, outsider.id), null);
+  assert.equal(await workspaceManager.getProjectRole({ ...project, visibility: 'private' }, member.id), null);
+
+  assert.equal(hasRole('viewer', PROJECT_PERMISSIONS.read), true);
+  assert.equal(hasRole('viewer', PROJECT_PERMISSIONS.update), false);
+  assert.equal(hasRole('maintainer', PROJECT_PERMISSIONS.share), false);
+  assert.equal(hasRole('owner', PROJECT_PERMISSIONS.delete), true);
+});
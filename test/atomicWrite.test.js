@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { writeJsonAtomic } from '../src/utils/atomicWrite.js';
+
+test('atomic writes replace files whole and leave no temp files behind', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dir));
+  const filePath = path.join(dir, 'record.json');
+
+  await writeJsonAtomic(filePath, { version: 1 });
+  await Promise.all(Array.from({ length: 5 }, (_, i) => writeJsonAtomic(filePath, { version: i + 2, padding: 'x'.repeat(10000 * i) })));
+  assert.ok((await fs.readJSON(filePath)).version >= 2);
+
+  // Without overwrite an existing file is kept as it is
+  await assert.rejects(writeJsonAtomic(filePath, { version: 0 }, { overwrite: false }), { code: 'EEXIST' });
+  assert.notEqual((await fs.readJSON(filePath)).version, 0);
+
+  assert.deepEqual(await fs.readdir(dir), ['record.json']);
+});
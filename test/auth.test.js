@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import fs from 'fs-extra';
+import { UserManager } from '../src/services/UserManager.js';
+import { ApiKeyManager } from '../src/services/ApiKeyManager.js';
+import { createAuthMiddleware, requireAdmin } from '../src/middleware/auth.js';
+import { JsonCollection } from '../src/storage/index.js';
+
+const JWT_SECRET = 'test-secret';
+
+async function setup(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dataDir));
+
+  const userManager = new UserManager({ users: new JsonCollection('users', { dataDir }), jwtSecret: JWT_SECRET });
+  const apiKeyManager = new ApiKeyManager({ keys: new JsonCollection('api-keys', { dataDir }) });
+  return { userManager, apiKeyManager, authenticate: createAuthMiddleware(userManager, apiKeyManager) };
+}
+
+// Runs a middleware against a request with the given headers; resolves with
+// the request if it called next, or the status and body it answered with
+function run(middleware, headers = {}, req = {}) {
+  return new Promise((resolve) => {
+    const request = { ip: '127.0.0.1', ...req, get: (name) => headers[name] };
+    const res = {
+      status(code) {
+        return { json: (body) => resolve({ status: code, body }) };
+      }
+    };
+    Promise.resolve(middleware(request, res, () => resolve({ next: true, req: request })));
+  });
+}
+
+test('accounts register once per email and log in with their password', async (t) => {
+  const { userManager } = await setup(t);
+
+  const user = await userManager.register({ email: ' Dev@Example.com ', password: 'correct horse' });
+  assert.equal(user.email, 'dev@example.com');
+  assert.equal(user.name, 'dev');
+  assert.notEqual(user.passwordHash, 'correct horse');
+  assert.deepEqual(Object.keys(userManager.toPublic(user)).sort(), ['createdAt', 'email', 'id', 'lastLoginAt', 'name', 'role']);
+
+  await assert.rejects(userManager.register({ email: 'dev@example.com', password: 'another one' }), { status: 409 });
+  await assert.rejects(userManager.register({ email: 'not-an-email', password: 'long enough' }), { status: 400 });
+  await assert.rejects(userManager.register({ email: 'short@example.com', password: 'short' }), { status: 400 });
+
+  assert.ok((await userManager.login({ email: 'DEV@example.com', password: 'correct horse' })).lastLoginAt);
+  await assert.rejects(userManager.login({ email: 'dev@example.com', password: 'wrong horse' }), { status: 401, message: 'Invalid email or password' });
+  await assert.rejects(userManager.login({ email: 'nobody@example.com', password: 'correct horse' }), { status: 401, message: 'Invalid email or password' });
+});
+
+test('access tokens authenticate until they expire or the user logs out', async (t) => {
+  const { userManager, authenticate } = await setup(t);
+  const user = await userManager.register({ email: 'dev@example.com', password: 'correct horse' });
+  const { accessToken, refreshToken } = userManager.issueTokens(user);
+
+  const accepted = await run(authenticate, { Authorization: `Bearer ${accessToken}` });
+  assert.deepEqual(accepted.req.user, { id: user.id, email: 'dev@example.com', name: 'dev', role: 'user' });
+
+  assert.deepEqual(await run(authenticate), { status: 401, body: { success: false, error: 'Authentication required' } });
+  assert.equal((await run(authenticate, { Authorization: `Bearer ${refreshToken}` })).status, 401);
+  assert.equal((await run(authenticate, { Authorization: 'Bearer not.a.token' })).status, 401);
+
+  const expired = jwt.sign({ sub: user.id, ver: 0, type: 'access' }, JWT_SECRET, { expiresIn: -1 });
+  assert.deepEqual(await run(authenticate, { Authorization: `Bearer ${expired}` }), { status: 401, body: { success: false, error: 'Token expired' } });
+  const forged = jwt.sign({ sub: user.id, ver: 0, type: 'access' }, 'another-secret');
+  assert.equal((await run(authenticate, { Authorization: `Bearer ${forged}` })).status, 401);
+
+  const refreshed = await userManager.refresh(refreshToken);
+  assert.equal(refreshed.user.id, user.id);
+
+  // Logging out revokes every token issued so far
+  await userManager.logout(user.id);
+  assert.equal((await run(authenticate, { Authorization: `Bearer ${accessToken}` })).status, 401);
+  await assert.rejects(userManager.refresh(refreshed.tokens.refreshToken), { status: 401 });
+});
+
+test('ADMIN_EMAILS decides who registers as an admin', async (t) => {
+  const { userManager } = await setup(t);
+  const adminEmails = process.env.ADMIN_EMAILS;
+  process.env.ADMIN_EMAILS = 'ops@example.com, root@example.com';
+  t.after(() => {
+    if (adminEmails === undefined) delete process.env.ADMIN_EMAILS;
+    else process.env.ADMIN_EMAILS = adminEmails;
+  });
+
+  const admin = await userManager.register({ email: 'root@example.com', password: 'correct horse' });
+  const user = await userManager.register({ email: 'dev@example.com', password: 'correct horse' });
+  assert.equal(admin.role, 'admin');
+  assert.equal(user.role, 'user');
+
+  assert.equal((await run(requireAdmin, {}, { user: { id: admin.id, role: 'admin' } })).next, true);
+  assert.equal((await run(requireAdmin, {}, { user: { id: user.id, role: 'user' } })).status, 403);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeGo } from '../src/analysis/go.js';
+
+const source = [
+  'package cart',
+  '',
+  'import (',
+  '\t"fmt"',
+  '\tyaml "gopkg.in/yaml.v3"',
+  '\t"github.com/shop/money/v2"',
+  ')',
+  '',
+  'const MaxItems = 50',
+  '',
+  'type Item struct {',
+  '\tName  string',
+  '\tCents int',
+  '}',
+  '',
+  'type Cart struct{ items []Item }',
+  '',
+  'type pricer interface {',
+  '\tPrice(item Item) int',
+  '}',
+  '',
+  'func (c *Cart) Total() (total int) {',
+  '\tfor _, item := range c.items {',
+  '\t\tif item.Cents > 0 && item.Name != "" {',
+  '\t\t\ttotal += item.Cents',
+  '\t\t}',
+  '\t}',
+  '\treturn',
+  '}',
+  '',
+  'func label(c Cart) string {',
+  '\tformat := func(cents int) string {',
+  '\t\treturn fmt.Sprintf("`{%d`", cents)',
+  '\t}',
+  '\tswitch {',
+  '\tcase len(c.items) == 0:',
+  '\t\treturn "empty"',
+  '\tdefault:',
+  '\t\treturn format(c.Total())',
+  '\t}',
+  '}',
+  ''
+].join('\n');
+
+test('Go functions, methods and literals are measured on their own', () => {
+  const { functions, complexity } = analyzeGo(source);
+
+  assert.deepEqual(functions.map(({ name, kind, className, line, endLine, params, cyclomatic, cognitive, maxNesting }) =>
+    ({ name, kind, className, line, endLine, params, cyclomatic, cognitive, maxNesting })), [
+    { name: 'Total', kind: 'method', className: 'Cart', line: 22, endLine: 29, params: 0, cyclomatic: 4, cognitive: 4, maxNesting: 2 },
+    { name: 'label', kind: 'function', className: undefined, line: 31, endLine: 41, params: 1, cyclomatic: 2, cognitive: 1, maxNesting: 1 },
+    { name: 'format', kind: 'literal', className: undefined, line: 32, endLine: 34, params: 1, cyclomatic: 1, cognitive: 0, maxNesting: 0 }
+  ]);
+  assert.equal(complexity, 5);
+});
+
+test('Go types, imports and exported names are listed', () => {
+  const { classes, imports, exports } = analyzeGo(source);
+
+  assert.deepEqual(classes.map(({ name, kind, line, endLine, methods }) => ({ name, kind, line, endLine, methods })), [
+    { name: 'Item', kind: 'struct', line: 11, endLine: 14, methods: [] },
+    { name: 'Cart', kind: 'struct', line: 16, endLine: 16, methods: ['Total'] },
+    { name: 'pricer', kind: 'interface', line: 18, endLine: 20, methods: [] }
+  ]);
+  // Packages are used by their last path element, without a major version
+  assert.deepEqual(imports.map(({ source, specifiers }) => [source, specifiers[0].local]), [
+    ['fmt', 'fmt'],
+    ['gopkg.in/yaml.v3', 'yaml'],
+    ['github.com/shop/money/v2', 'money']
+  ]);
+  assert.deepEqual(exports.map(({ name }) => name), ['MaxItems', 'Item', 'Cart']);
+});
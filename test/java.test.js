@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeJava } from '../src/analysis/java.js';
+
+const source = [
+  'package com.shop;',
+  '',
+  'import java.util.List;',
+  'import static java.util.Objects.requireNonNull;',
+  '',
+  '@Entity',
+  'public class Cart<T extends Item> extends Base implements Comparable<Cart<T>>, Serializable {',
+  '  private final List<T> items;',
+  '',
+  '  public Cart(List<T> items) {',
+  '    this.items = requireNonNull(items);',
+  '  }',
+  '',
+  '  @Override',
+  '  public int compareTo(Cart<T> other) {',
+  '    return Integer.compare(total(), other.total());',
+  '  }',
+  '',
+  '  int total() {',
+  '    String note = "} not a brace {";',
+  '    int sum = 0;',
+  '    for (T item : items) {',
+  '      if (item.cents() > 0 || item.free()) {',
+  '        sum += item.cents();',
+  '      }',
+  '    }',
+  '    items.forEach(item -> {',
+  '      if (item == null) throw new IllegalStateException();',
+  '    });',
+  '    return sum > 0 ? sum : 0;',
+  '  }',
+  '',
+  '  record Line(String name, int cents) {',
+  '    Line {',
+  '      requireNonNull(name);',
+  '    }',
+  '  }',
+  '}',
+  '',
+  'interface Item extends Priced<Item>, Named { int cents(); boolean free(); }',
+  ''
+].join('\n');
+
+test('Java methods, constructors and block lambdas are measured on their own', () => {
+  const { functions, complexity } = analyzeJava(source);
+
+  assert.deepEqual(functions.map(({ name, kind, className, line, endLine, params, cyclomatic, cognitive, maxNesting }) =>
+    ({ name, kind, className, line, endLine, params, cyclomatic, cognitive, maxNesting })), [
+    { name: 'Cart', kind: 'constructor', className: 'Cart', line: 10, endLine: 12, params: 1, cyclomatic: 1, cognitive: 0, maxNesting: 0 },
+    { name: 'compareTo', kind: 'method', className: 'Cart', line: 15, endLine: 17, params: 1, cyclomatic: 1, cognitive: 0, maxNesting: 0 },
+    { name: 'total', kind: 'method', className: 'Cart', line: 19, endLine: 31, params: 0, cyclomatic: 5, cognitive: 5, maxNesting: 2 },
+    { name: 'anonymous', kind: 'lambda', className: undefined, line: 27, endLine: 29, params: 1, cyclomatic: 2, cognitive: 1, maxNesting: 0 },
+    // A record's compact constructor
+    { name: 'Line', kind: 'constructor', className: 'Line', line: 34, endLine: 36, params: 0, cyclomatic: 1, cognitive: 0, maxNesting: 0 }
+  ]);
+  assert.equal(complexity, 6);
+});
+
+test('Java types keep their own clauses apart from their type parameters', () => {
+  const { classes, imports, exports } = analyzeJava(source);
+
+  assert.deepEqual(classes.map(({ name, kind, line, endLine, superClass, interfaces, methods }) => ({ name, kind, line, endLine, superClass, interfaces, methods })), [
+    { name: 'Cart', kind: 'class', line: 7, endLine: 38, superClass: 'Base', interfaces: ['Comparable', 'Serializable'], methods: ['Cart', 'compareTo', 'total'] },
+    { name: 'Line', kind: 'record', line: 33, endLine: 37, superClass: null, interfaces: [], methods: ['Line'] },
+    { name: 'Item', kind: 'interface', line: 40, endLine: 40, superClass: null, interfaces: ['Priced', 'Named'], methods: [] }
+  ]);
+  assert.deepEqual(imports.map(({ source, specifiers }) => [source, specifiers[0].imported]), [
+    ['java.util.List', 'List'],
+    ['java.util.Objects', 'requireNonNull']
+  ]);
+  assert.deepEqual(exports.map(({ name }) => name), ['Cart']);
+});
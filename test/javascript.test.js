@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJavaScript } from '../src/analysis/javascript.js';
+
+test('TypeScript and JSX parse by extension', () => {
+  const typed = parseJavaScript('const port = <number>config.port;\nexport function add(a: number, b: number): number { return a + b; }\n', '.ts');
+  assert.deepEqual(typed.errors, []);
+  assert.equal(typed.sourceType, 'module');
+
+  const component = parseJavaScript([
+    "import React from 'react';",
+    'interface Props { name: string }',
+    '@observer class Store { count: number = 0; }',
+    'export const Hello = ({ name }: Props) => <h1 className="title">Hello {name}</h1>;'
+  ].join('\n'), '.tsx');
+  assert.deepEqual(component.errors, []);
+  // Class fields have ESTree's shape
+  const store = component.ast.program.body.find(node => node.type === 'ClassDeclaration');
+  assert.equal(store.body.body[0].type, 'PropertyDefinition');
+
+  assert.deepEqual(parseJavaScript('export default () => <App />;', '.jsx').errors, []);
+  // Type annotations aren't JavaScript
+  assert.notDeepEqual(parseJavaScript('let a: number = 1;', '.js').errors, []);
+});
+
+test('scripts and CommonJS parse when they are not valid modules', () => {
+  // Octal literals and with statements only exist in sloppy mode
+  const legacy = parseJavaScript('var mode = 0755;\nwith (Math) { max(1, 2); }\n', '.js');
+  assert.equal(legacy.sourceType, 'script');
+  assert.deepEqual(legacy.errors, []);
+
+  const earlyExit = parseJavaScript("if (!process.env.CI) return;\nmodule.exports = require('./ci');\n", '.js');
+  assert.equal(earlyExit.sourceType, 'commonjs');
+  assert.deepEqual(parseJavaScript('return;', '.cjs').sourceType, 'commonjs');
+
+  // .mjs is only ever a module
+  const module = parseJavaScript('await import("./setup.mjs");\nvar mode = 0755;\n', '.mjs');
+  assert.equal(module.sourceType, 'module');
+  assert.equal(module.errors.length, 1);
+  assert.equal(module.errors[0].line, 2);
+});
+
+test('parse errors carry their message, line and column', () => {
+  const recovered = parseJavaScript('const a = 1;\nconst a = 2;\n', '.js');
+  assert.ok(recovered.ast);
+  assert.deepEqual(recovered.errors, [{ message: "Identifier 'a' has already been declared.", line: 2, column: 7 }]);
+
+  const broken = parseJavaScript('function broken( {\n  return 1;\n', '.js');
+  assert.equal(broken.ast, null);
+  assert.equal(broken.sourceType, null);
+  assert.equal(broken.errors.length, 1);
+  assert.equal(broken.errors[0].line, 2);
+  assert.doesNotMatch(broken.errors[0].message, /\(\d+:\d+\)$/);
+});
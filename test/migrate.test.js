@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import { ProjectManager } from '../src/services/ProjectManager.js';
+import { AuditLogger } from '../src/services/AuditLogger.js';
+import {
+  JsonFileStore, SqliteStore, JsonCollection, SqliteCollection, JsonAuditLog, SqliteAuditLog
+} from '../src/storage/index.js';
+
+const script = fileURLToPath(new URL('../scripts/migrate-json-to-sqlite.js', import.meta.url));
+const migrate = (dataDir, filename) => promisify(execFile)(process.execPath, [script, '--from', dataDir, '--to', filename]);
+
+test('the SQLite migration copies projects, every record collection and the audit log', async (t) => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dataDir));
+  const filename = path.join(dataDir, 'debugflow.db');
+
+  const projectManager = new ProjectManager({ store: new JsonFileStore({ dataDir }), uploadDir: path.join(dataDir, 'uploads') });
+  const project = await projectManager.createProject({ name: 'App', userId: 'u1', files: [] });
+  await projectManager.updateProject(project.id, { name: 'App 2' });
+
+  const records = {
+    users: { id: 'u1', email: 'owner@example.com', passwordHash: 'hash' },
+    'api-keys': { id: 'k1', userId: 'u1', scopes: ['projects:read'] },
+    workspaces: { id: 'w1', name: 'Team', members: [{ userId: 'u1', role: 'owner' }] },
+    invitations: { id: 'i1', workspaceId: 'w1', email: 'new@example.com' },
+    credentials: { id: 'c1', userId: 'u1', integration: 'openai', ciphertext: 'abc' },
+    'ai-usage': { id: 'u1-2026-10-19', userId: 'u1', tokens: 120 },
+    'ai-budgets': { id: 'u1', dailyTokens: 1000 },
+    advisories: { id: 'GHSA-1', affected: [] }
+  };
+  for (const [name, record] of Object.entries(records)) {
+    const collection = new JsonCollection(name, { dataDir });
+    await collection.init();
+    await collection.put(record);
+  }
+
+  const auditLogger = new AuditLogger({ log: new JsonAuditLog({ dataDir }) });
+  const first = await auditLogger.record({ action: 'project.create', actor: { id: 'u1' }, projectId: project.id, outcome: 'success' });
+  const second = await auditLogger.record({ action: 'project.update', actor: { id: 'u1' }, projectId: project.id, outcome: 'success' });
+
+  await migrate(dataDir, filename);
+  // Running it again neither duplicates nor fails
+  await migrate(dataDir, filename);
+
+  const store = new SqliteStore({ filename });
+  await store.init();
+  t.after(() => store.close());
+  assert.equal((await store.get(project.id)).name, 'App 2');
+  assert.deepEqual((await store.listRevisions(project.id)).map(revision => revision.revision), [1, 2]);
+
+  for (const [name, record] of Object.entries(records)) {
+    const collection = new SqliteCollection(name, { filename });
+    await collection.init();
+    assert.deepEqual(await collection.list(), [record], name);
+  }
+
+  const log = new SqliteAuditLog({ filename });
+  await log.init();
+  const entries = [];
+  for await (const entry of log.iterate({})) entries.push(entry);
+  assert.deepEqual(entries, [first, second]);
+});
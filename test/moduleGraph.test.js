@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildModuleGraph, createModuleResolver } from '../src/analysis/moduleGraph.js';
+
+const file = (name, content = '', imports = []) => ({
+  name,
+  extension: name.slice(name.lastIndexOf('.')),
+  content,
+  analysis: { imports: imports.map(source => ({ source, kind: 'import', line: 1 })) }
+});
+
+// A monorepo whose packages point at build output that wasn't uploaded
+function workspace(manifest, source = 'packages/lib/src/index.ts') {
+  return [
+    file('package.json', JSON.stringify({ name: 'root', private: true, workspaces: ['packages/*'] })),
+    file('packages/lib/package.json', JSON.stringify({ name: '@acme/lib', ...manifest })),
+    file(source, 'export const lib = 1;'),
+    file('packages/app/package.json', JSON.stringify({ name: '@acme/app', dependencies: { '@acme/lib': '*' } })),
+    file('packages/app/index.js', "import { lib } from '@acme/lib';", ['@acme/lib'])
+  ];
+}
+
+test('.mjs and .cjs dist targets of workspace packages resolve to their sources', () => {
+  const { resolveImport } = createModuleResolver(workspace({
+    exports: { import: './dist/index.mjs', require: './dist/index.cjs' }
+  }));
+
+  assert.deepEqual(resolveImport('packages/app/index.js', { source: '@acme/lib', kind: 'import' }), { file: 'packages/lib/src/index.ts' });
+  assert.deepEqual(resolveImport('packages/app/index.js', { source: '@acme/lib', kind: 'require' }), { file: 'packages/lib/src/index.ts' });
+});
+
+test('a dist main without exports falls back to the JavaScript source', () => {
+  const { resolveImport } = createModuleResolver(workspace({ main: './dist/index.mjs' }, 'packages/lib/src/index.js'));
+
+  assert.deepEqual(resolveImport('packages/app/index.js', { source: '@acme/lib', kind: 'import' }), { file: 'packages/lib/src/index.js' });
+});
+
+test('packages built to dist/index.mjs are neither unresolved nor orphaned', () => {
+  const graph = buildModuleGraph(workspace({ main: './dist/index.mjs', exports: './dist/index.mjs' }));
+
+  assert.deepEqual(graph.unresolved, []);
+  assert.deepEqual(graph.orphans, []);
+  assert.deepEqual(graph.edges.map(edge => edge.to), ['packages/lib/src/index.ts']);
+});
+
+test('"imports" mappings that loop are reported instead of recursing forever', () => {
+  const files = [
+    file('package.json', JSON.stringify({
+      name: 'app',
+      imports: { '#a': '#b', '#b': '#a', '#deep/*': '#deep/x/*', '#util': '#lib', '#lib': './src/lib.js' }
+    })),
+    file('src/lib.js', 'export const lib = 1;'),
+    file('index.js', '', ['#a', '#deep/y', '#util'])
+  ];
+  const { resolveImport } = createModuleResolver(files);
+
+  assert.deepEqual(resolveImport('index.js', { source: '#a', kind: 'import' }), { reason: 'circular "imports" mapping' });
+  assert.deepEqual(resolveImport('index.js', { source: '#deep/y', kind: 'import' }), { reason: 'circular "imports" mapping' });
+  assert.deepEqual(resolveImport('index.js', { source: '#util', kind: 'import' }), { file: 'src/lib.js' });
+
+  const graph = buildModuleGraph(files);
+  assert.deepEqual(graph.unresolved.map(entry => entry.source), ['#a', '#deep/y']);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPublicAddress, resolveHost } from '../src/utils/network.js';
+import { ProjectProcessor } from '../src/services/ProjectProcessor.js';
+
+test('loopback, private and link-local addresses are not public', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['93.184.216.34', '2606:4700::1111']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+  assert.equal(isPublicAddress('not-an-ip'), false);
+});
+
+test('IP literals resolve to themselves', async () => {
+  assert.deepEqual(await resolveHost('[::1]'), ['::1']);
+  assert.deepEqual(await resolveHost('10.0.0.1'), ['10.0.0.1']);
+});
+
+test('repository imports refuse file:// and private hosts', async (t) => {
+  const allowFile = process.env.GIT_IMPORT_ALLOW_FILE;
+  const allowPrivate = process.env.GIT_IMPORT_ALLOW_PRIVATE_HOSTS;
+  delete process.env.GIT_IMPORT_ALLOW_FILE;
+  delete process.env.GIT_IMPORT_ALLOW_PRIVATE_HOSTS;
+  t.after(() => {
+    if (allowFile !== undefined) process.env.GIT_IMPORT_ALLOW_FILE = allowFile;
+    if (allowPrivate !== undefined) process.env.GIT_IMPORT_ALLOW_PRIVATE_HOSTS = allowPrivate;
+  });
+
+  const processor = new ProjectProcessor();
+  assert.throws(() => processor.parseRepositoryUrl('file:///srv/repos/app.git'), { status: 400 });
+  for (const url of ['http://127.0.0.1/repo.git', 'https://[::1]/repo.git', 'http://169.254.169.254/latest', 'https://10.0.0.5:8443/repo.git']) {
+    await assert.rejects(processor.resolveRepositoryHost(processor.parseRepositoryUrl(url)), { status: 400 }, url);
+  }
+  assert.deepEqual(await processor.resolveRepositoryHost(processor.parseRepositoryUrl('https://93.184.216.34/repo.git')), ['93.184.216.34']);
+
+  process.env.GIT_IMPORT_ALLOW_FILE = 'true';
+  process.env.GIT_IMPORT_ALLOW_PRIVATE_HOSTS = 'true';
+  assert.equal(processor.parseRepositoryUrl('file:///srv/repos/app.git').protocol, 'file:');
+  assert.equal(await processor.resolveRepositoryHost(processor.parseRepositoryUrl('http://127.0.0.1/repo.git')), null);
+});
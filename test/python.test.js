@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePython } from '../src/analysis/python.js';
+
+test('a multi-line string back at column 0 stays inside its method', () => {
+  const source = [
+    'class Repository:',
+    '    def load(self, db):',
+    '        query = """',
+    'SELECT id, name',
+    'FROM users',
+    '"""',
+    '        rows = db.execute(query)',
+    '        while rows:',
+    '            if rows[0]:',
+    '                rows.pop()',
+    '        return rows',
+    '',
+    '    def save(self, db):',
+    "        '''Writes the rows.",
+    "'''",
+    '        db.commit()',
+    '',
+    'def helper():',
+    '    return 1',
+    ''
+  ].join('\n');
+
+  const { functions, classes } = analyzePython(source);
+  const byName = Object.fromEntries(functions.map(fn => [fn.name, fn]));
+
+  assert.deepEqual(functions.map(fn => [fn.name, fn.className ?? null]), [
+    ['load', 'Repository'],
+    ['save', 'Repository'],
+    ['helper', null]
+  ]);
+  assert.equal(byName.load.line, 2);
+  assert.equal(byName.load.endLine, 11);
+  assert.equal(byName.load.cyclomatic, 3);
+  assert.equal(byName.save.endLine, 16);
+  assert.equal(classes[0].endLine, 16);
+});
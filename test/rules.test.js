@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJavaScript } from '../src/analysis/javascript.js';
+import { RULES, runRules } from '../src/analysis/rules.js';
+import { ProjectProcessor } from '../src/services/ProjectProcessor.js';
+
+const check = (code, extension = '.js') => runRules(parseJavaScript(code, extension).ast)
+  .map(({ rule, line, endLine }) => [rule, line, endLine]);
+
+test('each rule reports what it describes and leaves the exceptions alone', () => {
+  assert.deepEqual(check([
+    'try { run(); } catch (error) {}',
+    'try { run(); } catch { /* optional */ }'
+  ].join('\n')), [['empty-catch', 1, 1]]);
+
+  assert.deepEqual(check([
+    'async function save() {}',
+    'const load = async () => {};',
+    'save();',
+    'load();',
+    'fetch(url).then(render);',
+    'fetch(url).then(render, report);',
+    'Promise.all([save()]);',
+    'new Promise(resolve => resolve());',
+    'class Job { async run() {} start() { this.run(); } }',
+    'void save();',
+    'await save();',
+    'plain();'
+  ].join('\n')), [
+    ['floating-promise', 3, 3],
+    ['floating-promise', 4, 4],
+    ['floating-promise', 5, 5],
+    ['floating-promise', 7, 7],
+    ['floating-promise', 8, 8],
+    ['floating-promise', 9, 9]
+  ]);
+
+  assert.deepEqual(check('if (a == 1) {}\nif (a != null) {}\nif (typeof a == "string") {}\n'), [['loose-equality', 1, 1]]);
+
+  assert.deepEqual(check([
+    'function f(x) {',
+    '  if (x) { return 1; } else { throw new Error(); }',
+    '  log(x);',
+    '  x++;',
+    '  function hoisted() {}',
+    '}',
+    'function g() {',
+    '  return helper();',
+    '  function helper() {}',
+    '  var later;',
+    '}'
+  ].join('\n')), [['unreachable-code', 3, 4]]);
+
+  assert.deepEqual(check([
+    'const name = 1;',
+    'function outer(value) {',
+    '  const name = 2;',
+    '  return (value) => value + name;',
+    '}',
+    'const fn = function fn() {};'
+  ].join('\n')), [
+    ['shadowed-variable', 3, 3],
+    ['shadowed-variable', 4, 4]
+  ]);
+
+  assert.deepEqual(check([
+    "import React from 'react';",
+    "import { used, unused } from './lib';",
+    'export const App = () => <div>{used}</div>;'
+  ].join('\n'), '.jsx'), [['unused-import', 2, 2]]);
+
+  assert.deepEqual(check([
+    'async function sync(items) {',
+    '  for (const item of await list()) {',
+    '    await save(item);',
+    '    items.forEach(async (other) => { await save(other); });',
+    '  }',
+    '}'
+  ].join('\n')), [['await-in-loop', 3, 3]]);
+});
+
+test('findings carry severity, message and columns, and rules can be chosen', () => {
+  const { ast } = parseJavaScript('if (a == 1) {}\n', '.js');
+  assert.deepEqual(runRules(ast), [{
+    rule: 'loose-equality',
+    severity: 'warning',
+    message: 'Use === instead of ==; == converts types before comparing',
+    line: 1,
+    column: 5,
+    endLine: 1,
+    endColumn: 11
+  }]);
+  assert.deepEqual(runRules(ast, { rules: RULES.filter(rule => rule.id !== 'loose-equality') }), []);
+});
+
+test('project issues are counted by severity and rule', async () => {
+  const processor = new ProjectProcessor();
+  const file = async (name, code) => ({ name, analysis: await processor.analyzeFile(code, '.js') });
+
+  assert.deepEqual(processor.summarizeIssues([
+    await file('a.js', 'if (a == 1) {}\nif (b != 2) {}\n'),
+    await file('b.js', 'async function save() {}\nsave();\n'),
+    await file('c.js', 'export const ok = 1;\n')
+  ]), {
+    total: 3,
+    files: 2,
+    bySeverity: { error: 1, warning: 2, info: 0 },
+    byRule: { 'loose-equality': 2, 'floating-promise': 1 }
+  });
+});
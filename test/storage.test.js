@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { JsonFileStore, SqliteStore, createProjectStore } from '../src/storage/index.js';
+import { normalizeQuery } from '../src/storage/query.js';
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'debugflow-test-'));
+  t.after(() => fs.remove(dir));
+  return dir;
+}
+
+const drivers = {
+  json: async (t) => new JsonFileStore({ dataDir: await tempDir(t) }),
+  sqlite: async (t) => {
+    const store = new SqliteStore({ filename: ':memory:' });
+    t.after(() => store.close());
+    return store;
+  }
+};
+
+const project = (id, fields = {}) => ({
+  id,
+  name: `Project ${id}`,
+  userId: 'u1',
+  status: 'active',
+  type: 'web',
+  createdAt: `2026-01-0${id.slice(-1)}T00:00:00.000Z`,
+  lastModified: `2026-02-0${id.slice(-1)}T00:00:00.000Z`,
+  ...fields
+});
+
+for (const [driver, open] of Object.entries(drivers)) {
+  test(`${driver} store saves, replaces and deletes projects with their revisions`, async (t) => {
+    const store = await open(t);
+    await store.init();
+
+    await store.put(project('p1'));
+    await store.put(project('p1', { name: 'Renamed' }));
+    assert.equal((await store.get('p1')).name, 'Renamed');
+    assert.equal(await store.get('missing'), null);
+
+    await store.appendRevision({ projectId: 'p1', revision: 1, author: 'u1', changes: {} });
+    await assert.rejects(store.appendRevision({ projectId: 'p1', revision: 1, author: 'u2', changes: {} }));
+    assert.deepEqual((await store.listRevisions('p1')).map(revision => revision.author), ['u1']);
+
+    assert.equal(await store.delete('p1'), true);
+    assert.equal(await store.delete('p1'), false);
+    assert.equal(await store.get('p1'), null);
+    assert.deepEqual(await store.listRevisions('p1'), []);
+  });
+
+  test(`${driver} store filters, sorts and pages queries`, async (t) => {
+    const store = await open(t);
+    await store.init();
+    for (const id of ['p1', 'p2', 'p3', 'p4', 'p5']) {
+      await store.put(project(id, id === 'p4' ? { userId: 'u2' } : id === 'p5' ? { status: 'archived', description: 'Legacy 100% app' } : {}));
+    }
+
+    const mine = await store.query(normalizeQuery({ userId: 'u1', limit: 2 }));
+    assert.equal(mine.total, 4);
+    assert.deepEqual(mine.projects.map(item => item.id), ['p5', 'p3']);
+
+    const next = await store.query(normalizeQuery({ userId: 'u1', limit: 2, cursor: mine.nextCursor }));
+    assert.deepEqual(next.projects.map(item => item.id), ['p2', 'p1']);
+    assert.equal(next.nextCursor, null);
+
+    const byName = await store.query(normalizeQuery({ sort: 'name', status: 'active' }));
+    assert.deepEqual(byName.projects.map(item => item.id), ['p1', 'p2', 'p3', 'p4']);
+
+    // LIKE wildcards in the search are matched literally
+    assert.deepEqual((await store.query(normalizeQuery({ search: '100%' }))).projects.map(item => item.id), ['p5']);
+    assert.equal((await store.query(normalizeQuery({ search: '1_0' }))).total, 0);
+  });
+}
+
+test('the JSON store keeps unsafe ids away from the filesystem', async (t) => {
+  const store = await drivers.json(t);
+  await store.init();
+
+  assert.equal(await store.get('../secrets'), null);
+  await assert.rejects(store.put(project('p1', { id: '../escape' })), /Invalid project id/);
+  assert.equal(await store.delete('../secrets'), false);
+});
+
+test('PROJECT_STORE picks the driver', async (t) => {
+  const dataDir = await tempDir(t);
+
+  assert.equal(createProjectStore({ driver: 'json', dataDir }).driver, 'json');
+  assert.equal(createProjectStore({ driver: 'SQLite', dataDir }).driver, 'sqlite');
+  assert.throws(() => createProjectStore({ driver: 'mongo', dataDir }), /Unknown project store driver: mongo/);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJavaScript } from '../src/analysis/javascript.js';
+import { analyzeStructure } from '../src/analysis/structure.js';
+import { ProjectProcessor } from '../src/services/ProjectProcessor.js';
+
+const analyze = (code, extension = '.js') => analyzeStructure(parseJavaScript(code, extension).ast);
+const metrics = ({ name, cyclomatic, cognitive, maxNesting }) => ({ name, cyclomatic, cognitive, maxNesting });
+
+test('complexity follows the cognitive complexity examples', () => {
+  const { functions, complexity } = analyze(`
+    function sumOfPrimes(max) {
+      let total = 0;
+      OUT: for (let i = 1; i <= max; ++i) {
+        for (let j = 2; j < i; ++j) {
+          if (i % j === 0) {
+            continue OUT;
+          }
+        }
+        total += i;
+      }
+      return total;
+    }
+
+    function getWords(number) {
+      switch (number) {
+        case 1: return 'one';
+        case 2: return 'a couple';
+        default: return 'lots';
+      }
+    }
+
+    function factorial(n) {
+      return n <= 1 ? 1 : n * factorial(n - 1);
+    }
+
+    const pick = (a, b, c) => (a && b) || c || (() => a ?? b)();
+  `);
+
+  assert.deepEqual(functions.map(metrics), [
+    { name: 'sumOfPrimes', cyclomatic: 4, cognitive: 7, maxNesting: 3 },
+    { name: 'getWords', cyclomatic: 3, cognitive: 1, maxNesting: 1 },
+    { name: 'factorial', cyclomatic: 2, cognitive: 2, maxNesting: 1 },
+    // The nested arrow's ?? is its own
+    { name: 'pick', cyclomatic: 4, cognitive: 2, maxNesting: 0 },
+    { name: 'anonymous', cyclomatic: 2, cognitive: 1, maxNesting: 0 }
+  ]);
+  // 1 for the top-level code plus each function's branches
+  assert.equal(complexity, 1 + 3 + 2 + 1 + 3 + 1);
+});
+
+test('functions, classes, imports and exports are listed with their lines', () => {
+  const { functions, classes, imports, exports } = analyze([
+    "import React, { useState as useLocalState } from 'react';",
+    "import type { Config } from './config';",
+    "export * as helpers from './helpers';",
+    "export { default as Button } from './Button';",
+    'export class Store extends Base.Model {',
+    '  #count = 0;',
+    '  async *entries(this: Store, limit: number) {}',
+    '  get size() { return this.#count; }',
+    '}',
+    'export const load = async () => import(`./lazy`);',
+    'export default function () {}',
+    "const fs = require('fs');",
+    'module.exports = { load, Store };'
+  ].join('\n'), '.ts');
+
+  assert.deepEqual(functions.map(({ name, kind, className, line, params, async, generator }) => ({ name, kind, className, line, params, async, generator })), [
+    { name: 'entries', kind: 'method', className: 'Store', line: 7, params: 1, async: true, generator: true },
+    { name: 'size', kind: 'get', className: 'Store', line: 8, params: 0, async: false, generator: false },
+    { name: 'load', kind: 'arrow', className: undefined, line: 10, params: 0, async: true, generator: false },
+    { name: 'default', kind: 'declaration', className: undefined, line: 11, params: 0, async: false, generator: false }
+  ]);
+  assert.deepEqual(classes, [{ name: 'Store', line: 5, endLine: 9, superClass: 'Base.Model', methods: ['entries', 'size'] }]);
+
+  assert.deepEqual(imports, [
+    { source: 'react', kind: 'import', line: 1, specifiers: [{ imported: 'default', local: 'React' }, { imported: 'useState', local: 'useLocalState' }] },
+    { source: './config', kind: 'import', line: 2, specifiers: [{ imported: 'Config', local: 'Config' }], typeOnly: true },
+    { source: './helpers', kind: 'export-from', line: 3 },
+    { source: './Button', kind: 'export-from', line: 4, specifiers: [{ imported: 'default', local: 'Button' }] },
+    { source: './lazy', kind: 'dynamic', line: 10 },
+    { source: 'fs', kind: 'require', line: 12 }
+  ]);
+  assert.deepEqual(exports.map(({ name, kind, line }) => [name, kind, line]), [
+    ['helpers', 'all', 3],
+    ['Button', 'named', 4],
+    ['Store', 'named', 5],
+    ['load', 'named', 10],
+    ['default', 'default', 11],
+    ['load', 'commonjs', 13],
+    ['Store', 'commonjs', 13]
+  ]);
+});
+
+test('hot spots rank the project functions hardest to follow first', () => {
+  const processor = new ProjectProcessor();
+  const file = (name, code) => ({ name, analysis: analyze(code) });
+  const hotspots = processor.findHotspots([
+    file('src/a.js', 'function simple() { return 1; }\nfunction branchy(a) { if (a) { if (a > 1) return 2; } return 0; }'),
+    file('src/b.js', 'class Parser { parse(x) { for (const c of x) { if (c) { while (c) break; } } } }')
+  ]);
+
+  assert.deepEqual(hotspots.map(({ file, name, line, cognitive }) => [file, name, line, cognitive]), [
+    ['src/b.js', 'Parser.parse', 1, 6],
+    ['src/a.js', 'branchy', 2, 3]
+  ]);
+});